@@ -30,12 +30,12 @@ async function demonstrateWalkingSkeleton() {
     console.log('❌ Error:', error.message);
   }
 
-  // Test 2: Executive Role Simulation
-  console.log('🧪 Test 2: Executive Role Personalization (Future Enhancement)');
-  console.log('📋 Planned Features:');
-  console.log('   • CEO: "Executive Summary: Welcome to Executive Flash News Plugin"');
-  console.log('   • CTO: "Technical Overview: Welcome to Executive Flash News Plugin"');
-  console.log('   • Head of Delivery: "Delivery Status: Welcome to Executive Flash News Plugin"');
+  // Test 2: Executive Role Personalization
+  console.log('🧪 Test 2: Executive Role Personalization');
+  ['CEO', 'CTO', 'Head of Delivery'].forEach(role => {
+    const roleMessage = new WelcomeMessage('Welcome to Executive Flash News Plugin', '1.0.0', role);
+    console.log(`✅ ${role}:`, roleMessage.generatePersonalizedMessage());
+  });
   console.log('');
 
   // Test 3: Architecture Validation
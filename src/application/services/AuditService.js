@@ -0,0 +1,304 @@
+import { AuditRecord, GENESIS_HASH } from '../../domain/entities/AuditRecord.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * How long a queued event is left before it is sealed, so an event still being written when a
+ * sealing run lists the queue is not sealed out of order by the next run
+ */
+const PENDING_SETTLE_MS = 60 * 1000;
+
+/**
+ * Events sealed per run, so one run stays well inside the scheduled function's time limit
+ * however far the queue has grown; the rest wait for the next run
+ */
+const DEFAULT_SEAL_BATCH_SIZE = 500;
+
+/**
+ * Days each category of audit record is kept; categories not listed use defaultDays
+ */
+export const DEFAULT_AUDIT_RETENTION = {
+  defaultDays: 365,
+  categories: {
+    DATA_ACCESS: 180,
+    SECURITY: 730
+  }
+};
+
+const CSV_COLUMNS = ['sequence', 'occurredAt', 'category', 'eventType', 'userId', 'details', 'previousHash', 'hash'];
+
+/**
+ * AuditService - Tamper-Evident Audit Trail
+ * Records authentication, authorization, data access and security events in a trail hash-chained
+ * per category, and queries, verifies, prunes and exports it for compliance reviews. Invocations
+ * only queue events; sealing them into the chain is left to a single scheduled writer, so
+ * concurrent invocations can never claim the same sequence.
+ */
+export class AuditService {
+  /**
+   * @param {AuditStoragePort} auditStorage - Where the trail is persisted
+   * @param {Object} [options] - Retention policy, sealing batch and clock
+   * @param {Object} [options.retention] - Overrides for DEFAULT_AUDIT_RETENTION
+   * @param {number} [options.sealBatchSize=500] - Most events sealed per run
+   * @param {Function} [options.now] - Returns the current time
+   */
+  constructor(auditStorage, options = {}) {
+    this.auditStorage = auditStorage;
+    this.retention = {
+      defaultDays: options.retention?.defaultDays ?? DEFAULT_AUDIT_RETENTION.defaultDays,
+      categories: { ...DEFAULT_AUDIT_RETENTION.categories, ...(options.retention?.categories || {}) }
+    };
+    this.sealBatchSize = options.sealBatchSize || DEFAULT_SEAL_BATCH_SIZE;
+    this.now = options.now || (() => new Date());
+  }
+
+  /**
+   * Record an authentication attempt
+   * @param {object} event - User, event (e.g. AUTHENTICATION_SUCCESS) and timestamp
+   * @returns {Promise<object>} Queued event
+   */
+  async logAuthenticationEvent(event) {
+    return this._append('AUTHENTICATION', event.event, event);
+  }
+
+  /**
+   * Record an authorization decision
+   * @param {object} event - User, resource, business unit and result (AUTHORIZED/DENIED/ERROR)
+   * @returns {Promise<object>} Queued event
+   */
+  async logAuthorizationEvent(event) {
+    return this._append('AUTHORIZATION', `AUTHORIZATION_${event.result}`, event);
+  }
+
+  /**
+   * Record a read of portfolio data
+   * @param {object} event - User, resource, action, business unit and number of projects returned
+   * @returns {Promise<object>} Queued event
+   */
+  async logDataAccessEvent(event) {
+    return this._append('DATA_ACCESS', `DATA_${String(event.action || 'access').toUpperCase()}`, event);
+  }
+
+  /**
+   * Record a refused or failed access
+   * @param {object} event - User, event (e.g. PORTFOLIO_ACCESS_DENIED) and reason
+   * @returns {Promise<object>} Queued event
+   */
+  async logSecurityEvent(event) {
+    return this._append('SECURITY', event.event, event);
+  }
+
+  /**
+   * Find retained records
+   * @param {object} [filters] - Any of userId, category, eventType and a from/to date range (from inclusive, to exclusive)
+   * @returns {Promise<Array<AuditRecord>>} Matching records, oldest first
+   */
+  async query(filters = {}) {
+    const from = filters.from ? new Date(filters.from).getTime() : -Infinity;
+    const to = filters.to ? new Date(filters.to).getTime() : Infinity;
+    const range = { from: filters.from && new Date(filters.from), to: filters.to && new Date(filters.to) };
+
+    return (await this.auditStorage.getRecords(range)).filter(record => {
+      const occurredAt = Date.parse(record.occurredAt);
+      return (!filters.userId || record.userId === filters.userId) &&
+        (!filters.category || record.category === filters.category) &&
+        (!filters.eventType || record.eventType === filters.eventType) &&
+        occurredAt >= from && occurredAt < to;
+    });
+  }
+
+  /**
+   * Check that no retained record was altered, removed or reordered since it was written
+   * @returns {Promise<object>} Whether every category's chain is intact, records checked, and the
+   *   first bad sequence with the reason
+   */
+  async verifyChain() {
+    const state = await this.auditStorage.getChainState();
+    const records = await this.auditStorage.getRecords();
+    const chains = state?.chains || {};
+    const previousByCategory = new Map(Object.entries(chains).map(([category, chain]) => [category, chain.prunedThrough]));
+
+    for (const record of records) {
+      const problem = this._findChainProblem(record, previousByCategory.get(record.category) || null);
+      if (problem) {
+        return { valid: false, checkedRecords: records.length, firstInvalidSequence: record.sequence, reason: problem };
+      }
+      previousByCategory.set(record.category, record);
+    }
+
+    // Records missing from the end of a category leave its chain state pointing past them
+    const truncated = Object.entries(chains).find(([category, chain]) => {
+      const previous = previousByCategory.get(category);
+      return chain.last && (chain.last.sequence !== previous?.sequence || chain.last.hash !== previous?.hash);
+    });
+    if (truncated) {
+      return {
+        valid: false,
+        checkedRecords: records.length,
+        firstInvalidSequence: truncated[1].last.sequence,
+        reason: `${truncated[0]} records are missing from the end of the trail`
+      };
+    }
+
+    return { valid: true, checkedRecords: records.length, firstInvalidSequence: null, reason: null };
+  }
+
+  /**
+   * Seal up to a batch of queued events into the chain, oldest first
+   * Must only run from one place at a time (the scheduled audit trigger). Events an interrupted
+   * run already sealed are removed from the queue without being sealed twice.
+   * @returns {Promise<object>} Number of records sealed
+   */
+  async sealPendingEvents() {
+    const state = await this.auditStorage.getChainState();
+    const pending = await this.auditStorage.getPendingEvents(
+      new Date(this.now().getTime() - PENDING_SETTLE_MS),
+      this.sealBatchSize
+    );
+    const isSealed = ({ id }) => Boolean(state?.sealedThrough) && id <= state.sealedThrough;
+    const unsealed = pending.filter(event => !isSealed(event));
+    const batch = unsealed.slice(0, this.sealBatchSize);
+
+    let sequence = state?.lastSequence ?? 0;
+    const lastByCategory = new Map(Object.entries(state?.chains || {}).map(([category, chain]) => [category, chain.last]));
+    const records = batch.map(({ entry }) => {
+      const record = AuditRecord.append(lastByCategory.get(entry.category) || null, entry, ++sequence);
+      lastByCategory.set(entry.category, record);
+      return record;
+    });
+
+    if (records.length > 0) {
+      await this.auditStorage.sealRecords(records, batch[batch.length - 1].id);
+    }
+
+    const handled = [...pending.filter(isSealed), ...batch];
+    if (handled.length > 0) {
+      await this.auditStorage.removePendingEvents(handled.map(event => event.id));
+    }
+
+    return { sealedRecords: records.length };
+  }
+
+  /**
+   * Remove records past their category's retention period
+   * Each category is its own chain, cut only at its start, so one category's longer retention
+   * never holds back another's pruning. Only records older than the shortest retention period
+   * are read, and a category's pruning stops at its first record that is still retained or
+   * does not directly follow the last one removed.
+   * @returns {Promise<object>} Number of records removed
+   */
+  async applyRetention() {
+    const now = this.now().getTime();
+    const shortestDays = Math.min(this.retention.defaultDays, ...Object.values(this.retention.categories));
+    const state = await this.auditStorage.getChainState();
+    const records = await this.auditStorage.getRecords({ to: new Date(now - shortestDays * DAY_MS) });
+
+    const previousHashes = new Map(Object.entries(state?.chains || {})
+      .map(([category, chain]) => [category, chain.prunedThrough?.hash ?? GENESIS_HASH]));
+    const stopped = new Set();
+    const expired = [];
+
+    for (const record of records) {
+      if (stopped.has(record.category)) continue;
+
+      if (record.previousHash !== (previousHashes.get(record.category) ?? GENESIS_HASH) || !this._isExpired(record, now)) {
+        stopped.add(record.category);
+        continue;
+      }
+
+      expired.push(record);
+      previousHashes.set(record.category, record.hash);
+    }
+
+    if (expired.length > 0) {
+      await this.auditStorage.pruneRecords(expired);
+    }
+
+    return { prunedRecords: expired.length };
+  }
+
+  /**
+   * Export matching records as CSV, details serialised as JSON
+   * @param {object} [filters] - Same filters as query
+   * @returns {Promise<string>} CSV with a header row
+   */
+  async exportCsv(filters = {}) {
+    const rows = (await this.query(filters)).map(record => {
+      const data = record.toJSON();
+      return CSV_COLUMNS.map(column => AuditService._toCsvField(
+        column === 'details' ? JSON.stringify(data.details) : data[column]
+      )).join(',');
+    });
+
+    return [CSV_COLUMNS.join(','), ...rows].join('\n');
+  }
+
+  /**
+   * Export matching records as JSON Lines, one record per line with its hashes
+   * @param {object} [filters] - Same filters as query
+   * @returns {Promise<string>} JSON Lines document
+   */
+  async exportJsonLines(filters = {}) {
+    return (await this.query(filters)).map(record => JSON.stringify(record.toJSON())).join('\n');
+  }
+
+  /**
+   * Queue an event for the next sealing run
+   * @private
+   */
+  async _append(category, eventType, event) {
+    const { userId, timestamp, ...details } = event;
+
+    // The event name is the record's event type rather than a detail
+    delete details.event;
+
+    const entry = {
+      category,
+      eventType,
+      userId,
+      occurredAt: new Date(timestamp || this.now()).toISOString(),
+      details
+    };
+    await this.auditStorage.addPendingEvent(entry);
+    return entry;
+  }
+
+  /**
+   * Why a record does not follow the previous record of its category, or null when it does
+   * @private
+   */
+  _findChainProblem(record, previous) {
+    if (previous && record.sequence <= previous.sequence) {
+      return `Expected a record after ${previous.sequence} but found ${record.sequence}`;
+    }
+    if (record.previousHash !== (previous?.hash ?? GENESIS_HASH)) {
+      return `Previous hash does not match the preceding ${record.category} record`;
+    }
+    if (!record.hasValidHash()) {
+      return 'Record content does not match its hash';
+    }
+    return null;
+  }
+
+  /**
+   * @private
+   */
+  _isExpired(record, now) {
+    const retentionDays = this.retention.categories[record.category] ?? this.retention.defaultDays;
+    return Date.parse(record.occurredAt) + retentionDays * DAY_MS < now;
+  }
+
+  /**
+   * Quote a CSV field when needed, and neutralise values a spreadsheet would run as a formula
+   * @private
+   */
+  static _toCsvField(value) {
+    if (value === null || value === undefined) return '';
+
+    let text = String(value);
+    if (/^[=+\-@]/.test(text)) {
+      text = `'${text}`;
+    }
+    return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  }
+}
@@ -4,9 +4,15 @@
  * Implements business rules for executive security and audit requirements
  */
 export class AuthenticationService {
-  constructor(forgeAuthAdapter, auditService) {
+  /**
+   * @param {object} forgeAuthAdapter - Forge credential and authentication adapter
+   * @param {object} auditService - Audit trail
+   * @param {ExecutiveIdentityPolicy} executiveIdentityPolicy - Decides which accounts are executives
+   */
+  constructor(forgeAuthAdapter, auditService, executiveIdentityPolicy) {
     this.forgeAuthAdapter = forgeAuthAdapter;
     this.auditService = auditService;
+    this.executiveIdentityPolicy = executiveIdentityPolicy;
   }
 
   /**
@@ -47,11 +53,12 @@ export class AuthenticationService {
         return failureResult;
       }
 
-      // Validate executive user ID format
-      if (!this._isValidExecutiveUserId(executiveUserId)) {
+      // Validate the user is a recognised executive
+      const identity = await this.executiveIdentityPolicy.identify(executiveUserId);
+      if (!identity.isExecutive) {
         const failureResult = {
           success: false,
-          error: 'Invalid executive user ID format',
+          error: 'User is not a recognised executive',
           token: null,
           user: null
         };
@@ -113,16 +120,6 @@ export class AuthenticationService {
     }
   }
 
-  /**
-   * Validates executive user ID format (must start with 'exec-')
-   * @param {string} userId - User identifier to validate
-   * @returns {boolean} - True if format is valid for executive
-   * @private
-   */
-  _isValidExecutiveUserId(userId) {
-    return typeof userId === 'string' && userId.startsWith('exec-');
-  }
-
   /**
    * Logs authentication events for audit purposes
    * @param {string} userId - User identifier
@@ -4,9 +4,15 @@
  * Implements business rules for executive permissions and audit requirements
  */
 export class AuthorizationService {
-  constructor(forgeUserAdapter, auditService) {
+  /**
+   * @param {object} forgeUserAdapter - Supplies scoped user permissions
+   * @param {object} auditService - Audit trail
+   * @param {ExecutiveIdentityPolicy} executiveIdentityPolicy - Decides which accounts are executives
+   */
+  constructor(forgeUserAdapter, auditService, executiveIdentityPolicy) {
     this.forgeUserAdapter = forgeUserAdapter;
     this.auditService = auditService;
+    this.executiveIdentityPolicy = executiveIdentityPolicy;
   }
 
   /**
@@ -27,7 +33,7 @@ export class AuthorizationService {
    * Authorizes executive access to portfolio data for specific business unit
    * @param {string} executiveUserId - Executive user identifier
    * @param {string} businessUnit - Business unit to access
-   * @param {string} authToken - Authentication token
+   * @param {string|boolean} authToken - Authentication token, or true when Forge authenticated the invocation
    * @returns {Promise<boolean>} - True if access is authorized
    */
   async authorizePortfolioAccess(executiveUserId, businessUnit, authToken) {
@@ -40,10 +46,11 @@ export class AuthorizationService {
         return false;
       }
 
-      // Validate executive user ID format
-      if (!this._isValidExecutiveUserId(executiveUserId)) {
+      // Validate the user is a recognised executive
+      const identity = await this.executiveIdentityPolicy.identify(executiveUserId);
+      if (!identity.isExecutive) {
         await this._logAuthorizationEvent(executiveUserId, businessUnit, 'DENIED', {
-          reason: 'Invalid executive user ID format'
+          reason: 'Not a recognised executive'
         });
         return false;
       }
@@ -74,8 +81,10 @@ export class AuthorizationService {
         return false;
       }
 
-      // Authorization successful
-      await this._logAuthorizationEvent(executiveUserId, businessUnit, 'AUTHORIZED');
+      // Authorization successful; record how the executive was recognised for later review
+      await this._logAuthorizationEvent(executiveUserId, businessUnit, 'AUTHORIZED', {
+        identifiedBy: identity.source
+      });
       return true;
 
     } catch (error) {
@@ -114,6 +123,11 @@ export class AuthorizationService {
         );
       }
 
+      // Unmapped projects belong to no unit, so only executives covering all units may see them
+      if (filteredData.unmappedProjects && !this._hasBusinessUnitAccess(userPermissions, 'PORTFOLIO_VIEW', 'All_Units')) {
+        filteredData.unmappedProjects = [];
+      }
+
       // Remove sensitive financial data if not authorized
       if (!this._hasPermissionType(userPermissions, 'FINANCIAL_DATA')) {
         delete filteredData.financialData;
@@ -128,16 +142,6 @@ export class AuthorizationService {
     }
   }
 
-  /**
-   * Validates executive user ID format (must start with 'exec-')
-   * @param {string} userId - User identifier to validate
-   * @returns {boolean} - True if format is valid for executive
-   * @private
-   */
-  _isValidExecutiveUserId(userId) {
-    return typeof userId === 'string' && userId.startsWith('exec-');
-  }
-
   /**
    * Checks if user has specific permission type
    * @param {Array} permissions - User permissions array
@@ -194,17 +198,18 @@ export class AuthorizationService {
 
   /**
    * Removes sensitive data from projects based on permissions
+   * Financial data and detailed metrics are only kept for projects in a business unit the
+   * matching permission is scoped to
    * @param {Array} projects - Array of project objects
    * @param {Array} permissions - User permissions array
    * @returns {Array} - Projects with sensitive data filtered
    * @private
    */
   _filterSensitiveProjectData(projects, permissions) {
-    const hasFinancialAccess = this._hasPermissionType(permissions, 'FINANCIAL_DATA');
-    const hasDetailedMetrics = this._hasPermissionType(permissions, 'DETAILED_METRICS');
-
     return projects.map(project => {
       const filteredProject = { ...project };
+      const hasFinancialAccess = this._hasBusinessUnitAccess(permissions, 'FINANCIAL_DATA', project.businessUnit);
+      const hasDetailedMetrics = this._hasBusinessUnitAccess(permissions, 'DETAILED_METRICS', project.businessUnit);
 
       // Remove financial data if not authorized
       if (!hasFinancialAccess) {
@@ -0,0 +1,126 @@
+import { BusinessUnitMapping } from '../../domain/entities/BusinessUnitMapping.js';
+
+const BUSINESS_UNIT_CONFIGURATION = 'business-units';
+
+/**
+ * Jira project property a project can name its own business unit in,
+ * e.g. { "businessUnit": "Sales" }
+ */
+export const BUSINESS_UNIT_PROPERTY = 'executive-flash-news.business-unit';
+
+/**
+ * BusinessUnitService - Business Unit Resolution
+ * Loads and saves the admin-maintained business unit mapping, and resolves which unit each
+ * project and each executive belongs to so authorization can filter by business unit.
+ * Built once per invocation: project properties read here are kept for the rest of it, so the
+ * portfolio and the permission lookup resolve projects from one set of reads.
+ */
+export class BusinessUnitService {
+  constructor(configurationPort, jiraDataPort) {
+    this.configurationPort = configurationPort;
+    this.jiraDataPort = jiraDataPort;
+    this.projectProperties = new Map();
+  }
+
+  /**
+   * Gets the business unit mapping in force
+   * A stored document that no longer validates is ignored in favour of the defaults
+   * @returns {Promise<BusinessUnitMapping>} Stored mapping, or the defaults
+   */
+  async getMapping() {
+    const storedMapping = await this.configurationPort.getConfiguration(BUSINESS_UNIT_CONFIGURATION);
+
+    try {
+      return BusinessUnitMapping.from(storedMapping);
+    } catch (error) {
+      console.error('Stored business unit mapping is invalid, using defaults:', error);
+      return BusinessUnitMapping.default();
+    }
+  }
+
+  /**
+   * Saves the business unit mapping after checking its structure
+   * @param {object} definition - Project, category, executive and group tables and the default executive unit
+   * @returns {Promise<object>} Mapping as stored
+   */
+  async saveMapping(definition) {
+    const mapping = new BusinessUnitMapping(definition);
+    await this.configurationPort.saveConfiguration(BUSINESS_UNIT_CONFIGURATION, mapping.toJSON());
+    return mapping.toJSON();
+  }
+
+  /**
+   * Attaches each project's business unit and reports the projects nothing maps
+   * Project properties are only read for projects the project table and categories leave unmapped,
+   * and only once per invocation; properties that cannot be read leave those projects unmapped
+   * @param {Array<object>} projects - Projects with key, name and projectCategory
+   * @returns {Promise<object>} Projects with businessUnit (null when unmapped) and businessUnitSource,
+   *   and unmappedProjects (key and name)
+   */
+  async resolveProjects(projects) {
+    const mapping = await this.getMapping();
+    await this._readProjectProperties(projects
+      .filter(project => mapping.needsProjectProperty(project) && !this.projectProperties.has(project.key))
+      .map(project => project.key));
+
+    const resolvedProjects = projects.map(project => {
+      const { businessUnit, source } = mapping.getProjectUnit(project, this.projectProperties.get(project.key));
+      return { ...project, businessUnit, businessUnitSource: source };
+    });
+
+    return {
+      projects: resolvedProjects,
+      unmappedProjects: resolvedProjects
+        .filter(project => project.businessUnit === null)
+        .map(project => ({ key: project.key, name: project.name }))
+    };
+  }
+
+  /**
+   * Reads the business unit property of the given projects into the invocation's property table;
+   * a failed read is recorded as unset so it is not retried against the request budget
+   * @private
+   */
+  async _readProjectProperties(projectKeys) {
+    if (projectKeys.length === 0) {
+      return;
+    }
+
+    let propertiesByProject = {};
+
+    try {
+      propertiesByProject = await this.jiraDataPort.getProjectProperties(projectKeys, BUSINESS_UNIT_PROPERTY);
+    } catch (error) {
+      console.error('Business unit project properties unavailable from Jira:', error);
+    }
+
+    projectKeys.forEach(key => this.projectProperties.set(key, propertiesByProject[key] ?? null));
+  }
+
+  /**
+   * Resolves an executive's business unit from the directory, then their Jira groups
+   * Groups that cannot be read leave the executive on the directory or default unit
+   * @param {string} accountId - Executive account ID
+   * @param {Array<string>} [knownGroups] - The executive's Jira groups when the caller already read them
+   * @returns {Promise<object>} Business unit and where it came from
+   */
+  async resolveExecutive(accountId, knownGroups) {
+    const mapping = await this.getMapping();
+    if (mapping.executives[accountId]) {
+      return mapping.getExecutiveUnit(accountId);
+    }
+    if (knownGroups) {
+      return mapping.getExecutiveUnit(accountId, knownGroups);
+    }
+
+    let groups = [];
+
+    try {
+      groups = await this.jiraDataPort.getUserGroups(accountId);
+    } catch (error) {
+      console.error(`Jira groups unavailable for ${accountId}:`, error);
+    }
+
+    return mapping.getExecutiveUnit(accountId, groups);
+  }
+}
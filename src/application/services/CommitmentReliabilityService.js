@@ -0,0 +1,94 @@
+import { CommitmentReliability, DEFAULT_RELIABILITY_SPRINTS } from '../../domain/entities/CommitmentReliability.js';
+
+const DEFAULT_CONCURRENCY = 4;
+
+/**
+ * CommitmentReliabilityService - Sprint Say/Do Ratios
+ * Measures how reliably each team's scrum board delivers what it commits to at sprint start
+ */
+export class CommitmentReliabilityService {
+  /**
+   * @param {AgileDataPort} agileDataPort - Source of boards, closed sprints and sprint reports
+   * @param {Object} [options] - Reliability settings
+   * @param {number} [options.sprintCount=6] - Closed sprints in the rolling say/do ratio
+   * @param {number} [options.concurrency=4] - Maximum Agile reads in flight at once
+   */
+  constructor(agileDataPort, options = {}) {
+    this.agileDataPort = agileDataPort;
+    this.sprintCount = options.sprintCount || DEFAULT_RELIABILITY_SPRINTS;
+    this.concurrency = options.concurrency || DEFAULT_CONCURRENCY;
+  }
+
+  /**
+   * Gets the commitment reliability of every team working on the given projects
+   * A board shared by several projects is read once; boards that cannot be read are left out
+   * @param {Array<string>} projectKeys - Jira project keys
+   * @returns {Promise<object>} - Team reliabilities (JSON) keyed by project key
+   */
+  async getPortfolioReliability(projectKeys) {
+    const boardsByProject = await this._runWithConcurrency(projectKeys.map(projectKey => async () => {
+      try {
+        return await this.agileDataPort.getProjectBoards(projectKey);
+      } catch (error) {
+        console.error(`Error reading boards for project ${projectKey}:`, error);
+        return [];
+      }
+    }));
+
+    const boards = new Map(boardsByProject.flat().map(board => [board.id, board]));
+    const reliabilities = await this._runWithConcurrency([...boards.values()].map(board => () => this._getBoardReliability(board)));
+    const reliabilityByBoard = new Map(reliabilities.filter(Boolean).map(reliability => [reliability.boardId, reliability]));
+
+    return projectKeys.reduce((result, projectKey, index) => ({
+      ...result,
+      [projectKey]: boardsByProject[index]
+        .map(board => reliabilityByBoard.get(board.id))
+        .filter(Boolean)
+    }), {});
+  }
+
+  /**
+   * Reads a board's recent sprint reports one at a time and measures its say/do ratio
+   * @private
+   */
+  async _getBoardReliability(board) {
+    try {
+      const sprints = await this.agileDataPort.getClosedSprints(board.id, { limit: this.sprintCount });
+      const reports = [];
+
+      for (const sprint of sprints) {
+        reports.push({
+          ...(await this.agileDataPort.getSprintReport(board.id, sprint)),
+          name: sprint.name,
+          completeDate: sprint.completeDate
+        });
+      }
+
+      return new CommitmentReliability({ boardId: board.id, boardName: board.name, sprints: reports }).toJSON();
+    } catch (error) {
+      console.error(`Error reading sprint reports for board ${board.id}:`, error);
+      return null;
+    }
+  }
+
+  /**
+   * Run async tasks with at most concurrency in flight, preserving result order
+   * @private
+   */
+  async _runWithConcurrency(tasks) {
+    const results = new Array(tasks.length);
+    let nextTask = 0;
+
+    const worker = async () => {
+      while (nextTask < tasks.length) {
+        const taskIndex = nextTask++;
+        results[taskIndex] = await tasks[taskIndex]();
+      }
+    };
+
+    const workerCount = Math.min(Math.max(1, this.concurrency), tasks.length);
+    await Promise.all(Array.from({ length: workerCount }, worker));
+
+    return results;
+  }
+}
@@ -0,0 +1,103 @@
+import { DeliveryForecaster } from '../../domain/services/DeliveryForecaster.js';
+
+const DEFAULT_HISTORY_DAYS = 90;
+
+// Each scope simulates up to trials x horizon days, so the scope count bounds the work of one invocation
+const DEFAULT_MAX_SCOPES = 50;
+
+/**
+ * DeliveryForecastService - Release and Epic Forecasts
+ * Forecasts when each open release and epic will be done from the project's historical
+ * throughput, and alerts when the 85% date slips past the committed date
+ */
+export class DeliveryForecastService {
+  /**
+   * @param {JiraDataPort} jiraDataPort - Source of delivery scopes and throughput history
+   * @param {Object} [options] - Forecast settings
+   * @param {number} [options.historyDays=90] - Days of throughput history to sample from
+   * @param {number} [options.maxScopes=50] - Releases and epics forecast per invocation, soonest target first
+   * @param {DeliveryForecaster} [options.forecaster] - Simulation; built from the remaining options when omitted
+   * @param {Function} [options.now] - Clock for the forecast start day
+   */
+  constructor(jiraDataPort, options = {}) {
+    this.jiraDataPort = jiraDataPort;
+    this.historyDays = options.historyDays || DEFAULT_HISTORY_DAYS;
+    this.maxScopes = options.maxScopes || DEFAULT_MAX_SCOPES;
+    this.forecaster = options.forecaster || new DeliveryForecaster(options);
+    this.now = options.now || (() => new Date());
+  }
+
+  /**
+   * Forecasts every open release and epic of the given projects
+   * Each scope is forecast from its whole project's throughput, so scopes sharing a team
+   * are individually optimistic when worked on in parallel. Past the scope cap, the scopes due
+   * last (and those without a target date) are left unforecast and counted
+   * @param {Array<object>} projects - Projects with key and name
+   * @returns {Promise<object>} - Forecasts ordered by days late, alerts for scopes slipping past their target
+   *   or committed to a target without throughput history, and the number of scopes left unforecast
+   */
+  async getPortfolioForecast(projects) {
+    const projectKeys = projects.map(project => project.key);
+    if (projectKeys.length === 0) {
+      return { historyDays: this.historyDays, forecasts: [], alerts: [], unforecastScopes: 0 };
+    }
+
+    const [scopesByProject, throughputByProject] = await Promise.all([
+      this.jiraDataPort.getDeliveryScopes(projectKeys),
+      this.jiraDataPort.getDailyThroughput(projectKeys, { windowDays: this.historyDays })
+    ]);
+
+    const scopes = projects.flatMap(project =>
+      (scopesByProject[project.key] || []).map(scope => ({ project, scope })));
+    const forecastable = new Set(this._soonestDueFirst(scopes).slice(0, this.maxScopes));
+
+    const today = this.now();
+    const forecasts = scopes.filter(entry => forecastable.has(entry))
+      .map(({ project, scope }) => ({
+        projectKey: project.key,
+        projectName: project.name,
+        ...this.forecaster.forecast(scope, throughputByProject[project.key] || [], today)
+      }))
+      .sort((a, b) => (b.daysLate ?? -Infinity) - (a.daysLate ?? -Infinity));
+
+    return {
+      historyDays: this.historyDays,
+      forecasts,
+      alerts: forecasts.filter(forecast => forecast.slipping || forecast.risk).map(forecast => this._toAlert(forecast)),
+      unforecastScopes: scopes.length - forecastable.size
+    };
+  }
+
+  /**
+   * Orders scopes by target date, those without one last, keeping portfolio order among equals
+   * @private
+   */
+  _soonestDueFirst(scopes) {
+    return [...scopes].sort((a, b) => {
+      if (a.scope.targetDate === b.scope.targetDate) return 0;
+      if (!a.scope.targetDate) return 1;
+      if (!b.scope.targetDate) return -1;
+      return a.scope.targetDate < b.scope.targetDate ? -1 : 1;
+    });
+  }
+
+  /**
+   * Describes a slipping or unforecastable release or epic for the executive
+   * @private
+   */
+  _toAlert(forecast) {
+    const scopeLabel = forecast.type === 'version' ? 'Release' : 'Epic';
+    const reason = forecast.completionDates?.p85
+      ? `85% forecast ${forecast.completionDates.p85} is ${forecast.daysLate} ` +
+        `${forecast.daysLate === 1 ? 'day' : 'days'} after target ${forecast.targetDate}`
+      : `${forecast.reason}, target ${forecast.targetDate}`;
+
+    return {
+      projectKey: forecast.projectKey,
+      projectName: forecast.projectName,
+      alertLevel: 'WARNING',
+      scope: { type: forecast.type, id: forecast.id, name: forecast.name },
+      reason: `${scopeLabel} ${forecast.name}: ${reason}`
+    };
+  }
+}
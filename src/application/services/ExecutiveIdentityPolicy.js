@@ -0,0 +1,72 @@
+import { ExecutiveRoster } from '../../domain/entities/ExecutiveRoster.js';
+import { InvalidConfigurationError } from '../../domain/errors/ConfigurationErrors.js';
+
+/**
+ * ExecutiveIdentityPolicy - Executive Identity Resolution
+ * Decides whether an Atlassian account is an executive, shared by authentication and
+ * authorization so both apply the same rule: registered on the executive roster, member of an
+ * executive Jira group, or holder of an executive app role
+ */
+export class ExecutiveIdentityPolicy {
+  /**
+   * @param {ExecutiveRosterService} executiveRosterService - Supplies the executive roster
+   * @param {JiraDataPort} jiraDataPort - Reads the account's Jira groups
+   * @param {RoleDetectionService} roleDetectionService - Detects the account's app role
+   */
+  constructor(executiveRosterService, jiraDataPort, roleDetectionService) {
+    this.executiveRosterService = executiveRosterService;
+    this.jiraDataPort = jiraDataPort;
+    this.roleDetectionService = roleDetectionService;
+  }
+
+  /**
+   * Identify an account as an executive or not
+   * Groups that cannot be read identify nobody, so a Jira outage only leaves roster
+   * registrations and account-assigned app roles in force. While the stored roster is invalid,
+   * only the default executive app roles identify executives
+   * @param {string} accountId - Atlassian account ID
+   * @returns {Promise<object>} Whether the account is an executive and what identified it
+   */
+  async identify(accountId) {
+    if (typeof accountId !== 'string' || accountId.trim() === '') {
+      return { isExecutive: false, source: null };
+    }
+
+    const roster = await this._getRoster();
+    if (roster.isRegistered(accountId)) {
+      return roster.identify({ accountId });
+    }
+
+    const groups = await this._getGroups(accountId);
+    const appRole = await this.roleDetectionService.detectRole({ accountId, groups });
+
+    return roster.identify({ accountId, groups, appRole });
+  }
+
+  /**
+   * @private
+   */
+  async _getRoster() {
+    try {
+      return await this.executiveRosterService.getRoster();
+    } catch (error) {
+      if (error instanceof InvalidConfigurationError) {
+        console.error('Identifying executives by the default roster:', error.message);
+        return ExecutiveRoster.default();
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * @private
+   */
+  async _getGroups(accountId) {
+    try {
+      return await this.jiraDataPort.getUserGroups(accountId);
+    } catch (error) {
+      console.error(`Jira groups unavailable for ${accountId}:`, error);
+      return [];
+    }
+  }
+}
@@ -0,0 +1,78 @@
+import { ExecutiveRoster } from '../../domain/entities/ExecutiveRoster.js';
+import { InvalidConfigurationError } from '../../domain/errors/ConfigurationErrors.js';
+
+const EXECUTIVE_ROSTER_CONFIGURATION = 'executive-roster';
+
+/**
+ * ExecutiveRosterService - Executive Registry
+ * Loads and saves the admin-maintained roster of executive accounts, groups and app roles
+ */
+export class ExecutiveRosterService {
+  constructor(configurationPort) {
+    this.configurationPort = configurationPort;
+  }
+
+  /**
+   * Gets the executive roster in force
+   * A stored document that no longer validates is an error, so registering or removing one
+   * executive never saves the defaults over the admin's roster; saving a whole roster replaces it.
+   * @returns {Promise<ExecutiveRoster>} Stored roster, or the defaults when none is stored
+   * @throws {InvalidConfigurationError} When the stored roster no longer validates
+   */
+  async getRoster() {
+    const storedRoster = await this.configurationPort.getConfiguration(EXECUTIVE_ROSTER_CONFIGURATION);
+
+    try {
+      return ExecutiveRoster.from(storedRoster);
+    } catch (error) {
+      throw new InvalidConfigurationError('executive roster', error);
+    }
+  }
+
+  /**
+   * Saves the whole executive roster after checking its structure
+   * @param {object} definition - Registered accounts, executive groups and executive app roles
+   * @returns {Promise<object>} Roster as stored
+   */
+  async saveRoster(definition) {
+    return this._save(new ExecutiveRoster(definition));
+  }
+
+  /**
+   * Registers one executive account, replacing an earlier registration of it
+   * @param {string} accountId - Atlassian account ID
+   * @param {object} [details] - Display name
+   * @returns {Promise<object>} Roster as stored
+   * @throws {InvalidConfigurationError} When the stored roster no longer validates
+   */
+  async registerExecutive(accountId, details = {}) {
+    if (typeof accountId !== 'string' || accountId.trim() === '') {
+      throw new Error('Executive registration requires an account ID');
+    }
+
+    return this._save((await this.getRoster()).withExecutive(accountId, details));
+  }
+
+  /**
+   * Removes one executive account from the roster
+   * @param {string} accountId - Atlassian account ID
+   * @returns {Promise<object>} Roster as stored
+   * @throws {InvalidConfigurationError} When the stored roster no longer validates
+   */
+  async removeExecutive(accountId) {
+    const roster = await this.getRoster();
+    if (!roster.isRegistered(accountId)) {
+      throw new Error(`Account ${accountId} is not on the executive roster`);
+    }
+
+    return this._save(roster.withoutExecutive(accountId));
+  }
+
+  /**
+   * @private
+   */
+  async _save(roster) {
+    await this.configurationPort.saveConfiguration(EXECUTIVE_ROSTER_CONFIGURATION, roster.toJSON());
+    return roster.toJSON();
+  }
+}
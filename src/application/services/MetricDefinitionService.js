@@ -0,0 +1,51 @@
+import { MetricDefinitions } from '../../domain/entities/MetricDefinitions.js';
+
+const METRIC_DEFINITIONS_CONFIGURATION = 'metric-definitions';
+
+/**
+ * MetricDefinitionService - Health Metric JQL Registry
+ * Loads and saves the admin-maintained JQL that defines each health metric
+ */
+export class MetricDefinitionService {
+  constructor(configurationPort, jiraDataPort) {
+    this.configurationPort = configurationPort;
+    this.jiraDataPort = jiraDataPort;
+  }
+
+  /**
+   * Gets the metric definitions in force
+   * A stored document that no longer validates is ignored in favour of the defaults
+   * @returns {Promise<MetricDefinitions>} - Stored definitions, or the defaults
+   */
+  async getDefinitions() {
+    const storedDefinitions = await this.configurationPort.getConfiguration(METRIC_DEFINITIONS_CONFIGURATION);
+
+    try {
+      return MetricDefinitions.from(storedDefinitions);
+    } catch (error) {
+      console.error('Stored metric definitions are invalid, using defaults:', error);
+      return MetricDefinitions.default();
+    }
+  }
+
+  /**
+   * Saves metric definitions after checking their structure and having Jira parse every JQL fragment
+   * @param {object} definition - Definitions with metrics and projectOverrides
+   * @returns {Promise<object>} - Definitions as stored
+   */
+  async saveDefinitions(definition) {
+    const definitions = new MetricDefinitions(definition);
+
+    const results = await this.jiraDataPort.validateJql(definitions.getAllJql());
+    const invalidQueries = results.filter(result => result.errors.length > 0);
+
+    if (invalidQueries.length > 0) {
+      throw new Error(`Invalid JQL in metric definitions: ${invalidQueries
+        .map(result => `"${result.query}" (${result.errors.join('; ')})`)
+        .join(', ')}`);
+    }
+
+    await this.configurationPort.saveConfiguration(METRIC_DEFINITIONS_CONFIGURATION, definitions.toJSON());
+    return definitions.toJSON();
+  }
+}
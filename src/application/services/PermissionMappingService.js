@@ -0,0 +1,43 @@
+import { PermissionMapping } from '../../domain/entities/PermissionMapping.js';
+import { InvalidConfigurationError } from '../../domain/errors/ConfigurationErrors.js';
+
+const PERMISSION_MAPPING_CONFIGURATION = 'permission-mapping';
+
+/**
+ * PermissionMappingService - Executive Permission Rules
+ * Loads and saves the admin-maintained mapping from Jira groups and project roles to permissions
+ */
+export class PermissionMappingService {
+  constructor(configurationPort) {
+    this.configurationPort = configurationPort;
+  }
+
+  /**
+   * Gets the permission mapping in force
+   * A stored document that no longer validates is an error rather than a reason to fall back
+   * to the defaults, which may grant more than the admin meant: executives are denied until
+   * an admin saves a valid mapping.
+   * @returns {Promise<PermissionMapping>} Stored mapping, or the defaults when none is stored
+   * @throws {InvalidConfigurationError} When the stored mapping no longer validates
+   */
+  async getMapping() {
+    const storedMapping = await this.configurationPort.getConfiguration(PERMISSION_MAPPING_CONFIGURATION);
+
+    try {
+      return PermissionMapping.from(storedMapping);
+    } catch (error) {
+      throw new InvalidConfigurationError('permission mapping', error);
+    }
+  }
+
+  /**
+   * Saves the permission mapping after checking every permission and scope
+   * @param {object} definition - Own business unit permissions, group grants and project role grants
+   * @returns {Promise<object>} Mapping as stored
+   */
+  async saveMapping(definition) {
+    const mapping = new PermissionMapping(definition);
+    await this.configurationPort.saveConfiguration(PERMISSION_MAPPING_CONFIGURATION, mapping.toJSON());
+    return mapping.toJSON();
+  }
+}
@@ -0,0 +1,246 @@
+const MINUTE_MS = 60 * 1000;
+const DEFAULT_STORAGE_CONCURRENCY = 4;
+const DEFAULT_SHARD_COUNT = 8;
+
+/**
+ * How long each kind of Jira data is fresh, and how much longer a stale copy may be served
+ * when refreshing it from Jira fails. Metrics add up to 5 minutes so the dashboard
+ * never shows health data older than the freshness requirement.
+ */
+export const DEFAULT_CACHE_POLICIES = Object.freeze({
+  projects: { ttlMs: 15 * MINUTE_MS, staleIfErrorMs: 15 * MINUTE_MS },
+  properties: { ttlMs: 15 * MINUTE_MS, staleIfErrorMs: 15 * MINUTE_MS },
+  metrics: { ttlMs: 3 * MINUTE_MS, staleIfErrorMs: 2 * MINUTE_MS },
+  flow: { ttlMs: 15 * MINUTE_MS, staleIfErrorMs: 15 * MINUTE_MS },
+  sizes: { ttlMs: 15 * MINUTE_MS, staleIfErrorMs: 15 * MINUTE_MS },
+  scopes: { ttlMs: 15 * MINUTE_MS, staleIfErrorMs: 15 * MINUTE_MS },
+  releases: { ttlMs: 3 * MINUTE_MS, staleIfErrorMs: 2 * MINUTE_MS },
+  dependencies: { ttlMs: 5 * MINUTE_MS, staleIfErrorMs: 5 * MINUTE_MS },
+  throughput: { ttlMs: 60 * MINUTE_MS, staleIfErrorMs: 60 * MINUTE_MS },
+  boards: { ttlMs: 60 * MINUTE_MS, staleIfErrorMs: 60 * MINUTE_MS },
+  sprints: { ttlMs: 15 * MINUTE_MS, staleIfErrorMs: 45 * MINUTE_MS },
+  sprintReports: { ttlMs: 24 * 60 * MINUTE_MS, staleIfErrorMs: 24 * 60 * MINUTE_MS },
+  user: { ttlMs: 30 * MINUTE_MS, staleIfErrorMs: 30 * MINUTE_MS }
+});
+
+/**
+ * PortfolioDataCache - Per-Executive Jira Data Cache
+ * Serves cached Jira data by TTL, falling back to a stale copy when Jira cannot be read, and
+ * records how fresh the data served to each executive is. Refreshes finish within the
+ * invocation, since Forge may stop a function once it has returned.
+ * Values of one type are stored together in a few shards per scope, so a portfolio of any
+ * size is read with a handful of storage calls; each shard is read once per invocation.
+ */
+export class PortfolioDataCache {
+  /**
+   * @param {CacheStoragePort} cacheStorage - Where cache shards are persisted
+   * @param {Object} [options] - Cache policies per data type, clock, sharding and storage concurrency
+   * @param {number} [options.shardCount=8] - Shards the values of one type are spread over
+   * @param {number} [options.storageConcurrency=4] - Maximum shards read or written at once
+   */
+  constructor(cacheStorage, options = {}) {
+    this.cacheStorage = cacheStorage;
+    this.policies = { ...DEFAULT_CACHE_POLICIES, ...options.policies };
+    this.now = options.now || (() => Date.now());
+    this.shardCount = options.shardCount || DEFAULT_SHARD_COUNT;
+    this.storageConcurrency = options.storageConcurrency || DEFAULT_STORAGE_CONCURRENCY;
+    this.shards = new Map();
+    this.servedEntries = new Map();
+  }
+
+  /**
+   * Get one cached value, fetching it when missing or expired
+   * @param {string} scope - Cache scope, normally the executive's account ID
+   * @param {string} type - Data type (a key of the cache policies, e.g. metrics)
+   * @param {string} id - Identifier within the type (e.g. project key)
+   * @param {Function} fetchValue - Loads the value from Jira
+   * @returns {Promise<*>} Cached or freshly fetched value
+   */
+  async getOrFetch(scope, type, id, fetchValue) {
+    const values = await this.getManyOrFetch(scope, type, [id], async () => ({ [id]: await fetchValue() }));
+    return values[id];
+  }
+
+  /**
+   * Get many cached values of one type, fetching every missing, expired or stale value in one call
+   * Stale values are served only when the refresh fails
+   * @param {string} scope - Cache scope, normally the executive's account ID
+   * @param {string} type - Data type (a key of the cache policies, e.g. metrics)
+   * @param {Array<string>} ids - Identifiers within the type
+   * @param {Function} fetchValues - Loads values for the given IDs, returning an object keyed by ID
+   * @returns {Promise<Object>} Values keyed by ID
+   * @throws {Error} When values with no usable cached copy cannot be fetched
+   */
+  async getManyOrFetch(scope, type, ids, fetchValues) {
+    const shardKeys = [...new Set(ids.map(id => this._getShardKey(scope, type, id)))];
+    await this._runWithConcurrency(shardKeys.map(key => () => this._getShard(key, type)));
+
+    const entries = await Promise.all(ids.map(async id => this._classify(
+      type,
+      (await this._getShard(this._getShardKey(scope, type, id), type)).entries[id]
+    )));
+
+    const missingIds = ids.filter((id, index) => !entries[index] || entries[index].state === 'expired');
+    const staleIds = ids.filter((id, index) => entries[index]?.state === 'stale');
+
+    let fetched = {};
+    if (missingIds.length + staleIds.length > 0) {
+      try {
+        fetched = await this._fetchAndStore(scope, type, [...missingIds, ...staleIds], fetchValues);
+      } catch (error) {
+        if (missingIds.length > 0) throw error;
+        console.error(`Error refreshing stale cached ${type}:`, error);
+      }
+    }
+
+    return ids.reduce((values, id, index) => {
+      if (missingIds.includes(id) || fetched[id] !== undefined) {
+        return { ...values, [id]: fetched[id] };
+      }
+
+      this._recordServed(scope, `${type}:${id}`, entries[index].fetchedAt, entries[index].state === 'stale');
+      return { ...values, [id]: entries[index].value };
+    }, {});
+  }
+
+  /**
+   * Drop every cached value for a scope so the next read goes to Jira
+   * @param {string} scope - Cache scope, normally the executive's account ID
+   * @returns {Promise<void>}
+   */
+  async invalidate(scope) {
+    await this.cacheStorage.deleteEntries(`${scope}:`);
+    [...this.shards.keys()].filter(key => key.startsWith(`${scope}:`)).forEach(key => this.shards.delete(key));
+    this.servedEntries.delete(scope);
+  }
+
+  /**
+   * Describe how fresh the data last served for a scope is
+   * @param {string} scope - Cache scope, normally the executive's account ID
+   * @returns {Object|null} Oldest fetch time and whether any stale data was served, or null when nothing was served
+   */
+  getFreshness(scope) {
+    const served = [...(this.servedEntries.get(scope)?.values() || [])];
+    if (served.length === 0) return null;
+
+    const oldest = served.reduce((a, b) => (Date.parse(a.fetchedAt) <= Date.parse(b.fetchedAt) ? a : b));
+
+    return {
+      fetchedAt: oldest.fetchedAt,
+      stale: served.some(entry => entry.stale)
+    };
+  }
+
+  /**
+   * Shard holding an ID's value; the same ID always lands in the same shard
+   * @private
+   */
+  _getShardKey(scope, type, id) {
+    const hash = [...String(id)].reduce((sum, character) => (sum * 31 + character.charCodeAt(0)) % 1000003, 0);
+    return `${scope}:${type}:${hash % this.shardCount}`;
+  }
+
+  /**
+   * Read a shard once per invocation; storage errors and malformed shards count as empty
+   * @private
+   */
+  _getShard(key, type) {
+    if (!this.shards.has(key)) {
+      this.shards.set(key, this.cacheStorage.getEntry(key)
+        .then(shard => ({ entries: { ...shard?.entries } }))
+        .catch(error => {
+          console.error(`Error reading cached ${type}:`, error);
+          return { entries: {} };
+        }));
+    }
+    return this.shards.get(key);
+  }
+
+  /**
+   * Classify a cached value as fresh, stale or expired
+   * @private
+   */
+  _classify(type, entry) {
+    if (!entry) return null;
+
+    const policy = this.policies[type];
+    const age = this.now() - Date.parse(entry.fetchedAt);
+
+    let state = 'expired';
+    if (age < policy.ttlMs) {
+      state = 'fresh';
+    } else if (age < policy.ttlMs + policy.staleIfErrorMs) {
+      state = 'stale';
+    }
+
+    return { ...entry, state };
+  }
+
+  /**
+   * Fetch values from Jira and cache the ones it returned, dropping expired values from
+   * the shards written so they do not grow without bound
+   * @private
+   */
+  async _fetchAndStore(scope, type, ids, fetchValues) {
+    const values = await fetchValues(ids);
+    const fetchedAt = new Date(this.now()).toISOString();
+
+    // Values Jira could not provide are left uncached so the next read retries them
+    const fetchedIds = ids.filter(id => values[id] !== undefined);
+    const shardKeys = [...new Set(fetchedIds.map(id => this._getShardKey(scope, type, id)))];
+
+    for (const id of fetchedIds) {
+      const shard = await this._getShard(this._getShardKey(scope, type, id), type);
+      shard.entries[id] = { value: values[id], fetchedAt };
+      this._recordServed(scope, `${type}:${id}`, fetchedAt, false);
+    }
+
+    await this._runWithConcurrency(shardKeys.map(key => async () => {
+      const shard = await this._getShard(key, type);
+      Object.keys(shard.entries)
+        .filter(id => this._classify(type, shard.entries[id]).state === 'expired')
+        .forEach(id => delete shard.entries[id]);
+
+      try {
+        await this.cacheStorage.saveEntry(key, { entries: shard.entries });
+      } catch (error) {
+        // A cache write failure only costs a future Jira call
+        console.error(`Error caching ${type}:`, error);
+      }
+    }));
+
+    return values;
+  }
+
+  /**
+   * Remember when the data served for a scope was fetched
+   * @private
+   */
+  _recordServed(scope, key, fetchedAt, stale) {
+    if (!this.servedEntries.has(scope)) {
+      this.servedEntries.set(scope, new Map());
+    }
+    this.servedEntries.get(scope).set(key, { fetchedAt, stale });
+  }
+
+  /**
+   * Run async tasks with at most storageConcurrency in flight, preserving result order
+   * @private
+   */
+  async _runWithConcurrency(tasks) {
+    const results = new Array(tasks.length);
+    let nextTask = 0;
+
+    const worker = async () => {
+      while (nextTask < tasks.length) {
+        const taskIndex = nextTask++;
+        results[taskIndex] = await tasks[taskIndex]();
+      }
+    };
+
+    const workerCount = Math.min(Math.max(1, this.storageConcurrency), tasks.length);
+    await Promise.all(Array.from({ length: workerCount }, worker));
+
+    return results;
+  }
+}
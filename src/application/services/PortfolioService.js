@@ -1,14 +1,47 @@
 import { ExecutivePortfolio } from '../../domain/entities/ExecutivePortfolio.js';
+import { ScoringPolicy } from '../../domain/entities/ScoringPolicy.js';
+import { PortfolioSnapshot, DEFAULT_SNAPSHOT_RETENTION_DAYS } from '../../domain/entities/PortfolioSnapshot.js';
+import { FlashNewsGenerator } from '../../domain/services/FlashNewsGenerator.js';
+import { ExecutiveBriefingBuilder } from '../../domain/services/ExecutiveBriefingBuilder.js';
+import { DEFAULT_BASELINE_SNAPSHOTS } from '../../domain/services/AnomalyDetector.js';
+import { EXECUTIVE_ROLES } from '../../domain/entities/ExecutiveRole.js';
+import { JiraDataError } from '../../domain/errors/JiraDataErrors.js';
+import { MetricDefinitions } from '../../domain/entities/MetricDefinitions.js';
+import { DEFAULT_FLOW_WINDOW_DAYS } from '../../domain/entities/FlowMetrics.js';
+import { ReleaseReadiness } from '../../domain/entities/ReleaseReadiness.js';
+import { DependencyGraph, DEFAULT_DEPENDENCY_LINK_TYPES } from '../../domain/entities/DependencyGraph.js';
+import { BusinessUnitMapping } from '../../domain/entities/BusinessUnitMapping.js';
+import { StrategicWeights } from '../../domain/entities/StrategicWeights.js';
+import { PortfolioAccessDeniedError } from '../../domain/errors/AuthorizationErrors.js';
 
 /**
  * Portfolio Service
  * Application service for coordinating portfolio operations with security integration
  */
 export class PortfolioService {
-  constructor(jiraDataPort, authorizationService, auditService) {
+  constructor(jiraDataPort, authorizationService, auditService, options = {}) {
     this.jiraDataPort = jiraDataPort;
     this.authorizationService = authorizationService;
     this.auditService = auditService;
+    this.scoringPolicy = ScoringPolicy.from(options.scoringPolicy);
+    this.scoringPolicyService = options.scoringPolicyService || null;
+    this.storedScoringPolicy = null;
+    this.snapshotStorage = options.snapshotStorage || null;
+    this.flashNewsGenerator = options.flashNewsGenerator || new FlashNewsGenerator();
+    this.baselineSnapshots = options.baselineSnapshots || DEFAULT_BASELINE_SNAPSHOTS;
+    this.snapshotRetentionDays = options.snapshotRetentionDays || DEFAULT_SNAPSHOT_RETENTION_DAYS;
+    this.roleDetectionService = options.roleDetectionService || null;
+    this.briefingBuilder = options.briefingBuilder || new ExecutiveBriefingBuilder();
+    this.projectFilters = options.projectFilters || {};
+    this.dataCache = options.dataCache || null;
+    this.metricDefinitionService = options.metricDefinitionService || null;
+    this.flowWindowDays = options.flowWindowDays || DEFAULT_FLOW_WINDOW_DAYS;
+    this.deliveryForecastService = options.deliveryForecastService || null;
+    this.commitmentReliabilityService = options.commitmentReliabilityService || null;
+    this.strategicWeightService = options.strategicWeightService || null;
+    this.businessUnitService = options.businessUnitService || null;
+    this.readinessRules = options.readinessRules || {};
+    this.dependencyLinkTypes = options.dependencyLinkTypes || DEFAULT_DEPENDENCY_LINK_TYPES;
   }
 
   /**
@@ -19,27 +52,10 @@ export class PortfolioService {
    */
   async getExecutivePortfolio(executiveUserId, authToken) {
     try {
-      // Validate authentication token first
-      if (!authToken) {
-        throw new Error('Authentication token required for portfolio access');
-      }
-
-      // Get executive business unit for authorization
-      const executiveBusinessUnit = await this._getExecutiveBusinessUnit(executiveUserId);
-
-      // Authorize portfolio access
-      const isAuthorized = await this.authorizationService.authorizePortfolioAccess(
-        executiveUserId,
-        executiveBusinessUnit,
-        authToken
-      );
-
-      if (!isAuthorized) {
-        throw new Error('Unauthorized access to portfolio data');
-      }
+      const executiveBusinessUnit = await this._authorizeExecutive(executiveUserId, authToken);
 
       // Get raw portfolio data
-      const rawPortfolioData = await this._getRawPortfolioData(executiveUserId);
+      const rawPortfolioData = await this._getRawPortfolioData();
 
       // Filter data based on user permissions
       const filteredPortfolioData = await this.authorizationService.filterPortfolioDataByPermissions(
@@ -47,35 +63,88 @@ export class PortfolioService {
         rawPortfolioData
       );
 
+      // Summarise only the projects left after filtering, so totals and alerts never reveal the others
+      const visiblePortfolio = new ExecutivePortfolio(executiveUserId, {
+        projects: filteredPortfolioData.projects || []
+      }, await this._getScoringPolicy());
+
+      const portfolioData = {
+        ...filteredPortfolioData,
+        portfolio: visiblePortfolio.getPortfolioSummary(),
+        criticalAlerts: visiblePortfolio.getCriticalAlerts()
+      };
+
       // Log data access for audit
       await this.auditService.logDataAccessEvent({
         userId: executiveUserId,
         resource: 'EXECUTIVE_PORTFOLIO',
         action: 'read',
         businessUnit: executiveBusinessUnit,
-        projectCount: filteredPortfolioData.projects?.length || 0,
+        projectCount: portfolioData.projects?.length || 0,
         timestamp: new Date()
       });
 
-      return filteredPortfolioData;
+      return portfolioData;
 
     } catch (error) {
       // Log security error
       console.error('Error retrieving executive portfolio:', error);
 
       // Log security audit event
-      await this.auditService.logSecurityEvent({
-        userId: executiveUserId,
-        event: 'PORTFOLIO_ACCESS_DENIED',
-        reason: error.message,
-        timestamp: new Date()
-      });
+      await this._logAccessDenied(executiveUserId, error);
 
       // Return secure fallback (no data exposure)
       return this._getSecureFallbackPortfolio();
     }
   }
 
+  /**
+   * Check the executive's token and business unit access before any portfolio data is read
+   * @param {string} executiveUserId - Executive user identifier
+   * @param {string|boolean} authToken - Authentication token, or true when Forge authenticated the invocation
+   * @returns {Promise<string>} The executive's business unit
+   * @throws {PortfolioAccessDeniedError} When the executive may not see portfolio data
+   * @private
+   */
+  async _authorizeExecutive(executiveUserId, authToken) {
+    if (!authToken) {
+      throw new PortfolioAccessDeniedError('Authentication token required for portfolio access', {
+        executiveId: executiveUserId
+      });
+    }
+
+    const businessUnit = await this._getExecutiveBusinessUnit(executiveUserId);
+    const isAuthorized = await this.authorizationService.authorizePortfolioAccess(
+      executiveUserId,
+      businessUnit,
+      authToken
+    );
+
+    if (!isAuthorized) {
+      throw new PortfolioAccessDeniedError('Unauthorized access to portfolio data', {
+        executiveId: executiveUserId,
+        businessUnit
+      });
+    }
+
+    return businessUnit;
+  }
+
+  /**
+   * Record a refused or failed portfolio access in the audit trail
+   * @param {string} executiveUserId - Executive user identifier
+   * @param {Error} error - Why access failed
+   * @private
+   */
+  async _logAccessDenied(executiveUserId, error) {
+    await this.auditService.logSecurityEvent({
+      userId: executiveUserId,
+      event: 'PORTFOLIO_ACCESS_DENIED',
+      reason: error.message,
+      timestamp: new Date()
+    });
+  }
+
   /**
    * Get executive business unit for authorization context
    * @param {string} executiveUserId - Executive user identifier
@@ -83,50 +152,31 @@ export class PortfolioService {
    * @private
    */
   async _getExecutiveBusinessUnit(executiveUserId) {
-    // Extract business unit from executive user context
-    // In real implementation, this would query Forge user service
-    if (executiveUserId.includes('ceo') || executiveUserId.includes('cfo')) {
-      return 'Corporate';
-    } else if (executiveUserId.includes('sales')) {
-      return 'Sales';
-    } else if (executiveUserId.includes('engineering')) {
-      return 'Engineering';
-    } else {
-      return 'Corporate'; // Default for high-level executives
+    if (!this.businessUnitService) {
+      return BusinessUnitMapping.default().getExecutiveUnit(executiveUserId).businessUnit;
     }
+
+    const { businessUnit } = await this.businessUnitService.resolveExecutive(executiveUserId);
+    return businessUnit;
   }
 
   /**
    * Get raw portfolio data before security filtering
-   * @param {string} executiveUserId - Executive user identifier
    * @returns {Promise<Object>} Raw portfolio data
    * @private
    */
-  async _getRawPortfolioData(executiveUserId) {
+  async _getRawPortfolioData() {
     // Get projects from all business units (will be filtered by authorization)
-    const allProjects = await this.jiraDataPort.getExecutiveProjects();
-
-    // Enhance projects with health metrics
-    const enhancedProjects = await Promise.all(
-      allProjects.map(async (project) => {
-        const healthMetrics = await this.jiraDataPort.getProjectHealthMetrics(project.key);
-        return {
-          ...project,
-          businessUnit: project.businessUnit || 'Corporate', // Default if not specified
-          ...healthMetrics
-        };
-      })
-    );
+    const allProjects = await this.jiraDataPort.getExecutiveProjects(this.projectFilters);
 
-    // Create portfolio domain entity
-    const portfolio = new ExecutivePortfolio(executiveUserId, {
-      projects: enhancedProjects
-    });
+    // Enhance projects with health metrics and the business unit authorization filters on
+    const { projects: enhancedProjects, unmappedProjects } = await this._withBusinessUnits(
+      await this._withFlowMetrics(await this._withHealthMetrics(allProjects))
+    );
 
     return {
       projects: enhancedProjects,
-      portfolio: portfolio.getPortfolioSummary(),
-      criticalAlerts: portfolio.getCriticalAlerts(),
+      unmappedProjects,
       financialData: {
         totalBudget: 5000000,
         totalRevenue: 8000000
@@ -139,6 +189,98 @@ export class PortfolioService {
     };
   }
 
+  /**
+   * Attach each project's business unit and list the projects no mapping covers
+   * Unmapped projects keep a null business unit, so only executives with access to all units see them
+   * @param {Array<Object>} projects - Projects from Jira
+   * @returns {Promise<Object>} Projects with businessUnit, and unmappedProjects (key and name)
+   * @private
+   */
+  async _withBusinessUnits(projects) {
+    if (!this.businessUnitService) {
+      const withUnits = projects.map(project => ({ ...project, businessUnit: project.businessUnit || null }));
+      return {
+        projects: withUnits,
+        unmappedProjects: withUnits
+          .filter(project => project.businessUnit === null)
+          .map(project => ({ key: project.key, name: project.name }))
+      };
+    }
+
+    return this.businessUnitService.resolveProjects(projects);
+  }
+
+  /**
+   * Attach health metrics to each project using one batched metrics request
+   * Projects whose metrics Jira could not provide are marked as data unavailable
+   * @param {Array<Object>} projects - Projects from Jira
+   * @returns {Promise<Array<Object>>} Projects with their health metrics
+   * @private
+   */
+  async _withHealthMetrics(projects) {
+    const metricDefinitions = await this._getMetricDefinitions();
+    let metricsByProject = {};
+
+    try {
+      metricsByProject = await this.jiraDataPort.getPortfolioHealthMetrics(
+        projects.map(project => project.key),
+        metricDefinitions
+      );
+    } catch (error) {
+      if (!(error instanceof JiraDataError)) {
+        throw error;
+      }
+      console.error('Health metrics unavailable from Jira:', error);
+    }
+
+    return projects.map(project => (metricsByProject[project.key]
+      ? { ...project, ...metricsByProject[project.key] }
+      : { ...project, dataUnavailable: true }));
+  }
+
+  /**
+   * Attach flow metrics (throughput, cycle time and WIP) over the configured rolling window
+   * Flow is supplementary, so projects are returned without it when Jira cannot provide it
+   * @param {Array<Object>} projects - Projects with health metrics
+   * @returns {Promise<Array<Object>>} Projects with flowMetrics, or flowMetrics null when unavailable
+   * @private
+   */
+  async _withFlowMetrics(projects) {
+    let flowByProject = {};
+
+    try {
+      flowByProject = await this.jiraDataPort.getPortfolioFlowMetrics(
+        projects.map(project => project.key),
+        { windowDays: this.flowWindowDays }
+      );
+    } catch (error) {
+      console.error('Flow metrics unavailable from Jira:', error);
+    }
+
+    return projects.map(project => ({
+      ...project,
+      flowMetrics: flowByProject[project.key] || null
+    }));
+  }
+
+  /**
+   * Load the admin-defined metric JQL, falling back to the default queries
+   * @returns {Promise<MetricDefinitions>} Metric definitions
+   * @private
+   */
+  async _getMetricDefinitions() {
+    if (!this.metricDefinitionService) {
+      return MetricDefinitions.default();
+    }
+
+    try {
+      return await this.metricDefinitionService.getDefinitions();
+    } catch (error) {
+      console.error('Error loading metric definitions:', error);
+      return MetricDefinitions.default();
+    }
+  }
+
   /**
    * Get secure fallback portfolio when access is denied
    * @private
@@ -154,6 +296,7 @@ export class PortfolioService {
         atRiskProjects: 0
       },
       criticalAlerts: [],
+      unmappedProjects: [],
       lastUpdated: new Date().toISOString(),
       status: 'access_denied'
     };
@@ -161,44 +304,68 @@ export class PortfolioService {
 
   /**
    * Get executive portfolio dashboard data
+   * With an authorization service, the executive must be authorized and only sees the projects
+   * their permissions cover; every summary, alert and trend is computed from those projects alone
+   * @param {Object} [authContext] - Account ID and authenticated flag of the invocation
    * @returns {Promise<Object>} Dashboard data for executive view
    */
-  async getExecutiveDashboard() {
+  async getExecutiveDashboard(authContext = null) {
+    let currentUser = null;
+
     try {
       // Get current user context
-      const currentUser = await this.jiraDataPort.getCurrentUser();
-
-      // Get projects accessible to executive
-      const projects = await this.jiraDataPort.getExecutiveProjects();
-
-      // Enhance projects with health metrics
-      const enhancedProjects = await Promise.all(
-        projects.map(async (project) => {
-          const healthMetrics = await this.jiraDataPort.getProjectHealthMetrics(project.key);
-          return {
-            ...project,
-            ...healthMetrics
-          };
-        })
-      );
+      currentUser = await this.jiraDataPort.getCurrentUser();
 
-      // Create portfolio domain entity
-      const portfolio = new ExecutivePortfolio(currentUser.accountId, {
-        projects: enhancedProjects
-      });
+      // Build the portfolio from the projects the executive may see and their metrics
+      const portfolio = await this._buildPortfolio(currentUser, authContext, 'EXECUTIVE_DASHBOARD');
+
+      // Record today's snapshot and compare it with earlier ones
+      const snapshot = PortfolioSnapshot.fromPortfolio(portfolio);
+      const history = await this._recordSnapshot(snapshot);
+      const flashNews = this.flashNewsGenerator.generate(snapshot, history.latestPrevious, history.baseline);
+
+      // Tailor the briefing to the executive's role
+      const role = await this._detectExecutiveRole(currentUser);
+
+      const deliveryForecast = await this._getDeliveryForecast(portfolio.projects);
+      const releaseReadiness = await this._getReleaseReadiness(currentUser.accountId, portfolio.projects);
+      const dependencyGraph = await this._getDependencyGraph(portfolio.projects);
 
       // Return dashboard data
       return {
         executive: {
           name: currentUser.displayName,
-          accountId: currentUser.accountId
+          accountId: currentUser.accountId,
+          role
         },
+        briefing: this.briefingBuilder.build(role, portfolio, flashNews),
+        flashNews,
         portfolio: portfolio.getPortfolioSummary(),
-        criticalAlerts: portfolio.getCriticalAlerts(),
+        criticalAlerts: [
+          ...portfolio.getCriticalAlerts(),
+          ...(dependencyGraph ? portfolio.sortByStrategicWeight(dependencyGraph.getDependencyAlerts()) : [])
+        ],
+        flow: portfolio.getFlowIndicators(),
+        deliveryForecast,
+        releaseReadiness,
+        dependencies: dependencyGraph && {
+          projectsAtRisk: dependencyGraph.getProjectsAtRisk(),
+          criticalChains: dependencyGraph.getCriticalChains()
+        },
+        trends: {
+          dayOverDay: snapshot.deltaFrom(history.previousDay),
+          weekOverWeek: snapshot.deltaFrom(history.previousWeek)
+        },
+        dataFreshness: this._getDataFreshness(currentUser.accountId),
         lastUpdated: new Date().toISOString()
       };
 
     } catch (error) {
+      if (error instanceof PortfolioAccessDeniedError) {
+        await this._logAccessDenied(currentUser.accountId, error);
+        return this._getAccessDeniedDashboard();
+      }
+
       // Log error for monitoring
       console.error('Error retrieving executive dashboard:', error);
 
@@ -207,14 +374,369 @@ export class PortfolioService {
     }
   }
 
+  /**
+   * Get everything known about one of the executive's projects
+   * @param {string} projectKey - Jira project key
+   * @param {Object} [authContext] - Account ID and authenticated flag of the invocation
+   * @returns {Promise<Object|null>} Health breakdown, flow and commitment reliability, or null when
+   *   the project is not in the executive's portfolio, outside their permissions or cannot be loaded
+   */
+  async getProjectDrillDown(projectKey, authContext = null) {
+    let currentUser = null;
+
+    try {
+      currentUser = await this.jiraDataPort.getCurrentUser();
+      const portfolio = await this._buildPortfolio(currentUser, authContext, 'PROJECT_DRILL_DOWN');
+      return portfolio.getProjectDrillDown(projectKey);
+    } catch (error) {
+      if (error instanceof PortfolioAccessDeniedError) {
+        await this._logAccessDenied(currentUser.accountId, error);
+        return null;
+      }
+
+      console.error(`Error retrieving drill-down for project ${projectKey}:`, error);
+      return null;
+    }
+  }
+
+  /**
+   * Load the executive's projects with their health, flow, size, commitment and strategic weight data
+   * @param {Object} currentUser - Current Jira user
+   * @param {Object} [authContext] - Account ID and authenticated flag of the invocation
+   * @param {string} [resource] - What is being read, for the audit trail
+   * @returns {Promise<ExecutivePortfolio>} Portfolio scored with the configured policy
+   * @private
+   */
+  async _buildPortfolio(currentUser, authContext = null, resource = 'EXECUTIVE_DASHBOARD') {
+    const projects = await this._getVisibleProjects(currentUser, authContext, resource);
+    const scoringPolicy = await this._getScoringPolicy();
+
+    const enhancedProjects = await this._withStrategicWeights(await this._withCommitmentReliability(
+      await this._withSizeMetrics(await this._withFlowMetrics(await this._withHealthMetrics(projects)), scoringPolicy)
+    ));
+
+    return new ExecutivePortfolio(currentUser.accountId, {
+      projects: enhancedProjects
+    }, scoringPolicy);
+  }
+
+  /**
+   * The organisation's stored scoring policy, read once per invocation
+   * Without a policy service, or when the stored policy cannot be read, the policy passed in
+   * the options (the default policy unless one was given) applies
+   * @returns {Promise<ScoringPolicy>} Scoring policy in force
+   * @private
+   */
+  async _getScoringPolicy() {
+    if (!this.scoringPolicyService) {
+      return this.scoringPolicy;
+    }
+
+    if (!this.storedScoringPolicy) {
+      this.storedScoringPolicy = this.scoringPolicyService.getPolicy().catch(error => {
+        console.error('Error loading scoring policy:', error);
+        return this.scoringPolicy;
+      });
+    }
+    return this.storedScoringPolicy;
+  }
+
+  /**
+   * Load the projects the executive may see, before any metrics are read for them
+   * Without an authorization service (an unsecured composition) every configured project is visible
+   * @param {Object} currentUser - Current Jira user
+   * @param {Object} [authContext] - Account ID and authenticated flag of the invocation
+   * @param {string} resource - What is being read, for the audit trail
+   * @returns {Promise<Array<Object>>} Projects within the executive's permissions
+   * @throws {PortfolioAccessDeniedError} When the invocation is not the executive's or access is refused
+   * @private
+   */
+  async _getVisibleProjects(currentUser, authContext, resource) {
+    const projects = await this.jiraDataPort.getExecutiveProjects(this.projectFilters);
+
+    if (!this.authorizationService) {
+      return projects;
+    }
+
+    const executiveId = currentUser.accountId;
+    if (authContext?.accountId !== executiveId) {
+      throw new PortfolioAccessDeniedError('Invocation does not belong to the current user', { executiveId });
+    }
+
+    const businessUnit = await this._authorizeExecutive(executiveId, authContext.isAuthenticated);
+    const { projects: projectsWithUnits } = await this._withBusinessUnits(projects);
+    const { projects: visibleProjects = [] } = await this.authorizationService.filterPortfolioDataByPermissions(
+      executiveId,
+      { projects: projectsWithUnits }
+    );
+
+    await this.auditService.logDataAccessEvent({
+      userId: executiveId,
+      resource,
+      action: 'read',
+      businessUnit,
+      projectCount: visibleProjects.length,
+      timestamp: new Date()
+    });
+
+    return visibleProjects;
+  }
+
+  /**
+   * Attach open and in-progress issue counts when the scoring policy normalises health by project size
+   * @param {Array<Object>} projects - Projects with their metrics
+   * @param {ScoringPolicy} scoringPolicy - Policy in force
+   * @returns {Promise<Array<Object>>} Projects with sizeMetrics (null when unknown)
+   * @private
+   */
+  async _withSizeMetrics(projects, scoringPolicy) {
+    if (!scoringPolicy.normalisation) {
+      return projects;
+    }
+
+    let sizeByProject = {};
+
+    try {
+      sizeByProject = await this.jiraDataPort.getPortfolioSizeMetrics(projects.map(project => project.key));
+    } catch (error) {
+      console.error('Project sizes unavailable from Jira:', error);
+    }
+
+    return projects.map(project => ({
+      ...project,
+      sizeMetrics: sizeByProject[project.key] || null
+    }));
+  }
+
+  /**
+   * Attach each project's strategic tier and weight, so weighted health and alert ordering favour
+   * the projects that matter most
+   * @param {Array<Object>} projects - Projects with their metrics
+   * @returns {Promise<Array<Object>>} Projects with strategicTier and strategicWeight (equal weights when unknown)
+   * @private
+   */
+  async _withStrategicWeights(projects) {
+    if (!this.strategicWeightService) {
+      return projects;
+    }
+
+    try {
+      const weightsByProject = await this.strategicWeightService.getProjectWeights(projects.map(project => project.key));
+
+      // A project the weights left out takes the default tier rather than costing every project its weight
+      return projects.map(project => {
+        const { tier, weight } = weightsByProject[project.key] ?? StrategicWeights.default().getAssignment(project.key);
+        return { ...project, strategicTier: tier, strategicWeight: weight };
+      });
+    } catch (error) {
+      // Without weights every project counts equally, as it always has
+      console.error('Error loading strategic weights:', error);
+      return projects;
+    }
+  }
+
+  /**
+   * Attach the say/do ratio of the teams working on each project
+   * @param {Array<Object>} projects - Projects with their metrics
+   * @returns {Promise<Array<Object>>} Projects with commitmentReliability (null when unknown)
+   * @private
+   */
+  async _withCommitmentReliability(projects) {
+    if (!this.commitmentReliabilityService) {
+      return projects;
+    }
+
+    let reliabilityByProject = {};
+
+    try {
+      reliabilityByProject = await this.commitmentReliabilityService.getPortfolioReliability(
+        projects.map(project => project.key)
+      );
+    } catch (error) {
+      // Commitment reliability is supplementary - never fail the dashboard because of it
+      console.error('Error reading commitment reliability:', error);
+    }
+
+    return projects.map(project => ({
+      ...project,
+      commitmentReliability: reliabilityByProject[project.key] || null
+    }));
+  }
+
+  /**
+   * Detect the executive's briefing role, defaulting to the generic executive role
+   * @param {Object} currentUser - Current Jira user
+   * @returns {Promise<string>} Executive role key
+   * @private
+   */
+  async _detectExecutiveRole(currentUser) {
+    if (!this.roleDetectionService) {
+      return EXECUTIVE_ROLES.EXECUTIVE.key;
+    }
+
+    try {
+      return await this.roleDetectionService.detectRole(currentUser);
+    } catch (error) {
+      console.error('Error detecting executive role:', error);
+      return EXECUTIVE_ROLES.EXECUTIVE.key;
+    }
+  }
+
+  /**
+   * Forecast the portfolio's open releases and epics
+   * @param {Array<Object>} projects - Projects on the dashboard
+   * @returns {Promise<Object|null>} Forecasts and slip alerts, or null when forecasting is off or fails
+   * @private
+   */
+  async _getDeliveryForecast(projects) {
+    if (!this.deliveryForecastService) {
+      return null;
+    }
+
+    try {
+      return await this.deliveryForecastService.getPortfolioForecast(projects);
+    } catch (error) {
+      // Forecasts are supplementary - never fail the dashboard because of them
+      console.error('Error forecasting delivery:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Judge the go/no-go readiness of every upcoming release in the portfolio
+   * @param {string} executiveId - Executive account identifier
+   * @param {Array<Object>} projects - Projects on the dashboard
+   * @returns {Promise<Object|null>} Verdict counts and per-release readiness, or null when releases cannot be read
+   * @private
+   */
+  async _getReleaseReadiness(executiveId, projects) {
+    try {
+      const releasesByProject = await this.jiraDataPort.getUpcomingReleases(
+        projects.map(project => project.key),
+        await this._getMetricDefinitions()
+      );
+
+      const readiness = new ReleaseReadiness(executiveId, {
+        projects: projects.map(project => ({
+          key: project.key,
+          name: project.name,
+          releases: releasesByProject[project.key] || []
+        }))
+      }, this.readinessRules);
+
+      return {
+        summary: readiness.getReadinessSummary(),
+        releases: readiness.getReleaseBreakdown()
+      };
+    } catch (error) {
+      // Release readiness is supplementary - never fail the dashboard because of it
+      console.error('Error assessing release readiness:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Read the blocking links between the portfolio's projects
+   * @param {Array<Object>} projects - Projects on the dashboard
+   * @returns {Promise<DependencyGraph|null>} Dependency graph, or null when issue links cannot be read
+   * @private
+   */
+  async _getDependencyGraph(projects) {
+    try {
+      const linksByProject = await this.jiraDataPort.getDependencyLinks(
+        projects.map(project => project.key),
+        { linkTypes: this.dependencyLinkTypes }
+      );
+
+      return new DependencyGraph({
+        projects: projects.map(project => ({ key: project.key, name: project.name })),
+        links: Object.values(linksByProject).flat()
+      });
+    } catch (error) {
+      // Dependency risk is supplementary - never fail the dashboard because of it
+      console.error('Error reading cross-project dependencies:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Save the current snapshot and load the earlier snapshots it is compared with
+   * Only the dates of the baseline window are read; the first save of each day also deletes
+   * snapshots older than the retention period
+   * @param {PortfolioSnapshot} snapshot - Snapshot of the current calculation
+   * @returns {Promise<Object>} Previous day, previous week and latest earlier snapshots (null when missing),
+   *   and the earlier snapshots within the baseline window forming each project's baseline
+   * @private
+   */
+  async _recordSnapshot(snapshot) {
+    const history = {
+      previousDay: null,
+      previousWeek: null,
+      latestPrevious: null,
+      baseline: []
+    };
+
+    if (!this.snapshotStorage) {
+      return history;
+    }
+
+    try {
+      // Today's date is read too, to know whether this is the day's first save
+      const windowDays = Math.max(this.baselineSnapshots, 7);
+      const dates = Array.from({ length: windowDays + 1 }, (_, days) => PortfolioSnapshot.shiftDate(snapshot.date, -days));
+      const storedSnapshots = await this.snapshotStorage.getSnapshots(snapshot.executiveId, dates);
+      const earlierSnapshots = storedSnapshots.filter(previous => previous.date < snapshot.date);
+      const findEarlier = days => earlierSnapshots
+        .find(previous => previous.date === PortfolioSnapshot.shiftDate(snapshot.date, -days)) || null;
+
+      await this.snapshotStorage.saveSnapshot(snapshot);
+
+      history.previousDay = findEarlier(1);
+      history.previousWeek = findEarlier(7);
+      history.baseline = earlierSnapshots.slice(-this.baselineSnapshots);
+      history.latestPrevious = history.baseline[history.baseline.length - 1] || null;
+
+      if (earlierSnapshots.length === storedSnapshots.length) {
+        await this.snapshotStorage.pruneSnapshots(
+          snapshot.executiveId,
+          PortfolioSnapshot.shiftDate(snapshot.date, -Math.max(this.snapshotRetentionDays, windowDays))
+        );
+      }
+    } catch (error) {
+      // Trend history is supplementary - never fail the dashboard because of it
+      console.error('Error recording portfolio snapshot:', error);
+    }
+
+    return history;
+  }
+
+  /**
+   * Describe when the Jira data behind the dashboard was fetched
+   * @param {string} executiveId - Executive account identifier
+   * @returns {Object} Fetch time and whether stale cached data was served
+   * @private
+   */
+  _getDataFreshness(executiveId) {
+    const freshness = this.dataCache?.getFreshness(executiveId);
+
+    // Without a cache (or before anything was cached) the data was just read from Jira
+    return freshness || {
+      fetchedAt: new Date().toISOString(),
+      stale: false
+    };
+  }
+
   /**
    * Refresh portfolio data cache
+   * Drops the current executive's cached Jira data so the next dashboard load reads Jira
    * @returns {Promise<boolean>} Success indicator
    */
   async refreshPortfolioData() {
     try {
-      // In a real implementation, this would clear caches
-      // and trigger data refresh from Jira
+      if (this.dataCache) {
+        const currentUser = await this.jiraDataPort.getCurrentUser();
+        await this.dataCache.invalidate(currentUser.accountId);
+      }
       return true;
     } catch (error) {
       console.error('Error refreshing portfolio data:', error);
@@ -222,6 +744,17 @@ export class PortfolioService {
     }
   }
 
+  /**
+   * Get the dashboard shown when the executive may not see portfolio data (no data exposure)
+   * @private
+   */
+  _getAccessDeniedDashboard() {
+    return {
+      ...this._getFallbackDashboard(),
+      status: 'access_denied'
+    };
+  }
+
   /**
    * Get fallback dashboard when main data retrieval fails
    * @private
@@ -230,8 +763,10 @@ export class PortfolioService {
     return {
       executive: {
         name: 'Executive User',
-        accountId: 'unknown'
+        accountId: 'unknown',
+        role: EXECUTIVE_ROLES.EXECUTIVE.key
       },
+      briefing: null,
       portfolio: {
         totalProjects: 0,
         healthScore: 0,
@@ -239,7 +774,17 @@ export class PortfolioService {
         onTrackProjects: 0,
         atRiskProjects: 0
       },
+      flashNews: [],
       criticalAlerts: [],
+      flow: null,
+      deliveryForecast: null,
+      releaseReadiness: null,
+      dependencies: null,
+      trends: {
+        dayOverDay: null,
+        weekOverWeek: null
+      },
+      dataFreshness: null,
       lastUpdated: new Date().toISOString(),
       status: 'fallback'
     };
@@ -0,0 +1,87 @@
+import { EXECUTIVE_ROLES, isExecutiveRole } from '../../domain/entities/ExecutiveRole.js';
+
+const ROLE_MAPPING_CONFIGURATION = 'role-mapping';
+
+/**
+ * Jira groups recognised until an admin saves a mapping of their own
+ */
+export const DEFAULT_ROLE_GROUPS = Object.freeze({
+  'executive-ceo': 'CEO',
+  'executive-cto': 'CTO',
+  'head-of-delivery': 'HEAD_OF_DELIVERY'
+});
+
+/**
+ * RoleDetectionService - Executive Role Resolution
+ * Resolves an executive's briefing role from an admin mapping or Jira group membership
+ */
+export class RoleDetectionService {
+  constructor(configurationPort) {
+    this.configurationPort = configurationPort;
+  }
+
+  /**
+   * Detects the executive role for a Jira user
+   * Explicit account assignments win over group membership; the highest-priority
+   * role wins when a user belongs to several mapped groups
+   * @param {object} user - Current user with accountId and group names
+   * @returns {Promise<string>} - Role key (CEO, CTO, HEAD_OF_DELIVERY or EXECUTIVE)
+   */
+  async detectRole(user) {
+    const mapping = await this.getRoleMapping();
+
+    const accountRole = mapping.accounts[user.accountId];
+    if (accountRole) {
+      return accountRole;
+    }
+
+    const groupRoles = (user.groups || [])
+      .map(group => mapping.groups[group.toLowerCase()])
+      .filter(Boolean);
+
+    const rolePriority = Object.keys(EXECUTIVE_ROLES);
+    const [highestRole] = groupRoles.sort((a, b) => rolePriority.indexOf(a) - rolePriority.indexOf(b));
+
+    return highestRole || EXECUTIVE_ROLES.EXECUTIVE.key;
+  }
+
+  /**
+   * Gets the admin-maintained role mapping
+   * @returns {Promise<object>} - Mapping with accounts (accountId -> role) and groups (group -> role)
+   */
+  async getRoleMapping() {
+    const storedMapping = await this.configurationPort.getConfiguration(ROLE_MAPPING_CONFIGURATION);
+
+    return {
+      accounts: storedMapping?.accounts || {},
+      groups: storedMapping?.groups || { ...DEFAULT_ROLE_GROUPS }
+    };
+  }
+
+  /**
+   * Saves the admin-maintained role mapping after validating every role
+   * @param {object} mapping - Mapping with accounts and groups
+   * @returns {Promise<object>} - Normalised mapping as stored
+   */
+  async saveRoleMapping(mapping) {
+    const normalisedMapping = {
+      accounts: { ...(mapping?.accounts || {}) },
+      groups: Object.entries(mapping?.groups || {}).reduce((groups, [group, role]) => ({
+        ...groups,
+        [group.toLowerCase()]: role
+      }), {})
+    };
+
+    const invalidRoles = [
+      ...Object.values(normalisedMapping.accounts),
+      ...Object.values(normalisedMapping.groups)
+    ].filter(role => !isExecutiveRole(role));
+
+    if (invalidRoles.length > 0) {
+      throw new Error(`Unknown executive roles in mapping: ${[...new Set(invalidRoles)].join(', ')}`);
+    }
+
+    await this.configurationPort.saveConfiguration(ROLE_MAPPING_CONFIGURATION, normalisedMapping);
+    return normalisedMapping;
+  }
+}
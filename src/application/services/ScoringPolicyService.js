@@ -0,0 +1,114 @@
+import { ScoringPolicy, SCORING_POLICY_TEMPLATES } from '../../domain/entities/ScoringPolicy.js';
+import { FLOW_METRIC_NAMES } from '../../domain/entities/FlowMetrics.js';
+
+const SCORING_POLICY_CONFIGURATION = 'scoring-policy';
+
+/**
+ * ScoringPolicyService - Organisation Scoring Policy
+ * Loads and saves the organisation's health scoring policy, checking that every metric it
+ * scores is one the app can measure. Every saved version is kept, so scores recorded under an
+ * earlier version can still be explained
+ */
+export class ScoringPolicyService {
+  constructor(configurationPort, metricDefinitionService) {
+    this.configurationPort = configurationPort;
+    this.metricDefinitionService = metricDefinitionService;
+  }
+
+  /**
+   * Gets the scoring policy in force
+   * A stored document that no longer validates is ignored in favour of the default policy
+   * @returns {Promise<ScoringPolicy>} Stored policy, or the default policy
+   */
+  async getPolicy() {
+    const storedPolicy = await this.configurationPort.getConfiguration(SCORING_POLICY_CONFIGURATION);
+
+    try {
+      return ScoringPolicy.from(storedPolicy);
+    } catch (error) {
+      console.error('Stored scoring policy is invalid, using the default policy:', error);
+      return ScoringPolicy.default();
+    }
+  }
+
+  /**
+   * Gets a version of a scoring policy, such as one recorded alongside an earlier snapshot
+   * @param {string} id - Policy id
+   * @param {string} version - Policy version
+   * @returns {Promise<ScoringPolicy>} Policy as saved under that version
+   * @throws {Error} When that version was never saved
+   */
+  async getPolicyVersion(id, version) {
+    const storedPolicy = await this._getStoredVersion(id, version);
+    if (storedPolicy) {
+      return ScoringPolicy.from(storedPolicy);
+    }
+
+    const defaultPolicy = ScoringPolicy.default();
+    if (defaultPolicy.id === id && defaultPolicy.version === version) {
+      return defaultPolicy;
+    }
+
+    throw new Error(`Scoring policy ${id} version ${version} has not been saved`);
+  }
+
+  /**
+   * Lists the policy templates admins can start from: the default issue health policy, one adding
+   * delivery flow factors and one normalising by project size
+   * @returns {Array<object>} Template policies, as they would be stored
+   */
+  getTemplates() {
+    return SCORING_POLICY_TEMPLATES.map(template => new ScoringPolicy(template).toJSON());
+  }
+
+  /**
+   * Saves a scoring policy after checking its rules and the metrics they score, and puts it in force
+   * Saving a version again is allowed only with the same rules, so a version always means one set of rules
+   * @param {object} definition - Id, version, base score, factors, critical thresholds and optional size normalisation
+   * @returns {Promise<object>} Policy as stored
+   * @throws {Error} When the policy is invalid, scores a metric the app does not measure, or changes
+   *   the rules of a saved version
+   */
+  async savePolicy(definition) {
+    const policy = new ScoringPolicy(definition);
+    const definitions = await this.metricDefinitionService.getDefinitions();
+    const knownMetrics = [...definitions.getMetricNames(), ...FLOW_METRIC_NAMES];
+    const unknownMetrics = policy.getMetricNames().filter(metric => !knownMetrics.includes(metric));
+
+    if (unknownMetrics.length > 0) {
+      throw new Error(`Scoring policy ${policy.id} scores unknown metrics: ${unknownMetrics.join(', ')}`);
+    }
+
+    const storedVersion = await this._getStoredVersion(policy.id, policy.version);
+    if (storedVersion && JSON.stringify(new ScoringPolicy(storedVersion).toJSON()) !== JSON.stringify(policy.toJSON())) {
+      throw new Error(
+        `Scoring policy ${policy.id} version ${policy.version} is already saved with different rules; ` +
+        'save the changes under a new version'
+      );
+    }
+
+    await this.configurationPort.saveConfiguration(
+      ScoringPolicyService._getVersionConfiguration(policy.id, policy.version), policy.toJSON());
+    await this.configurationPort.saveConfiguration(SCORING_POLICY_CONFIGURATION, policy.toJSON());
+    return policy.toJSON();
+  }
+
+  /**
+   * Reads a saved version, including a policy in force that was saved before versions were kept
+   * @private
+   */
+  async _getStoredVersion(id, version) {
+    const storedVersion = await this.configurationPort.getConfiguration(
+      ScoringPolicyService._getVersionConfiguration(id, version));
+    if (storedVersion) {
+      return storedVersion;
+    }
+
+    const storedPolicy = await this.configurationPort.getConfiguration(SCORING_POLICY_CONFIGURATION);
+    return storedPolicy?.id === id && storedPolicy?.version === version ? storedPolicy : null;
+  }
+
+  static _getVersionConfiguration(id, version) {
+    return `${SCORING_POLICY_CONFIGURATION}:${id}:${version}`;
+  }
+}
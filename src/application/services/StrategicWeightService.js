@@ -0,0 +1,74 @@
+import { StrategicWeights } from '../../domain/entities/StrategicWeights.js';
+
+const STRATEGIC_WEIGHTS_CONFIGURATION = 'strategic-weights';
+
+/**
+ * Jira project property a project can carry its own tier or weight in,
+ * e.g. { "tier": "Flagship" } or { "weight": 2.5 }
+ */
+export const STRATEGIC_WEIGHT_PROPERTY = 'executive-flash-news.strategic-weight';
+
+/**
+ * StrategicWeightService - Project Strategic Importance
+ * Loads and saves the PMO-maintained strategic tiers, and resolves each project's weight from
+ * them and from the project's own Jira property
+ */
+export class StrategicWeightService {
+  constructor(configurationPort, jiraDataPort) {
+    this.configurationPort = configurationPort;
+    this.jiraDataPort = jiraDataPort;
+  }
+
+  /**
+   * Gets the strategic weights in force
+   * A stored document that no longer validates is ignored in favour of the defaults
+   * @returns {Promise<StrategicWeights>} - Stored weights, or the defaults
+   */
+  async getWeights() {
+    const storedWeights = await this.configurationPort.getConfiguration(STRATEGIC_WEIGHTS_CONFIGURATION);
+
+    try {
+      return StrategicWeights.from(storedWeights);
+    } catch (error) {
+      console.error('Stored strategic weights are invalid, using defaults:', error);
+      return StrategicWeights.default();
+    }
+  }
+
+  /**
+   * Saves strategic tiers and project assignments after checking their structure
+   * @param {object} definition - Tiers, default tier and per-project tier or weight
+   * @returns {Promise<object>} - Weights as stored
+   */
+  async saveWeights(definition) {
+    const weights = new StrategicWeights(definition);
+    await this.configurationPort.saveConfiguration(STRATEGIC_WEIGHTS_CONFIGURATION, weights.toJSON());
+    return weights.toJSON();
+  }
+
+  /**
+   * Resolves the tier and weight of each project
+   * Project properties are only read for projects without a stored assignment; properties that
+   * cannot be read leave those projects on the default tier
+   * @param {Array<string>} projectKeys - Jira project keys
+   * @returns {Promise<object>} - Tier, weight and source keyed by project key
+   */
+  async getProjectWeights(projectKeys) {
+    const weights = await this.getWeights();
+    const unassignedKeys = projectKeys.filter(projectKey => !weights.isAssigned(projectKey));
+    let propertiesByProject = {};
+
+    if (unassignedKeys.length > 0) {
+      try {
+        propertiesByProject = await this.jiraDataPort.getProjectProperties(unassignedKeys, STRATEGIC_WEIGHT_PROPERTY);
+      } catch (error) {
+        console.error('Strategic weight project properties unavailable from Jira:', error);
+      }
+    }
+
+    return projectKeys.reduce((result, projectKey) => ({
+      ...result,
+      [projectKey]: weights.getAssignment(projectKey, propertiesByProject[projectKey])
+    }), {});
+  }
+}
@@ -0,0 +1,64 @@
+import { WelcomeMessage } from '../../domain/entities/WelcomeMessage.js';
+
+export const WELCOME_TEXT = 'Welcome to Executive Flash News Plugin';
+export const PLUGIN_VERSION = '1.0.0';
+
+/**
+ * WelcomeMessageService - Executive Welcome Orchestration
+ * Combines visit history and the executive dashboard into a personalised welcome message
+ */
+export class WelcomeMessageService {
+  constructor(jiraDataPort, portfolioService, snapshotStorage, options = {}) {
+    this.jiraDataPort = jiraDataPort;
+    this.portfolioService = portfolioService;
+    this.snapshotStorage = snapshotStorage;
+    this.version = options.version || PLUGIN_VERSION;
+    this.authContext = options.authContext || null;
+  }
+
+  /**
+   * Builds the welcome message for the current executive
+   * @returns {Promise<WelcomeMessage>} - Welcome message for the first-time, returning or critical scenario
+   */
+  async getWelcomeMessage() {
+    const currentUser = await this.jiraDataPort.getCurrentUser();
+
+    // Check visit history before the dashboard records today's snapshot
+    const isFirstVisit = await this._isFirstVisit(currentUser.accountId);
+
+    const dashboard = await this.portfolioService.getExecutiveDashboard(this.authContext);
+    if (dashboard.status === 'fallback' || dashboard.status === 'access_denied') {
+      throw new Error('Portfolio data unavailable for welcome message');
+    }
+
+    return new WelcomeMessage(WELCOME_TEXT, this.version, dashboard.executive.role, {
+      executiveName: dashboard.executive.name,
+      isFirstVisit,
+      projectCount: dashboard.portfolio.totalProjects,
+      attentionCount: dashboard.portfolio.needsAttentionProjects,
+      criticalCount: dashboard.portfolio.criticalAlerts
+    });
+  }
+
+  /**
+   * Builds the generic welcome message shown when personalisation is unavailable
+   * @returns {WelcomeMessage} - Default welcome message
+   */
+  getDefaultWelcomeMessage() {
+    return new WelcomeMessage(WELCOME_TEXT, this.version);
+  }
+
+  /**
+   * An executive is new when no portfolio snapshot has ever been recorded for them
+   * @param {string} accountId - Executive account identifier
+   * @returns {Promise<boolean>} - True on the executive's first visit
+   * @private
+   */
+  async _isFirstVisit(accountId) {
+    if (!this.snapshotStorage) {
+      return false;
+    }
+
+    return !(await this.snapshotStorage.hasSnapshots(accountId));
+  }
+}
@@ -0,0 +1,128 @@
+import { createHash } from 'crypto';
+
+/** previousHash of the first record written in each category */
+export const GENESIS_HASH = '0'.repeat(64);
+
+/**
+ * Audit Record Domain Entity
+ * One append-only audit trail entry. Sequences run across the whole trail, while each record's
+ * hash covers its content and the hash of the previous record in its category, so editing,
+ * removing or reordering any record breaks every later hash of that category. Chaining per
+ * category lets each category be pruned on its own retention period.
+ */
+export class AuditRecord {
+  constructor(data) {
+    AuditRecord._validate(data);
+
+    this.sequence = data.sequence;
+    this.category = data.category;
+    this.eventType = data.eventType;
+    this.userId = data.userId ?? null;
+    this.occurredAt = data.occurredAt;
+    this.details = Object.freeze({ ...(data.details || {}) });
+    this.previousHash = data.previousHash;
+    this.hash = data.hash ?? AuditRecord.computeHash(this);
+
+    Object.freeze(this);
+  }
+
+  /**
+   * Create the record following the previous one in its category's chain
+   * @param {Object|null} previous - Sequence and hash of the category's last record, or null for its first record
+   * @param {Object} entry - Category, event type, user, time and event details
+   * @param {number} [sequence] - Position in the whole trail (defaults to the one after previous)
+   * @returns {AuditRecord} Hashed record
+   */
+  static append(previous, entry, sequence = previous ? previous.sequence + 1 : 1) {
+    return new AuditRecord({
+      sequence,
+      category: entry.category,
+      eventType: entry.eventType,
+      userId: entry.userId,
+      occurredAt: new Date(entry.occurredAt).toISOString(),
+      // Round-trip through JSON so Dates and undefined values hash exactly as they are stored
+      details: JSON.parse(JSON.stringify(entry.details || {})),
+      previousHash: previous ? previous.hash : GENESIS_HASH
+    });
+  }
+
+  /**
+   * Restore a stored record without recomputing its hash, so tampering stays detectable
+   * @param {Object} data - Stored record
+   * @returns {AuditRecord} Record as stored
+   */
+  static fromJSON(data) {
+    return new AuditRecord(data);
+  }
+
+  /**
+   * SHA-256 over the record's content and the previous hash, with object keys in sorted order
+   * @param {Object} record - Record fields (the hash itself is ignored)
+   * @returns {string} Hex digest
+   */
+  static computeHash(record) {
+    const content = AuditRecord._canonicalJson([
+      record.sequence,
+      record.category,
+      record.eventType,
+      record.userId ?? null,
+      record.occurredAt,
+      record.details,
+      record.previousHash
+    ]);
+    return createHash('sha256').update(content).digest('hex');
+  }
+
+  /**
+   * Whether the stored hash still matches the record's content
+   * @returns {boolean} False when the record was altered after it was written
+   */
+  hasValidHash() {
+    return this.hash === AuditRecord.computeHash(this);
+  }
+
+  toJSON() {
+    return {
+      sequence: this.sequence,
+      category: this.category,
+      eventType: this.eventType,
+      userId: this.userId,
+      occurredAt: this.occurredAt,
+      details: { ...this.details },
+      previousHash: this.previousHash,
+      hash: this.hash
+    };
+  }
+
+  /**
+   * Validates stored or new record data
+   * @param {Object} data - Raw record
+   * @private
+   */
+  static _validate(data) {
+    if (!data || !Number.isInteger(data.sequence) || data.sequence < 1) {
+      throw new Error('Audit record requires a positive integer sequence');
+    }
+    if (!data.category || !data.eventType) {
+      throw new Error('Audit record requires a category and an event type');
+    }
+    if (Number.isNaN(Date.parse(data.occurredAt))) {
+      throw new Error(`Audit record ${data.sequence} has an invalid time`);
+    }
+    if (typeof data.previousHash !== 'string') {
+      throw new Error(`Audit record ${data.sequence} requires the previous record's hash`);
+    }
+  }
+
+  static _canonicalJson(value) {
+    if (Array.isArray(value)) {
+      return `[${value.map(item => AuditRecord._canonicalJson(item)).join(',')}]`;
+    }
+    if (value && typeof value === 'object') {
+      return `{${Object.keys(value).sort()
+        .map(key => `${JSON.stringify(key)}:${AuditRecord._canonicalJson(value[key])}`)
+        .join(',')}}`;
+    }
+    return JSON.stringify(value);
+  }
+}
@@ -0,0 +1,165 @@
+/**
+ * Default business unit mapping. Nothing is mapped until an admin fills in the tables, so every
+ * project is reported as unmapped and every executive falls back to the Corporate unit.
+ */
+export const DEFAULT_BUSINESS_UNIT_MAPPING = {
+  projects: {},
+  categories: {},
+  executives: {},
+  groups: {},
+  defaultExecutiveUnit: 'Corporate'
+};
+
+const PROJECT_KEY_PATTERN = /^[A-Z][A-Z0-9_]+$/;
+
+/**
+ * Business Unit Mapping Value Object
+ * Admin-maintained tables deciding which business unit each project and each executive belongs to.
+ * Projects are mapped by project key, by Jira project category (name or id) or, failing both, by
+ * their own project property; executives by account ID or by Jira group membership.
+ */
+export class BusinessUnitMapping {
+  constructor(definition) {
+    BusinessUnitMapping._validate(definition);
+
+    this.projects = Object.freeze({ ...(definition.projects || {}) });
+    this.categories = Object.freeze({ ...(definition.categories || {}) });
+    this.executives = Object.freeze({ ...(definition.executives || {}) });
+    this.groups = Object.freeze(BusinessUnitMapping._lowerCaseKeys(definition.groups || {}));
+    this.defaultExecutiveUnit = definition.defaultExecutiveUnit;
+
+    Object.freeze(this);
+  }
+
+  /**
+   * Create the default business unit mapping
+   * @returns {BusinessUnitMapping} Mapping with empty tables
+   */
+  static default() {
+    return new BusinessUnitMapping(DEFAULT_BUSINESS_UNIT_MAPPING);
+  }
+
+  /**
+   * Normalise a mapping instance or plain definition into BusinessUnitMapping
+   * @param {BusinessUnitMapping|Object} [mapping] - Instance or plain definition
+   * @returns {BusinessUnitMapping} Business unit mapping (default when none supplied)
+   */
+  static from(mapping) {
+    if (!mapping) return BusinessUnitMapping.default();
+    if (mapping instanceof BusinessUnitMapping) return mapping;
+    return new BusinessUnitMapping(mapping);
+  }
+
+  /**
+   * Resolve a project's business unit; the admin project table wins over the project category,
+   * which wins over the project's own Jira property
+   * @param {Object} project - Project with key and projectCategory ({ id, name })
+   * @param {Object|string} [projectProperty] - Jira project property value ({ businessUnit } or the unit name)
+   * @returns {Object} Business unit (null when unmapped) and where it came from
+   */
+  getProjectUnit(project, projectProperty) {
+    const configured = this._getConfiguredUnit(project);
+    if (configured) return configured;
+
+    const fromProperty = BusinessUnitMapping._unitName(projectProperty?.businessUnit ?? projectProperty);
+    if (fromProperty) return { businessUnit: fromProperty, source: 'project property' };
+
+    return { businessUnit: null, source: 'unmapped' };
+  }
+
+  /**
+   * Whether only the project's own Jira property could still map it, so the property is worth reading
+   * @param {Object} project - Project with key and projectCategory ({ id, name })
+   * @returns {boolean} True when neither the project table nor the project category maps the project
+   */
+  needsProjectProperty(project) {
+    return this._getConfiguredUnit(project) === null;
+  }
+
+  /**
+   * Business unit from the admin project table or the project category, or null
+   * @private
+   */
+  _getConfiguredUnit(project) {
+    const configured = this.projects[project.key];
+    if (configured) return { businessUnit: configured, source: 'configuration' };
+
+    const category = project.projectCategory;
+    const fromCategory = category && (this.categories[category.name] || this.categories[category.id]);
+    if (fromCategory) return { businessUnit: fromCategory, source: 'project category' };
+
+    return null;
+  }
+
+  /**
+   * Resolve an executive's business unit; the executive directory wins over group membership,
+   * and groups listed earlier in the mapping win when the executive belongs to several
+   * @param {string} accountId - Executive account ID
+   * @param {Array<string>} [groups] - Jira group names the executive belongs to
+   * @returns {Object} Business unit and where it came from
+   */
+  getExecutiveUnit(accountId, groups = []) {
+    const listed = this.executives[accountId];
+    if (listed) return { businessUnit: listed, source: 'directory' };
+
+    const memberships = new Set(groups.map(group => group.toLowerCase()));
+    const mappedGroup = Object.keys(this.groups).find(group => memberships.has(group));
+    if (mappedGroup) return { businessUnit: this.groups[mappedGroup], source: 'group' };
+
+    return { businessUnit: this.defaultExecutiveUnit, source: 'default' };
+  }
+
+  toJSON() {
+    return {
+      projects: { ...this.projects },
+      categories: { ...this.categories },
+      executives: { ...this.executives },
+      groups: { ...this.groups },
+      defaultExecutiveUnit: this.defaultExecutiveUnit
+    };
+  }
+
+  /**
+   * Validates a business unit mapping document
+   * @param {Object} definition - Raw mapping
+   * @private
+   */
+  static _validate(definition) {
+    if (!definition || typeof definition !== 'object') {
+      throw new Error('Business unit mapping must be an object');
+    }
+
+    if (!BusinessUnitMapping._unitName(definition.defaultExecutiveUnit)) {
+      throw new Error('Business unit mapping requires a default executive unit');
+    }
+
+    Object.keys(definition.projects || {}).forEach(projectKey => {
+      if (!PROJECT_KEY_PATTERN.test(projectKey)) {
+        throw new Error(`Business unit project key ${projectKey} is not a valid Jira project key`);
+      }
+    });
+
+    ['projects', 'categories', 'executives', 'groups'].forEach(table => {
+      Object.entries(definition[table] || {}).forEach(([entry, businessUnit]) => {
+        if (!BusinessUnitMapping._unitName(businessUnit)) {
+          throw new Error(`Business unit for ${entry} in ${table} must be a non-empty name`);
+        }
+      });
+    });
+  }
+
+  /**
+   * A usable business unit name, or null
+   * @private
+   */
+  static _unitName(value) {
+    return typeof value === 'string' && value.trim() !== '' ? value.trim() : null;
+  }
+
+  static _lowerCaseKeys(table) {
+    return Object.entries(table).reduce((result, [key, value]) => ({
+      ...result,
+      [key.toLowerCase()]: value
+    }), {});
+  }
+}
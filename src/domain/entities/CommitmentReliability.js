@@ -0,0 +1,75 @@
+export const DEFAULT_RELIABILITY_SPRINTS = 6;
+
+/**
+ * Commitment Reliability Value Object
+ * Say/do ratio of one team (scrum board) over its recent closed sprints: how much of
+ * the work committed at sprint start was completed, and how much scope was added mid-sprint
+ */
+export class CommitmentReliability {
+  /**
+   * @param {Object} team - Board and its sprint reports
+   * @param {number} team.boardId - Board identifier
+   * @param {string} team.boardName - Board (team) name
+   * @param {Array<Object>} [team.sprints] - Sprint reports, oldest first, with committed, completed
+   *   and added issue counts and story points
+   */
+  constructor({ boardId, boardName, sprints = [] }) {
+    this.boardId = boardId;
+    this.boardName = boardName;
+    // Story points when the team estimates, otherwise issue counts
+    this.unit = sprints.some(sprint => sprint.committedPoints > 0) ? 'points' : 'issues';
+    this.sprints = Object.freeze(sprints.map(sprint => this._measureSprint(sprint)));
+    this.sayDoRatio = CommitmentReliability._ratio(
+      this.sprints.reduce((sum, sprint) => sum + sprint.completed, 0),
+      this.sprints.reduce((sum, sprint) => sum + sprint.committed, 0)
+    );
+
+    Object.freeze(this);
+  }
+
+  /**
+   * Average say/do ratio across teams; teams may measure in different units, so ratios are averaged
+   * @param {Array<Object>} teams - CommitmentReliability instances or their JSON
+   * @returns {number|null} Average ratio, or null when no team has a ratio
+   */
+  static averageSayDoRatio(teams) {
+    const ratios = teams.map(team => team.sayDoRatio).filter(ratio => ratio !== null && ratio !== undefined);
+    if (ratios.length === 0) return null;
+
+    return Math.round((ratios.reduce((sum, ratio) => sum + ratio, 0) / ratios.length) * 100) / 100;
+  }
+
+  toJSON() {
+    return {
+      boardId: this.boardId,
+      boardName: this.boardName,
+      unit: this.unit,
+      sayDoRatio: this.sayDoRatio,
+      sprints: this.sprints.map(sprint => ({ ...sprint }))
+    };
+  }
+
+  /**
+   * Express one sprint report in the team's unit
+   * @private
+   */
+  _measureSprint(sprint) {
+    const inPoints = this.unit === 'points';
+    const committed = (inPoints ? sprint.committedPoints : sprint.committedIssues) || 0;
+    const completed = (inPoints ? sprint.completedPoints : sprint.completedIssues) || 0;
+
+    return Object.freeze({
+      sprintId: sprint.sprintId,
+      name: sprint.name,
+      completeDate: sprint.completeDate || null,
+      committed,
+      completed,
+      addedScope: (inPoints ? sprint.addedPoints : sprint.addedIssues) || 0,
+      sayDoRatio: CommitmentReliability._ratio(completed, committed)
+    });
+  }
+
+  static _ratio(completed, committed) {
+    return committed > 0 ? Math.round((completed / committed) * 100) / 100 : null;
+  }
+}
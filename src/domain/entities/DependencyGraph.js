@@ -0,0 +1,135 @@
+/**
+ * Issue link types, by their inward description, meaning the issue waits on the linked issue.
+ * Admins may add their own, such as 'depends on'.
+ */
+export const DEFAULT_DEPENDENCY_LINK_TYPES = ['is blocked by'];
+
+const DEFAULT_CHAIN_LIMIT = 5;
+
+/**
+ * Dependency Graph Domain Entity
+ * Unresolved blocking links between the issues of an executive's projects, used to find projects
+ * waiting on work in other projects and the dependency chains most likely to hold delivery up
+ */
+export class DependencyGraph {
+  /**
+   * @param {Object} dependencyData - Portfolio projects (key, name) and blocking links
+   *   ({ linkType, blocker: { key, projectKey, summary }, blocked: { key, projectKey, summary } })
+   */
+  constructor(dependencyData) {
+    this.projects = dependencyData.projects || [];
+
+    const projectKeys = new Set(this.projects.map(project => project.key));
+    this.links = (dependencyData.links || []).filter(link =>
+      projectKeys.has(link.blocker.projectKey) && projectKeys.has(link.blocked.projectKey) &&
+      link.blocker.key !== link.blocked.key
+    );
+
+    this.issues = new Map(this.links.flatMap(link => [[link.blocker.key, link.blocker], [link.blocked.key, link.blocked]]));
+    this.blockersByIssue = this._groupKeys(this.links, link => link.blocked.key, link => link.blocker.key);
+    this.blockedByIssue = this._groupKeys(this.links, link => link.blocker.key, link => link.blocked.key);
+    this.chainsByIssue = new Map();
+  }
+
+  /**
+   * Projects with issues waiting, directly or through other issues, on work in another project
+   * @returns {Array<Object>} Project key, waiting issues, upstream projects and its most critical chain,
+   *   most waiting issues first
+   */
+  getProjectsAtRisk() {
+    const waitingByProject = [...this.issues.values()]
+      .map(issue => ({ issue, chain: this._getCriticalChain(issue.key) }))
+      .filter(({ chain }) => chain.projectKeys.length > 1)
+      .reduce((groups, waiting) => {
+        const projectKey = waiting.issue.projectKey;
+        groups.set(projectKey, [...(groups.get(projectKey) || []), waiting]);
+        return groups;
+      }, new Map());
+
+    return [...waitingByProject.entries()]
+      .map(([projectKey, waiting]) => ({
+        projectKey,
+        waitingIssues: waiting.length,
+        upstreamProjects: [...new Set(waiting.flatMap(({ chain }) => chain.projectKeys))]
+          .filter(key => key !== projectKey)
+          .sort(),
+        criticalChain: waiting.map(({ chain }) => chain).sort(DependencyGraph._compareChains)[0]
+      }))
+      .sort((a, b) => b.waitingIssues - a.waitingIssues || DependencyGraph._compareChains(a.criticalChain, b.criticalChain));
+  }
+
+  /**
+   * The dependency chains crossing most projects, then longest, ending at issues nothing else waits on
+   * @param {number} [limit=5] - Chains to return
+   * @returns {Array<Object>} Chains with their issues (upstream first), project keys and length
+   */
+  getCriticalChains(limit = DEFAULT_CHAIN_LIMIT) {
+    return [...this.issues.keys()]
+      .filter(key => !this.blockedByIssue.has(key))
+      .map(key => this._getCriticalChain(key))
+      .filter(chain => chain.projectKeys.length > 1)
+      .sort(DependencyGraph._compareChains)
+      .slice(0, limit);
+  }
+
+  /**
+   * One DEPENDENCY alert per project at risk, naming the upstream projects and the chain to chase
+   * @returns {Array<Object>} Alerts shaped like the portfolio's critical alerts
+   */
+  getDependencyAlerts() {
+    const namesByKey = new Map(this.projects.map(project => [project.key, project.name]));
+
+    return this.getProjectsAtRisk().map(risk => ({
+      projectKey: risk.projectKey,
+      projectName: namesByKey.get(risk.projectKey),
+      alertLevel: 'DEPENDENCY',
+      reason: `${risk.waitingIssues} ${risk.waitingIssues === 1 ? 'issue waits' : 'issues wait'} on ` +
+        `${risk.upstreamProjects.map(key => namesByKey.get(key)).join(', ')}: ` +
+        risk.criticalChain.issues.map(issue => issue.key).join(' → '),
+      chain: risk.criticalChain.issues.map(issue => issue.key)
+    }));
+  }
+
+  /**
+   * The most critical chain of blockers ending at an issue: crossing most projects, then longest
+   * An issue met again while its own chain is being built closes a cycle and is not followed
+   * @private
+   */
+  _getCriticalChain(issueKey, visiting = new Set()) {
+    if (this.chainsByIssue.has(issueKey)) return this.chainsByIssue.get(issueKey);
+
+    visiting.add(issueKey);
+    const upstreamChains = (this.blockersByIssue.get(issueKey) || [])
+      .filter(blockerKey => !visiting.has(blockerKey))
+      .map(blockerKey => this._getCriticalChain(blockerKey, visiting));
+    visiting.delete(issueKey);
+
+    const issues = [...(upstreamChains.sort(DependencyGraph._compareChains)[0]?.issues || []), this.issues.get(issueKey)];
+    const chain = {
+      issues,
+      projectKeys: [...new Set(issues.map(issue => issue.projectKey))],
+      length: issues.length
+    };
+
+    this.chainsByIssue.set(issueKey, chain);
+    return chain;
+  }
+
+  /**
+   * Map each key to the distinct values linked to it
+   * @private
+   */
+  _groupKeys(links, getKey, getValue) {
+    return links.reduce((groups, link) => {
+      const values = groups.get(getKey(link)) || [];
+      if (!values.includes(getValue(link))) {
+        groups.set(getKey(link), [...values, getValue(link)]);
+      }
+      return groups;
+    }, new Map());
+  }
+
+  static _compareChains(a, b) {
+    return b.projectKeys.length - a.projectKeys.length || b.length - a.length;
+  }
+}
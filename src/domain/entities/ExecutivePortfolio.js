@@ -1,77 +1,322 @@
+import { ScoringPolicy } from './ScoringPolicy.js';
+import { FLOW_METRIC_NAMES } from './FlowMetrics.js';
+import { CommitmentReliability } from './CommitmentReliability.js';
+
 /**
  * Executive Portfolio Domain Entity
  * Core business logic for executive portfolio health tracking
  */
 export class ExecutivePortfolio {
-  constructor(executiveId, portfolioData) {
+  constructor(executiveId, portfolioData, scoringPolicy) {
     this.executiveId = executiveId;
     this.projects = portfolioData.projects || [];
+    this.scoringPolicy = ScoringPolicy.from(scoringPolicy);
     this.lastUpdated = new Date();
   }
 
   calculateHealthScore() {
-    if (this.projects.length === 0) return 0;
+    const scoredProjects = this._getScoredProjects();
+    if (scoredProjects.length === 0) return 0;
+
+    return Math.round(this._weightedAverage(scoredProjects.map(project => ({
+      project,
+      score: this._calculateProjectHealth(project)
+    }))));
+  }
 
-    const totalScore = this.projects.reduce((sum, project) => {
-      return sum + this._calculateProjectHealth(project);
-    }, 0);
+  /**
+   * Average health judged on ratios against each project's size band instead of absolute counts
+   * @returns {number|null} Size-normalised health, or null when the policy does not normalise by size
+   *   or no project has size data
+   */
+  calculateNormalisedHealthScore() {
+    const scores = this._getScoredProjects()
+      .map(project => ({ project, score: this._calculateNormalisedHealth(project) }))
+      .filter(({ score }) => score !== null);
+    if (scores.length === 0) return null;
 
-    return Math.round(totalScore / this.projects.length);
+    return Math.round(this._weightedAverage(scores));
   }
 
+  /**
+   * Critical alerts, most strategically important project first
+   * @returns {Array<Object>} Alerts with project, level, reason and scoring policy
+   */
   getCriticalAlerts() {
-    return this.projects
-      .filter(project => this._isProjectCritical(project))
+    return this.sortByStrategicWeight(this.projects.filter(project => this._isProjectCritical(project)))
       .map(project => ({
         projectKey: project.key,
         projectName: project.name,
         alertLevel: 'CRITICAL',
-        reason: this._getCriticalReason(project)
+        reason: this._getCriticalReason(project),
+        scoringPolicy: this.scoringPolicy.getIdentity()
       }));
   }
 
   getPortfolioSummary() {
+    const { onTrackThreshold } = this.scoringPolicy;
+    const scoredProjects = this._getScoredProjects();
+    const atRiskProjects = scoredProjects.filter(p => this._calculateProjectHealth(p) < onTrackThreshold);
+    const needsAttentionProjects = this.projects.filter(p =>
+      (this._hasCompleteData(p) && this._calculateProjectHealth(p) < onTrackThreshold) || this._isProjectCritical(p)
+    );
+
     return {
       totalProjects: this.projects.length,
       healthScore: this.calculateHealthScore(),
+      normalisedHealthScore: this.calculateNormalisedHealthScore(),
       criticalAlerts: this.getCriticalAlerts().length,
-      onTrackProjects: this.projects.filter(p => this._calculateProjectHealth(p) >= 70).length,
-      atRiskProjects: this.projects.filter(p => this._calculateProjectHealth(p) < 70).length
+      onTrackProjects: scoredProjects.filter(p => this._calculateProjectHealth(p) >= onTrackThreshold).length,
+      atRiskProjects: atRiskProjects.length,
+      weightedAtRiskProjects: this._sumWeights(atRiskProjects),
+      needsAttentionProjects: needsAttentionProjects.length,
+      weightedNeedsAttentionProjects: this._sumWeights(needsAttentionProjects),
+      incompleteDataProjects: this.projects.length - scoredProjects.length,
+      sayDoRatio: CommitmentReliability.averageSayDoRatio(this._getTeams()),
+      scoringPolicy: this.scoringPolicy.getIdentity()
     };
   }
 
-  _calculateProjectHealth(project) {
-    // Business logic for project health calculation
-    let score = 100;
+  getProjectHealthBreakdown() {
+    const { onTrackThreshold } = this.scoringPolicy;
 
-    // Deduct points for overdue issues
-    if (project.overdueIssues > 0) {
-      score -= Math.min(30, project.overdueIssues * 5);
-    }
+    return this.projects.map(project => {
+      const unavailableMetrics = this._getUnavailableMetrics(project);
+      const hasCompleteData = unavailableMetrics.length === 0;
+      const healthScore = hasCompleteData ? this._calculateProjectHealth(project) : null;
+      const isCritical = this._isProjectCritical(project);
 
-    // Deduct points for blocked issues
-    if (project.blockedIssues > 0) {
-      score -= Math.min(20, project.blockedIssues * 3);
-    }
+      let status = 'Data Unavailable';
+      if (hasCompleteData) status = healthScore >= onTrackThreshold ? 'On Track' : 'At Risk';
+      if (isCritical) status = 'Critical';
+
+      return {
+        key: project.key,
+        name: project.name,
+        healthScore,
+        normalisedHealthScore: hasCompleteData ? this._calculateNormalisedHealth(project) : null,
+        sizeBand: project.sizeMetrics ? this.scoringPolicy.getSizeBand(project.sizeMetrics.openIssues)?.name ?? null : null,
+        status,
+        criticalReason: isCritical ? this._getCriticalReason(project) : null,
+        metrics: this._getScoredMetrics(project),
+        unavailableMetrics
+      };
+    });
+  }
+
+  /**
+   * Everything known about one project: health breakdown, delivery flow and team commitment reliability
+   * @param {string} projectKey - Jira project key
+   * @returns {Object|null} Project drill-down, or null when the project is not in the portfolio
+   */
+  getProjectDrillDown(projectKey) {
+    const project = this.projects.find(candidate => candidate.key === projectKey);
+    if (!project) return null;
+
+    const teams = project.commitmentReliability || [];
+
+    return {
+      ...this.getProjectHealthBreakdown().find(breakdown => breakdown.key === projectKey),
+      flow: project.flowMetrics || null,
+      commitment: project.commitmentReliability
+        ? { sayDoRatio: CommitmentReliability.averageSayDoRatio(teams), teams }
+        : null
+    };
+  }
+
+  /**
+   * Delivery flow across the portfolio and per project, for projects Jira provided flow data for
+   * @returns {Object} Total throughput and WIP, slowest 85th-percentile cycle time and per-project flow
+   */
+  getFlowIndicators() {
+    const flowProjects = this.projects.filter(project => project.flowMetrics);
+    const cycleTimes = flowProjects
+      .map(project => project.flowMetrics.cycleTimeP85Days)
+      .filter(cycleTime => cycleTime !== null && cycleTime !== undefined);
+
+    return {
+      windowDays: flowProjects[0]?.flowMetrics.windowDays ?? null,
+      throughput: flowProjects.reduce((sum, project) => sum + (project.flowMetrics.throughput || 0), 0),
+      wip: flowProjects.reduce((sum, project) => sum + (project.flowMetrics.wip || 0), 0),
+      slowestCycleTimeP85Days: cycleTimes.length > 0 ? Math.max(...cycleTimes) : null,
+      projectsWithoutFlowData: this.projects.length - flowProjects.length,
+      projects: flowProjects.map(project => ({
+        key: project.key,
+        name: project.name,
+        ...FLOW_METRIC_NAMES.reduce((flow, metric) => ({ ...flow, [metric]: project.flowMetrics[metric] ?? null }), {})
+      }))
+    };
+  }
+
+  /**
+   * Order items about projects (projects themselves, or anything with a projectKey) by the
+   * strategic weight of their project, keeping the existing order between equally weighted ones
+   * @param {Array<Object>} items - Projects or items with a projectKey
+   * @returns {Array<Object>} New array, heaviest project first
+   */
+  sortByStrategicWeight(items) {
+    const weightsByKey = new Map(this.projects.map(project => [project.key, this._getStrategicWeight(project)]));
+    const weightOf = item => weightsByKey.get(item.projectKey ?? item.key) ?? 1;
+
+    return [...items].sort((a, b) => weightOf(b) - weightOf(a));
+  }
+
+  /**
+   * Teams (boards) working on the portfolio, each counted once even when it spans projects
+   * @private
+   */
+  _getTeams() {
+    const teams = this.projects.flatMap(project => project.commitmentReliability || []);
+    return [...new Map(teams.map(team => [team.boardId, team])).values()];
+  }
+
+  /**
+   * Strategic weight of a project; projects without one count once, as in an unweighted portfolio
+   * @private
+   */
+  _getStrategicWeight(project) {
+    return project.strategicWeight ?? 1;
+  }
+
+  /**
+   * Average project scores, each counting as much as its project's strategic weight
+   * @private
+   */
+  _weightedAverage(scoredProjects) {
+    const totalWeight = scoredProjects.reduce((sum, { project }) => sum + this._getStrategicWeight(project), 0);
+    return scoredProjects.reduce((sum, { project, score }) => sum + score * this._getStrategicWeight(project), 0) /
+      totalWeight;
+  }
+
+  /**
+   * Total strategic weight of some projects, rounded to one decimal
+   * @private
+   */
+  _sumWeights(projects) {
+    return Math.round(projects.reduce((sum, project) => sum + this._getStrategicWeight(project), 0) * 10) / 10;
+  }
 
-    // Deduct points for high priority unresolved issues
-    if (project.highPriorityIssues > 0) {
-      score -= Math.min(25, project.highPriorityIssues * 2);
+  /**
+   * Projects with every scored metric available; the rest must not count as healthy
+   * @private
+   */
+  _getScoredProjects() {
+    return this.projects.filter(project => this._hasCompleteData(project));
+  }
+
+  _hasCompleteData(project) {
+    return this._getUnavailableMetrics(project).length === 0;
+  }
+
+  /**
+   * Policy metrics Jira could not provide for a project, either for the whole project
+   * (dataUnavailable) or per metric (metricAvailability[metric] === false)
+   * @private
+   */
+  _getUnavailableMetrics(project) {
+    return this._getPolicyMetricNames().filter(metric => !this._isMetricAvailable(project, metric));
+  }
+
+  _isMetricAvailable(project, metric) {
+    if (FLOW_METRIC_NAMES.includes(metric)) {
+      return Boolean(project.flowMetrics);
     }
+    return !project.dataUnavailable && project.metricAvailability?.[metric] !== false;
+  }
+
+  /**
+   * Read a metric from the project's issue counts or, for flow indicators, its flow metrics
+   * @private
+   */
+  _getMetricValue(project, metric) {
+    return FLOW_METRIC_NAMES.includes(metric) ? project.flowMetrics?.[metric] : project[metric];
+  }
+
+  _getPolicyMetricNames() {
+    return [...new Set([
+      ...this.scoringPolicy.factors.map(factor => factor.metric),
+      ...this.scoringPolicy.criticalThresholds.metrics.map(threshold => threshold.metric)
+    ])];
+  }
+
+  _getScoredMetrics(project) {
+    return this._getPolicyMetricNames().reduce((metrics, metric) => ({
+      ...metrics,
+      [metric]: this._isMetricAvailable(project, metric) ? this._getMetricValue(project, metric) || 0 : null
+    }), {});
+  }
+
+  _calculateProjectHealth(project) {
+    // Deduct points per unit above each factor's allowance, capped per factor
+    const score = this.scoringPolicy.factors.reduce((currentScore, factor) => {
+      const excess = (this._getMetricValue(project, factor.metric) || 0) - factor.above;
+      if (excess <= 0) return currentScore;
+
+      return currentScore - Math.min(factor.maxDeduction, excess * factor.pointsPerIssue);
+    }, this.scoringPolicy.baseScore);
 
     return Math.max(0, score);
   }
 
+  /**
+   * Deduct points per percentage point of each ratio above the tolerance of the project's size band
+   * @private
+   */
+  _calculateNormalisedHealth(project) {
+    const { normalisation } = this.scoringPolicy;
+    if (!normalisation || !project.sizeMetrics) return null;
+
+    const band = this.scoringPolicy.getSizeBand(project.sizeMetrics.openIssues);
+    const score = normalisation.ratios.reduce((currentScore, ratio) => {
+      const excess = this._getRatioPercent(project, ratio) - band.tolerancePercent;
+      if (excess <= 0) return currentScore;
+
+      return currentScore - Math.min(ratio.maxDeduction, excess * ratio.pointsPerPercent);
+    }, this.scoringPolicy.baseScore);
+
+    return Math.max(0, Math.round(score));
+  }
+
+  /**
+   * A metric as a percentage of a size measure, e.g. overdue issues per open issue
+   * @private
+   */
+  _getRatioPercent(project, ratio) {
+    const count = this._getMetricValue(project, ratio.metric) || 0;
+    const size = project.sizeMetrics[ratio.per] || 0;
+
+    // Counted work with nothing to divide by (e.g. blocked issues but none in progress) is the worst ratio
+    if (size === 0) return count > 0 ? 100 : 0;
+    return Math.min(100, (count / size) * 100);
+  }
+
   _isProjectCritical(project) {
-    return this._calculateProjectHealth(project) < 50 ||
-           project.overdueIssues > 5 ||
-           project.blockedIssues > 3;
+    return this._isHealthBelowCriticalThreshold(project) ||
+           this._getBreachedThreshold(project) !== undefined;
   }
 
   _getCriticalReason(project) {
-    if (project.overdueIssues > 5) return `${project.overdueIssues} overdue issues`;
-    if (project.blockedIssues > 3) return `${project.blockedIssues} blocked issues`;
-    if (this._calculateProjectHealth(project) < 50) return 'Overall health below 50%';
+    const breachedThreshold = this._getBreachedThreshold(project);
+    if (breachedThreshold) {
+      return `${this._getMetricValue(project, breachedThreshold.metric)} ${breachedThreshold.label || breachedThreshold.metric}`;
+    }
+    if (this._isHealthBelowCriticalThreshold(project)) {
+      return `Overall health below ${this.scoringPolicy.criticalThresholds.healthScoreBelow}%`;
+    }
     return 'Multiple risk factors';
   }
-}
\ No newline at end of file
+
+  _getBreachedThreshold(project) {
+    // A known breach is reported even when other metrics are missing
+    return this.scoringPolicy.criticalThresholds.metrics
+      .filter(threshold => this._isMetricAvailable(project, threshold.metric))
+      .find(threshold => (this._getMetricValue(project, threshold.metric) || 0) > threshold.above);
+  }
+
+  _isHealthBelowCriticalThreshold(project) {
+    const { healthScoreBelow } = this.scoringPolicy.criticalThresholds;
+    return healthScoreBelow !== null &&
+           this._hasCompleteData(project) &&
+           this._calculateProjectHealth(project) < healthScoreBelow;
+  }
+}
@@ -0,0 +1,48 @@
+/**
+ * Executive Role Value Objects
+ * Roles the briefing layer tailors content for, in detection priority order
+ */
+export const EXECUTIVE_ROLES = Object.freeze({
+  CEO: Object.freeze({
+    key: 'CEO',
+    label: 'CEO',
+    greeting: 'Executive Summary',
+    focus: 'Strategic risk'
+  }),
+  CTO: Object.freeze({
+    key: 'CTO',
+    label: 'CTO',
+    greeting: 'Technical Overview',
+    focus: 'Technical debt and blocked work'
+  }),
+  HEAD_OF_DELIVERY: Object.freeze({
+    key: 'HEAD_OF_DELIVERY',
+    label: 'Head of Delivery',
+    greeting: 'Delivery Status',
+    focus: 'Commitment reliability'
+  }),
+  EXECUTIVE: Object.freeze({
+    key: 'EXECUTIVE',
+    label: 'Executive',
+    greeting: 'Portfolio Briefing',
+    focus: 'Portfolio health'
+  })
+});
+
+/**
+ * Look up an executive role, falling back to the generic executive role
+ * @param {string} roleKey - Role key (e.g. 'CTO')
+ * @returns {Object} Executive role definition
+ */
+export function getExecutiveRole(roleKey) {
+  return EXECUTIVE_ROLES[roleKey] || EXECUTIVE_ROLES.EXECUTIVE;
+}
+
+/**
+ * Check whether a role key names a known executive role
+ * @param {string} roleKey - Role key to check
+ * @returns {boolean} True for CEO, CTO, HEAD_OF_DELIVERY and EXECUTIVE
+ */
+export function isExecutiveRole(roleKey) {
+  return Object.prototype.hasOwnProperty.call(EXECUTIVE_ROLES, roleKey);
+}
@@ -0,0 +1,151 @@
+import { EXECUTIVE_ROLES, isExecutiveRole } from './ExecutiveRole.js';
+
+/**
+ * Default executive roster. Nobody is registered by name until an admin adds them; holders of
+ * the CEO, CTO and Head of Delivery app roles are recognised as executives from the start.
+ */
+export const DEFAULT_EXECUTIVE_ROSTER = {
+  accounts: {},
+  groups: [],
+  appRoles: [EXECUTIVE_ROLES.CEO.key, EXECUTIVE_ROLES.CTO.key, EXECUTIVE_ROLES.HEAD_OF_DELIVERY.key]
+};
+
+/**
+ * Executive Roster Value Object
+ * Admin-maintained registry deciding which Atlassian accounts are executives: accounts registered
+ * by account ID, members of executive Jira groups, and holders of executive app roles.
+ */
+export class ExecutiveRoster {
+  constructor(definition) {
+    ExecutiveRoster._validate(definition);
+
+    this.accounts = Object.freeze(Object.entries(definition.accounts || {}).reduce((accounts, [accountId, details]) => ({
+      ...accounts,
+      [accountId]: Object.freeze({ displayName: details.displayName || null })
+    }), {}));
+    this.groups = Object.freeze((definition.groups || []).map(group => group.toLowerCase()));
+    this.appRoles = Object.freeze([...(definition.appRoles || [])]);
+
+    Object.freeze(this);
+  }
+
+  /**
+   * Create the default executive roster
+   * @returns {ExecutiveRoster} Roster recognising executive app roles only
+   */
+  static default() {
+    return new ExecutiveRoster(DEFAULT_EXECUTIVE_ROSTER);
+  }
+
+  /**
+   * Normalise a roster instance or plain definition into ExecutiveRoster
+   * @param {ExecutiveRoster|Object} [roster] - Instance or plain definition
+   * @returns {ExecutiveRoster} Executive roster (default when none supplied)
+   */
+  static from(roster) {
+    if (!roster) return ExecutiveRoster.default();
+    if (roster instanceof ExecutiveRoster) return roster;
+    return new ExecutiveRoster(roster);
+  }
+
+  /**
+   * Decide whether an account is an executive; registration wins over group membership,
+   * which wins over app role
+   * @param {Object} user - What is known about the user
+   * @param {string} user.accountId - Atlassian account ID
+   * @param {Array<string>} [user.groups] - Jira groups they belong to
+   * @param {string|null} [user.appRole] - Their detected app role (e.g. 'CTO')
+   * @returns {Object} Whether they are an executive and what identified them (roster, group, app role or null)
+   */
+  identify({ accountId, groups = [], appRole = null }) {
+    if (this.isRegistered(accountId)) {
+      return { isExecutive: true, source: 'roster' };
+    }
+    if (groups.some(group => this.groups.includes(group.toLowerCase()))) {
+      return { isExecutive: true, source: 'group' };
+    }
+    if (appRole && this.appRoles.includes(appRole)) {
+      return { isExecutive: true, source: 'app role' };
+    }
+    return { isExecutive: false, source: null };
+  }
+
+  /**
+   * Whether the account is registered by account ID
+   * @param {string} accountId - Atlassian account ID
+   * @returns {boolean} True for registered executives
+   */
+  isRegistered(accountId) {
+    return Object.prototype.hasOwnProperty.call(this.accounts, accountId);
+  }
+
+  /**
+   * Roster with an account registered, replacing any earlier registration of it
+   * @param {string} accountId - Atlassian account ID
+   * @param {Object} [details] - Display name
+   * @returns {ExecutiveRoster} Updated roster
+   */
+  withExecutive(accountId, details = {}) {
+    const definition = this.toJSON();
+    return new ExecutiveRoster({ ...definition, accounts: { ...definition.accounts, [accountId]: details } });
+  }
+
+  /**
+   * Roster without an account's registration
+   * @param {string} accountId - Atlassian account ID
+   * @returns {ExecutiveRoster} Updated roster
+   */
+  withoutExecutive(accountId) {
+    const definition = this.toJSON();
+    const accounts = Object.fromEntries(Object.entries(definition.accounts).filter(([registered]) => registered !== accountId));
+    return new ExecutiveRoster({ ...definition, accounts });
+  }
+
+  toJSON() {
+    return {
+      accounts: Object.entries(this.accounts).reduce((accounts, [accountId, details]) => ({
+        ...accounts,
+        [accountId]: { ...details }
+      }), {}),
+      groups: [...this.groups],
+      appRoles: [...this.appRoles]
+    };
+  }
+
+  /**
+   * Validates an executive roster document
+   * @param {Object} definition - Raw roster
+   * @private
+   */
+  static _validate(definition) {
+    if (!definition || typeof definition !== 'object') {
+      throw new Error('Executive roster must be an object');
+    }
+
+    Object.entries(definition.accounts || {}).forEach(([accountId, details]) => {
+      if (accountId.trim() === '') {
+        throw new Error('Executive roster accounts must be keyed by account ID');
+      }
+      if (!details || typeof details !== 'object' ||
+          (details.displayName !== undefined && details.displayName !== null && typeof details.displayName !== 'string')) {
+        throw new Error(`Roster entry for ${accountId} must be an object with an optional display name`);
+      }
+    });
+
+    if (!Array.isArray(definition.groups || []) ||
+        (definition.groups || []).some(group => typeof group !== 'string' || group.trim() === '')) {
+      throw new Error('Executive groups must be a list of group names');
+    }
+
+    if (!Array.isArray(definition.appRoles || [])) {
+      throw new Error('Executive app roles must be a list');
+    }
+
+    const invalidRoles = (definition.appRoles || [])
+      .filter(role => !isExecutiveRole(role) || role === EXECUTIVE_ROLES.EXECUTIVE.key);
+    if (invalidRoles.length > 0) {
+      // EXECUTIVE is every user's fallback role, so it would recognise everyone
+      throw new Error(`App roles cannot identify executives: ${invalidRoles.join(', ')}`);
+    }
+  }
+}
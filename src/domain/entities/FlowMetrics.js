@@ -0,0 +1,60 @@
+export const DEFAULT_FLOW_WINDOW_DAYS = 30;
+
+/**
+ * Flow indicators a scoring policy may use as factor metrics alongside issue counts
+ */
+export const FLOW_METRIC_NAMES = Object.freeze(['throughput', 'cycleTimeMedianDays', 'cycleTimeP85Days', 'wip']);
+
+/**
+ * Flow Metrics Value Object
+ * Delivery flow of one project over a rolling window: resolved-issue throughput,
+ * cycle time percentiles and current work in progress
+ */
+export class FlowMetrics {
+  /**
+   * @param {Object} flowData - Raw flow data for one project
+   * @param {number} flowData.throughput - Issues resolved within the window
+   * @param {Array<number>} [flowData.cycleTimesDays] - Cycle time in days of each resolved issue with a known start
+   * @param {number} [flowData.wip] - Issues currently in progress
+   * @param {number} [flowData.windowDays] - Length of the rolling window in days
+   */
+  constructor(flowData) {
+    const cycleTimes = [...(flowData.cycleTimesDays || [])].sort((a, b) => a - b);
+
+    this.windowDays = flowData.windowDays || DEFAULT_FLOW_WINDOW_DAYS;
+    this.throughput = flowData.throughput || 0;
+    this.cycleTimeMedianDays = FlowMetrics._percentile(cycleTimes, 50);
+    this.cycleTimeP85Days = FlowMetrics._percentile(cycleTimes, 85);
+    this.wip = flowData.wip || 0;
+
+    Object.freeze(this);
+  }
+
+  toJSON() {
+    return {
+      windowDays: this.windowDays,
+      throughput: this.throughput,
+      cycleTimeMedianDays: this.cycleTimeMedianDays,
+      cycleTimeP85Days: this.cycleTimeP85Days,
+      wip: this.wip
+    };
+  }
+
+  /**
+   * Percentile with linear interpolation between ranks, to one decimal place
+   * @param {Array<number>} sortedValues - Values in ascending order
+   * @param {number} percentile - Percentile between 0 and 100
+   * @returns {number|null} Percentile value, or null without samples
+   * @private
+   */
+  static _percentile(sortedValues, percentile) {
+    if (sortedValues.length === 0) return null;
+
+    const rank = (percentile / 100) * (sortedValues.length - 1);
+    const lower = Math.floor(rank);
+    const upper = Math.ceil(rank);
+    const value = sortedValues[lower] + (sortedValues[upper] - sortedValues[lower]) * (rank - lower);
+
+    return Math.round(value * 10) / 10;
+  }
+}
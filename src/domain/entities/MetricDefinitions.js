@@ -0,0 +1,172 @@
+/**
+ * Default metric JQL, matching the original hard-coded health queries, plus open bugs as the
+ * technical quality measure. Each fragment is combined with a project clause, so it must not
+ * contain ORDER BY.
+ */
+export const DEFAULT_METRIC_DEFINITIONS = {
+  metrics: {
+    overdueIssues: { label: 'overdue issues', jql: 'due < now() AND resolution is EMPTY' },
+    blockedIssues: { label: 'blocked issues', jql: 'status = "Blocked" AND resolution is EMPTY' },
+    highPriorityIssues: { label: 'high priority issues', jql: 'priority in ("High", "Highest") AND resolution is EMPTY' },
+    openBugs: { label: 'open bugs', jql: 'issuetype = "Bug" AND resolution is EMPTY' }
+  },
+  projectOverrides: {}
+};
+
+/**
+ * Ready-made ways to define "blocked" for teams that do not use a Blocked status
+ */
+export const BLOCKED_JQL_PRESETS = Object.freeze({
+  status: 'status = "Blocked" AND resolution is EMPTY',
+  flagged: 'flagged = "Impediment" AND resolution is EMPTY',
+  statusCategoryAndFlag: 'statusCategory = "In Progress" AND flagged is not EMPTY AND resolution is EMPTY'
+});
+
+const METRIC_NAME_PATTERN = /^[a-z][A-Za-z0-9]*$/;
+const PROJECT_KEY_PATTERN = /^[A-Z][A-Z0-9_]+$/;
+const ORDER_BY_PATTERN = /\border\s+by\b/i;
+
+/**
+ * Metric Definitions Value Object
+ * Admin-defined JQL fragment per health metric, with per-project overrides
+ */
+export class MetricDefinitions {
+  constructor(definition) {
+    MetricDefinitions._validate(definition);
+
+    this.metrics = Object.freeze(Object.entries(definition.metrics).reduce((metrics, [name, metric]) => ({
+      ...metrics,
+      [name]: Object.freeze({ label: metric.label || name, jql: metric.jql.trim() })
+    }), {}));
+    this.projectOverrides = Object.freeze(Object.entries(definition.projectOverrides || {})
+      .reduce((overrides, [projectKey, projectMetrics]) => ({
+        ...overrides,
+        [projectKey]: Object.freeze(Object.entries(projectMetrics).reduce((trimmed, [name, jql]) => ({
+          ...trimmed,
+          [name]: jql.trim()
+        }), {}))
+      }), {}));
+    this.revision = MetricDefinitions._fingerprint(this.toJSON());
+
+    Object.freeze(this);
+  }
+
+  /**
+   * Create the default metric definitions
+   * @returns {MetricDefinitions} Definitions reproducing the original queries
+   */
+  static default() {
+    return new MetricDefinitions(DEFAULT_METRIC_DEFINITIONS);
+  }
+
+  /**
+   * Normalise a definitions instance or plain definition into MetricDefinitions
+   * @param {MetricDefinitions|Object} [definitions] - Instance or plain definition
+   * @returns {MetricDefinitions} Metric definitions (default when none supplied)
+   */
+  static from(definitions) {
+    if (!definitions) return MetricDefinitions.default();
+    if (definitions instanceof MetricDefinitions) return definitions;
+    return new MetricDefinitions(definitions);
+  }
+
+  /**
+   * Names of every defined metric
+   * @returns {Array<string>} Metric names
+   */
+  getMetricNames() {
+    return Object.keys(this.metrics);
+  }
+
+  /**
+   * JQL fragment counting a metric for one project, honouring that project's override
+   * @param {string} metric - Metric name
+   * @param {string} projectKey - Jira project key
+   * @returns {string} JQL fragment without the project clause
+   */
+  getJql(metric, projectKey) {
+    return this.projectOverrides[projectKey]?.[metric] || this.metrics[metric].jql;
+  }
+
+  /**
+   * Every distinct JQL fragment, so all of them can be checked by Jira before saving
+   * @returns {Array<string>} Unique JQL fragments
+   */
+  getAllJql() {
+    return [...new Set([
+      ...Object.values(this.metrics).map(metric => metric.jql),
+      ...Object.values(this.projectOverrides).flatMap(projectMetrics => Object.values(projectMetrics))
+    ])];
+  }
+
+  toJSON() {
+    return {
+      metrics: Object.entries(this.metrics).reduce((metrics, [name, metric]) => ({
+        ...metrics,
+        [name]: { ...metric }
+      }), {}),
+      projectOverrides: Object.entries(this.projectOverrides).reduce((overrides, [projectKey, projectMetrics]) => ({
+        ...overrides,
+        [projectKey]: { ...projectMetrics }
+      }), {})
+    };
+  }
+
+  /**
+   * Validates a metric definitions document
+   * @param {Object} definition - Raw definitions
+   * @private
+   */
+  static _validate(definition) {
+    if (!definition || typeof definition !== 'object' || !definition.metrics ||
+        Object.keys(definition.metrics).length === 0) {
+      throw new Error('Metric definitions require at least one metric');
+    }
+
+    Object.entries(definition.metrics).forEach(([name, metric]) => {
+      if (!METRIC_NAME_PATTERN.test(name)) {
+        throw new Error(`Metric name ${name} must be camelCase (e.g. blockedIssues)`);
+      }
+      MetricDefinitions._validateJql(metric?.jql, `Metric ${name}`);
+    });
+
+    Object.entries(definition.projectOverrides || {}).forEach(([projectKey, projectMetrics]) => {
+      if (!PROJECT_KEY_PATTERN.test(projectKey)) {
+        throw new Error(`Metric override project key ${projectKey} is not a valid Jira project key`);
+      }
+
+      Object.entries(projectMetrics || {}).forEach(([name, jql]) => {
+        if (!definition.metrics[name]) {
+          throw new Error(`Metric override ${projectKey}.${name} refers to an undefined metric`);
+        }
+        MetricDefinitions._validateJql(jql, `Metric override ${projectKey}.${name}`);
+      });
+    });
+  }
+
+  /**
+   * Validates one JQL fragment
+   * @private
+   */
+  static _validateJql(jql, subject) {
+    if (typeof jql !== 'string' || jql.trim() === '') {
+      throw new Error(`${subject} needs a JQL fragment`);
+    }
+    if (ORDER_BY_PATTERN.test(jql)) {
+      throw new Error(`${subject} JQL must not contain ORDER BY`);
+    }
+  }
+
+  /**
+   * Short content hash so cached counts are never reused across definition changes
+   * @private
+   */
+  static _fingerprint(value) {
+    const text = JSON.stringify(value);
+    let hash = 5381;
+    for (let index = 0; index < text.length; index++) {
+      hash = ((hash * 33) ^ text.charCodeAt(index)) >>> 0;
+    }
+    return hash.toString(36);
+  }
+}
@@ -0,0 +1,146 @@
+export const PERMISSION_TYPES = Object.freeze(['PORTFOLIO_VIEW', 'FINANCIAL_DATA', 'DETAILED_METRICS']);
+
+/** Scope granting a permission for every business unit */
+export const ALL_UNITS = 'All_Units';
+
+/**
+ * Default permission mapping. Every executive may view their own business unit's portfolio,
+ * and members of executive-ceo see everything until an admin saves a mapping of their own.
+ */
+export const DEFAULT_PERMISSION_MAPPING = {
+  ownBusinessUnit: ['PORTFOLIO_VIEW'],
+  groups: {
+    'executive-ceo': { permissions: [...PERMISSION_TYPES], scope: [ALL_UNITS] }
+  },
+  projectRoles: {}
+};
+
+/**
+ * Permission Mapping Value Object
+ * Admin-maintained rules turning an executive's business unit, Jira groups and project roles into
+ * scoped permissions. Group grants name their business units; a project role grants its
+ * permissions for the business units of the projects where the executive holds that role.
+ */
+export class PermissionMapping {
+  constructor(definition) {
+    PermissionMapping._validate(definition);
+
+    this.ownBusinessUnit = Object.freeze([...(definition.ownBusinessUnit || [])]);
+    this.groups = Object.freeze(Object.entries(definition.groups || {}).reduce((groups, [group, grant]) => ({
+      ...groups,
+      [group.toLowerCase()]: Object.freeze({ permissions: [...grant.permissions], scope: [...grant.scope] })
+    }), {}));
+    this.projectRoles = Object.freeze(Object.entries(definition.projectRoles || {}).reduce((roles, [role, grant]) => ({
+      ...roles,
+      [role]: Object.freeze({ permissions: [...grant.permissions] })
+    }), {}));
+
+    Object.freeze(this);
+  }
+
+  /**
+   * Create the default permission mapping
+   * @returns {PermissionMapping} Mapping granting each executive their own unit
+   */
+  static default() {
+    return new PermissionMapping(DEFAULT_PERMISSION_MAPPING);
+  }
+
+  /**
+   * Normalise a mapping instance or plain definition into PermissionMapping
+   * @param {PermissionMapping|Object} [mapping] - Instance or plain definition
+   * @returns {PermissionMapping} Permission mapping (default when none supplied)
+   */
+  static from(mapping) {
+    if (!mapping) return PermissionMapping.default();
+    if (mapping instanceof PermissionMapping) return mapping;
+    return new PermissionMapping(mapping);
+  }
+
+  /**
+   * Project role names the mapping grants permissions for
+   * @returns {Array<string>} Role names
+   */
+  getMappedProjectRoles() {
+    return Object.keys(this.projectRoles);
+  }
+
+  /**
+   * Work out an executive's permissions
+   * @param {Object} executive - What is known about the executive
+   * @param {string|null} executive.businessUnit - Their own business unit
+   * @param {Array<string>} [executive.groups] - Jira groups they belong to
+   * @param {Array<Object>} [executive.projectRoles] - Roles they hold ({ role, businessUnit of the project })
+   * @returns {Array<Object>} One permission per type ({ type, scope }) with every unit it covers
+   */
+  getPermissions({ businessUnit, groups = [], projectRoles = [] }) {
+    const memberships = new Set(groups.map(group => group.toLowerCase()));
+
+    const grants = [
+      ...(businessUnit ? this.ownBusinessUnit.map(type => ({ type, unit: businessUnit })) : []),
+      ...Object.entries(this.groups)
+        .filter(([group]) => memberships.has(group))
+        .flatMap(([, grant]) => grant.permissions.flatMap(type => grant.scope.map(unit => ({ type, unit })))),
+      ...projectRoles
+        .filter(({ role, businessUnit: unit }) => this.projectRoles[role] && unit)
+        .flatMap(({ role, businessUnit: unit }) => this.projectRoles[role].permissions.map(type => ({ type, unit })))
+    ];
+
+    return PERMISSION_TYPES
+      .map(type => ({
+        type,
+        scope: [...new Set(grants.filter(grant => grant.type === type).map(grant => grant.unit))]
+      }))
+      .filter(permission => permission.scope.length > 0);
+  }
+
+  toJSON() {
+    return {
+      ownBusinessUnit: [...this.ownBusinessUnit],
+      groups: Object.entries(this.groups).reduce((groups, [group, grant]) => ({
+        ...groups,
+        [group]: { permissions: [...grant.permissions], scope: [...grant.scope] }
+      }), {}),
+      projectRoles: Object.entries(this.projectRoles).reduce((roles, [role, grant]) => ({
+        ...roles,
+        [role]: { permissions: [...grant.permissions] }
+      }), {})
+    };
+  }
+
+  /**
+   * Validates a permission mapping document
+   * @param {Object} definition - Raw mapping
+   * @private
+   */
+  static _validate(definition) {
+    if (!definition || typeof definition !== 'object') {
+      throw new Error('Permission mapping must be an object');
+    }
+
+    PermissionMapping._validatePermissions('ownBusinessUnit', definition.ownBusinessUnit || []);
+
+    Object.entries(definition.groups || {}).forEach(([group, grant]) => {
+      PermissionMapping._validatePermissions(`group ${group}`, grant?.permissions);
+      if (!Array.isArray(grant.scope) || grant.scope.length === 0 ||
+          grant.scope.some(unit => typeof unit !== 'string' || unit.trim() === '')) {
+        throw new Error(`Permission grant for group ${group} needs at least one business unit`);
+      }
+    });
+
+    Object.entries(definition.projectRoles || {}).forEach(([role, grant]) => {
+      PermissionMapping._validatePermissions(`project role ${role}`, grant?.permissions);
+    });
+  }
+
+  static _validatePermissions(owner, permissions) {
+    if (!Array.isArray(permissions)) {
+      throw new Error(`Permissions for ${owner} must be a list`);
+    }
+
+    const unknown = permissions.filter(type => !PERMISSION_TYPES.includes(type));
+    if (unknown.length > 0) {
+      throw new Error(`Unknown permissions for ${owner}: ${unknown.join(', ')}`);
+    }
+  }
+}
@@ -0,0 +1,112 @@
+const TRACKED_PORTFOLIO_METRICS = ['healthScore', 'onTrackProjects', 'atRiskProjects', 'criticalAlerts'];
+
+export const DEFAULT_SNAPSHOT_RETENTION_DAYS = 30;
+
+/**
+ * Portfolio Snapshot Domain Entity
+ * Dated record of a portfolio health calculation, used for trend analysis
+ */
+export class PortfolioSnapshot {
+  constructor({ executiveId, date, capturedAt, scoringPolicy, portfolio, projects }) {
+    this.executiveId = executiveId;
+    this.date = date;
+    this.capturedAt = capturedAt;
+    this.scoringPolicy = scoringPolicy || null;
+    this.portfolio = portfolio;
+    this.projects = projects || [];
+  }
+
+  /**
+   * Capture a snapshot from a calculated executive portfolio
+   * @param {ExecutivePortfolio} executivePortfolio - Portfolio entity
+   * @param {Date} [capturedAt] - Capture time (defaults to now)
+   * @returns {PortfolioSnapshot} Snapshot of portfolio and per-project health
+   */
+  static fromPortfolio(executivePortfolio, capturedAt = new Date()) {
+    const summary = executivePortfolio.getPortfolioSummary();
+
+    return new PortfolioSnapshot({
+      executiveId: executivePortfolio.executiveId,
+      date: PortfolioSnapshot.toSnapshotDate(capturedAt),
+      capturedAt: capturedAt.toISOString(),
+      scoringPolicy: summary.scoringPolicy,
+      portfolio: {
+        totalProjects: summary.totalProjects,
+        healthScore: summary.healthScore,
+        onTrackProjects: summary.onTrackProjects,
+        atRiskProjects: summary.atRiskProjects,
+        criticalAlerts: summary.criticalAlerts
+      },
+      projects: executivePortfolio.getProjectHealthBreakdown()
+    });
+  }
+
+  /**
+   * Restore a snapshot from its stored representation
+   * @param {Object} data - Stored snapshot data
+   * @returns {PortfolioSnapshot|null} Snapshot, or null when nothing was stored
+   */
+  static fromJSON(data) {
+    return data ? new PortfolioSnapshot(data) : null;
+  }
+
+  /**
+   * Format a date as the calendar day (UTC) a snapshot belongs to
+   * @param {Date} date - Date to format
+   * @returns {string} Date in YYYY-MM-DD format
+   */
+  static toSnapshotDate(date) {
+    return date.toISOString().slice(0, 10);
+  }
+
+  /**
+   * Shift a snapshot date by a number of days
+   * @param {string} snapshotDate - Date in YYYY-MM-DD format
+   * @param {number} days - Days to add (negative to go back)
+   * @returns {string} Shifted date in YYYY-MM-DD format
+   */
+  static shiftDate(snapshotDate, days) {
+    const date = new Date(`${snapshotDate}T00:00:00.000Z`);
+    date.setUTCDate(date.getUTCDate() + days);
+    return PortfolioSnapshot.toSnapshotDate(date);
+  }
+
+  /**
+   * Calculate portfolio metric deltas against an earlier snapshot
+   * @param {PortfolioSnapshot|null} previousSnapshot - Snapshot to compare with
+   * @returns {Object|null} Deltas per tracked metric, or null without a baseline
+   */
+  deltaFrom(previousSnapshot) {
+    if (!previousSnapshot) return null;
+
+    const deltas = TRACKED_PORTFOLIO_METRICS.reduce((result, metric) => ({
+      ...result,
+      [metric]: (this.portfolio[metric] || 0) - (previousSnapshot.portfolio[metric] || 0)
+    }), {});
+
+    return {
+      ...deltas,
+      comparedTo: previousSnapshot.date
+    };
+  }
+
+  /**
+   * Find the stored health of a single project
+   * @param {string} projectKey - Jira project key
+   * @returns {Object|undefined} Project health entry
+   */
+  getProject(projectKey) {
+    return this.projects.find(project => project.key === projectKey);
+  }
+
+  toJSON() {
+    return {
+      executiveId: this.executiveId,
+      date: this.date,
+      capturedAt: this.capturedAt,
+      scoringPolicy: this.scoringPolicy,
+      portfolio: this.portfolio,
+      projects: this.projects
+    };
+  }
+}
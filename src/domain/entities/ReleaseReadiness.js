@@ -0,0 +1,164 @@
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const READINESS_VERDICTS = Object.freeze({
+  READY: 'Ready',
+  AT_RISK: 'At Risk',
+  NOT_READY: 'Not Ready'
+});
+
+/**
+ * Default go/no-go rules: how close to the release date problems turn from a risk into a
+ * no-go, and how complete a release must be as its date approaches
+ */
+export const DEFAULT_READINESS_RULES = {
+  notReadyWithinDays: 7,
+  atRiskWithinDays: 14,
+  readyCompletion: 0.9,
+  atRiskCompletion: 0.8
+};
+
+/**
+ * Release Readiness Domain Entity
+ * Go/no-go verdict for each upcoming fixVersion across an executive's projects
+ */
+export class ReleaseReadiness {
+  /**
+   * @param {string} executiveId - Executive account identifier
+   * @param {Object} releaseData - Projects with their upcoming releases, and the day readiness is judged on
+   * @param {Object} [rules] - Overrides for DEFAULT_READINESS_RULES
+   */
+  constructor(executiveId, releaseData, rules = {}) {
+    this.executiveId = executiveId;
+    this.projects = releaseData.projects || [];
+    this.asOf = releaseData.asOf || new Date();
+    this.rules = { ...DEFAULT_READINESS_RULES, ...rules };
+  }
+
+  /**
+   * Every upcoming release with its progress, problems and verdict, soonest release first
+   * @returns {Array<Object>} Release readiness rows; releases without a date come last
+   */
+  getReleaseBreakdown() {
+    return this.projects
+      .flatMap(project => (project.releases || []).map(release => this._assessRelease(project, release)))
+      .sort((a, b) => (a.daysToRelease ?? Infinity) - (b.daysToRelease ?? Infinity));
+  }
+
+  /**
+   * Count releases per verdict
+   * @returns {Object} Total, ready, at-risk and not-ready releases
+   */
+  getReadinessSummary() {
+    const releases = this.getReleaseBreakdown();
+
+    return {
+      totalReleases: releases.length,
+      ready: releases.filter(release => release.verdict === READINESS_VERDICTS.READY).length,
+      atRisk: releases.filter(release => release.verdict === READINESS_VERDICTS.AT_RISK).length,
+      notReady: releases.filter(release => release.verdict === READINESS_VERDICTS.NOT_READY).length
+    };
+  }
+
+  /**
+   * Describe one release and decide its verdict
+   * @private
+   */
+  _assessRelease(project, release) {
+    const totalIssues = release.openIssues + release.doneIssues;
+    const assessment = {
+      projectKey: project.key,
+      projectName: project.name,
+      id: release.id,
+      name: release.name,
+      releaseDate: release.releaseDate,
+      daysToRelease: this._getDaysToRelease(release.releaseDate),
+      openIssues: release.openIssues,
+      doneIssues: release.doneIssues,
+      completion: totalIssues > 0 ? Math.round((release.doneIssues / totalIssues) * 100) / 100 : null,
+      blockedIssues: release.blockedIssues,
+      highPriorityBugs: release.highPriorityBugs
+    };
+
+    const notReadyReasons = this._getNotReadyReasons(assessment);
+    if (notReadyReasons.length > 0) {
+      return { ...assessment, verdict: READINESS_VERDICTS.NOT_READY, reasons: notReadyReasons };
+    }
+
+    const atRiskReasons = this._getAtRiskReasons(assessment);
+    if (atRiskReasons.length > 0) {
+      return { ...assessment, verdict: READINESS_VERDICTS.AT_RISK, reasons: atRiskReasons };
+    }
+
+    return { ...assessment, verdict: READINESS_VERDICTS.READY, reasons: [] };
+  }
+
+  /**
+   * Problems that rule the release out: a passed date with open work, or blockers,
+   * high-priority bugs or too much open work in the final days
+   * @private
+   */
+  _getNotReadyReasons(release) {
+    const { daysToRelease } = release;
+    if (daysToRelease === null) return [];
+
+    if (daysToRelease < 0 && release.openIssues > 0) {
+      return [`Release date passed ${-daysToRelease} ${-daysToRelease === 1 ? 'day' : 'days'} ago with ${release.openIssues} open issues`];
+    }
+    if (daysToRelease > this.rules.notReadyWithinDays) return [];
+
+    return [
+      ...this._describeProblems(release),
+      ...(release.completion !== null && release.completion < this.rules.readyCompletion
+        ? [`Only ${Math.round(release.completion * 100)}% done ${this._describeDays(daysToRelease)}`]
+        : [])
+    ];
+  }
+
+  /**
+   * Problems worth watching: any blocker or high-priority bug, or too little done as the date nears
+   * @private
+   */
+  _getAtRiskReasons(release) {
+    const { daysToRelease } = release;
+    const isBehindSchedule = daysToRelease !== null &&
+      daysToRelease <= this.rules.atRiskWithinDays &&
+      release.completion !== null &&
+      release.completion < this.rules.atRiskCompletion;
+
+    return [
+      ...this._describeProblems(release),
+      ...(isBehindSchedule ? [`Only ${Math.round(release.completion * 100)}% done ${this._describeDays(daysToRelease)}`] : [])
+    ];
+  }
+
+  /**
+   * Describe the blockers and high-priority bugs still open against a release
+   * @private
+   */
+  _describeProblems(release) {
+    return [
+      ...(release.blockedIssues > 0 ? [`${release.blockedIssues} blocked issues`] : []),
+      ...(release.highPriorityBugs > 0 ? [`${release.highPriorityBugs} unresolved high priority bugs`] : [])
+    ];
+  }
+
+  /**
+   * Describe how close a release is, for reasons
+   * @private
+   */
+  _describeDays(daysToRelease) {
+    if (daysToRelease === 0) return 'on release day';
+    return `${daysToRelease} ${daysToRelease === 1 ? 'day' : 'days'} before release`;
+  }
+
+  /**
+   * Whole days from the assessment day to the release date (negative once passed)
+   * @private
+   */
+  _getDaysToRelease(releaseDate) {
+    if (!releaseDate) return null;
+
+    const today = Date.parse(new Date(this.asOf).toISOString().slice(0, 10));
+    return Math.round((Date.parse(releaseDate) - today) / DAY_MS);
+  }
+}
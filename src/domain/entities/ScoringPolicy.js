@@ -0,0 +1,268 @@
+/**
+ * Default scoring rules, matching the original Executive Flash News formula
+ */
+export const DEFAULT_SCORING_POLICY = {
+  id: 'default',
+  version: '1.0.0',
+  name: 'Executive Flash News Default',
+  baseScore: 100,
+  onTrackThreshold: 70,
+  factors: [
+    { metric: 'overdueIssues', label: 'overdue issues', pointsPerIssue: 5, maxDeduction: 30 },
+    { metric: 'blockedIssues', label: 'blocked issues', pointsPerIssue: 3, maxDeduction: 20 },
+    { metric: 'highPriorityIssues', label: 'high priority issues', pointsPerIssue: 2, maxDeduction: 25 }
+  ],
+  criticalThresholds: {
+    healthScoreBelow: 50,
+    metrics: [
+      { metric: 'overdueIssues', label: 'overdue issues', above: 5 },
+      { metric: 'blockedIssues', label: 'blocked issues', above: 3 }
+    ]
+  }
+};
+
+/**
+ * Factors scoring delivery flow; each deducts points per unit above its allowance.
+ * Offered to admins as the delivery flow policy template.
+ */
+export const FLOW_SCORING_FACTORS = [
+  { metric: 'cycleTimeP85Days', label: 'days 85th percentile cycle time', above: 10, pointsPerIssue: 2, maxDeduction: 20 },
+  { metric: 'wip', label: 'issues in progress', above: 15, pointsPerIssue: 1, maxDeduction: 10 }
+];
+
+/**
+ * Size-normalised scoring: deducts points per percentage point of each ratio above the
+ * tolerance of the project's size band. Small projects get more tolerance because a single
+ * issue moves their ratios a long way. Offered to admins as the size-normalised policy template.
+ */
+export const SIZE_NORMALISED_SCORING = {
+  ratios: [
+    { metric: 'overdueIssues', per: 'openIssues', label: 'overdue share of open issues', pointsPerPercent: 1.5, maxDeduction: 30 },
+    { metric: 'blockedIssues', per: 'inProgressIssues', label: 'blocked share of work in progress', pointsPerPercent: 1, maxDeduction: 20 },
+    { metric: 'highPriorityIssues', per: 'openIssues', label: 'high priority share of open issues', pointsPerPercent: 0.5, maxDeduction: 25 }
+  ],
+  sizeBands: [
+    { name: 'Small', maxOpenIssues: 50, tolerancePercent: 10 },
+    { name: 'Medium', maxOpenIssues: 500, tolerancePercent: 5 },
+    { name: 'Large', maxOpenIssues: null, tolerancePercent: 2 }
+  ]
+};
+
+/**
+ * Starting points admins can adapt into their organisation's scoring policy
+ */
+export const SCORING_POLICY_TEMPLATES = [
+  DEFAULT_SCORING_POLICY,
+  {
+    ...DEFAULT_SCORING_POLICY,
+    id: 'delivery-flow',
+    name: 'Issue Health with Delivery Flow',
+    factors: [...DEFAULT_SCORING_POLICY.factors, ...FLOW_SCORING_FACTORS]
+  },
+  {
+    ...DEFAULT_SCORING_POLICY,
+    id: 'size-normalised',
+    name: 'Size-Normalised Issue Health',
+    normalisation: SIZE_NORMALISED_SCORING
+  }
+];
+
+/**
+ * Project size measures a normalised ratio can divide by
+ */
+export const SIZE_MEASURES = ['openIssues', 'inProgressIssues'];
+
+/**
+ * Scoring Policy Value Object
+ * Versioned, organisation-defined rules for project health scoring
+ */
+export class ScoringPolicy {
+  constructor(definition) {
+    ScoringPolicy._validate(definition);
+
+    this.id = definition.id;
+    this.version = definition.version;
+    this.name = definition.name || definition.id;
+    this.baseScore = definition.baseScore ?? 100;
+    this.onTrackThreshold = definition.onTrackThreshold ?? 70;
+    this.factors = definition.factors.map(factor => Object.freeze({ above: 0, ...factor }));
+    this.criticalThresholds = Object.freeze({
+      healthScoreBelow: definition.criticalThresholds?.healthScoreBelow ?? null,
+      metrics: (definition.criticalThresholds?.metrics || []).map(threshold => Object.freeze({ ...threshold }))
+    });
+
+    this.normalisation = definition.normalisation ? Object.freeze({
+      ratios: Object.freeze(definition.normalisation.ratios.map(ratio => Object.freeze({ ...ratio }))),
+      sizeBands: Object.freeze([...definition.normalisation.sizeBands]
+        .sort((a, b) => (a.maxOpenIssues ?? Infinity) - (b.maxOpenIssues ?? Infinity))
+        .map(band => Object.freeze({ ...band })))
+    }) : null;
+
+    Object.freeze(this.factors);
+    Object.freeze(this);
+  }
+
+  /**
+   * Create the default scoring policy
+   * @returns {ScoringPolicy} Policy reproducing the original 5/3/2 formula
+   */
+  static default() {
+    return new ScoringPolicy(DEFAULT_SCORING_POLICY);
+  }
+
+  /**
+   * Normalise a policy instance or plain definition into a ScoringPolicy
+   * @param {ScoringPolicy|Object} [policy] - Policy instance or definition
+   * @returns {ScoringPolicy} Scoring policy (default when none supplied)
+   */
+  static from(policy) {
+    if (!policy) return ScoringPolicy.default();
+    if (policy instanceof ScoringPolicy) return policy;
+    return new ScoringPolicy(policy);
+  }
+
+  /**
+   * Find the size band a project falls into; projects larger than every bounded band fall into the largest
+   * @param {number} openIssues - Unresolved issues in the project
+   * @returns {Object|null} Size band, or null when the policy does not normalise by size
+   */
+  getSizeBand(openIssues) {
+    if (!this.normalisation) return null;
+
+    const { sizeBands } = this.normalisation;
+    return sizeBands.find(band => band.maxOpenIssues === null || band.maxOpenIssues === undefined ||
+      openIssues <= band.maxOpenIssues) || sizeBands[sizeBands.length - 1];
+  }
+
+  /**
+   * Identity reported alongside every number produced with this policy
+   * @returns {Object} Policy id and version
+   */
+  getIdentity() {
+    return {
+      id: this.id,
+      version: this.version
+    };
+  }
+
+  /**
+   * Metrics the policy reads, from its factors, critical thresholds and normalised ratios
+   * @returns {Array<string>} Distinct metric names
+   */
+  getMetricNames() {
+    return [...new Set([
+      ...this.factors.map(factor => factor.metric),
+      ...this.criticalThresholds.metrics.map(threshold => threshold.metric),
+      ...(this.normalisation?.ratios || []).map(ratio => ratio.metric)
+    ])];
+  }
+
+  toJSON() {
+    return {
+      id: this.id,
+      version: this.version,
+      name: this.name,
+      baseScore: this.baseScore,
+      onTrackThreshold: this.onTrackThreshold,
+      factors: this.factors.map(factor => ({ ...factor })),
+      criticalThresholds: {
+        healthScoreBelow: this.criticalThresholds.healthScoreBelow,
+        metrics: this.criticalThresholds.metrics.map(threshold => ({ ...threshold }))
+      },
+      ...(this.normalisation ? {
+        normalisation: {
+          ratios: this.normalisation.ratios.map(ratio => ({ ...ratio })),
+          sizeBands: this.normalisation.sizeBands.map(band => ({ ...band }))
+        }
+      } : {})
+    };
+  }
+
+  /**
+   * Validates a policy definition
+   * @param {Object} definition - Raw policy definition
+   * @private
+   */
+  static _validate(definition) {
+    if (!definition || typeof definition !== 'object') {
+      throw new Error('Scoring policy definition is required');
+    }
+
+    if (!definition.id || !definition.version) {
+      throw new Error('Scoring policy requires an id and a version');
+    }
+
+    ['baseScore', 'onTrackThreshold'].forEach(setting => {
+      if (definition[setting] !== undefined && !ScoringPolicy._isNonNegativeNumber(definition[setting])) {
+        throw new Error(`Scoring policy ${definition.id} needs a non-negative ${setting}`);
+      }
+    });
+
+    if (!Array.isArray(definition.factors)) {
+      throw new Error(`Scoring policy ${definition.id} must define a factors array`);
+    }
+
+    definition.factors.forEach(factor => {
+      if (!factor.metric) {
+        throw new Error(`Scoring policy ${definition.id} has a factor without a metric`);
+      }
+      if (!ScoringPolicy._isNonNegativeNumber(factor.pointsPerIssue) ||
+          !ScoringPolicy._isNonNegativeNumber(factor.maxDeduction)) {
+        throw new Error(
+          `Scoring policy ${definition.id} factor ${factor.metric} needs non-negative pointsPerIssue and maxDeduction`
+        );
+      }
+      if (factor.above !== undefined && !ScoringPolicy._isNonNegativeNumber(factor.above)) {
+        throw new Error(`Scoring policy ${definition.id} factor ${factor.metric} has an invalid allowance`);
+      }
+    });
+
+    if (definition.normalisation) {
+      ScoringPolicy._validateNormalisation(definition.id, definition.normalisation);
+    }
+
+    const healthScoreBelow = definition.criticalThresholds?.healthScoreBelow;
+    if (healthScoreBelow !== undefined && healthScoreBelow !== null && !ScoringPolicy._isNonNegativeNumber(healthScoreBelow)) {
+      throw new Error(`Scoring policy ${definition.id} has an invalid critical health score`);
+    }
+
+    (definition.criticalThresholds?.metrics || []).forEach(threshold => {
+      if (!threshold.metric || !ScoringPolicy._isNonNegativeNumber(threshold.above)) {
+        throw new Error(`Scoring policy ${definition.id} has an invalid critical threshold`);
+      }
+    });
+  }
+
+  /**
+   * Validates the size-normalised scoring rules of a policy
+   * @param {string} policyId - Policy being validated
+   * @param {Object} normalisation - Ratio factors and size bands
+   * @private
+   */
+  static _validateNormalisation(policyId, normalisation) {
+    if (!Array.isArray(normalisation.ratios) || !Array.isArray(normalisation.sizeBands) ||
+        normalisation.sizeBands.length === 0) {
+      throw new Error(`Scoring policy ${policyId} normalisation needs ratios and at least one size band`);
+    }
+
+    normalisation.ratios.forEach(ratio => {
+      if (!ratio.metric || !SIZE_MEASURES.includes(ratio.per) ||
+          !ScoringPolicy._isNonNegativeNumber(ratio.pointsPerPercent) ||
+          !ScoringPolicy._isNonNegativeNumber(ratio.maxDeduction)) {
+        throw new Error(`Scoring policy ${policyId} has an invalid normalised ratio ${ratio.metric || ''}`.trim());
+      }
+    });
+
+    normalisation.sizeBands.forEach(band => {
+      const hasValidLimit = band.maxOpenIssues === null || band.maxOpenIssues === undefined ||
+        ScoringPolicy._isNonNegativeNumber(band.maxOpenIssues);
+      if (!band.name || !hasValidLimit || !ScoringPolicy._isNonNegativeNumber(band.tolerancePercent)) {
+        throw new Error(`Scoring policy ${policyId} has an invalid size band ${band.name || ''}`.trim());
+      }
+    });
+  }
+
+  static _isNonNegativeNumber(value) {
+    return typeof value === 'number' && Number.isFinite(value) && value >= 0;
+  }
+}
@@ -0,0 +1,135 @@
+/**
+ * Default strategic tiers. Every project counts as Standard until it is assigned a tier or weight,
+ * which reproduces the original equally weighted portfolio health.
+ */
+export const DEFAULT_STRATEGIC_WEIGHTS = {
+  tiers: {
+    Flagship: 3,
+    Core: 2,
+    Standard: 1,
+    Supporting: 0.5
+  },
+  defaultTier: 'Standard',
+  projects: {}
+};
+
+const PROJECT_KEY_PATTERN = /^[A-Z][A-Z0-9_]+$/;
+
+/**
+ * Strategic Weights Value Object
+ * Tiers and per-project assignments deciding how much each project counts in portfolio health.
+ * A project is assigned either a tier name or an explicit weight.
+ */
+export class StrategicWeights {
+  constructor(definition) {
+    StrategicWeights._validate(definition);
+
+    this.tiers = Object.freeze({ ...definition.tiers });
+    this.defaultTier = definition.defaultTier;
+    this.projects = Object.freeze({ ...(definition.projects || {}) });
+
+    Object.freeze(this);
+  }
+
+  /**
+   * Create the default strategic weights
+   * @returns {StrategicWeights} Weights giving every project the Standard tier
+   */
+  static default() {
+    return new StrategicWeights(DEFAULT_STRATEGIC_WEIGHTS);
+  }
+
+  /**
+   * Normalise a weights instance or plain definition into StrategicWeights
+   * @param {StrategicWeights|Object} [weights] - Instance or plain definition
+   * @returns {StrategicWeights} Strategic weights (default when none supplied)
+   */
+  static from(weights) {
+    if (!weights) return StrategicWeights.default();
+    if (weights instanceof StrategicWeights) return weights;
+    return new StrategicWeights(weights);
+  }
+
+  /**
+   * Resolve a project's tier and weight; an assignment stored with the app wins over the
+   * project's own Jira property, and an unusable property falls back to the default tier
+   * @param {string} projectKey - Jira project key
+   * @param {Object} [projectProperty] - Jira project property value ({ tier } or { weight })
+   * @returns {Object} Tier (null for an explicit weight), weight and where the assignment came from
+   */
+  getAssignment(projectKey, projectProperty) {
+    const configured = this._resolve(this.projects[projectKey]);
+    if (configured) return { ...configured, source: 'configuration' };
+
+    const fromProperty = this._resolve(projectProperty?.tier ?? projectProperty?.weight);
+    if (fromProperty) return { ...fromProperty, source: 'project property' };
+
+    return { tier: this.defaultTier, weight: this.tiers[this.defaultTier], source: 'default' };
+  }
+
+  /**
+   * Whether an assignment stored with the app decides the project's weight, so its Jira property is not needed
+   * @param {string} projectKey - Jira project key
+   * @returns {boolean} True when the project has a stored assignment
+   */
+  isAssigned(projectKey) {
+    return this._resolve(this.projects[projectKey]) !== null;
+  }
+
+  toJSON() {
+    return {
+      tiers: { ...this.tiers },
+      defaultTier: this.defaultTier,
+      projects: { ...this.projects }
+    };
+  }
+
+  /**
+   * Turn a tier name or explicit weight into a tier and weight
+   * @private
+   */
+  _resolve(assignment) {
+    if (typeof assignment === 'string' && this.tiers[assignment] !== undefined) {
+      return { tier: assignment, weight: this.tiers[assignment] };
+    }
+    if (StrategicWeights._isPositiveNumber(assignment)) {
+      return { tier: null, weight: assignment };
+    }
+    return null;
+  }
+
+  /**
+   * Validates a strategic weights document
+   * @param {Object} definition - Raw weights
+   * @private
+   */
+  static _validate(definition) {
+    if (!definition || typeof definition !== 'object' || !definition.tiers ||
+        Object.keys(definition.tiers).length === 0) {
+      throw new Error('Strategic weights require at least one tier');
+    }
+
+    Object.entries(definition.tiers).forEach(([tier, weight]) => {
+      if (!StrategicWeights._isPositiveNumber(weight)) {
+        throw new Error(`Strategic tier ${tier} needs a positive weight`);
+      }
+    });
+
+    if (definition.tiers[definition.defaultTier] === undefined) {
+      throw new Error(`Default strategic tier ${definition.defaultTier} is not a defined tier`);
+    }
+
+    Object.entries(definition.projects || {}).forEach(([projectKey, assignment]) => {
+      if (!PROJECT_KEY_PATTERN.test(projectKey)) {
+        throw new Error(`Strategic weight project key ${projectKey} is not a valid Jira project key`);
+      }
+      if (definition.tiers[assignment] === undefined && !StrategicWeights._isPositiveNumber(assignment)) {
+        throw new Error(`Project ${projectKey} needs a defined tier or a positive weight`);
+      }
+    });
+  }
+
+  static _isPositiveNumber(value) {
+    return typeof value === 'number' && Number.isFinite(value) && value > 0;
+  }
+}
@@ -0,0 +1,127 @@
+import { EXECUTIVE_ROLES } from './ExecutiveRole.js';
+
+export const WELCOME_SCENARIOS = Object.freeze({
+  FIRST_TIME: 'FIRST_TIME',
+  RETURNING: 'RETURNING',
+  CRITICAL_ALERTS: 'CRITICAL_ALERTS'
+});
+
+const URGENCY_INDICATORS = {
+  CRITICAL: { level: 'CRITICAL', label: 'Urgent', icon: '🔴', appearance: 'removed' },
+  ATTENTION: { level: 'ATTENTION', label: 'Needs attention', icon: '🟠', appearance: 'moved' },
+  NORMAL: { level: 'NORMAL', label: 'On track', icon: '🟢', appearance: 'success' }
+};
+
+/**
+ * Welcome Message Domain Entity
+ * Personalised greeting summarising the executive's portfolio and what needs attention
+ */
+export class WelcomeMessage {
+  /**
+   * @param {string} message - Base welcome text
+   * @param {string} version - Plugin version (with or without a leading 'v')
+   * @param {string} [role] - Executive role key or label (e.g. 'CTO', 'Head of Delivery')
+   * @param {Object} [portfolioContext] - Executive name, first-visit flag and portfolio counts
+   */
+  constructor(message, version, role, portfolioContext = {}) {
+    this.message = message;
+    this.version = version;
+    this.role = WelcomeMessage._resolveRole(role);
+    this.executiveName = portfolioContext.executiveName || null;
+    this.isFirstVisit = portfolioContext.isFirstVisit === true;
+    this.projectCount = portfolioContext.projectCount || 0;
+    this.attentionCount = portfolioContext.attentionCount || 0;
+    this.criticalCount = portfolioContext.criticalCount || 0;
+    this.timestamp = portfolioContext.timestamp || new Date();
+  }
+
+  /**
+   * Generate the role-specific welcome text for the current scenario
+   * @returns {string} Personalised welcome message
+   */
+  generatePersonalizedMessage() {
+    const greeting = this.role ? `${this.role.greeting}: ${this.message}` : this.message;
+    const addressed = this.executiveName ? `${greeting}, ${this.executiveName}` : greeting;
+
+    const scenario = this.getScenario();
+
+    if (scenario === WELCOME_SCENARIOS.FIRST_TIME) {
+      return `${addressed}. Flash News will track your ${this._describeProjects()} and ` +
+        `brief you daily on ${(this.role?.focus || 'portfolio health').toLowerCase()}.`;
+    }
+
+    if (scenario === WELCOME_SCENARIOS.CRITICAL_ALERTS) {
+      return `${addressed}. ${this.criticalCount} critical ${this.criticalCount === 1 ? 'alert needs' : 'alerts need'} ` +
+        `your attention across ${this._describeProjects()}.`;
+    }
+
+    if (this.projectCount === 0) return greeting;
+
+    return `${addressed}. Your portfolio has ${this._describeProjects()}; ` +
+      `${this.attentionCount} ${this.attentionCount === 1 ? 'needs' : 'need'} attention.`;
+  }
+
+  /**
+   * Get the plugin version in display format
+   * @returns {string} Version prefixed with 'v' (e.g. 'v1.0.0')
+   */
+  getFormattedVersion() {
+    return String(this.version).startsWith('v') ? String(this.version) : `v${this.version}`;
+  }
+
+  /**
+   * Check whether the message is addressed to a recognised executive role
+   * @returns {boolean} True for CEO, CTO, Head of Delivery and generic executives
+   */
+  isExecutiveUser() {
+    return this.role !== null;
+  }
+
+  /**
+   * Determine which welcome scenario applies
+   * @returns {string} FIRST_TIME, CRITICAL_ALERTS or RETURNING
+   */
+  getScenario() {
+    if (this.isFirstVisit) return WELCOME_SCENARIOS.FIRST_TIME;
+    if (this.criticalCount > 0) return WELCOME_SCENARIOS.CRITICAL_ALERTS;
+    return WELCOME_SCENARIOS.RETURNING;
+  }
+
+  /**
+   * Get the urgency indicator (colour and icon) for the portfolio state
+   * @returns {Object} Urgency level, label, icon and lozenge appearance
+   */
+  getUrgencyIndicator() {
+    if (this.criticalCount > 0) return { ...URGENCY_INDICATORS.CRITICAL };
+    if (this.attentionCount > 0) return { ...URGENCY_INDICATORS.ATTENTION };
+    return { ...URGENCY_INDICATORS.NORMAL };
+  }
+
+  toJSON() {
+    return {
+      message: this.generatePersonalizedMessage(),
+      version: this.getFormattedVersion(),
+      isExecutive: this.isExecutiveUser(),
+      role: this.role?.key || null,
+      scenario: this.getScenario(),
+      projectCount: this.projectCount,
+      attentionCount: this.attentionCount,
+      criticalCount: this.criticalCount,
+      urgency: this.getUrgencyIndicator(),
+      timestamp: new Date(this.timestamp).toISOString()
+    };
+  }
+
+  _describeProjects() {
+    return `${this.projectCount} ${this.projectCount === 1 ? 'project' : 'projects'}`;
+  }
+
+  /**
+   * Match a role key or display label to an executive role
+   * @private
+   */
+  static _resolveRole(role) {
+    return Object.values(EXECUTIVE_ROLES)
+      .find(executiveRole => executiveRole.key === role || executiveRole.label === role) || null;
+  }
+}
@@ -0,0 +1,16 @@
+/**
+ * Authorization Errors
+ * Raised when an executive may not see the portfolio data they asked for
+ */
+export class PortfolioAccessDeniedError extends Error {
+  /**
+   * @param {string} message - Why access was refused
+   * @param {Object} [details] - Executive and business unit the decision was made for, when known
+   */
+  constructor(message, details = {}) {
+    super(message);
+    this.name = 'PortfolioAccessDeniedError';
+    this.executiveId = details.executiveId ?? null;
+    this.businessUnit = details.businessUnit ?? null;
+  }
+}
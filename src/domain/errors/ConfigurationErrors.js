@@ -0,0 +1,16 @@
+/**
+ * Configuration Errors
+ * Raised when admin-maintained configuration cannot be used as stored
+ */
+export class InvalidConfigurationError extends Error {
+  /**
+   * @param {string} configuration - Name of the stored configuration document
+   * @param {Error} cause - Validation failure of the stored document
+   */
+  constructor(configuration, cause) {
+    super(`Stored ${configuration} is invalid and must be saved again: ${cause.message}`);
+    this.name = 'InvalidConfigurationError';
+    this.configuration = configuration;
+    this.cause = cause;
+  }
+}
@@ -0,0 +1,57 @@
+/**
+ * Jira Data Errors
+ * Raised when Jira data cannot be read, so callers can tell missing data apart from healthy data
+ */
+export class JiraDataError extends Error {
+  /**
+   * @param {string} message - What could not be read
+   * @param {Object} [details] - HTTP status and request path, when known
+   */
+  constructor(message, details = {}) {
+    super(message);
+    this.name = 'JiraDataError';
+    this.status = details.status ?? null;
+    this.path = details.path ?? null;
+  }
+}
+
+/**
+ * Jira kept rate limiting the app after every allowed retry
+ */
+export class JiraRateLimitError extends JiraDataError {
+  constructor(message, details = {}) {
+    super(message, details);
+    this.name = 'JiraRateLimitError';
+    this.retryAfterMs = details.retryAfterMs ?? null;
+  }
+}
+
+/**
+ * Jira was unreachable or kept failing with a server error after every allowed retry
+ */
+export class JiraUnavailableError extends JiraDataError {
+  constructor(message, details = {}) {
+    super(message, details);
+    this.name = 'JiraUnavailableError';
+  }
+}
+
+/**
+ * Jira rejected the request (bad JQL, missing permission, unknown resource); retrying will not help
+ */
+export class JiraRequestRejectedError extends JiraDataError {
+  constructor(message, details = {}) {
+    super(message, details);
+    this.name = 'JiraRequestRejectedError';
+  }
+}
+
+/**
+ * The invocation used up its Jira request budget
+ */
+export class JiraRequestBudgetExceededError extends JiraDataError {
+  constructor(message, details = {}) {
+    super(message, details);
+    this.name = 'JiraRequestBudgetExceededError';
+  }
+}
@@ -0,0 +1,34 @@
+/**
+ * Agile Data Port Interface
+ * Defines the contract for reading Jira Software boards, sprints and sprint reports
+ */
+export class AgileDataPort {
+  /**
+   * Get the scrum boards that show a project's issues
+   * @param {string} projectKey - Jira project key
+   * @returns {Promise<Array>} Boards with id and name
+   */
+  async getProjectBoards(projectKey) {
+    throw new Error('AgileDataPort.getProjectBoards() must be implemented');
+  }
+
+  /**
+   * Get a board's most recently closed sprints
+   * @param {number} boardId - Board identifier
+   * @param {Object} [options] - How many sprints to return (limit)
+   * @returns {Promise<Array>} Closed sprints with id, name and dates, oldest first
+   */
+  async getClosedSprints(boardId, options) {
+    throw new Error('AgileDataPort.getClosedSprints() must be implemented');
+  }
+
+  /**
+   * Get what a sprint committed to, completed and added after it started
+   * @param {number} boardId - Board identifier
+   * @param {Object} sprint - Closed sprint with id, name, startDate and completeDate
+   * @returns {Promise<Object>} Committed, completed and added issues and story points
+   */
+  async getSprintReport(boardId, sprint) {
+    throw new Error('AgileDataPort.getSprintReport() must be implemented');
+  }
+}
@@ -0,0 +1,76 @@
+/**
+ * Audit Storage Port Interface
+ * Defines the contract for persisting the append-only, hash-chained audit trail. Events are
+ * first queued under keys of their own, so concurrent invocations never contend, and a single
+ * writer later seals them into the chain.
+ */
+export class AuditStoragePort {
+  /**
+   * Get the ends of the chains, where retention last cut each category's start and the last event sealed
+   * @returns {Promise<Object|null>} lastSequence (of the whole trail), chains (per category, the last
+   *   record and the pruned-through record, each sequence and hash or null), sealedThrough (id of
+   *   the last sealed event) and firstMonth (YYYY-MM of the oldest retained record), or null
+   *   before anything was sealed
+   */
+  async getChainState() {
+    throw new Error('AuditStoragePort.getChainState() must be implemented');
+  }
+
+  /**
+   * Queue an event under a key no other event uses
+   * @param {Object} entry - Category, event type, user, time and details
+   * @returns {Promise<void>}
+   */
+  async addPendingEvent(entry) {
+    throw new Error('AuditStoragePort.addPendingEvent() must be implemented');
+  }
+
+  /**
+   * Get the oldest queued events written before a time
+   * @param {Date} writtenBefore - Events written at or after this time are left for a later run
+   * @param {number} [limit] - Most events to return
+   * @returns {Promise<Array<Object>>} Events (id and entry), ordered by id, which follows write order
+   */
+  async getPendingEvents(writtenBefore, limit) {
+    throw new Error('AuditStoragePort.getPendingEvents() must be implemented');
+  }
+
+  /**
+   * Store records that continue the chains and move the end of each category's chain to its
+   * last record among them
+   * @param {Array<AuditRecord>} records - Records in sequence order
+   * @param {string} sealedThrough - Id of the last event the records were sealed from
+   * @returns {Promise<void>}
+   */
+  async sealRecords(records, sealedThrough) {
+    throw new Error('AuditStoragePort.sealRecords() must be implemented');
+  }
+
+  /**
+   * Remove queued events once they are sealed
+   * @param {Array<string>} ids - Event ids
+   * @returns {Promise<void>}
+   */
+  async removePendingEvents(ids) {
+    throw new Error('AuditStoragePort.removePendingEvents() must be implemented');
+  }
+
+  /**
+   * Get retained records; with a range, only records stored for the months it covers are read
+   * @param {Object} [range] - from (inclusive) and to (exclusive) times of occurrence
+   * @returns {Promise<Array<AuditRecord>>} At least the records within the range, ordered by sequence
+   */
+  async getRecords(range) {
+    throw new Error('AuditStoragePort.getRecords() must be implemented');
+  }
+
+  /**
+   * Remove records from the start of their categories' chains, remembering the hash of the last
+   * of them in each category so its first retained record can still be verified
+   * @param {Array<AuditRecord>} records - Records to remove, in sequence order
+   * @returns {Promise<void>}
+   */
+  async pruneRecords(records) {
+    throw new Error('AuditStoragePort.pruneRecords() must be implemented');
+  }
+}
@@ -0,0 +1,33 @@
+/**
+ * Cache Storage Port Interface
+ * Defines the contract for persisting cached portfolio data entries (shards of cached values)
+ */
+export class CacheStoragePort {
+  /**
+   * Get a cache entry
+   * @param {string} key - Cache key
+   * @returns {Promise<Object|null>} Entry with its cached values, or null when absent
+   */
+  async getEntry(key) {
+    throw new Error('CacheStoragePort.getEntry() must be implemented');
+  }
+
+  /**
+   * Save a cache entry, replacing any entry with the same key
+   * @param {string} key - Cache key
+   * @param {Object} entry - Entry with its cached values
+   * @returns {Promise<void>}
+   */
+  async saveEntry(key, entry) {
+    throw new Error('CacheStoragePort.saveEntry() must be implemented');
+  }
+
+  /**
+   * Delete every cache entry whose key starts with a prefix
+   * @param {string} prefix - Key prefix (e.g. one executive's cache scope)
+   * @returns {Promise<void>}
+   */
+  async deleteEntries(prefix) {
+    throw new Error('CacheStoragePort.deleteEntries() must be implemented');
+  }
+}
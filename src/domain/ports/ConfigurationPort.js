@@ -0,0 +1,24 @@
+/**
+ * Configuration Port Interface
+ * Defines the contract for admin-maintained app configuration
+ */
+export class ConfigurationPort {
+  /**
+   * Get a named configuration document
+   * @param {string} name - Configuration name (e.g. 'role-mapping')
+   * @returns {Promise<Object|null>} Stored configuration, or null when never saved
+   */
+  async getConfiguration(name) {
+    throw new Error('ConfigurationPort.getConfiguration() must be implemented');
+  }
+
+  /**
+   * Save a named configuration document
+   * @param {string} name - Configuration name
+   * @param {Object} value - Configuration to store
+   * @returns {Promise<void>}
+   */
+  async saveConfiguration(name, value) {
+    throw new Error('ConfigurationPort.saveConfiguration() must be implemented');
+  }
+}
@@ -4,27 +4,144 @@
  */
 export class JiraDataPort {
   /**
-   * Retrieve projects accessible to the current executive user
-   * @returns {Promise<Array>} Array of project data
+   * Retrieve every project accessible to the current executive user
+   * @param {Object} [filters] - Optional scope: categoryId, typeKey and includeArchived
+   * @returns {Promise<Array>} Array of project data, including category and archived flag
    */
-  async getExecutiveProjects() {
+  async getExecutiveProjects(filters) {
     throw new Error('JiraDataPort.getExecutiveProjects() must be implemented');
   }
 
+  /**
+   * Get the value of one Jira project property for many projects
+   * @param {Array<string>} projectKeys - Jira project keys
+   * @param {string} propertyKey - Project property key
+   * @returns {Promise<Object>} Property values keyed by project key (null when not set)
+   */
+  async getProjectProperties(projectKeys, propertyKey) {
+    throw new Error('JiraDataPort.getProjectProperties() must be implemented');
+  }
+
   /**
    * Get project health metrics for a specific project
    * @param {string} projectKey - Jira project key
-   * @returns {Promise<Object>} Project health data
+   * @param {MetricDefinitions} [metricDefinitions] - JQL defining each metric
+   * @returns {Promise<Object>} Project health data; metricAvailability flags metrics that could not be read
    */
-  async getProjectHealthMetrics(projectKey) {
+  async getProjectHealthMetrics(projectKey, metricDefinitions) {
     throw new Error('JiraDataPort.getProjectHealthMetrics() must be implemented');
   }
 
+  /**
+   * Get health metrics for many projects at once
+   * @param {Array<string>} projectKeys - Jira project keys
+   * @param {MetricDefinitions} [metricDefinitions] - JQL defining each metric
+   * @returns {Promise<Object>} Project health data keyed by project key
+   */
+  async getPortfolioHealthMetrics(projectKeys, metricDefinitions) {
+    throw new Error('JiraDataPort.getPortfolioHealthMetrics() must be implemented');
+  }
+
+  /**
+   * Get delivery flow metrics for many projects over a rolling window
+   * @param {Array<string>} projectKeys - Jira project keys
+   * @param {Object} [options] - Flow window (windowDays)
+   * @returns {Promise<Object>} Throughput, cycle time percentiles and WIP keyed by project key
+   */
+  async getPortfolioFlowMetrics(projectKeys, options) {
+    throw new Error('JiraDataPort.getPortfolioFlowMetrics() must be implemented');
+  }
+
+  /**
+   * Get the open releases and epics of many projects with their target dates and remaining work
+   * @param {Array<string>} projectKeys - Jira project keys
+   * @returns {Promise<Object>} Delivery scopes (type, id, name, targetDate, remainingIssues) keyed by project key
+   */
+  async getDeliveryScopes(projectKeys) {
+    throw new Error('JiraDataPort.getDeliveryScopes() must be implemented');
+  }
+
+  /**
+   * Get the unreleased fixVersions of many projects with the issue counts that decide their readiness
+   * @param {Array<string>} projectKeys - Jira project keys
+   * @param {MetricDefinitions} [metricDefinitions] - JQL defining blocked and high priority issues
+   * @returns {Promise<Object>} Releases (id, name, releaseDate, openIssues, doneIssues, blockedIssues,
+   *   highPriorityBugs) keyed by project key
+   */
+  async getUpcomingReleases(projectKeys, metricDefinitions) {
+    throw new Error('JiraDataPort.getUpcomingReleases() must be implemented');
+  }
+
+  /**
+   * Get the unresolved issues each project's unresolved issues wait on, through blocking issue links
+   * @param {Array<string>} projectKeys - Jira project keys
+   * @param {Object} [options] - Link types (linkTypes: inward descriptions such as 'is blocked by')
+   * @returns {Promise<Object>} Blocking links (linkType, blocker, blocked) keyed by the blocked issue's project key
+   */
+  async getDependencyLinks(projectKeys, options) {
+    throw new Error('JiraDataPort.getDependencyLinks() must be implemented');
+  }
+
+  /**
+   * Get the size of many projects, for size-normalised health scoring
+   * @param {Array<string>} projectKeys - Jira project keys
+   * @returns {Promise<Object>} Size metrics (openIssues, inProgressIssues) keyed by project key
+   */
+  async getPortfolioSizeMetrics(projectKeys) {
+    throw new Error('JiraDataPort.getPortfolioSizeMetrics() must be implemented');
+  }
+
+  /**
+   * Get the number of issues each project resolved on each recent day
+   * @param {Array<string>} projectKeys - Jira project keys
+   * @param {Object} [options] - History window (windowDays)
+   * @returns {Promise<Object>} Daily resolved counts, most recent day first, keyed by project key
+   */
+  async getDailyThroughput(projectKeys, options) {
+    throw new Error('JiraDataPort.getDailyThroughput() must be implemented');
+  }
+
   /**
    * Get current user information
-   * @returns {Promise<Object>} User profile data
+   * @returns {Promise<Object>} User profile data including Jira group names
    */
   async getCurrentUser() {
     throw new Error('JiraDataPort.getCurrentUser() must be implemented');
   }
+
+  /**
+   * Get the Jira groups a user belongs to
+   * @param {string} accountId - Atlassian account ID
+   * @returns {Promise<Array<string>>} Group names
+   */
+  async getUserGroups(accountId) {
+    throw new Error('JiraDataPort.getUserGroups() must be implemented');
+  }
+
+  /**
+   * Get who holds some project roles in each project, directly or through a group
+   * @param {Array<string>} projectKeys - Jira project keys
+   * @param {Array<string>} roleNames - Project role names
+   * @returns {Promise<Object>} Account IDs and group names per role name, keyed by project key
+   */
+  async getProjectRoleMembers(projectKeys, roleNames) {
+    throw new Error('JiraDataPort.getProjectRoleMembers() must be implemented');
+  }
+
+  /**
+   * Ask Jira to parse JQL queries without running them
+   * @param {Array<string>} queries - JQL queries to check
+   * @returns {Promise<Array<Object>>} One result per query with its parse errors (empty when valid)
+   */
+  async validateJql(queries) {
+    throw new Error('JiraDataPort.validateJql() must be implemented');
+  }
+
+  /**
+   * Check whether the current user is a Jira administrator
+   * @returns {Promise<boolean>} True if the user may change app configuration
+   */
+  async hasAdminPermission() {
+    throw new Error('JiraDataPort.hasAdminPermission() must be implemented');
+  }
 }
\ No newline at end of file
@@ -0,0 +1,53 @@
+/**
+ * Snapshot Storage Port Interface
+ * Defines the contract for persisting dated portfolio snapshots
+ */
+export class SnapshotStoragePort {
+  /**
+   * Save a portfolio snapshot, replacing any snapshot for the same executive and date
+   * @param {PortfolioSnapshot} snapshot - Snapshot to persist
+   * @returns {Promise<void>}
+   */
+  async saveSnapshot(snapshot) {
+    throw new Error('SnapshotStoragePort.saveSnapshot() must be implemented');
+  }
+
+  /**
+   * Get the snapshot taken for an executive on a given date
+   * @param {string} executiveId - Executive account identifier
+   * @param {string} date - Snapshot date in YYYY-MM-DD format
+   * @returns {Promise<PortfolioSnapshot|null>} Snapshot, or null when none exists
+   */
+  async getSnapshot(executiveId, date) {
+    throw new Error('SnapshotStoragePort.getSnapshot() must be implemented');
+  }
+
+  /**
+   * Get the snapshots taken for an executive on given dates
+   * @param {string} executiveId - Executive account identifier
+   * @param {Array<string>} dates - Snapshot dates in YYYY-MM-DD format
+   * @returns {Promise<Array<PortfolioSnapshot>>} Snapshots that exist, ordered oldest to newest
+   */
+  async getSnapshots(executiveId, dates) {
+    throw new Error('SnapshotStoragePort.getSnapshots() must be implemented');
+  }
+
+  /**
+   * Check whether any snapshot was ever kept for an executive
+   * @param {string} executiveId - Executive account identifier
+   * @returns {Promise<boolean>} True when at least one snapshot exists
+   */
+  async hasSnapshots(executiveId) {
+    throw new Error('SnapshotStoragePort.hasSnapshots() must be implemented');
+  }
+
+  /**
+   * Delete an executive's snapshots taken before a date
+   * @param {string} executiveId - Executive account identifier
+   * @param {string} before - First date to keep, in YYYY-MM-DD format
+   * @returns {Promise<number>} Number of snapshots deleted
+   */
+  async pruneSnapshots(executiveId, before) {
+    throw new Error('SnapshotStoragePort.pruneSnapshots() must be implemented');
+  }
+}
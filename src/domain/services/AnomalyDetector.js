@@ -0,0 +1,87 @@
+/** Snapshots of a project's own history its latest metrics are compared with */
+export const DEFAULT_BASELINE_SNAPSHOTS = 14;
+
+// Scales the median absolute deviation to the standard deviation of normally distributed counts
+const MAD_SCALE = 1.4826;
+
+const DEFAULT_OPTIONS = {
+  baselineSnapshots: DEFAULT_BASELINE_SNAPSHOTS,
+  minBaselineSnapshots: 5,
+  deviationThreshold: 3,
+  minIncrease: 2,
+  metrics: ['overdueIssues', 'blockedIssues', 'highPriorityIssues']
+};
+
+/**
+ * Anomaly Detector Domain Service
+ * Compares each project's latest counts with a median-absolute-deviation band over its own
+ * snapshot history, so a spike is judged against what is normal for that project rather than
+ * against portfolio-wide thresholds
+ */
+export class AnomalyDetector {
+  /**
+   * @param {Object} [options] - Detection settings
+   * @param {number} [options.baselineSnapshots=14] - Most recent earlier snapshots forming the baseline
+   * @param {number} [options.minBaselineSnapshots=5] - Readings needed before a project is judged at all
+   * @param {number} [options.deviationThreshold=3] - Robust deviations above the median that count as unusual
+   * @param {number} [options.minIncrease=2] - Smallest rise over the median worth reporting
+   * @param {Array<string>} [options.metrics] - Project metrics to watch
+   */
+  constructor(options = {}) {
+    this.options = { ...DEFAULT_OPTIONS, ...options };
+  }
+
+  /**
+   * Find project metrics far above their own recent baseline
+   * @param {PortfolioSnapshot} currentSnapshot - Snapshot of the current calculation
+   * @param {Array<PortfolioSnapshot>} history - Earlier snapshots, oldest first
+   * @returns {Array<Object>} Anomalies (projectKey, metric, value, baselineMedian, deviation), largest deviation first
+   */
+  detect(currentSnapshot, history = []) {
+    const baseline = history
+      .filter(snapshot => snapshot.date < currentSnapshot.date)
+      .slice(-this.options.baselineSnapshots);
+
+    return currentSnapshot.projects
+      .flatMap(project => this.options.metrics.map(metric => this._detectMetricAnomaly(project, metric, baseline)))
+      .filter(Boolean)
+      .sort((a, b) => b.deviation - a.deviation);
+  }
+
+  /**
+   * Judge one project metric against its history
+   * @private
+   */
+  _detectMetricAnomaly(project, metric, baseline) {
+    const value = project.metrics?.[metric];
+    if (value === null || value === undefined) return null;
+
+    const readings = baseline
+      .map(snapshot => snapshot.getProject(project.key)?.metrics?.[metric])
+      .filter(reading => reading !== null && reading !== undefined);
+    if (readings.length < this.options.minBaselineSnapshots) return null;
+
+    const median = AnomalyDetector._median(readings);
+    const spread = MAD_SCALE * AnomalyDetector._median(readings.map(reading => Math.abs(reading - median)));
+
+    // A perfectly steady history has no spread, so one issue is the smallest band a count can have
+    const deviation = (value - median) / Math.max(spread, 1);
+
+    if (value - median < this.options.minIncrease || deviation < this.options.deviationThreshold) return null;
+
+    return {
+      projectKey: project.key,
+      metric,
+      value,
+      baselineMedian: median,
+      baselineSnapshots: readings.length,
+      deviation: Math.round(deviation * 10) / 10
+    };
+  }
+
+  static _median(values) {
+    const sorted = [...values].sort((a, b) => a - b);
+    const middle = Math.floor(sorted.length / 2);
+    return sorted.length % 2 === 0 ? (sorted[middle - 1] + sorted[middle]) / 2 : sorted[middle];
+  }
+}
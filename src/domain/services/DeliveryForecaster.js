@@ -0,0 +1,134 @@
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const CONFIDENCE_LEVELS = [50, 85, 95];
+
+export const NO_THROUGHPUT_HISTORY = 'NO_THROUGHPUT_HISTORY';
+
+// Forecasts run inside a resolver invocation, so the trials of one forecast are bounded whatever is configured
+const MAX_TRIALS = 1000;
+
+const DEFAULT_OPTIONS = {
+  trials: 1000,
+  maxForecastDays: 730,
+  random: Math.random
+};
+
+/**
+ * Delivery Forecaster Domain Service
+ * Monte Carlo simulation of when the remaining issues of a release or epic will be done,
+ * replaying randomly sampled days of the project's historical throughput
+ */
+export class DeliveryForecaster {
+  /**
+   * @param {Object} [options] - Simulation settings
+   * @param {number} [options.trials=1000] - Simulated futures per forecast, at most 1000
+   * @param {number} [options.maxForecastDays=730] - Horizon after which a trial counts as not finishing
+   * @param {Function} [options.random] - Random number source returning [0, 1), for deterministic tests
+   */
+  constructor(options = {}) {
+    this.options = { ...DEFAULT_OPTIONS, ...options };
+    this.options.trials = Math.min(this.options.trials, MAX_TRIALS);
+  }
+
+  /**
+   * Forecast completion dates for one delivery scope
+   * @param {Object} scope - Release or epic: type, id, name, targetDate (YYYY-MM-DD or null) and remainingIssues
+   * @param {Array<number>} dailyThroughput - Issues resolved on each day of the history window
+   * @param {Date} [today] - Day the simulation starts from
+   * @returns {Object} Scope with 50/85/95% completion dates, the target date, whether the 85% date slips
+   *   past it, and the risk of a committed scope that cannot be forecast
+   */
+  forecast(scope, dailyThroughput, today = new Date()) {
+    const startDate = DeliveryForecaster._toDate(today);
+    const forecast = {
+      type: scope.type,
+      id: scope.id,
+      name: scope.name,
+      targetDate: scope.targetDate || null,
+      remainingIssues: scope.remainingIssues,
+      completionDates: null,
+      daysLate: null,
+      slipping: false,
+      risk: null,
+      reason: null
+    };
+
+    if (scope.remainingIssues <= 0) {
+      return { ...forecast, ...this._withCompletionDays(forecast, startDate, [0]) };
+    }
+
+    // A committed date nothing has been resolved towards is a risk, even without a forecast
+    if (!dailyThroughput.some(count => count > 0)) {
+      return {
+        ...forecast,
+        risk: forecast.targetDate ? NO_THROUGHPUT_HISTORY : null,
+        reason: 'No issues resolved in the throughput history'
+      };
+    }
+
+    const trialDays = Array.from({ length: this.options.trials }, () =>
+      this._simulateDaysToComplete(scope.remainingIssues, dailyThroughput));
+
+    return { ...forecast, ...this._withCompletionDays(forecast, startDate, trialDays) };
+  }
+
+  /**
+   * Days one simulated future needs to finish, or Infinity when it does not finish within the horizon
+   * @private
+   */
+  _simulateDaysToComplete(remainingIssues, dailyThroughput) {
+    let remaining = remainingIssues;
+
+    for (let day = 1; day <= this.options.maxForecastDays; day++) {
+      remaining -= dailyThroughput[Math.floor(this.options.random() * dailyThroughput.length)];
+      if (remaining <= 0) return day;
+    }
+
+    return Infinity;
+  }
+
+  /**
+   * Turn simulated durations into confidence-level dates and compare the 85% date with the target
+   * @private
+   */
+  _withCompletionDays(forecast, startDate, trialDays) {
+    const sortedDays = [...trialDays].sort((a, b) => a - b);
+
+    const completionDates = CONFIDENCE_LEVELS.reduce((dates, level) => {
+      // Nearest rank, so a confidence level is never rounded in the optimistic direction
+      const days = sortedDays[Math.max(0, Math.ceil((level / 100) * sortedDays.length) - 1)];
+      return {
+        ...dates,
+        [`p${level}`]: Number.isFinite(days) ? DeliveryForecaster._addDays(startDate, days) : null
+      };
+    }, {});
+
+    const result = {
+      completionDates,
+      reason: completionDates.p85 === null ? `85% forecast beyond ${this.options.maxForecastDays} days` : null
+    };
+
+    if (!forecast.targetDate) {
+      return result;
+    }
+
+    const daysLate = completionDates.p85
+      ? Math.round((Date.parse(completionDates.p85) - Date.parse(forecast.targetDate)) / DAY_MS)
+      : null;
+
+    return {
+      ...result,
+      daysLate,
+      // Not finishing within the horizon certainly misses the target
+      slipping: completionDates.p85 === null || daysLate > 0
+    };
+  }
+
+  static _toDate(date) {
+    return new Date(date).toISOString().slice(0, 10);
+  }
+
+  static _addDays(date, days) {
+    return new Date(Date.parse(date) + days * DAY_MS).toISOString().slice(0, 10);
+  }
+}
@@ -0,0 +1,153 @@
+import { getExecutiveRole } from '../entities/ExecutiveRole.js';
+import { CommitmentReliability } from '../entities/CommitmentReliability.js';
+
+const DEFAULT_OPTIONS = {
+  maxAlerts: 5,
+  maxNews: 3,
+  commitmentTarget: 0.8
+};
+
+/**
+ * Role-specific briefing rules: which metrics lead, how alerts are ordered and how the headline reads
+ */
+const ROLE_BRIEFINGS = {
+  CEO: {
+    keyMetrics: totals => [
+      { label: 'Portfolio health', value: `${totals.healthScore}%` },
+      { label: 'Projects needing attention', value: totals.criticalAlerts },
+      { label: 'Projects at risk', value: totals.atRiskProjects }
+    ],
+    headline: totals => (totals.criticalAlerts > 0
+      ? `${totals.criticalAlerts} of ${totals.totalProjects} projects put strategic delivery at risk`
+      : `All ${totals.totalProjects} projects are within acceptable strategic risk`),
+    includeAlert: () => true,
+    alertPriority: project => -project.healthScore
+  },
+  CTO: {
+    keyMetrics: totals => [
+      { label: 'Blocked issues', value: totals.blockedIssues },
+      { label: 'Unresolved high-priority issues', value: totals.highPriorityIssues },
+      { label: 'Projects with blocked work', value: totals.projectsWithBlockedWork },
+      // Technical quality, when the metric definitions still count open bugs
+      ...(totals.openBugs === null ? [] : [{ label: 'Open bugs', value: totals.openBugs }])
+    ],
+    headline: totals => (totals.blockedIssues + totals.highPriorityIssues > 0
+      ? `${totals.blockedIssues} blocked and ${totals.highPriorityIssues} high-priority issues need engineering attention`
+      : 'No blocked work or high-priority technical issues across the portfolio'),
+    includeAlert: project => (project.blockedIssues || 0) + (project.highPriorityIssues || 0) > 0,
+    alertPriority: project => (project.blockedIssues || 0) * 2 + (project.highPriorityIssues || 0)
+  },
+  HEAD_OF_DELIVERY: {
+    // Commitments are judged by the teams' say/do ratio; overdue work stands in until sprints are measured
+    keyMetrics: totals => (totals.sayDoRatio === null ? [
+      { label: 'Projects on track', value: `${totals.onTrackProjects} of ${totals.totalProjects}` },
+      { label: 'Overdue issues', value: totals.overdueIssues },
+      { label: 'Projects with overdue work', value: totals.projectsWithOverdueWork }
+    ] : [
+      { label: 'Commitment reliability (say/do)', value: `${Math.round(totals.sayDoRatio * 100)}%` },
+      { label: 'Teams below commitment target', value: `${totals.teamsBelowCommitmentTarget} of ${totals.teams}` },
+      { label: 'Projects on track', value: `${totals.onTrackProjects} of ${totals.totalProjects}` }
+    ]),
+    headline: totals => {
+      if (totals.sayDoRatio !== null) {
+        return totals.teamsBelowCommitmentTarget > 0
+          ? `Teams deliver ${Math.round(totals.sayDoRatio * 100)}% of what they commit to; ${totals.teamsBelowCommitmentTarget} of ${totals.teams} fall short of ${Math.round(totals.commitmentTarget * 100)}%`
+          : `All ${totals.teams} teams deliver at least ${Math.round(totals.commitmentTarget * 100)}% of what they commit to`;
+      }
+      return totals.overdueIssues > 0
+        ? `${totals.overdueIssues} overdue issues threaten commitments in ${totals.projectsWithOverdueWork} projects`
+        : `All ${totals.totalProjects} projects are meeting their commitments`;
+    },
+    includeAlert: () => true,
+    alertPriority: (project, totals) => (totals.sayDoRatio === null
+      ? project.overdueIssues || 0
+      : 1 - (project.sayDoRatio ?? 1))
+  }
+};
+
+ROLE_BRIEFINGS.EXECUTIVE = ROLE_BRIEFINGS.CEO;
+
+/**
+ * Executive Briefing Builder Domain Service
+ * Chooses the metrics, alerts and wording each executive role sees
+ */
+export class ExecutiveBriefingBuilder {
+  constructor(options = {}) {
+    this.options = { ...DEFAULT_OPTIONS, ...options };
+  }
+
+  /**
+   * Build a role-specific briefing
+   * @param {string} roleKey - Executive role key
+   * @param {ExecutivePortfolio} portfolio - Calculated portfolio entity
+   * @param {Array<Object>} [flashNews] - Ranked flash news items
+   * @returns {Object} Briefing with greeting, headline, key metrics, alerts and news
+   */
+  build(roleKey, portfolio, flashNews = []) {
+    const role = getExecutiveRole(roleKey);
+    const rules = ROLE_BRIEFINGS[role.key];
+    const totals = this._calculateTotals(portfolio);
+
+    return {
+      role: role.key,
+      roleLabel: role.label,
+      greeting: role.greeting,
+      focus: role.focus,
+      headline: rules.headline(totals),
+      keyMetrics: rules.keyMetrics(totals),
+      alerts: this._selectAlerts(portfolio, rules, totals),
+      news: flashNews.slice(0, this.options.maxNews)
+    };
+  }
+
+  /**
+   * Order and trim critical alerts by what matters most to the role
+   * @private
+   */
+  _selectAlerts(portfolio, rules, totals) {
+    const projectsByKey = new Map(portfolio.projects.map(project => [project.key, project]));
+    const healthByKey = new Map(
+      portfolio.getProjectHealthBreakdown().map(project => [project.key, project.healthScore])
+    );
+
+    return portfolio.getCriticalAlerts()
+      .map(alert => ({
+        alert,
+        project: {
+          ...projectsByKey.get(alert.projectKey),
+          healthScore: healthByKey.get(alert.projectKey),
+          sayDoRatio: CommitmentReliability.averageSayDoRatio(projectsByKey.get(alert.projectKey)?.commitmentReliability || [])
+        }
+      }))
+      .filter(({ project }) => rules.includeAlert(project))
+      .sort((a, b) => rules.alertPriority(b.project, totals) - rules.alertPriority(a.project, totals))
+      .slice(0, this.options.maxAlerts)
+      .map(({ alert }) => alert);
+  }
+
+  /**
+   * Aggregate portfolio-wide totals used by every role
+   * @private
+   */
+  _calculateTotals(portfolio) {
+    const summary = portfolio.getPortfolioSummary();
+    const sum = metric => portfolio.projects.reduce((total, project) => total + (project[metric] || 0), 0);
+    const countWith = metric => portfolio.projects.filter(project => (project[metric] || 0) > 0).length;
+    const teams = [...new Map(portfolio.projects
+      .flatMap(project => project.commitmentReliability || [])
+      .map(team => [team.boardId, team])).values()];
+
+    return {
+      ...summary,
+      overdueIssues: sum('overdueIssues'),
+      blockedIssues: sum('blockedIssues'),
+      highPriorityIssues: sum('highPriorityIssues'),
+      openBugs: portfolio.projects.some(project => project.openBugs !== undefined) ? sum('openBugs') : null,
+      projectsWithOverdueWork: countWith('overdueIssues'),
+      projectsWithBlockedWork: countWith('blockedIssues'),
+      teams: teams.length,
+      teamsBelowCommitmentTarget: teams.filter(team => team.sayDoRatio !== null && team.sayDoRatio < this.options.commitmentTarget).length,
+      commitmentTarget: this.options.commitmentTarget
+    };
+  }
+}
@@ -0,0 +1,189 @@
+import { AnomalyDetector } from './AnomalyDetector.js';
+
+const STATUS_RANK = {
+  'On Track': 0,
+  'At Risk': 1,
+  Critical: 2
+};
+
+const SEVERITY_WEIGHT = {
+  critical: 300,
+  warning: 200,
+  positive: 100,
+  info: 0
+};
+
+const WEEKDAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const DEFAULT_OPTIONS = {
+  maxItems: 5,
+  projectHealthChangeThreshold: 10,
+  portfolioHealthChangeThreshold: 5,
+  metricIncreaseThreshold: 3
+};
+
+/**
+ * Flash News Generator Domain Service
+ * Turns changes between two portfolio snapshots into ranked business headlines
+ */
+export class FlashNewsGenerator {
+  constructor(options = {}) {
+    this.options = { ...DEFAULT_OPTIONS, ...options };
+    this.anomalyDetector = options.anomalyDetector || new AnomalyDetector();
+  }
+
+  /**
+   * Generate ranked headlines describing what changed since the previous snapshot
+   * @param {PortfolioSnapshot} currentSnapshot - Snapshot of the current calculation
+   * @param {PortfolioSnapshot|null} previousSnapshot - Most recent earlier snapshot
+   * @param {Array<PortfolioSnapshot>} [history] - Earlier snapshots, oldest first, for spotting unusual counts
+   * @returns {Array<Object>} News items ordered by importance
+   */
+  generate(currentSnapshot, previousSnapshot, history = []) {
+    if (!previousSnapshot) return [];
+
+    const since = this._describeSince(previousSnapshot.date, currentSnapshot.date);
+
+    // Anomalies come largest first, so the first one found for a project is its most unusual.
+    // They are reported alongside a project's change headline and ranked with it
+    const anomalies = this.anomalyDetector.detect(currentSnapshot, history);
+    const projectNews = currentSnapshot.projects
+      .flatMap(project => {
+        const anomaly = anomalies.find(candidate => candidate.projectKey === project.key);
+        return [
+          this._getProjectNews(project, previousSnapshot.getProject(project.key), since, anomaly),
+          anomaly ? this._getAnomalyNews(project, anomaly) : null
+        ];
+      })
+      .filter(Boolean);
+
+    const portfolioNews = this._getPortfolioNews(currentSnapshot.portfolio, previousSnapshot.portfolio, since);
+
+    return [...projectNews, ...(portfolioNews ? [portfolioNews] : [])]
+      .map(item => ({ ...item, since: previousSnapshot.date }))
+      .sort((a, b) => b.score - a.score)
+      .slice(0, this.options.maxItems);
+  }
+
+  /**
+   * Pick the single most relevant change headline for a project
+   * A metric rise that is also unusual is left to the project's anomaly headline
+   * @private
+   */
+  _getProjectNews(current, previous, since, anomaly) {
+    // Without readable data on both sides there is no change to report
+    if (!previous || current.healthScore === null || previous.healthScore === null) return null;
+
+    const healthDelta = current.healthScore - previous.healthScore;
+
+    if (current.status !== previous.status) {
+      return this._getStatusChangeNews(current, previous, healthDelta, since);
+    }
+
+    if (Math.abs(healthDelta) >= this.options.projectHealthChangeThreshold) {
+      const direction = healthDelta < 0 ? 'fell' : 'rose';
+      return this._createItem('HEALTH_CHANGE', healthDelta < 0 ? 'warning' : 'positive', current.key,
+        `Project ${current.key} health ${direction} ${Math.abs(healthDelta)} points to ${current.healthScore}% ${since}`,
+        Math.abs(healthDelta));
+    }
+
+    const metricIncrease = this._getLargestMetricIncrease(current.metrics, previous.metrics);
+    if (!anomaly && metricIncrease && metricIncrease.increase >= this.options.metricIncreaseThreshold) {
+      return this._createItem('METRIC_INCREASE', 'warning', current.key,
+        `Project ${current.key} has ${metricIncrease.increase} more ${this._describeMetric(metricIncrease.metric)} ${since}`,
+        metricIncrease.increase);
+    }
+
+    return null;
+  }
+
+  /**
+   * Describe a count far from the project's own baseline
+   * @private
+   */
+  _getAnomalyNews(current, anomaly) {
+    return this._createItem('UNUSUAL_METRIC', 'warning', current.key,
+      `Project ${current.key} has an unusual ${anomaly.value} ${this._describeMetric(anomaly.metric)}, ` +
+      `usually around ${Math.round(anomaly.baselineMedian)}`,
+      anomaly.value - anomaly.baselineMedian);
+  }
+
+  /**
+   * Describe a project moving between On Track, At Risk and Critical
+   * @private
+   */
+  _getStatusChangeNews(current, previous, healthDelta, since) {
+    const transition = `went from ${previous.status} to ${current.status}`;
+
+    if (STATUS_RANK[current.status] < STATUS_RANK[previous.status]) {
+      return this._createItem('STATUS_CHANGE', 'positive', current.key,
+        `Project ${current.key} recovered from ${previous.status} to ${current.status} ${since}`,
+        Math.abs(healthDelta));
+    }
+
+    if (current.status === 'Critical') {
+      const detail = current.criticalReason || `health at ${current.healthScore}%`;
+      return this._createItem('STATUS_CHANGE', 'critical', current.key,
+        `Project ${current.key} ${transition}: ${detail} ${since}`,
+        Math.abs(healthDelta));
+    }
+
+    return this._createItem('STATUS_CHANGE', 'warning', current.key,
+      `Project ${current.key} ${transition}: health down ${Math.abs(healthDelta)} points ${since}`,
+      Math.abs(healthDelta));
+  }
+
+  /**
+   * Describe a significant move in overall portfolio health
+   * @private
+   */
+  _getPortfolioNews(current, previous, since) {
+    const healthDelta = current.healthScore - previous.healthScore;
+    if (Math.abs(healthDelta) < this.options.portfolioHealthChangeThreshold) return null;
+
+    const direction = healthDelta < 0 ? 'fell' : 'rose';
+    return this._createItem('PORTFOLIO_HEALTH', healthDelta < 0 ? 'warning' : 'positive', null,
+      `Portfolio health ${direction} ${Math.abs(healthDelta)} points to ${current.healthScore}% ${since}`,
+      Math.abs(healthDelta));
+  }
+
+  _getLargestMetricIncrease(currentMetrics = {}, previousMetrics = {}) {
+    return Object.keys(currentMetrics)
+      .map(metric => ({ metric, increase: (currentMetrics[metric] || 0) - (previousMetrics[metric] || 0) }))
+      .filter(change => change.increase > 0)
+      .sort((a, b) => b.increase - a.increase)[0];
+  }
+
+  _createItem(type, severity, projectKey, headline, magnitude) {
+    return {
+      id: `${type}:${projectKey || 'PORTFOLIO'}`,
+      type,
+      severity,
+      projectKey,
+      headline,
+      score: SEVERITY_WEIGHT[severity] + magnitude
+    };
+  }
+
+  /**
+   * Turn a camelCase metric name into business wording (blockedIssues -> blocked issues)
+   * @private
+   */
+  _describeMetric(metric) {
+    return metric.replace(/([a-z])([A-Z])/g, '$1 $2').toLowerCase();
+  }
+
+  /**
+   * Describe the comparison window in everyday language
+   * @private
+   */
+  _describeSince(previousDate, currentDate) {
+    const days = Math.round((Date.parse(currentDate) - Date.parse(previousDate)) / DAY_MS);
+
+    if (days <= 1) return 'since yesterday';
+    if (days < 7) return `since ${WEEKDAYS[new Date(`${previousDate}T00:00:00.000Z`).getUTCDay()]}`;
+    return `since ${previousDate}`;
+  }
+}
@@ -7,6 +7,7 @@ import ForgeUI, {
   useAction,
   useState,
   useEffect,
+  useProductContext,
   StatusLozenge,
   Table,
   Head,
@@ -16,18 +17,40 @@ import ForgeUI, {
 
 import { DashboardResolver } from './presentation/resolvers/DashboardResolver.js';
 
+const formatDelta = (delta, suffix = '') => {
+  if (delta === null || delta === undefined) return 'n/a';
+  if (delta === 0) return 'no change';
+  return `${delta > 0 ? '▲' : '▼'}${Math.abs(delta)}${suffix}`;
+};
+
+const NEWS_ICONS = {
+  critical: '🔴',
+  warning: '🟠',
+  positive: '🟢',
+  info: '🔵'
+};
+
+const READINESS_APPEARANCE = {
+  Ready: 'success',
+  'At Risk': 'moved',
+  'Not Ready': 'removed'
+};
+
 const App = () => {
   const [dashboardData, setDashboardData] = useState(null);
   const [isLoading, setIsLoading] = useState(true);
   const [lastRefresh, setLastRefresh] = useState(new Date().toISOString());
 
-  const resolver = new DashboardResolver();
+  const context = useProductContext();
+
+  // Built only when data is loaded, not on every render; UI Kit state cannot hold the resolver
+  const createResolver = () => new DashboardResolver(context || {});
 
   // Load dashboard data on component mount
   useEffect(async () => {
     setIsLoading(true);
     try {
-      const data = await resolver.resolveDashboard();
+      const data = await createResolver().resolveDashboard();
       setDashboardData(data);
     } catch (error) {
       console.error('Error loading dashboard:', error);
@@ -42,7 +65,7 @@ const App = () => {
   const [handleRefresh] = useAction(async () => {
     setIsLoading(true);
     try {
-      const refreshResult = await resolver.handleRefresh();
+      const refreshResult = await createResolver().handleRefresh();
       if (refreshResult.success) {
         setDashboardData(refreshResult.data);
         setLastRefresh(new Date().toISOString());
@@ -79,7 +102,7 @@ const App = () => {
     );
   }
 
-  const { portfolio, criticalAlerts, executive, performance } = dashboardData;
+  const { portfolio, criticalAlerts, executive, performance, trends, flashNews, briefing, flow, deliveryForecast, releaseReadiness, dataFreshness } = dashboardData;
 
   return (
     <Fragment>
@@ -90,12 +113,57 @@ const App = () => {
       {/* Executive Info */}
       <Text>Welcome, {executive?.name || 'Executive User'}</Text>
 
+      {/* Role Briefing */}
+      {briefing && (
+        <Fragment>
+          <Text><Strong>{briefing.greeting}</Strong> ({briefing.roleLabel}: {briefing.focus})</Text>
+          <Text>{briefing.headline}</Text>
+          {briefing.keyMetrics.map(metric => (
+            <Text key={metric.label}>{metric.label}: {metric.value}</Text>
+          ))}
+          {briefing.alerts.map(alert => (
+            <Text key={alert.projectKey}>• {alert.projectName} ({alert.projectKey}): {alert.reason}</Text>
+          ))}
+        </Fragment>
+      )}
+
+      {/* Flash News Feed */}
+      {flashNews && flashNews.length > 0 && (
+        <Fragment>
+          <Text><Strong>Flash News</Strong></Text>
+          {flashNews.map(item => (
+            <Text key={item.id}>{NEWS_ICONS[item.severity]} {item.headline}</Text>
+          ))}
+        </Fragment>
+      )}
+
       {/* Portfolio Summary */}
       <Fragment>
         <Text><Strong>Portfolio Summary</Strong></Text>
         <Text>Total Projects: {portfolio.totalProjects}</Text>
-        <Text>Health Score: {portfolio.healthScore}%</Text>
-        <Text>On Track: {portfolio.onTrackProjects} | At Risk: {portfolio.atRiskProjects}</Text>
+        <Text>Health Score: {portfolio.healthScore}%{portfolio.normalisedHealthScore !== null && portfolio.normalisedHealthScore !== undefined ? ` (size-normalised: ${portfolio.normalisedHealthScore}%)` : ''}</Text>
+        <Text>On Track: {portfolio.onTrackProjects} | At Risk: {portfolio.atRiskProjects}{portfolio.weightedAtRiskProjects !== undefined && portfolio.weightedAtRiskProjects !== portfolio.atRiskProjects ? ` (strategic weight ${portfolio.weightedAtRiskProjects})` : ''}</Text>
+        {portfolio.sayDoRatio !== null && portfolio.sayDoRatio !== undefined && (
+          <Text>Commitment Reliability (say/do): {Math.round(portfolio.sayDoRatio * 100)}%</Text>
+        )}
+        {portfolio.incompleteDataProjects > 0 && (
+          <Fragment>
+            <StatusLozenge text="Incomplete Data" appearance="moved" />
+            <Text>⚠️ {portfolio.incompleteDataProjects} of {portfolio.totalProjects} projects have incomplete Jira data and are excluded from the health score</Text>
+          </Fragment>
+        )}
+
+        {/* Trend Deltas */}
+        {trends?.dayOverDay && (
+          <Text>
+            vs. yesterday: Health {formatDelta(trends.dayOverDay.healthScore, '%')} | On Track {formatDelta(trends.dayOverDay.onTrackProjects)} | At Risk {formatDelta(trends.dayOverDay.atRiskProjects)} | Critical {formatDelta(trends.dayOverDay.criticalAlerts)}
+          </Text>
+        )}
+        {trends?.weekOverWeek && (
+          <Text>
+            vs. last week: Health {formatDelta(trends.weekOverWeek.healthScore, '%')} | On Track {formatDelta(trends.weekOverWeek.onTrackProjects)} | At Risk {formatDelta(trends.weekOverWeek.atRiskProjects)} | Critical {formatDelta(trends.weekOverWeek.criticalAlerts)}
+          </Text>
+        )}
 
         {portfolio.healthScore >= 80 && (
           <StatusLozenge text="Healthy" appearance="success" />
@@ -108,6 +176,75 @@ const App = () => {
         )}
       </Fragment>
 
+      {/* Delivery Flow */}
+      {flow?.windowDays && (
+        <Fragment>
+          <Text><Strong>Delivery Flow (last {flow.windowDays} days)</Strong></Text>
+          <Text>Throughput: {flow.throughput} issues resolved | Work in Progress: {flow.wip}</Text>
+          {flow.slowestCycleTimeP85Days !== null && (
+            <Text>Slowest 85th percentile cycle time: {flow.slowestCycleTimeP85Days} days</Text>
+          )}
+        </Fragment>
+      )}
+
+      {/* Release Readiness */}
+      {releaseReadiness?.releases?.length > 0 && (
+        <Fragment>
+          <Text><Strong>Release Readiness</Strong></Text>
+          <Text>Ready: {releaseReadiness.summary.ready} | At Risk: {releaseReadiness.summary.atRisk} | Not Ready: {releaseReadiness.summary.notReady}</Text>
+          <Table>
+            <Head>
+              <Cell>
+                <Text>Release</Text>
+              </Cell>
+              <Cell>
+                <Text>Verdict</Text>
+              </Cell>
+              <Cell>
+                <Text>Progress</Text>
+              </Cell>
+              <Cell>
+                <Text>Release Date</Text>
+              </Cell>
+            </Head>
+            {releaseReadiness.releases.map(release => (
+              <Row key={`${release.projectKey}-${release.id}`}>
+                <Cell>
+                  <Text>{release.projectName} {release.name}</Text>
+                </Cell>
+                <Cell>
+                  <StatusLozenge
+                    text={release.verdict}
+                    appearance={READINESS_APPEARANCE[release.verdict]}
+                  />
+                </Cell>
+                <Cell>
+                  <Text>{release.doneIssues} done / {release.openIssues} open{release.reasons.length > 0 ? ` (${release.reasons.join('; ')})` : ''}</Text>
+                </Cell>
+                <Cell>
+                  <Text>{release.releaseDate ? `${release.releaseDate} (${release.daysToRelease} days)` : 'No date'}</Text>
+                </Cell>
+              </Row>
+            ))}
+          </Table>
+        </Fragment>
+      )}
+
+      {/* Delivery Forecast */}
+      {deliveryForecast?.alerts?.length > 0 && (
+        <Fragment>
+          <Text><Strong>Delivery Forecast ({deliveryForecast.alerts.length} at risk)</Strong></Text>
+          {deliveryForecast.alerts.map(alert => (
+            <Text key={`${alert.projectKey}-${alert.scope.type}-${alert.scope.id}`}>
+              ⚠️ {alert.projectName}: {alert.reason}
+            </Text>
+          ))}
+          {deliveryForecast.unforecastScopes > 0 && (
+            <Text>{deliveryForecast.unforecastScopes} later releases and epics not forecast</Text>
+          )}
+        </Fragment>
+      )}
+
       {/* Critical Alerts */}
       {criticalAlerts && criticalAlerts.length > 0 && (
         <Fragment>
@@ -130,7 +267,7 @@ const App = () => {
                   <Text>{alert.projectName} ({alert.projectKey})</Text>
                 </Cell>
                 <Cell>
-                  <StatusLozenge text={alert.alertLevel} appearance="removed" />
+                  <StatusLozenge text={alert.alertLevel} appearance={alert.alertLevel === 'DEPENDENCY' ? 'moved' : 'removed'} />
                 </Cell>
                 <Cell>
                   <Text>{alert.reason}</Text>
@@ -153,6 +290,11 @@ const App = () => {
       {/* Footer */}
       <Fragment>
         <Text>Last Updated: {new Date(lastRefresh).toLocaleString()}</Text>
+        {dataFreshness && (
+          <Text>
+            Jira data fetched: {new Date(dataFreshness.fetchedAt).toLocaleString()}{dataFreshness.stale ? ' (showing cached data; refresh failed)' : ''}
+          </Text>
+        )}
         {performance && (
           <Text>Response Time: {performance.responseTimeMs}ms</Text>
         )}
@@ -0,0 +1,60 @@
+/**
+ * Caching Agile Data Adapter
+ * Decorates an AgileDataPort so boards, closed sprints and their reports are served
+ * from a per-executive cache; a closed sprint's report never changes, so it is kept longest
+ */
+export class CachingAgileDataAdapter {
+  /**
+   * @param {AgileDataPort} agileDataPort - Adapter that reads live Jira Software data
+   * @param {PortfolioDataCache} dataCache - Per-executive data cache
+   * @param {Object} [options] - Cache scope
+   * @param {string} [options.executiveId] - Account ID from the Forge context; nothing is cached without it
+   */
+  constructor(agileDataPort, dataCache, options = {}) {
+    this.agileDataPort = agileDataPort;
+    this.dataCache = dataCache;
+    this.executiveId = options.executiveId || null;
+  }
+
+  /**
+   * Get the scrum boards that show a project's issues
+   * @param {string} projectKey - Jira project key
+   * @returns {Promise<Array>} Boards with id and name
+   */
+  async getProjectBoards(projectKey) {
+    return this._getOrFetch('boards', projectKey, () => this.agileDataPort.getProjectBoards(projectKey));
+  }
+
+  /**
+   * Get a board's most recently closed sprints
+   * @param {number} boardId - Board identifier
+   * @param {Object} [options] - How many sprints to return (limit)
+   * @returns {Promise<Array>} Closed sprints, oldest first
+   */
+  async getClosedSprints(boardId, options = {}) {
+    return this._getOrFetch('sprints', `${boardId}.${options.limit || 'default'}`,
+      () => this.agileDataPort.getClosedSprints(boardId, options));
+  }
+
+  /**
+   * Get what a sprint committed to, completed and added after it started
+   * @param {number} boardId - Board identifier
+   * @param {Object} sprint - Closed sprint with id, name, startDate and completeDate
+   * @returns {Promise<Object>} Committed, completed and added issues and story points
+   */
+  async getSprintReport(boardId, sprint) {
+    return this._getOrFetch('sprintReports', `${boardId}.${sprint.id}`,
+      () => this.agileDataPort.getSprintReport(boardId, sprint));
+  }
+
+  /**
+   * Read through the cache when the executive is known
+   * @private
+   */
+  async _getOrFetch(type, id, fetchValue) {
+    if (!this.executiveId) {
+      return fetchValue();
+    }
+    return this.dataCache.getOrFetch(this.executiveId, type, id, fetchValue);
+  }
+}
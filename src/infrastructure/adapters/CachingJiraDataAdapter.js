@@ -0,0 +1,288 @@
+import { MetricDefinitions } from '../../domain/entities/MetricDefinitions.js';
+import { DEFAULT_FLOW_WINDOW_DAYS } from '../../domain/entities/FlowMetrics.js';
+import { DEFAULT_DEPENDENCY_LINK_TYPES } from '../../domain/entities/DependencyGraph.js';
+
+const CURRENT_USER_ID = 'current';
+
+/**
+ * Caching Jira Data Adapter
+ * Decorates a JiraDataPort so project lists, health, flow and delivery data and the current user
+ * are served from a per-executive cache
+ */
+export class CachingJiraDataAdapter {
+  /**
+   * @param {JiraDataPort} jiraDataPort - Adapter that reads live Jira data
+   * @param {PortfolioDataCache} dataCache - Per-executive data cache
+   * @param {Object} [options] - Cache scope
+   * @param {string} [options.executiveId] - Account ID from the Forge context; learnt from Jira when omitted
+   */
+  constructor(jiraDataPort, dataCache, options = {}) {
+    this.jiraDataPort = jiraDataPort;
+    this.dataCache = dataCache;
+    this.executiveId = options.executiveId || null;
+  }
+
+  /**
+   * Get projects accessible to current user
+   * @param {Object} [filters] - Optional scope: categoryId, typeKey and includeArchived
+   * @returns {Promise<Array>} Array of project data
+   */
+  async getExecutiveProjects(filters = {}) {
+    const scope = await this._getScope();
+    if (!scope) {
+      return this.jiraDataPort.getExecutiveProjects(filters);
+    }
+
+    return this.dataCache.getOrFetch(scope, 'projects', this._describeFilters(filters),
+      () => this.jiraDataPort.getExecutiveProjects(filters));
+  }
+
+  /**
+   * Get a Jira project property for many projects, from the cache where fresh
+   * @param {Array<string>} projectKeys - Jira project keys
+   * @param {string} propertyKey - Project property key
+   * @returns {Promise<Object>} Property values keyed by project key
+   */
+  async getProjectProperties(projectKeys, propertyKey) {
+    const scope = await this._getScope();
+    if (!scope) {
+      return this.jiraDataPort.getProjectProperties(projectKeys, propertyKey);
+    }
+
+    return this._getManyByProject(scope, 'properties', projectKeys, propertyKey,
+      missingKeys => this.jiraDataPort.getProjectProperties(missingKeys, propertyKey));
+  }
+
+  /**
+   * Get project health metrics for a specific project
+   * @param {string} projectKey - Jira project key
+   * @param {MetricDefinitions} [metricDefinitions] - JQL defining each metric
+   * @returns {Promise<Object>} Project health data
+   */
+  async getProjectHealthMetrics(projectKey, metricDefinitions) {
+    const definitions = MetricDefinitions.from(metricDefinitions);
+    const scope = await this._getScope();
+    if (!scope) {
+      return this.jiraDataPort.getProjectHealthMetrics(projectKey, definitions);
+    }
+
+    return this.dataCache.getOrFetch(scope, 'metrics', `${projectKey}.${definitions.revision}`,
+      () => this.jiraDataPort.getProjectHealthMetrics(projectKey, definitions));
+  }
+
+  /**
+   * Get health metrics for many projects, querying Jira only for projects without fresh cached metrics
+   * @param {Array<string>} projectKeys - Jira project keys
+   * @param {MetricDefinitions} [metricDefinitions] - JQL defining each metric
+   * @returns {Promise<Object>} Project health data keyed by project key
+   */
+  async getPortfolioHealthMetrics(projectKeys, metricDefinitions) {
+    const definitions = MetricDefinitions.from(metricDefinitions);
+    const scope = await this._getScope();
+    if (!scope) {
+      return this.jiraDataPort.getPortfolioHealthMetrics(projectKeys, definitions);
+    }
+
+    return this._getManyByProject(scope, 'metrics', projectKeys, definitions.revision,
+      missingKeys => this.jiraDataPort.getPortfolioHealthMetrics(missingKeys, definitions));
+  }
+
+  /**
+   * Get flow metrics for many projects, querying Jira only for projects without fresh cached flow
+   * @param {Array<string>} projectKeys - Jira project keys
+   * @param {Object} [options] - Flow window (windowDays)
+   * @returns {Promise<Object>} Flow metrics keyed by project key
+   */
+  async getPortfolioFlowMetrics(projectKeys, options = {}) {
+    const scope = await this._getScope();
+    if (!scope) {
+      return this.jiraDataPort.getPortfolioFlowMetrics(projectKeys, options);
+    }
+
+    // Cached per window length so changing the window never serves flow from another window
+    const windowDays = options.windowDays || DEFAULT_FLOW_WINDOW_DAYS;
+    return this._getManyByProject(scope, 'flow', projectKeys, `${windowDays}d`,
+      missingKeys => this.jiraDataPort.getPortfolioFlowMetrics(missingKeys, { ...options, windowDays }));
+  }
+
+  /**
+   * Get project sizes, querying Jira only for projects without a fresh cached size
+   * @param {Array<string>} projectKeys - Jira project keys
+   * @returns {Promise<Object>} Size metrics keyed by project key
+   */
+  async getPortfolioSizeMetrics(projectKeys) {
+    const scope = await this._getScope();
+    if (!scope) {
+      return this.jiraDataPort.getPortfolioSizeMetrics(projectKeys);
+    }
+
+    return this._getManyByProject(scope, 'sizes', projectKeys, 'open',
+      missingKeys => this.jiraDataPort.getPortfolioSizeMetrics(missingKeys));
+  }
+
+  /**
+   * Get open releases and epics with their remaining work, from the cache where fresh
+   * @param {Array<string>} projectKeys - Jira project keys
+   * @returns {Promise<Object>} Delivery scopes keyed by project key
+   */
+  async getDeliveryScopes(projectKeys) {
+    const scope = await this._getScope();
+    if (!scope) {
+      return this.jiraDataPort.getDeliveryScopes(projectKeys);
+    }
+
+    return this._getManyByProject(scope, 'scopes', projectKeys, 'open',
+      missingKeys => this.jiraDataPort.getDeliveryScopes(missingKeys));
+  }
+
+  /**
+   * Get upcoming releases with their readiness counts, from the cache where fresh
+   * @param {Array<string>} projectKeys - Jira project keys
+   * @param {MetricDefinitions} [metricDefinitions] - JQL defining blocked and high priority issues
+   * @returns {Promise<Object>} Upcoming releases keyed by project key
+   */
+  async getUpcomingReleases(projectKeys, metricDefinitions) {
+    const definitions = MetricDefinitions.from(metricDefinitions);
+    const scope = await this._getScope();
+    if (!scope) {
+      return this.jiraDataPort.getUpcomingReleases(projectKeys, definitions);
+    }
+
+    return this._getManyByProject(scope, 'releases', projectKeys, definitions.revision,
+      missingKeys => this.jiraDataPort.getUpcomingReleases(missingKeys, definitions));
+  }
+
+  /**
+   * Get blocking issue links, from the cache where fresh
+   * @param {Array<string>} projectKeys - Jira project keys
+   * @param {Object} [options] - Link types (linkTypes)
+   * @returns {Promise<Object>} Blocking links keyed by the blocked issue's project key
+   */
+  async getDependencyLinks(projectKeys, options = {}) {
+    const scope = await this._getScope();
+    if (!scope) {
+      return this.jiraDataPort.getDependencyLinks(projectKeys, options);
+    }
+
+    const linkTypes = options.linkTypes || DEFAULT_DEPENDENCY_LINK_TYPES;
+    return this._getManyByProject(scope, 'dependencies', projectKeys, [...linkTypes].sort().join('|'),
+      missingKeys => this.jiraDataPort.getDependencyLinks(missingKeys, { ...options, linkTypes }));
+  }
+
+  /**
+   * Get daily resolved counts, from the cache where fresh
+   * @param {Array<string>} projectKeys - Jira project keys
+   * @param {Object} [options] - History window (windowDays)
+   * @returns {Promise<Object>} Daily resolved counts keyed by project key
+   */
+  async getDailyThroughput(projectKeys, options = {}) {
+    const scope = await this._getScope();
+    if (!scope) {
+      return this.jiraDataPort.getDailyThroughput(projectKeys, options);
+    }
+
+    const windowDays = options.windowDays || DEFAULT_FLOW_WINDOW_DAYS;
+    return this._getManyByProject(scope, 'throughput', projectKeys, `${windowDays}d`,
+      missingKeys => this.jiraDataPort.getDailyThroughput(missingKeys, { ...options, windowDays }));
+  }
+
+  /**
+   * Ask Jira to parse JQL queries without running them
+   * @param {Array<string>} queries - JQL queries to check
+   * @returns {Promise<Array<Object>>} One result per query with its parse errors
+   */
+  async validateJql(queries) {
+    return this.jiraDataPort.validateJql(queries);
+  }
+
+  /**
+   * Get current user information
+   * @returns {Promise<Object>} User profile data including Jira group names
+   */
+  async getCurrentUser() {
+    if (this.executiveId) {
+      return this.dataCache.getOrFetch(this.executiveId, 'user', CURRENT_USER_ID,
+        () => this.jiraDataPort.getCurrentUser());
+    }
+
+    const currentUser = await this.jiraDataPort.getCurrentUser();
+    this.executiveId = currentUser.accountId || null;
+    return currentUser;
+  }
+
+  /**
+   * Get the Jira groups a user belongs to
+   * Never cached, so group changes affect business unit access immediately
+   * @param {string} accountId - Atlassian account ID
+   * @returns {Promise<Array<string>>} Group names
+   */
+  async getUserGroups(accountId) {
+    return this.jiraDataPort.getUserGroups(accountId);
+  }
+
+  /**
+   * Get who holds some project roles in each project
+   * Never cached, so role changes affect permissions immediately
+   * @param {Array<string>} projectKeys - Jira project keys
+   * @param {Array<string>} roleNames - Project role names
+   * @returns {Promise<Object>} Account IDs and group names per role name, keyed by project key
+   */
+  async getProjectRoleMembers(projectKeys, roleNames) {
+    return this.jiraDataPort.getProjectRoleMembers(projectKeys, roleNames);
+  }
+
+  /**
+   * Check whether the current user is a Jira administrator
+   * Never cached, so revoked admin rights take effect immediately
+   * @returns {Promise<boolean>} True if the user may change app configuration
+   */
+  async hasAdminPermission() {
+    return this.jiraDataPort.hasAdminPermission();
+  }
+
+  /**
+   * Resolve the executive whose cache is used, looking the user up when the context gave none
+   * @private
+   */
+  async _getScope() {
+    if (!this.executiveId) {
+      await this.getCurrentUser();
+    }
+    return this.executiveId;
+  }
+
+  /**
+   * Read per-project values of one type through the cache, fetching only the projects missing from it
+   * The variant (e.g. metric definitions revision or window length) is part of the cache ID, so values
+   * computed under other settings are never served
+   * @private
+   */
+  async _getManyByProject(scope, type, projectKeys, variant, fetchByProject) {
+    const cacheIds = projectKeys.map(projectKey => `${projectKey}.${variant}`);
+    const keysByCacheId = new Map(cacheIds.map((cacheId, index) => [cacheId, projectKeys[index]]));
+
+    const valuesByCacheId = await this.dataCache.getManyOrFetch(scope, type, cacheIds, async (missingIds) => {
+      const fetched = await fetchByProject(missingIds.map(cacheId => keysByCacheId.get(cacheId)));
+      return missingIds.reduce((result, cacheId) => ({
+        ...result,
+        [cacheId]: fetched[keysByCacheId.get(cacheId)]
+      }), {});
+    });
+
+    return projectKeys.reduce((result, projectKey, index) => ({
+      ...result,
+      [projectKey]: valuesByCacheId[cacheIds[index]]
+    }), {});
+  }
+
+  /**
+   * Build a stable cache identifier for a set of project filters
+   * @private
+   */
+  _describeFilters(filters) {
+    const category = filters.categoryId ?? 'any';
+    const type = filters.typeKey || 'any';
+    const status = filters.includeArchived ? 'all' : 'live';
+    return `${category}.${type}.${status}`;
+  }
+}
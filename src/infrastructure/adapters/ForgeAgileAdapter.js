@@ -0,0 +1,245 @@
+import { route } from '@forge/api';
+import { JiraRequestClient } from '../clients/JiraRequestClient.js';
+import { DEFAULT_RELIABILITY_SPRINTS } from '../../domain/entities/CommitmentReliability.js';
+
+const AGILE_PAGE_SIZE = 50;
+
+/**
+ * Forge Agile Adapter
+ * Infrastructure adapter reading Jira Software boards, sprints and sprint issues through the
+ * public Agile API.
+ * Failures surface as JiraDataError subclasses rather than empty data.
+ */
+export class ForgeAgileAdapter {
+  /**
+   * @param {Object} [options] - Request options
+   * @param {JiraRequestClient} [options.requestClient] - Shared request layer; built from the remaining options when omitted
+   */
+  constructor(options = {}) {
+    this.requestClient = options.requestClient || new JiraRequestClient(options);
+    this.estimationFields = new Map();
+  }
+
+  /**
+   * Get the scrum boards that show a project's issues
+   * @param {string} projectKey - Jira project key
+   * @returns {Promise<Array>} Boards with id and name
+   * @throws {JiraDataError} When the boards cannot be read
+   */
+  async getProjectBoards(projectKey) {
+    const boards = await this._getAllPages(startAt => {
+      const params = new URLSearchParams({
+        projectKeyOrId: projectKey,
+        type: 'scrum',
+        startAt: String(startAt),
+        maxResults: String(AGILE_PAGE_SIZE)
+      });
+      return route`/rest/agile/1.0/board?${params}`;
+    });
+
+    return boards.map(board => ({ id: board.id, name: board.name }));
+  }
+
+  /**
+   * Get a board's most recently closed sprints
+   * @param {number} boardId - Board identifier
+   * @param {Object} [options] - Sprint history length
+   * @param {number} [options.limit=6] - Most recent sprints to return
+   * @returns {Promise<Array>} Closed sprints with id, name and dates, oldest first
+   * @throws {JiraDataError} When the sprints cannot be read
+   */
+  async getClosedSprints(boardId, options = {}) {
+    const limit = options.limit || DEFAULT_RELIABILITY_SPRINTS;
+
+    // The Agile API lists sprints oldest first, so every page is read to find the latest
+    const sprints = await this._getAllPages(startAt => {
+      const params = new URLSearchParams({
+        state: 'closed',
+        startAt: String(startAt),
+        maxResults: String(AGILE_PAGE_SIZE)
+      });
+      return route`/rest/agile/1.0/board/${boardId}/sprint?${params}`;
+    });
+
+    return sprints
+      .filter(sprint => sprint.originBoardId === undefined || sprint.originBoardId === boardId)
+      .map(sprint => ({
+        id: sprint.id,
+        name: sprint.name,
+        startDate: sprint.startDate || null,
+        completeDate: sprint.completeDate || sprint.endDate || null
+      }))
+      .sort((a, b) => (Date.parse(a.completeDate) || 0) - (Date.parse(b.completeDate) || 0))
+      .slice(-limit);
+  }
+
+  /**
+   * Get what a sprint committed to, completed and added after it started, from the sprint's
+   * issues and their changelogs
+   * An issue is added when it joined the sprint after the sprint started, and completed when it
+   * was resolved by the time the sprint closed; completed counts only committed issues. Story
+   * points are the estimate when the issue joined the sprint, or when the sprint started.
+   * Issues removed before the sprint closed are no longer listed in it, so they are not counted.
+   * @param {number} boardId - Board identifier
+   * @param {Object} sprint - Closed sprint with id, name, startDate and completeDate
+   * @returns {Promise<Object>} Committed, completed and added issues and story points
+   * @throws {JiraDataError} When the board or the sprint's issues cannot be read
+   */
+  async getSprintReport(boardId, sprint) {
+    const estimationFieldId = await this._getEstimationFieldId(boardId);
+    const issues = await this._getSprintIssues(boardId, sprint.id, estimationFieldId);
+    const startedAt = Date.parse(sprint.startDate);
+    const completedAt = Date.parse(sprint.completeDate);
+
+    const measured = issues.map(issue => {
+      const joinedAt = this._getSprintJoinTime(issue, sprint.id);
+      const resolvedAt = Date.parse(issue.fields?.resolutiondate);
+
+      return {
+        added: joinedAt > startedAt,
+        completed: resolvedAt <= completedAt,
+        points: estimationFieldId ? this._getEstimateAt(issue, estimationFieldId, Math.max(joinedAt, startedAt)) : 0
+      };
+    });
+
+    const committed = measured.filter(issue => !issue.added);
+    const completedCommitted = committed.filter(issue => issue.completed);
+    const added = measured.filter(issue => issue.added);
+
+    return {
+      sprintId: sprint.id,
+      name: sprint.name || String(sprint.id),
+      committedIssues: committed.length,
+      completedIssues: completedCommitted.length,
+      addedIssues: added.length,
+      committedPoints: this._sumPoints(committed),
+      completedPoints: this._sumPoints(completedCommitted),
+      addedPoints: this._sumPoints(added)
+    };
+  }
+
+  /**
+   * Get the field a board estimates in, or null when it counts issues; read once per board
+   * @private
+   */
+  async _getEstimationFieldId(boardId) {
+    if (!this.estimationFields.has(boardId)) {
+      this.estimationFields.set(boardId, this.requestClient.requestJson(
+        route`/rest/agile/1.0/board/${boardId}/configuration`,
+        {
+          method: 'GET',
+          headers: {
+            'Accept': 'application/json'
+          }
+        }
+      ).then(configuration => configuration.estimation?.field?.fieldId || null));
+    }
+    return this.estimationFields.get(boardId);
+  }
+
+  /**
+   * Read every issue of a sprint with its changelog, page by page
+   * @private
+   */
+  async _getSprintIssues(boardId, sprintId, estimationFieldId) {
+    const fields = ['created', 'resolutiondate', estimationFieldId].filter(Boolean).join(',');
+    const issues = [];
+    let total = Infinity;
+
+    while (issues.length < total) {
+      const params = new URLSearchParams({
+        startAt: String(issues.length),
+        maxResults: String(AGILE_PAGE_SIZE),
+        fields,
+        expand: 'changelog'
+      });
+      const page = await this.requestClient.requestJson(
+        route`/rest/agile/1.0/board/${boardId}/sprint/${sprintId}/issue?${params}`,
+        {
+          method: 'GET',
+          headers: {
+            'Accept': 'application/json'
+          }
+        }
+      );
+      const pageIssues = page.issues || [];
+
+      issues.push(...pageIssues);
+
+      // An empty page guards against looping forever on an inconsistent total
+      total = pageIssues.length === 0 ? issues.length : page.total ?? issues.length;
+    }
+
+    return issues;
+  }
+
+  /**
+   * When an issue last joined the sprint; issues created in it have no Sprint change
+   * @private
+   */
+  _getSprintJoinTime(issue, sprintId) {
+    const sprintIds = value => String(value || '').split(',').map(id => id.trim());
+    const joins = this._getHistories(issue)
+      .filter(history => history.items.some(item => item.field === 'Sprint' &&
+        sprintIds(item.to).includes(String(sprintId)) && !sprintIds(item.from).includes(String(sprintId))))
+      .map(history => Date.parse(history.created));
+
+    return joins.length > 0 ? Math.max(...joins) : Date.parse(issue.fields?.created);
+  }
+
+  /**
+   * An issue's estimate at a time: the value the first later change replaced, or the current value
+   * @private
+   */
+  _getEstimateAt(issue, estimationFieldId, time) {
+    const laterChange = this._getHistories(issue)
+      .filter(history => Date.parse(history.created) > time)
+      .sort((a, b) => Date.parse(a.created) - Date.parse(b.created))
+      .flatMap(history => history.items)
+      .find(item => item.fieldId === estimationFieldId);
+
+    return Number(laterChange ? laterChange.fromString : issue.fields?.[estimationFieldId]) || 0;
+  }
+
+  /**
+   * @private
+   */
+  _getHistories(issue) {
+    return (issue.changelog?.histories || []).map(history => ({ ...history, items: history.items || [] }));
+  }
+
+  /**
+   * @private
+   */
+  _sumPoints(issues) {
+    return issues.reduce((sum, issue) => sum + issue.points, 0);
+  }
+
+  /**
+   * Read every page of a paginated Agile API list
+   * @private
+   */
+  async _getAllPages(buildRoute) {
+    const values = [];
+    let startAt = 0;
+    let isLast = false;
+
+    while (!isLast) {
+      const page = await this.requestClient.requestJson(buildRoute(startAt), {
+        method: 'GET',
+        headers: {
+          'Accept': 'application/json'
+        }
+      });
+      const pageValues = page.values || [];
+
+      values.push(...pageValues);
+
+      // An empty page guards against looping forever on an inconsistent isLast flag
+      startAt += pageValues.length;
+      isLast = page.isLast !== false || pageValues.length === 0;
+    }
+
+    return values;
+  }
+}
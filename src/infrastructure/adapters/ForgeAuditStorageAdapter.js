@@ -0,0 +1,215 @@
+import { randomUUID } from 'crypto';
+import { storage, startsWith } from '@forge/api';
+import { AuditRecord } from '../../domain/entities/AuditRecord.js';
+
+const RECORD_KEY_PREFIX = 'audit-record';
+const PENDING_KEY_PREFIX = 'audit-pending';
+const CHAIN_STATE_KEY = 'audit-chain';
+const QUERY_PAGE_SIZE = 20;
+const SEQUENCE_DIGITS = 12;
+
+/**
+ * Forge Audit Storage Adapter
+ * Infrastructure adapter persisting the audit trail in Forge app storage. Each event is queued
+ * under its own key, and each sealed record is stored under the day it occurred and its
+ * sequence, so reads for a date range only touch the months it covers.
+ */
+export class ForgeAuditStorageAdapter {
+  /**
+   * @param {Object} [options] - Clock
+   * @param {Function} [options.now] - Returns the current time
+   */
+  constructor(options = {}) {
+    this.storage = storage;
+    this.now = options.now || (() => new Date());
+  }
+
+  /**
+   * Get the ends of the chains, where retention last cut each category's start and the last event sealed
+   * @returns {Promise<Object|null>} Chain state, or null before anything was sealed
+   */
+  async getChainState() {
+    const state = await this.storage.get(CHAIN_STATE_KEY);
+    return state ?? null;
+  }
+
+  /**
+   * Queue an event under a key no other event uses
+   * The key starts with the write time, so queued events list in write order
+   * @param {Object} entry - Category, event type, user, time and details
+   * @returns {Promise<void>}
+   */
+  async addPendingEvent(entry) {
+    await this.storage.set(`${PENDING_KEY_PREFIX}:${this.now().toISOString()}:${randomUUID()}`, entry);
+  }
+
+  /**
+   * Get the oldest queued events written before a time
+   * Forge lists keys in ascending order, so reading stops once the limit is reached
+   * @param {Date} writtenBefore - Events written at or after this time are left for a later run
+   * @param {number} [limit] - Most events to return
+   * @returns {Promise<Array<Object>>} Events (id and entry) in write order
+   */
+  async getPendingEvents(writtenBefore, limit = Infinity) {
+    const boundary = `${PENDING_KEY_PREFIX}:${writtenBefore.toISOString()}`;
+
+    return (await this._queryKeys(`${PENDING_KEY_PREFIX}:`, limit))
+      .filter(result => result.key < boundary)
+      .sort((a, b) => a.key.localeCompare(b.key))
+      .slice(0, limit)
+      .map(result => ({ id: result.key, entry: result.value }));
+  }
+
+  /**
+   * Store records that continue the chains, then move the end of each category's chain to its
+   * last record among them. An interrupted run leaves the chain state behind, so the next run seals the same events
+   * into the same keys again
+   * @param {Array<AuditRecord>} records - Records in sequence order
+   * @param {string} sealedThrough - Id of the last event the records were sealed from
+   * @returns {Promise<void>}
+   */
+  async sealRecords(records, sealedThrough) {
+    for (const record of records) {
+      await this.storage.set(this._getRecordKey(record), record.toJSON());
+    }
+
+    const state = await this.getChainState();
+    const last = records[records.length - 1];
+    await this.storage.set(CHAIN_STATE_KEY, {
+      firstMonth: [state?.firstMonth, ...records.map(record => this._getMonth(record.occurredAt))]
+        .filter(Boolean)
+        .sort()[0],
+      sealedThrough,
+      lastSequence: last.sequence,
+      chains: records.reduce((chains, record) => ({
+        ...chains,
+        [record.category]: {
+          prunedThrough: chains[record.category]?.prunedThrough ?? null,
+          last: { sequence: record.sequence, hash: record.hash }
+        }
+      }), state?.chains || {})
+    });
+  }
+
+  /**
+   * Remove queued events once they are sealed
+   * @param {Array<string>} ids - Event ids
+   * @returns {Promise<void>}
+   */
+  async removePendingEvents(ids) {
+    for (const id of ids) {
+      await this.storage.delete(id);
+    }
+  }
+
+  /**
+   * Get retained records, reading only the months the range covers
+   * @param {Object} [range] - from (inclusive) and to (exclusive) times of occurrence
+   * @returns {Promise<Array<AuditRecord>>} Records of the months covered, ordered by sequence
+   */
+  async getRecords(range = {}) {
+    const state = await this.getChainState();
+    if (!state?.firstMonth) {
+      return [];
+    }
+
+    const fromMonth = [state.firstMonth, range.from && this._getMonth(range.from)].filter(Boolean).sort().pop();
+    const toMonth = this._getMonth(range.to || this.now());
+    const results = await this._queryMonths(fromMonth, toMonth);
+
+    return results
+      .map(result => AuditRecord.fromJSON(result.value))
+      .sort((a, b) => a.sequence - b.sequence);
+  }
+
+  /**
+   * Remove records from the start of their categories' chains
+   * The new starts are recorded first, so an interrupted prune leaves removable records rather
+   * than a broken chain; the oldest month still holding records then becomes the first month
+   * @param {Array<AuditRecord>} records - Records to remove, in sequence order
+   * @returns {Promise<void>}
+   */
+  async pruneRecords(records) {
+    const current = await this.getChainState();
+    const state = {
+      ...current,
+      chains: records.reduce((chains, record) => ({
+        ...chains,
+        [record.category]: { ...chains[record.category], prunedThrough: { sequence: record.sequence, hash: record.hash } }
+      }), current?.chains || {})
+    };
+    await this.storage.set(CHAIN_STATE_KEY, state);
+
+    for (const record of records) {
+      await this.storage.delete(this._getRecordKey(record));
+    }
+
+    const currentMonth = this._getMonth(this.now());
+    let firstMonth = state.firstMonth;
+    while (firstMonth < currentMonth && (await this._queryKeys(`${RECORD_KEY_PREFIX}:${firstMonth}-`)).length === 0) {
+      firstMonth = this._getNextMonth(firstMonth);
+    }
+    await this.storage.set(CHAIN_STATE_KEY, { ...state, firstMonth });
+  }
+
+  /**
+   * Read the records stored for each month from one month through another
+   * @private
+   */
+  async _queryMonths(fromMonth, toMonth) {
+    const results = [];
+
+    for (let month = fromMonth; month <= toMonth; month = this._getNextMonth(month)) {
+      results.push(...await this._queryKeys(`${RECORD_KEY_PREFIX}:${month}-`));
+    }
+    return results;
+  }
+
+  /**
+   * Read the stored entries whose key starts with a prefix, page by page, up to a limit
+   * @private
+   */
+  async _queryKeys(prefix, limit = Infinity) {
+    const results = [];
+    let cursor;
+
+    do {
+      let query = this.storage.query()
+        .where('key', startsWith(prefix))
+        .limit(QUERY_PAGE_SIZE);
+
+      if (cursor) {
+        query = query.cursor(cursor);
+      }
+
+      const page = await query.getMany();
+      results.push(...page.results);
+      cursor = page.nextCursor;
+    } while (cursor && results.length < limit);
+
+    return results;
+  }
+
+  /**
+   * Build the storage key for a record: the day it occurred, then its zero-padded sequence
+   * @private
+   */
+  _getRecordKey(record) {
+    return `${RECORD_KEY_PREFIX}:${record.occurredAt.slice(0, 10)}:${String(record.sequence).padStart(SEQUENCE_DIGITS, '0')}`;
+  }
+
+  /**
+   * @private
+   */
+  _getMonth(time) {
+    return new Date(time).toISOString().slice(0, 7);
+  }
+
+  /**
+   * @private
+   */
+  _getNextMonth(month) {
+    const [year, monthNumber] = month.split('-').map(Number);
+    return new Date(Date.UTC(year, monthNumber, 1)).toISOString().slice(0, 7);
+  }
+}
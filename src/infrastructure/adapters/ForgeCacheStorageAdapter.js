@@ -0,0 +1,61 @@
+import { storage, startsWith } from '@forge/api';
+
+const CACHE_KEY_PREFIX = 'portfolio-cache';
+const QUERY_PAGE_SIZE = 20;
+
+/**
+ * Forge Cache Storage Adapter
+ * Infrastructure adapter persisting cached Jira data in Forge app storage
+ */
+export class ForgeCacheStorageAdapter {
+  constructor() {
+    this.storage = storage;
+  }
+
+  /**
+   * Get a cache entry
+   * @param {string} key - Cache key
+   * @returns {Promise<Object|null>} Entry with its cached values, or null when absent
+   */
+  async getEntry(key) {
+    const entry = await this.storage.get(`${CACHE_KEY_PREFIX}:${key}`);
+    return entry ?? null;
+  }
+
+  /**
+   * Save a cache entry, replacing any entry with the same key
+   * @param {string} key - Cache key
+   * @param {Object} entry - Entry with its cached values
+   * @returns {Promise<void>}
+   */
+  async saveEntry(key, entry) {
+    await this.storage.set(`${CACHE_KEY_PREFIX}:${key}`, entry);
+  }
+
+  /**
+   * Delete every cache entry whose key starts with a prefix
+   * @param {string} prefix - Key prefix (e.g. one executive's cache scope)
+   * @returns {Promise<void>}
+   */
+  async deleteEntries(prefix) {
+    const keys = [];
+    let cursor;
+
+    // Collect keys first so deletions cannot disturb the query cursor
+    do {
+      let query = this.storage.query()
+        .where('key', startsWith(`${CACHE_KEY_PREFIX}:${prefix}`))
+        .limit(QUERY_PAGE_SIZE);
+
+      if (cursor) {
+        query = query.cursor(cursor);
+      }
+
+      const page = await query.getMany();
+      keys.push(...page.results.map(result => result.key));
+      cursor = page.nextCursor;
+    } while (cursor);
+
+    await Promise.all(keys.map(key => this.storage.delete(key)));
+  }
+}
@@ -0,0 +1,33 @@
+import { storage } from '@forge/api';
+
+const CONFIGURATION_KEY_PREFIX = 'app-config';
+
+/**
+ * Forge Configuration Adapter
+ * Infrastructure adapter storing admin configuration in Forge app storage
+ */
+export class ForgeConfigurationAdapter {
+  constructor() {
+    this.storage = storage;
+  }
+
+  /**
+   * Get a named configuration document
+   * @param {string} name - Configuration name (e.g. 'role-mapping')
+   * @returns {Promise<Object|null>} Stored configuration, or null when never saved
+   */
+  async getConfiguration(name) {
+    const value = await this.storage.get(`${CONFIGURATION_KEY_PREFIX}:${name}`);
+    return value ?? null;
+  }
+
+  /**
+   * Save a named configuration document
+   * @param {string} name - Configuration name
+   * @param {Object} value - Configuration to store
+   * @returns {Promise<void>}
+   */
+  async saveConfiguration(name, value) {
+    await this.storage.set(`${CONFIGURATION_KEY_PREFIX}:${name}`, value);
+  }
+}
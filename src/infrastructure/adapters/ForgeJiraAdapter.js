@@ -1,205 +1,1027 @@
-import api, { route } from '@forge/api';
+import { route } from '@forge/api';
+import { JiraRequestClient } from '../clients/JiraRequestClient.js';
+import { JiraRequestRejectedError } from '../../domain/errors/JiraDataErrors.js';
+import { MetricDefinitions } from '../../domain/entities/MetricDefinitions.js';
+import { JqlBuilder } from '../jql/JqlBuilder.js';
+import { FlowMetrics, DEFAULT_FLOW_WINDOW_DAYS } from '../../domain/entities/FlowMetrics.js';
+import { DEFAULT_DEPENDENCY_LINK_TYPES } from '../../domain/entities/DependencyGraph.js';
+
+const PROJECT_PAGE_SIZE = 50;
+const SEARCH_PAGE_SIZE = 100;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const DEFAULT_OPTIONS = {
+  metricsBatchSize: 50,
+  metricsConcurrency: 4,
+  maxRoleLookups: 100
+};
 
 /**
  * Forge Jira Adapter
- * Infrastructure adapter for accessing Jira data through Forge platform
+ * Infrastructure adapter for accessing Jira data through Forge platform.
+ * Failures surface as JiraDataError subclasses rather than empty or zero data.
  */
 export class ForgeJiraAdapter {
-  constructor() {
-    this.apiClient = api;
+  /**
+   * @param {Object} [options] - Batching and request options
+   * @param {number} [options.metricsBatchSize=50] - Projects per batched metric query
+   * @param {number} [options.metricsConcurrency=4] - Maximum Jira searches in flight at once
+   * @param {number} [options.maxRoleLookups=100] - Most project role reads one permission check may send
+   * @param {JiraRequestClient} [options.requestClient] - Shared request layer; built from the remaining options when omitted
+   */
+  constructor(options = {}) {
+    this.options = { ...DEFAULT_OPTIONS, ...options };
+    this.requestClient = options.requestClient || new JiraRequestClient(options);
   }
 
   /**
-   * Get projects accessible to current user
+   * Get projects accessible to current user, following every page of the project search
+   * @param {Object} [filters] - Optional project scope
+   * @param {string|number} [filters.categoryId] - Only projects in this project category
+   * @param {string} [filters.typeKey] - Only projects of this type (e.g. 'software', 'business')
+   * @param {boolean} [filters.includeArchived=false] - Include archived projects as well as live ones
    * @returns {Promise<Array>} Array of project data
+   * @throws {JiraDataError} When any page cannot be read
    */
-  async getExecutiveProjects() {
-    try {
-      const response = await this.apiClient.asUser().requestJira(route`/rest/api/3/project/search`, {
-        method: 'GET',
-        headers: {
-          'Accept': 'application/json'
-        }
-      });
-
-      const data = await response.json();
+  async getExecutiveProjects(filters = {}) {
+    const projects = [];
+    let startAt = 0;
+    let isLast = false;
 
-      if (!response.ok) {
-        throw new Error(`Jira API error: ${data.message || response.statusText}`);
-      }
+    while (!isLast) {
+      const page = await this._getProjectSearchPage(startAt, filters);
+      const values = page.values || [];
 
-      return data.values.map(project => ({
+      projects.push(...values.map(project => ({
         key: project.key,
         name: project.name,
         id: project.id,
         projectTypeKey: project.projectTypeKey,
         leadAccountId: project.lead?.accountId,
-        description: project.description || ''
-      }));
+        description: project.description || '',
+        projectCategory: project.projectCategory
+          ? { id: project.projectCategory.id, name: project.projectCategory.name }
+          : null,
+        archived: project.archived === true
+      })));
 
-    } catch (error) {
-      console.error('Error fetching executive projects:', error);
-      // Return empty array as fallback
-      return [];
+      // An empty page guards against looping forever on an inconsistent isLast flag
+      startAt += values.length;
+      isLast = page.isLast !== false || values.length === 0;
     }
+
+    return projects;
+  }
+
+  /**
+   * Get the value of one Jira project property for many projects
+   * Read through the project search, which returns requested properties for up to a page of
+   * project keys at once, so the portfolio costs one request per 50 projects
+   * @param {Array<string>} projectKeys - Jira project keys
+   * @param {string} propertyKey - Project property key
+   * @returns {Promise<Object>} Property values keyed by project key; null where the project has no such property
+   * @throws {JiraDataError} When the properties cannot be read
+   */
+  async getProjectProperties(projectKeys, propertyKey) {
+    const pages = [];
+    for (let index = 0; index < projectKeys.length; index += PROJECT_PAGE_SIZE) {
+      pages.push(projectKeys.slice(index, index + PROJECT_PAGE_SIZE));
+    }
+
+    const results = await this._runWithConcurrency(pages.map(keys => () => {
+      const params = new URLSearchParams({
+        maxResults: String(PROJECT_PAGE_SIZE),
+        properties: propertyKey
+      });
+      keys.forEach(key => params.append('keys', key));
+      params.append('status', 'live');
+      params.append('status', 'archived');
+
+      return this.requestClient.requestJson(route`/rest/api/3/project/search?${params}`, {
+        method: 'GET',
+        headers: {
+          'Accept': 'application/json'
+        }
+      });
+    }));
+
+    const valuesByKey = new Map(results
+      .flatMap(page => page?.values || [])
+      .map(project => [project.key, project.properties?.[propertyKey] ?? null]));
+
+    return projectKeys.reduce((result, projectKey) => ({
+      ...result,
+      [projectKey]: valuesByKey.get(projectKey) ?? null
+    }), {});
   }
 
   /**
    * Get project health metrics for a specific project
+   * Metrics that cannot be counted are null and flagged in metricAvailability
    * @param {string} projectKey - Jira project key
-   * @returns {Promise<Object>} Project health data
+   * @param {MetricDefinitions} [metricDefinitions] - JQL per metric (defaults to the original queries)
+   * @returns {Promise<Object>} Project health data with per-metric availability
+   * @throws {JiraDataError} When no metric can be counted
    */
-  async getProjectHealthMetrics(projectKey) {
-    try {
-      // Get issue statistics for the project
-      const [overdueIssues, blockedIssues, highPriorityIssues] = await Promise.all([
-        this._getOverdueIssuesCount(projectKey),
-        this._getBlockedIssuesCount(projectKey),
-        this._getHighPriorityIssuesCount(projectKey)
-      ]);
+  async getProjectHealthMetrics(projectKey, metricDefinitions) {
+    const definitions = MetricDefinitions.from(metricDefinitions);
+    const metrics = definitions.getMetricNames();
 
-      return {
-        overdueIssues,
-        blockedIssues,
-        highPriorityIssues,
-        lastCalculated: new Date().toISOString()
-      };
+    const results = await Promise.allSettled(metrics.map(metric =>
+      this._countIssues(new JqlBuilder()
+        .whereEquals('project', projectKey)
+        .whereFragment(definitions.getJql(metric, projectKey))
+        .build())
+    ));
+
+    const failure = results.find(result => result.status === 'rejected');
+    if (results.every(result => result.status === 'rejected')) {
+      throw failure.reason;
+    }
+    if (failure) {
+      console.error(`Some health metrics unavailable for project ${projectKey}:`, failure.reason);
+    }
 
+    return metrics.reduce((healthMetrics, metric, index) => {
+      const isAvailable = results[index].status === 'fulfilled';
+      healthMetrics[metric] = isAvailable ? results[index].value : null;
+      healthMetrics.metricAvailability[metric] = isAvailable;
+      return healthMetrics;
+    }, { metricAvailability: {}, lastCalculated: new Date().toISOString() });
+  }
+
+  /**
+   * Get health metrics for many projects with a few batched searches per metric
+   * Falls back to per-project queries when Jira rejects a batched search (e.g. JQL too long)
+   * @param {Array<string>} projectKeys - Jira project keys
+   * @param {MetricDefinitions} [metricDefinitions] - JQL per metric (defaults to the original queries)
+   * @returns {Promise<Object>} Health data keyed by project key; projects whose metrics could not be read are omitted
+   * @throws {JiraDataError} When Jira is rate limiting, unavailable, or no project could be read
+   */
+  async getPortfolioHealthMetrics(projectKeys, metricDefinitions) {
+    if (projectKeys.length === 0) {
+      return {};
+    }
+
+    const definitions = MetricDefinitions.from(metricDefinitions);
+
+    try {
+      return await this._getBatchedHealthMetrics(projectKeys, definitions);
     } catch (error) {
-      console.error(`Error fetching health metrics for project ${projectKey}:`, error);
-      // Return default metrics as fallback
-      return {
-        overdueIssues: 0,
-        blockedIssues: 0,
-        highPriorityIssues: 0,
-        lastCalculated: new Date().toISOString(),
-        status: 'fallback'
-      };
+      // Retrying project by project only helps when the batched query itself was refused
+      if (!(error instanceof JiraRequestRejectedError)) {
+        throw error;
+      }
+
+      console.error('Batched health metrics rejected, falling back to per-project queries:', error);
+      return this._getPerProjectHealthMetrics(projectKeys, definitions, error);
+    }
+  }
+
+  /**
+   * Get the size of many projects: unresolved issues and issues in progress
+   * Each measure is a total-only search per project, so a project costs two requests however
+   * many issues it holds; paging the issues themselves grows with the largest projects
+   * @param {Array<string>} projectKeys - Jira project keys
+   * @returns {Promise<Object>} Size metrics (openIssues, inProgressIssues) keyed by project key
+   * @throws {JiraDataError} When the issues cannot be counted
+   */
+  async getPortfolioSizeMetrics(projectKeys) {
+    if (projectKeys.length === 0) {
+      return {};
+    }
+
+    const sizeQueries = {
+      openIssues: 'statusCategory != Done',
+      inProgressIssues: 'statusCategory = "In Progress"'
+    };
+    const queries = projectKeys.flatMap(projectKey => Object.entries(sizeQueries)
+      .map(([measure, jql]) => ({ projectKey, measure, jql })));
+
+    const counts = await this._runWithConcurrency(queries.map(({ projectKey, jql }) => () =>
+      this._countIssues(new JqlBuilder()
+        .whereEquals('project', projectKey)
+        .whereFragment(jql)
+        .build())
+    ));
+
+    return queries.reduce((sizeByProject, { projectKey, measure }, index) => ({
+      ...sizeByProject,
+      [projectKey]: { ...sizeByProject[projectKey], [measure]: counts[index] }
+    }), {});
+  }
+
+  /**
+   * Get delivery flow for many projects over a rolling window: resolved-issue throughput,
+   * cycle time from the first status change to resolution, and issues currently in progress
+   * @param {Array<string>} projectKeys - Jira project keys
+   * @param {Object} [options] - Flow window
+   * @param {number} [options.windowDays=30] - Days of resolved issues to include
+   * @returns {Promise<Object>} Flow metrics keyed by project key
+   * @throws {JiraDataError} When the issues cannot be read
+   */
+  async getPortfolioFlowMetrics(projectKeys, options = {}) {
+    if (projectKeys.length === 0) {
+      return {};
+    }
+
+    const windowDays = options.windowDays || DEFAULT_FLOW_WINDOW_DAYS;
+    const batches = this._toBatches(projectKeys);
+
+    const results = await this._runWithConcurrency([
+      ...batches.map(batch => () => this._getCycleTimesByProject(new JqlBuilder()
+        .whereIn('project', batch)
+        .whereFragment('statusCategory = Done')
+        .whereWithinDays('resolved', windowDays)
+        .build())),
+      ...batches.map(batch => () => this._countIssuesByProject(batch, 'statusCategory = "In Progress"'))
+    ]);
+
+    const resolved = Object.assign({}, ...results.slice(0, batches.length));
+    const wip = Object.assign({}, ...results.slice(batches.length));
+
+    return projectKeys.reduce((flowByProject, projectKey) => ({
+      ...flowByProject,
+      [projectKey]: new FlowMetrics({
+        windowDays,
+        throughput: resolved[projectKey]?.throughput || 0,
+        cycleTimesDays: resolved[projectKey]?.cycleTimesDays || [],
+        wip: wip[projectKey] || 0
+      }).toJSON()
+    }), {});
+  }
+
+  /**
+   * Get the open releases (unreleased fixVersions) and epics of many projects, with their
+   * target dates and the number of issues still open in each
+   * @param {Array<string>} projectKeys - Jira project keys
+   * @returns {Promise<Object>} Delivery scopes with remaining work, keyed by project key
+   * @throws {JiraDataError} When versions or issues cannot be read
+   */
+  async getDeliveryScopes(projectKeys) {
+    if (projectKeys.length === 0) {
+      return {};
     }
+
+    const [versions, epics] = await Promise.all([
+      this._getUnreleasedVersionScopes(projectKeys),
+      this._getOpenEpicScopes(projectKeys)
+    ]);
+
+    return projectKeys.reduce((scopesByProject, projectKey) => ({
+      ...scopesByProject,
+      [projectKey]: [...(versions[projectKey] || []), ...(epics[projectKey] || [])]
+        .filter(scope => scope.remainingIssues > 0)
+    }), {});
+  }
+
+  /**
+   * Get the unreleased fixVersions of many projects with their open and done issues, blockers
+   * and unresolved high-priority bugs, using the admin-defined blocked and high priority JQL
+   * Versions are read from the fixVersions of the portfolio's release issues, so no project's
+   * versions are listed one by one; a version with no issues has nothing to assess
+   * @param {Array<string>} projectKeys - Jira project keys
+   * @param {MetricDefinitions} [metricDefinitions] - JQL per metric (defaults to the original queries)
+   * @returns {Promise<Object>} Upcoming releases with issue counts, keyed by project key
+   * @throws {JiraDataError} When versions or issues cannot be read
+   */
+  async getUpcomingReleases(projectKeys, metricDefinitions) {
+    if (projectKeys.length === 0) {
+      return {};
+    }
+
+    const definitions = this._withReleaseMetrics(MetricDefinitions.from(metricDefinitions));
+    const releaseIssues = () => new JqlBuilder().whereFragment('fixVersion in unreleasedVersions()');
+
+    const [issues, blockers, highPriorityBugs] = await Promise.all([
+      this._runWithConcurrency(this._toBatches(projectKeys).map(batch => () =>
+        this._searchIssues(releaseIssues().whereIn('project', batch).build(), ['project', 'fixVersions', 'status'])
+      )),
+      this._runWithConcurrency(this._toMetricBatches(projectKeys, definitions, 'blockedIssues').map(({ batch, jql }) => () =>
+        this._searchIssues(releaseIssues().whereIn('project', batch).whereFragment(jql).build(), ['fixVersions'])
+      )),
+      this._runWithConcurrency(this._toMetricBatches(projectKeys, definitions, 'highPriorityIssues').map(({ batch, jql }) => () =>
+        this._searchIssues(releaseIssues()
+          .whereIn('project', batch)
+          .whereEquals('issuetype', 'Bug')
+          .whereFragment(jql)
+          .build(), ['fixVersions'])
+      ))
+    ]);
+
+    const allIssues = issues.flat();
+    const versionsByProject = this._getVersionsByProject(allIssues);
+    const isDone = issue => issue.fields?.status?.statusCategory?.key === 'done';
+    const openByVersion = this._countByVersion(allIssues.filter(issue => !isDone(issue)));
+    const doneByVersion = this._countByVersion(allIssues.filter(isDone));
+    const blockersByVersion = this._countByVersion(blockers.flat());
+    const bugsByVersion = this._countByVersion(highPriorityBugs.flat());
+
+    return projectKeys.reduce((releasesByProject, projectKey) => ({
+      ...releasesByProject,
+      [projectKey]: (versionsByProject[projectKey] || []).map(version => ({
+        id: version.id,
+        name: version.name,
+        releaseDate: version.releaseDate || null,
+        openIssues: openByVersion[version.id] || 0,
+        doneIssues: doneByVersion[version.id] || 0,
+        blockedIssues: blockersByVersion[version.id] || 0,
+        highPriorityBugs: bugsByVersion[version.id] || 0
+      }))
+    }), {});
+  }
+
+  /**
+   * Get the unresolved issues each project waits on, from the issue links of its unresolved issues
+   * Only links read from the waiting side are returned, so each link is reported once, by the project that waits
+   * @param {Array<string>} projectKeys - Jira project keys
+   * @param {Object} [options] - Link types
+   * @param {Array<string>} [options.linkTypes=['is blocked by']] - Inward descriptions of the link types meaning "waits on"
+   * @returns {Promise<Object>} Blocking links (linkType, blocker and blocked issue) keyed by the blocked issue's project key
+   * @throws {JiraDataError} When the issues cannot be read
+   */
+  async getDependencyLinks(projectKeys, options = {}) {
+    if (projectKeys.length === 0) {
+      return {};
+    }
+
+    const linkTypes = options.linkTypes || DEFAULT_DEPENDENCY_LINK_TYPES;
+
+    const batches = await this._runWithConcurrency(this._toBatches(projectKeys).map(batch => () =>
+      this._searchIssues(new JqlBuilder()
+        .whereIn('project', batch)
+        .whereFragment('statusCategory != Done')
+        .whereIn('issueLinkType', linkTypes)
+        .build(), ['project', 'summary', 'issuelinks'])
+    ));
+
+    const linksByProject = projectKeys.reduce((result, projectKey) => ({ ...result, [projectKey]: [] }), {});
+
+    batches.flat().forEach(issue => {
+      const projectKey = issue.fields?.project?.key;
+      if (!linksByProject[projectKey]) return;
+
+      (issue.fields.issuelinks || [])
+        .filter(link => link.inwardIssue && linkTypes.includes(link.type?.inward))
+        .filter(link => link.inwardIssue.fields?.status?.statusCategory?.key !== 'done')
+        .forEach(link => linksByProject[projectKey].push({
+          linkType: link.type.inward,
+          blocker: {
+            key: link.inwardIssue.key,
+            // Linked issues carry no project, but every issue key starts with its project key
+            projectKey: link.inwardIssue.key.slice(0, link.inwardIssue.key.lastIndexOf('-')),
+            summary: link.inwardIssue.fields?.summary || ''
+          },
+          blocked: {
+            key: issue.key,
+            projectKey,
+            summary: issue.fields.summary || ''
+          }
+        }));
+    });
+
+    return linksByProject;
+  }
+
+  /**
+   * Get the number of issues each project resolved on each of the last few days
+   * @param {Array<string>} projectKeys - Jira project keys
+   * @param {Object} [options] - History window
+   * @param {number} [options.windowDays=30] - Days of history, most recent first
+   * @returns {Promise<Object>} Daily resolved counts keyed by project key
+   * @throws {JiraDataError} When the issues cannot be read
+   */
+  async getDailyThroughput(projectKeys, options = {}) {
+    if (projectKeys.length === 0) {
+      return {};
+    }
+
+    const windowDays = options.windowDays || DEFAULT_FLOW_WINDOW_DAYS;
+    const now = Date.now();
+
+    const batches = await this._runWithConcurrency(this._toBatches(projectKeys).map(batch => () =>
+      this._searchIssues(new JqlBuilder()
+        .whereIn('project', batch)
+        .whereFragment('statusCategory = Done')
+        .whereWithinDays('resolved', windowDays)
+        .build(), ['project', 'resolutiondate'])
+    ));
+
+    const throughputByProject = projectKeys.reduce((result, projectKey) => ({
+      ...result,
+      [projectKey]: new Array(windowDays).fill(0)
+    }), {});
+
+    batches.flat().forEach(issue => {
+      const dailyCounts = throughputByProject[issue.fields?.project?.key];
+      const resolvedAt = Date.parse(issue.fields?.resolutiondate);
+      if (!dailyCounts || Number.isNaN(resolvedAt)) return;
+
+      const daysAgo = Math.min(windowDays - 1, Math.max(0, Math.floor((now - resolvedAt) / DAY_MS)));
+      dailyCounts[daysAgo] += 1;
+    });
+
+    return throughputByProject;
   }
 
   /**
    * Get current user information
-   * @returns {Promise<Object>} User profile data
+   * @returns {Promise<Object>} User profile data including Jira group names
+   * @throws {JiraDataError} When the user profile cannot be read
    */
   async getCurrentUser() {
-    try {
-      const response = await this.apiClient.asUser().requestJira(route`/rest/api/3/myself`, {
-        method: 'GET',
-        headers: {
-          'Accept': 'application/json'
+    const data = await this.requestClient.requestJson(route`/rest/api/3/myself?expand=groups`, {
+      method: 'GET',
+      headers: {
+        'Accept': 'application/json'
+      }
+    });
+
+    return {
+      accountId: data.accountId,
+      displayName: data.displayName,
+      emailAddress: data.emailAddress,
+      accountType: data.accountType,
+      groups: (data.groups?.items || []).map(group => group.name)
+    };
+  }
+
+  /**
+   * Get the Jira groups a user belongs to
+   * @param {string} accountId - Atlassian account ID
+   * @returns {Promise<Array<string>>} Group names
+   * @throws {JiraDataError} When the groups cannot be read
+   */
+  async getUserGroups(accountId) {
+    const groups = await this.requestClient.requestJson(route`/rest/api/3/user/groups?accountId=${accountId}`, {
+      method: 'GET',
+      headers: {
+        'Accept': 'application/json'
+      }
+    });
+
+    return (groups || []).map(group => group.name);
+  }
+
+  /**
+   * Get who holds some project roles in each project, directly or through a group
+   * Roles are read as the app: listing role actors needs project administration, which
+   * executives rarely have. Reads stop at maxRoleLookups; projects past the cap get no
+   * members, so an oversized portfolio narrows role-based access rather than spending the
+   * request budget the dashboard needs.
+   * @param {Array<string>} projectKeys - Jira project keys
+   * @param {Array<string>} roleNames - Project role names (e.g. 'Administrators')
+   * @returns {Promise<Object>} Account IDs and group names per role name, keyed by project key
+   * @throws {JiraDataError} When roles cannot be read
+   */
+  async getProjectRoleMembers(projectKeys, roleNames) {
+    const roles = await this.requestClient.requestJsonAsApp(route`/rest/api/3/role`, {
+      method: 'GET',
+      headers: {
+        'Accept': 'application/json'
+      }
+    });
+
+    const mappedRoles = (roles || []).filter(role => roleNames.includes(role.name));
+    const allLookups = projectKeys.flatMap(projectKey => mappedRoles.map(role => ({ projectKey, role })));
+    const lookups = allLookups.slice(0, this.options.maxRoleLookups);
+
+    if (lookups.length < allLookups.length) {
+      console.warn(`Project roles read for ${lookups.length} of ${allLookups.length} project roles; the rest grant nothing`);
+    }
+
+    const members = await this._runWithConcurrency(lookups.map(({ projectKey, role }) => async () => {
+      try {
+        const projectRole = await this.requestClient.requestJsonAsApp(
+          route`/rest/api/3/project/${projectKey}/role/${role.id}`,
+          {
+            method: 'GET',
+            headers: {
+              'Accept': 'application/json'
+            }
+          }
+        );
+        return this._toRoleMembers(projectRole.actors || []);
+      } catch (error) {
+        // Jira answers 404 for a role the project's permission scheme does not use
+        if (error instanceof JiraRequestRejectedError && error.status === 404) {
+          return { accountIds: [], groups: [] };
         }
-      });
+        throw error;
+      }
+    }));
 
-      const data = await response.json();
+    return lookups.reduce((result, { projectKey, role }, index) => ({
+      ...result,
+      [projectKey]: { ...result[projectKey], [role.name]: members[index] }
+    }), projectKeys.reduce((result, projectKey) => ({ ...result, [projectKey]: {} }), {}));
+  }
 
-      if (!response.ok) {
-        throw new Error(`Jira API error: ${data.message || response.statusText}`);
+  /**
+   * Split project role actors into user account IDs and group names
+   * @private
+   */
+  _toRoleMembers(actors) {
+    return {
+      accountIds: actors
+        .filter(actor => actor.type === 'atlassian-user-role-actor' && actor.actorUser?.accountId)
+        .map(actor => actor.actorUser.accountId),
+      groups: actors
+        .filter(actor => actor.type === 'atlassian-group-role-actor')
+        .map(actor => actor.actorGroup?.name || actor.name)
+        .filter(Boolean)
+    };
+  }
+
+  /**
+   * Check whether the current user is a Jira administrator
+   * @returns {Promise<boolean>} True if the user holds the ADMINISTER global permission
+   * @throws {JiraDataError} When permissions cannot be confirmed
+   */
+  async hasAdminPermission() {
+    const data = await this.requestClient.requestJson(route`/rest/api/3/mypermissions?permissions=ADMINISTER`, {
+      method: 'GET',
+      headers: {
+        'Accept': 'application/json'
       }
+    });
 
-      return {
-        accountId: data.accountId,
-        displayName: data.displayName,
-        emailAddress: data.emailAddress,
-        accountType: data.accountType
-      };
+    return data.permissions?.ADMINISTER?.havePermission === true;
+  }
 
-    } catch (error) {
-      console.error('Error fetching current user:', error);
-      // Return fallback user data
-      return {
-        accountId: 'unknown',
-        displayName: 'Executive User',
-        emailAddress: 'unknown@company.com',
-        accountType: 'atlassian'
-      };
+  /**
+   * Ask Jira to parse JQL queries without running them
+   * @param {Array<string>} queries - JQL queries to check
+   * @returns {Promise<Array<Object>>} One result per query with its parse errors (empty when valid)
+   */
+  async validateJql(queries) {
+    const data = await this.requestClient.requestJson(route`/rest/api/3/jql/parse?validation=strict`, {
+      method: 'POST',
+      headers: {
+        'Accept': 'application/json',
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify({ queries })
+    });
+
+    return queries.map((query, index) => ({
+      query,
+      errors: data.queries?.[index]?.errors || []
+    }));
+  }
+
+  /**
+   * Get one page of the project search
+   * @private
+   */
+  async _getProjectSearchPage(startAt, filters) {
+    const params = new URLSearchParams({
+      startAt: String(startAt),
+      maxResults: String(PROJECT_PAGE_SIZE),
+      expand: 'description,lead'
+    });
+
+    if (filters.categoryId !== undefined && filters.categoryId !== null) {
+      params.append('categoryId', String(filters.categoryId));
+    }
+    if (filters.typeKey) {
+      params.append('typeKey', filters.typeKey);
+    }
+    params.append('status', 'live');
+    if (filters.includeArchived) {
+      params.append('status', 'archived');
     }
+
+    return this.requestClient.requestJson(route`/rest/api/3/project/search?${params}`, {
+      method: 'GET',
+      headers: {
+        'Accept': 'application/json'
+      }
+    });
   }
 
   /**
-   * Get count of overdue issues for a project
+   * Count every health metric for batches of projects sharing the same JQL,
+   * mapping the issues back to their project
+   * Batches are queried in turn with every metric, so when the request budget runs out the
+   * earlier batches still come back complete; metrics whose search failed are flagged as
+   * unavailable and projects with no metric at all are omitted
    * @private
    */
-  async _getOverdueIssuesCount(projectKey) {
-    try {
-      const jql = `project = "${projectKey}" AND due < now() AND resolution is EMPTY`;
-      const response = await this.apiClient.asUser().requestJira(route`/rest/api/3/search`, {
-        method: 'POST',
-        headers: {
-          'Accept': 'application/json',
-          'Content-Type': 'application/json'
-        },
-        body: JSON.stringify({
-          jql,
-          maxResults: 0,
-          fields: ['key']
-        })
+  async _getBatchedHealthMetrics(projectKeys, definitions) {
+    const metrics = definitions.getMetricNames();
+
+    const queries = metrics
+      .flatMap(metric => this._toMetricBatches(projectKeys, definitions, metric)
+        .map(({ batch, jql }, batchIndex) => ({ metric, batch, jql, batchIndex })))
+      .sort((a, b) => a.batchIndex - b.batchIndex);
+
+    const results = await this._runWithConcurrency(queries.map(({ batch, jql }) => () =>
+      this._countIssuesByProject(batch, jql)
+        .then(counts => ({ counts }), error => ({ error }))
+    ));
+
+    const failures = results.filter(result => result.error).map(result => result.error);
+    const rejected = failures.find(error => error instanceof JiraRequestRejectedError);
+    if (rejected || failures.length === results.length) {
+      throw rejected || failures[0];
+    }
+    if (failures.length > 0) {
+      console.error(`${failures.length} batched health metric searches failed:`, failures[0]);
+    }
+
+    const lastCalculated = new Date().toISOString();
+    const metricsByProject = projectKeys.reduce((result, projectKey) => ({
+      ...result,
+      [projectKey]: metrics.reduce((projectMetrics, metric) => {
+        projectMetrics[metric] = 0;
+        projectMetrics.metricAvailability[metric] = true;
+        return projectMetrics;
+      }, { metricAvailability: {}, lastCalculated })
+    }), {});
+
+    queries.forEach(({ metric, batch }, index) => {
+      if (results[index].error) {
+        batch.forEach(projectKey => {
+          metricsByProject[projectKey][metric] = null;
+          metricsByProject[projectKey].metricAvailability[metric] = false;
+        });
+        return;
+      }
+
+      Object.entries(results[index].counts).forEach(([projectKey, count]) => {
+        if (metricsByProject[projectKey]) {
+          metricsByProject[projectKey][metric] = count;
+        }
       });
+    });
 
-      const data = await response.json();
-      return response.ok ? data.total : 0;
+    return Object.fromEntries(Object.entries(metricsByProject)
+      .filter(([, projectMetrics]) => Object.values(projectMetrics.metricAvailability).some(Boolean)));
+  }
 
-    } catch (error) {
-      console.error(`Error getting overdue issues for ${projectKey}:`, error);
-      return 0;
+  /**
+   * Batch projects sharing the same JQL for a metric; projects with an override are batched separately
+   * @private
+   */
+  _toMetricBatches(projectKeys, definitions, metric) {
+    const projectsByJql = projectKeys.reduce((groups, projectKey) => {
+      const jql = definitions.getJql(metric, projectKey);
+      groups.set(jql, [...(groups.get(jql) || []), projectKey]);
+      return groups;
+    }, new Map());
+
+    return [...projectsByJql.entries()].flatMap(([jql, groupKeys]) => this._toBatches(groupKeys)
+      .map(batch => ({ batch, jql })));
+  }
+
+  /**
+   * Split project keys into batches of metricsBatchSize
+   * @private
+   */
+  _toBatches(projectKeys) {
+    const batches = [];
+    for (let index = 0; index < projectKeys.length; index += this.options.metricsBatchSize) {
+      batches.push(projectKeys.slice(index, index + this.options.metricsBatchSize));
     }
+    return batches;
   }
 
   /**
-   * Get count of blocked issues for a project
+   * Query each project on its own, leaving out projects whose metrics cannot be read
    * @private
    */
-  async _getBlockedIssuesCount(projectKey) {
-    try {
-      const jql = `project = "${projectKey}" AND status = "Blocked" AND resolution is EMPTY`;
-      const response = await this.apiClient.asUser().requestJira(route`/rest/api/3/search`, {
-        method: 'POST',
-        headers: {
-          'Accept': 'application/json',
-          'Content-Type': 'application/json'
-        },
-        body: JSON.stringify({
-          jql,
-          maxResults: 0,
-          fields: ['key']
-        })
-      });
+  async _getPerProjectHealthMetrics(projectKeys, definitions, batchError) {
+    const metrics = await this._runWithConcurrency(projectKeys.map(projectKey => async () => {
+      try {
+        return await this.getProjectHealthMetrics(projectKey, definitions);
+      } catch (error) {
+        console.error(`Error fetching health metrics for project ${projectKey}:`, error);
+        return null;
+      }
+    }));
 
-      const data = await response.json();
-      return response.ok ? data.total : 0;
+    const metricsByProject = projectKeys.reduce((result, projectKey, index) => (
+      metrics[index] ? { ...result, [projectKey]: metrics[index] } : result
+    ), {});
 
-    } catch (error) {
-      console.error(`Error getting blocked issues for ${projectKey}:`, error);
-      return 0;
+    if (Object.keys(metricsByProject).length === 0) {
+      throw batchError;
     }
+
+    return metricsByProject;
   }
 
   /**
-   * Get count of high priority unresolved issues for a project
+   * Count the issues matching a JQL query
    * @private
    */
-  async _getHighPriorityIssuesCount(projectKey) {
-    try {
-      const jql = `project = "${projectKey}" AND priority in ("High", "Highest") AND resolution is EMPTY`;
-      const response = await this.apiClient.asUser().requestJira(route`/rest/api/3/search`, {
-        method: 'POST',
-        headers: {
-          'Accept': 'application/json',
-          'Content-Type': 'application/json'
-        },
-        body: JSON.stringify({
-          jql,
-          maxResults: 0,
-          fields: ['key']
-        })
+  async _countIssues(jql) {
+    const data = await this.requestClient.requestJson(route`/rest/api/3/search`, {
+      method: 'POST',
+      headers: {
+        'Accept': 'application/json',
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify({
+        jql,
+        maxResults: 0,
+        fields: ['key']
+      })
+    });
+
+    return data.total || 0;
+  }
+
+  /**
+   * Unreleased, unarchived versions of each project with their open issue counts
+   * Versions are read from the open issues' fixVersions, so the whole portfolio costs one search
+   * per batch of projects; versions without open work have nothing left to forecast
+   * @private
+   */
+  async _getUnreleasedVersionScopes(projectKeys) {
+    const openIssues = (await this._runWithConcurrency(this._toBatches(projectKeys).map(batch => () =>
+      this._searchIssues(new JqlBuilder()
+        .whereIn('project', batch)
+        .whereFragment('fixVersion in unreleasedVersions()')
+        .whereFragment('statusCategory != Done')
+        .build(), ['project', 'fixVersions'])
+    ))).flat();
+
+    const versionsByProject = this._getVersionsByProject(openIssues);
+    const openByVersion = this._countByVersion(openIssues);
+
+    return projectKeys.reduce((scopesByProject, projectKey) => ({
+      ...scopesByProject,
+      [projectKey]: (versionsByProject[projectKey] || []).map(version => ({
+        type: 'version',
+        id: version.id,
+        name: version.name,
+        targetDate: version.releaseDate || null,
+        remainingIssues: openByVersion[version.id] || 0
+      }))
+    }), {});
+  }
+
+  /**
+   * Unreleased, unarchived fixVersions carried by issues, keyed by the issue's project and
+   * ordered by release date with undated versions last
+   * @private
+   */
+  _getVersionsByProject(issues) {
+    const versionsByProject = issues.reduce((result, issue) => {
+      const projectKey = issue.fields?.project?.key;
+      (issue.fields?.fixVersions || [])
+        .filter(version => !version.archived && !version.released)
+        .forEach(version => {
+          result[projectKey] = result[projectKey] || new Map();
+          result[projectKey].set(version.id, version);
+        });
+      return result;
+    }, {});
+
+    return Object.fromEntries(Object.entries(versionsByProject).map(([projectKey, versions]) => [
+      projectKey,
+      [...versions.values()].sort((a, b) => (a.releaseDate || '9999-12-31').localeCompare(b.releaseDate || '9999-12-31'))
+    ]));
+  }
+
+  /**
+   * Ensure definitions count blockers and high priority work, even when an admin removed those metrics
+   * @private
+   */
+  _withReleaseMetrics(definitions) {
+    const defaults = MetricDefinitions.default();
+    if (definitions.metrics.blockedIssues && definitions.metrics.highPriorityIssues) {
+      return definitions;
+    }
+
+    const definition = definitions.toJSON();
+    return new MetricDefinitions({
+      ...definition,
+      metrics: {
+        blockedIssues: defaults.metrics.blockedIssues,
+        highPriorityIssues: defaults.metrics.highPriorityIssues,
+        ...definition.metrics
+      }
+    });
+  }
+
+  /**
+   * Count issues per fixVersion ID
+   * @private
+   */
+  _countByVersion(issues) {
+    return issues.reduce((counts, issue) => {
+      (issue.fields?.fixVersions || []).forEach(version => {
+        counts[version.id] = (counts[version.id] || 0) + 1;
       });
+      return counts;
+    }, {});
+  }
 
-      const data = await response.json();
-      return response.ok ? data.total : 0;
+  /**
+   * Open epics of each project with the number of open child issues
+   * @private
+   */
+  async _getOpenEpicScopes(projectKeys) {
+    const epics = (await this._runWithConcurrency(this._toBatches(projectKeys).map(batch => () =>
+      this._searchIssues(new JqlBuilder()
+        .whereIn('project', batch)
+        .whereEquals('issuetype', 'Epic')
+        .whereFragment('statusCategory != Done')
+        .build(), ['project', 'summary', 'duedate'])
+    ))).flat();
 
-    } catch (error) {
-      console.error(`Error getting high priority issues for ${projectKey}:`, error);
-      return 0;
+    if (epics.length === 0) {
+      return {};
+    }
+
+    const openChildren = (await this._runWithConcurrency(this._toBatches(epics.map(epic => epic.key)).map(batch => () =>
+      this._searchIssues(new JqlBuilder()
+        .whereIn('parent', batch)
+        .whereFragment('statusCategory != Done')
+        .build(), ['parent'])
+    ))).flat();
+
+    const openByEpic = openChildren.reduce((counts, issue) => {
+      const epicKey = issue.fields?.parent?.key;
+      counts[epicKey] = (counts[epicKey] || 0) + 1;
+      return counts;
+    }, {});
+
+    return epics.reduce((scopesByProject, epic) => {
+      const projectKey = epic.fields?.project?.key;
+      return {
+        ...scopesByProject,
+        [projectKey]: [...(scopesByProject[projectKey] || []), {
+          type: 'epic',
+          id: epic.key,
+          name: epic.fields?.summary || epic.key,
+          targetDate: epic.fields?.duedate || null,
+          remainingIssues: openByEpic[epic.key] || 0
+        }]
+      };
+    }, {});
+  }
+
+  /**
+   * Count the issues matching a JQL fragment in each project of a batch
+   * The first page of the batched search answers on its own while at most a page of issues
+   * match. Beyond that the cheaper of the remaining pages and a total-only search per project
+   * is sent, so a batch never costs more than one request per project plus one, whatever
+   * its issue volume.
+   * @private
+   */
+  async _countIssuesByProject(projectKeys, jql) {
+    const firstPage = await this._searchPage(
+      new JqlBuilder().whereIn('project', projectKeys).whereFragment(jql).build(),
+      0,
+      ['project']
+    );
+    const total = firstPage.total || 0;
+    const issues = firstPage.issues || [];
+
+    if (issues.length >= total) {
+      return this._countByProject(issues);
+    }
+
+    const remainingPages = Math.ceil((total - issues.length) / SEARCH_PAGE_SIZE);
+    if (remainingPages <= projectKeys.length) {
+      const remainingIssues = await this._searchIssues(
+        new JqlBuilder().whereIn('project', projectKeys).whereFragment(jql).build(),
+        ['project'],
+        undefined,
+        issues.length
+      );
+      return this._countByProject([...issues, ...remainingIssues]);
     }
+
+    const counts = {};
+    for (const projectKey of projectKeys) {
+      counts[projectKey] = await this._countIssues(new JqlBuilder()
+        .whereEquals('project', projectKey)
+        .whereFragment(jql)
+        .build());
+    }
+    return counts;
+  }
+
+  /**
+   * Count issues per project key
+   * @private
+   */
+  _countByProject(issues) {
+    return issues.reduce((counts, issue) => {
+      const projectKey = issue.fields?.project?.key;
+      counts[projectKey] = (counts[projectKey] || 0) + 1;
+      return counts;
+    }, {});
+  }
+
+  /**
+   * Page through resolved issues with their changelog, collecting throughput and
+   * cycle times in days per project key
+   * @private
+   */
+  async _getCycleTimesByProject(jql) {
+    const issues = await this._searchIssues(jql, ['project', 'created', 'resolutiondate'], ['changelog']);
+
+    return issues.reduce((flowByProject, issue) => {
+      const projectKey = issue.fields?.project?.key;
+      const projectFlow = flowByProject[projectKey] || { throughput: 0, cycleTimesDays: [] };
+      const cycleTimeDays = this._getCycleTimeDays(issue);
+
+      projectFlow.throughput += 1;
+      if (cycleTimeDays !== null) projectFlow.cycleTimesDays.push(cycleTimeDays);
+      flowByProject[projectKey] = projectFlow;
+      return flowByProject;
+    }, {});
+  }
+
+  /**
+   * Read every page of a search, from startAt onwards
+   * @private
+   */
+  async _searchIssues(jql, fields, expand, startAt = 0) {
+    const issues = [];
+    let total = 0;
+
+    do {
+      const data = await this._searchPage(jql, startAt, fields, expand);
+
+      const page = data.issues || [];
+      issues.push(...page);
+
+      total = data.total || 0;
+      startAt += page.length;
+
+      if (page.length === 0) break;
+    } while (startAt < total);
+
+    return issues;
+  }
+
+  /**
+   * Read one page of a search
+   * @private
+   */
+  async _searchPage(jql, startAt, fields, expand) {
+    return this.requestClient.requestJson(route`/rest/api/3/search`, {
+      method: 'POST',
+      headers: {
+        'Accept': 'application/json',
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify({
+        jql,
+        startAt,
+        maxResults: SEARCH_PAGE_SIZE,
+        fields,
+        ...(expand ? { expand } : {})
+      })
+    });
+  }
+
+  /**
+   * Days from the first status change (or creation, when work started straight away) to resolution
+   * @private
+   */
+  _getCycleTimeDays(issue) {
+    const resolvedAt = Date.parse(issue.fields?.resolutiondate);
+    if (Number.isNaN(resolvedAt)) return null;
+
+    const statusChanges = (issue.changelog?.histories || [])
+      .filter(history => (history.items || []).some(item => item.field === 'status'))
+      .map(history => Date.parse(history.created))
+      .filter(changedAt => !Number.isNaN(changedAt) && changedAt <= resolvedAt);
+
+    const startedAt = statusChanges.length > 0
+      ? Math.min(...statusChanges)
+      : Date.parse(issue.fields?.created);
+    if (Number.isNaN(startedAt)) return null;
+
+    return (resolvedAt - startedAt) / DAY_MS;
+  }
+
+  /**
+   * Run async tasks with at most metricsConcurrency in flight, preserving result order
+   * @private
+   */
+  async _runWithConcurrency(tasks) {
+    const results = new Array(tasks.length);
+    let nextTask = 0;
+
+    const worker = async () => {
+      while (nextTask < tasks.length) {
+        const taskIndex = nextTask++;
+        results[taskIndex] = await tasks[taskIndex]();
+      }
+    };
+
+    const workerCount = Math.min(Math.max(1, this.options.metricsConcurrency), tasks.length);
+    await Promise.all(Array.from({ length: workerCount }, worker));
+
+    return results;
   }
-}
\ No newline at end of file
+}
@@ -0,0 +1,110 @@
+import { storage, startsWith } from '@forge/api';
+import { PortfolioSnapshot } from '../../domain/entities/PortfolioSnapshot.js';
+
+const SNAPSHOT_KEY_PREFIX = 'portfolio-snapshot';
+const QUERY_PAGE_SIZE = 20;
+
+/**
+ * Forge Snapshot Storage Adapter
+ * Infrastructure adapter persisting portfolio snapshots in Forge app storage, one key per
+ * executive and date
+ */
+export class ForgeSnapshotStorageAdapter {
+  constructor() {
+    this.storage = storage;
+  }
+
+  /**
+   * Save a portfolio snapshot, replacing any snapshot for the same executive and date
+   * @param {PortfolioSnapshot} snapshot - Snapshot to persist
+   * @returns {Promise<void>}
+   */
+  async saveSnapshot(snapshot) {
+    await this.storage.set(
+      this._getSnapshotKey(snapshot.executiveId, snapshot.date),
+      snapshot.toJSON()
+    );
+  }
+
+  /**
+   * Get the snapshot taken for an executive on a given date
+   * @param {string} executiveId - Executive account identifier
+   * @param {string} date - Snapshot date in YYYY-MM-DD format
+   * @returns {Promise<PortfolioSnapshot|null>} Snapshot, or null when none exists
+   */
+  async getSnapshot(executiveId, date) {
+    const data = await this.storage.get(this._getSnapshotKey(executiveId, date));
+    return PortfolioSnapshot.fromJSON(data);
+  }
+
+  /**
+   * Get the snapshots taken for an executive on given dates, reading only those dates' keys
+   * @param {string} executiveId - Executive account identifier
+   * @param {Array<string>} dates - Snapshot dates in YYYY-MM-DD format
+   * @returns {Promise<Array<PortfolioSnapshot>>} Snapshots that exist, ordered oldest to newest
+   */
+  async getSnapshots(executiveId, dates) {
+    const snapshots = await Promise.all(dates.map(date => this.getSnapshot(executiveId, date)));
+
+    return snapshots
+      .filter(Boolean)
+      .sort((a, b) => a.date.localeCompare(b.date));
+  }
+
+  /**
+   * Check whether any snapshot was ever kept for an executive
+   * @param {string} executiveId - Executive account identifier
+   * @returns {Promise<boolean>} True when at least one snapshot exists
+   */
+  async hasSnapshots(executiveId) {
+    const page = await this.storage.query()
+      .where('key', startsWith(`${SNAPSHOT_KEY_PREFIX}:${executiveId}:`))
+      .limit(1)
+      .getMany();
+
+    return page.results.length > 0;
+  }
+
+  /**
+   * Delete an executive's snapshots taken before a date
+   * Keys embed the ISO date and are listed in key order, so listing stops at the first kept snapshot
+   * @param {string} executiveId - Executive account identifier
+   * @param {string} before - First date to keep, in YYYY-MM-DD format
+   * @returns {Promise<number>} Number of snapshots deleted
+   */
+  async pruneSnapshots(executiveId, before) {
+    const prefix = `${SNAPSHOT_KEY_PREFIX}:${executiveId}:`;
+    const firstKept = this._getSnapshotKey(executiveId, before);
+    const expiredKeys = [];
+    let cursor;
+
+    do {
+      let query = this.storage.query()
+        .where('key', startsWith(prefix))
+        .limit(QUERY_PAGE_SIZE);
+
+      if (cursor) {
+        query = query.cursor(cursor);
+      }
+
+      const page = await query.getMany();
+      const pageKeys = page.results.map(result => result.key);
+
+      expiredKeys.push(...pageKeys.filter(key => key < firstKept));
+      cursor = pageKeys.some(key => key >= firstKept) ? undefined : page.nextCursor;
+    } while (cursor);
+
+    for (const key of expiredKeys) {
+      await this.storage.delete(key);
+    }
+    return expiredKeys.length;
+  }
+
+  /**
+   * Build the storage key for an executive's snapshot on a given date
+   * @private
+   */
+  _getSnapshotKey(executiveId, date) {
+    return `${SNAPSHOT_KEY_PREFIX}:${executiveId}:${date}`;
+  }
+}
@@ -0,0 +1,99 @@
+import { InvalidConfigurationError } from '../../domain/errors/ConfigurationErrors.js';
+
+/**
+ * Forge User Adapter
+ * Infrastructure adapter describing what an executive may see, in the permission shape
+ * AuthorizationService expects ({ type, scope }). Permissions come from the admin permission
+ * mapping applied to the executive's business unit, Jira groups and project roles.
+ */
+export class ForgeUserAdapter {
+  /**
+   * @param {JiraDataPort} jiraDataPort - Reads groups, projects and project roles
+   * @param {BusinessUnitService} businessUnitService - Resolves business units of executives and projects
+   * @param {PermissionMappingService} permissionMappingService - Supplies the permission mapping
+   */
+  constructor(jiraDataPort, businessUnitService, permissionMappingService) {
+    this.jiraDataPort = jiraDataPort;
+    this.businessUnitService = businessUnitService;
+    this.permissionMappingService = permissionMappingService;
+    this.permissionsByAccount = new Map();
+  }
+
+  /**
+   * Get the executive's permissions
+   * Groups or project roles that cannot be read grant nothing, so a Jira outage narrows
+   * access rather than widening it; an invalid stored permission mapping grants nothing at all. Resolved once per account for the adapter's invocation,
+   * so authorising and then filtering a portfolio reads Jira once.
+   * @param {string} accountId - Atlassian account ID
+   * @returns {Promise<Array<Object>>} Permissions with their business unit scope
+   */
+  async getUserPermissions(accountId) {
+    if (!this.permissionsByAccount.has(accountId)) {
+      this.permissionsByAccount.set(accountId, this._resolvePermissions(accountId));
+    }
+    return this.permissionsByAccount.get(accountId);
+  }
+
+  /**
+   * @private
+   */
+  async _resolvePermissions(accountId) {
+    let mapping;
+    try {
+      mapping = await this.permissionMappingService.getMapping();
+    } catch (error) {
+      if (error instanceof InvalidConfigurationError) {
+        console.error(`No permissions for ${accountId}:`, error.message);
+        return [];
+      }
+      throw error;
+    }
+
+    const groups = await this._getGroups(accountId);
+    const { businessUnit } = await this.businessUnitService.resolveExecutive(accountId, groups);
+    const projectRoles = await this._getProjectRoles(accountId, groups, mapping.getMappedProjectRoles());
+
+    return mapping.getPermissions({ businessUnit, groups, projectRoles });
+  }
+
+  /**
+   * @private
+   */
+  async _getGroups(accountId) {
+    try {
+      return await this.jiraDataPort.getUserGroups(accountId);
+    } catch (error) {
+      console.error(`Jira groups unavailable for ${accountId}:`, error);
+      return [];
+    }
+  }
+
+  /**
+   * Mapped roles the executive holds, directly or through a group, with each project's business unit
+   * @private
+   */
+  async _getProjectRoles(accountId, groups, roleNames) {
+    if (roleNames.length === 0) {
+      return [];
+    }
+
+    try {
+      const { projects } = await this.businessUnitService.resolveProjects(
+        await this.jiraDataPort.getExecutiveProjects()
+      );
+      const membersByProject = await this.jiraDataPort.getProjectRoleMembers(
+        projects.map(project => project.key),
+        roleNames
+      );
+      const memberships = new Set(groups.map(group => group.toLowerCase()));
+
+      return projects.flatMap(project => Object.entries(membersByProject[project.key] || {})
+        .filter(([, members]) => members.accountIds.includes(accountId) ||
+          members.groups.some(group => memberships.has(group.toLowerCase())))
+        .map(([role]) => ({ role, businessUnit: project.businessUnit })));
+    } catch (error) {
+      console.error(`Project roles unavailable for ${accountId}:`, error);
+      return [];
+    }
+  }
+}
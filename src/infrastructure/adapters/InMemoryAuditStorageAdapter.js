@@ -0,0 +1,111 @@
+import { AuditRecord } from '../../domain/entities/AuditRecord.js';
+
+/**
+ * In-Memory Audit Storage Adapter
+ * Local stand-in for Forge storage, used by tests and local runs; holds the trail as stored JSON
+ * so records read back exactly as they would from Forge
+ */
+export class InMemoryAuditStorageAdapter {
+  /**
+   * @param {Object} [options] - Clock
+   * @param {Function} [options.now] - Returns the current time
+   */
+  constructor(options = {}) {
+    this.records = new Map();
+    this.pending = new Map();
+    this.state = null;
+    this.now = options.now || (() => new Date());
+    this.writes = 0;
+  }
+
+  /**
+   * Get the ends of the chains, where retention last cut each category's start and the last event sealed
+   * @returns {Promise<Object|null>} Chain state, or null before anything was sealed
+   */
+  async getChainState() {
+    return this.state && { ...this.state };
+  }
+
+  /**
+   * Queue an event under a key no other event uses
+   * @param {Object} entry - Category, event type, user, time and details
+   * @returns {Promise<void>}
+   */
+  async addPendingEvent(entry) {
+    this.writes += 1;
+    this.pending.set(`${this.now().toISOString()}:${String(this.writes).padStart(6, '0')}`, JSON.parse(JSON.stringify(entry)));
+  }
+
+  /**
+   * Get the oldest queued events written before a time
+   * @param {Date} writtenBefore - Events written at or after this time are left for a later run
+   * @param {number} [limit] - Most events to return
+   * @returns {Promise<Array<Object>>} Events (id and entry) in write order
+   */
+  async getPendingEvents(writtenBefore, limit = Infinity) {
+    return [...this.pending.entries()]
+      .filter(([id]) => id < writtenBefore.toISOString())
+      .sort(([a], [b]) => a.localeCompare(b))
+      .slice(0, limit)
+      .map(([id, entry]) => ({ id, entry }));
+  }
+
+  /**
+   * Store records that continue the chains and move the end of each category's chain to its
+   * last record among them
+   * @param {Array<AuditRecord>} records - Records in sequence order
+   * @param {string} sealedThrough - Id of the last event the records were sealed from
+   * @returns {Promise<void>}
+   */
+  async sealRecords(records, sealedThrough) {
+    records.forEach(record => this.records.set(record.sequence, record.toJSON()));
+
+    this.state = {
+      sealedThrough,
+      lastSequence: records[records.length - 1].sequence,
+      chains: records.reduce((chains, record) => ({
+        ...chains,
+        [record.category]: {
+          prunedThrough: chains[record.category]?.prunedThrough ?? null,
+          last: { sequence: record.sequence, hash: record.hash }
+        }
+      }), this.state?.chains || {})
+    };
+  }
+
+  /**
+   * Remove queued events once they are sealed
+   * @param {Array<string>} ids - Event ids
+   * @returns {Promise<void>}
+   */
+  async removePendingEvents(ids) {
+    ids.forEach(id => this.pending.delete(id));
+  }
+
+  /**
+   * Get every retained record; the whole trail is at hand, so the range is not needed
+   * @returns {Promise<Array<AuditRecord>>} Records ordered by sequence
+   */
+  async getRecords() {
+    return [...this.records.entries()]
+      .sort(([a], [b]) => a - b)
+      .map(([, data]) => AuditRecord.fromJSON(data));
+  }
+
+  /**
+   * Remove records from the start of their categories' chains
+   * @param {Array<AuditRecord>} records - Records to remove, in sequence order
+   * @returns {Promise<void>}
+   */
+  async pruneRecords(records) {
+    this.state = {
+      ...this.state,
+      chains: records.reduce((chains, record) => ({
+        ...chains,
+        [record.category]: { ...chains[record.category], prunedThrough: { sequence: record.sequence, hash: record.hash } }
+      }), this.state?.chains || {})
+    };
+
+    records.forEach(record => this.records.delete(record.sequence));
+  }
+}
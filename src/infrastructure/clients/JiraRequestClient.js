@@ -0,0 +1,192 @@
+import api from '@forge/api';
+import {
+  JiraRateLimitError,
+  JiraUnavailableError,
+  JiraRequestRejectedError,
+  JiraRequestBudgetExceededError
+} from '../../domain/errors/JiraDataErrors.js';
+
+const RETRYABLE_STATUSES = new Set([429, 502, 503, 504]);
+
+const DEFAULT_OPTIONS = {
+  maxRetries: 3,
+  baseDelayMs: 500,
+  maxDelayMs: 8000,
+  // About what four requests in flight complete within Forge's 25-second invocation limit.
+  // A cold dashboard load sends roughly 6 identity and role reads, a project page and a
+  // property search per 50 projects, one search per health metric and per flow measure for
+  // each 50 projects (more only where a batch matches over 100 issues), a board lookup per
+  // project and about 8 Agile reads per scrum board: some 100 projects with 15 boards.
+  // Larger portfolios fill the cache over successive loads rather than in one.
+  requestBudget: 300
+};
+
+/**
+ * Jira Request Client
+ * Shared request layer for Jira REST calls: honours Retry-After, retries with jittered
+ * exponential backoff and caps the number of requests one invocation may send. Build one per
+ * invocation and hand it to every adapter, so the cap covers all of the invocation's requests.
+ */
+export class JiraRequestClient {
+  /**
+   * @param {Object} [options] - Retry and budget options
+   * @param {Object} [options.apiClient] - Forge API client (defaults to @forge/api)
+   * @param {number} [options.maxRetries=3] - Retries after the first attempt
+   * @param {number} [options.baseDelayMs=500] - Backoff ceiling for the first retry
+   * @param {number} [options.maxDelayMs=8000] - Longest wait before giving up, including Retry-After
+   * @param {number} [options.requestBudget=300] - Requests (including retries) allowed per invocation
+   * @param {Function} [options.sleep] - Waits for a number of milliseconds
+   * @param {Function} [options.random] - Returns a number in [0, 1) for jitter
+   */
+  constructor(options = {}) {
+    this.apiClient = options.apiClient || api;
+    this.options = {
+      maxRetries: options.maxRetries ?? DEFAULT_OPTIONS.maxRetries,
+      baseDelayMs: options.baseDelayMs ?? DEFAULT_OPTIONS.baseDelayMs,
+      maxDelayMs: options.maxDelayMs ?? DEFAULT_OPTIONS.maxDelayMs,
+      requestBudget: options.requestBudget ?? DEFAULT_OPTIONS.requestBudget
+    };
+    this.sleep = options.sleep || (ms => new Promise(resolve => setTimeout(resolve, ms)));
+    this.random = options.random || Math.random;
+    this.requestsMade = 0;
+  }
+
+  /**
+   * Send a request as the current user and return the parsed JSON body
+   * @param {Route} path - Jira REST route built with the Forge route tag
+   * @param {Object} [init] - Fetch options (method, headers, body)
+   * @returns {Promise<Object>} Parsed response body
+   * @throws {JiraDataError} When Jira rejects the request or retries and budget run out
+   */
+  async requestJson(path, init = {}) {
+    return this._request(() => this.apiClient.asUser(), path, init);
+  }
+
+  /**
+   * Send a request as the app and return the parsed JSON body
+   * Only for reads the app must make whatever the user's own Jira permissions (e.g. project
+   * role membership behind permission decisions); counts against the same budget.
+   * @param {Route} path - Jira REST route built with the Forge route tag
+   * @param {Object} [init] - Fetch options (method, headers, body)
+   * @returns {Promise<Object>} Parsed response body
+   * @throws {JiraDataError} When Jira rejects the request or retries and budget run out
+   */
+  async requestJsonAsApp(path, init = {}) {
+    return this._request(() => this.apiClient.asApp(), path, init);
+  }
+
+  /**
+   * Send a request with retries under the invocation budget
+   * @private
+   */
+  async _request(getClient, path, init) {
+    for (let attempt = 0; ; attempt++) {
+      this._consumeBudget(path);
+
+      let response = null;
+      let networkError = null;
+
+      try {
+        response = await getClient().requestJira(path, init);
+      } catch (error) {
+        networkError = error;
+      }
+
+      if (response?.ok) {
+        return response.status === 204 ? null : response.json();
+      }
+
+      if (response && !RETRYABLE_STATUSES.has(response.status)) {
+        throw new JiraRequestRejectedError(
+          `Jira rejected request (${response.status}): ${await this._describeFailure(response)}`,
+          { status: response.status, path: String(path) }
+        );
+      }
+
+      const delayMs = this._getRetryDelay(response, attempt);
+
+      if (attempt >= this.options.maxRetries || delayMs > this.options.maxDelayMs) {
+        throw this._createGiveUpError(path, response, networkError, delayMs);
+      }
+
+      await this.sleep(delayMs);
+    }
+  }
+
+  /**
+   * Count a request against the invocation budget
+   * @private
+   */
+  _consumeBudget(path) {
+    if (this.requestsMade >= this.options.requestBudget) {
+      throw new JiraRequestBudgetExceededError(
+        `Jira request budget of ${this.options.requestBudget} requests exhausted`,
+        { path: String(path) }
+      );
+    }
+    this.requestsMade++;
+  }
+
+  /**
+   * Use Retry-After when Jira sends it, otherwise full-jitter exponential backoff
+   * @private
+   */
+  _getRetryDelay(response, attempt) {
+    const retryAfterMs = this._parseRetryAfter(response?.headers?.get?.('Retry-After'));
+    if (retryAfterMs !== null) {
+      return retryAfterMs;
+    }
+
+    const ceiling = Math.min(this.options.maxDelayMs, this.options.baseDelayMs * 2 ** attempt);
+    return Math.round(this.random() * ceiling);
+  }
+
+  /**
+   * Parse Retry-After given either as seconds or as an HTTP date
+   * @private
+   */
+  _parseRetryAfter(value) {
+    if (value === null || value === undefined || value === '') return null;
+
+    const seconds = Number(value);
+    if (Number.isFinite(seconds)) {
+      return Math.max(0, seconds * 1000);
+    }
+
+    const date = Date.parse(value);
+    return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+  }
+
+  /**
+   * Build the typed error raised once retries are exhausted
+   * @private
+   */
+  _createGiveUpError(path, response, networkError, retryAfterMs) {
+    if (response?.status === 429) {
+      return new JiraRateLimitError('Jira rate limit still exceeded after retrying', {
+        status: 429,
+        path: String(path),
+        retryAfterMs
+      });
+    }
+
+    const reason = response ? `status ${response.status}` : networkError?.message || 'no response';
+    return new JiraUnavailableError(`Jira unavailable after retrying: ${reason}`, {
+      status: response?.status ?? null,
+      path: String(path)
+    });
+  }
+
+  /**
+   * Extract Jira's error message from a failed response
+   * @private
+   */
+  async _describeFailure(response) {
+    try {
+      const data = await response.json();
+      return data.errorMessages?.join(', ') || data.message || response.statusText;
+    } catch (error) {
+      return response.statusText;
+    }
+  }
+}
@@ -0,0 +1,126 @@
+const UNQUOTED_FIELD_PATTERN = /^([A-Za-z][A-Za-z0-9_]*|cf\[\d+\])$/;
+const JQL_ESCAPES = {
+  '\\': '\\\\',
+  '"': '\\"',
+  '\n': '\\n',
+  '\r': '\\r',
+  '\t': '\\t'
+};
+
+/**
+ * Quote a value as a JQL string literal, escaping characters that would end or break it
+ * @param {string|number} value - Value to quote (e.g. a project key or label)
+ * @returns {string} Double-quoted JQL literal
+ */
+export function quoteJqlValue(value) {
+  if (value === undefined || value === null) {
+    throw new Error('JQL values must not be empty');
+  }
+  return `"${String(value).replace(/[\\"\n\r\t]/g, character => JQL_ESCAPES[character])}"`;
+}
+
+/**
+ * Quote a field name unless it is a plain identifier or custom field reference
+ * @param {string} field - Field name (e.g. 'project', 'cf[10021]', 'Story Points')
+ * @returns {string} Field name safe to use in JQL
+ */
+export function quoteJqlField(field) {
+  if (typeof field !== 'string' || field.trim() === '') {
+    throw new Error('JQL field names must not be empty');
+  }
+  return UNQUOTED_FIELD_PATTERN.test(field) ? field : quoteJqlValue(field);
+}
+
+/**
+ * JQL Builder
+ * Composes JQL from clauses joined with AND, quoting every value so
+ * user-supplied keys and filters cannot change the query's structure
+ */
+export class JqlBuilder {
+  constructor() {
+    this.clauses = [];
+  }
+
+  /**
+   * Require a field to equal a value
+   * @param {string} field - Field name
+   * @param {string|number} value - Value to match
+   * @returns {JqlBuilder} This builder
+   */
+  whereEquals(field, value) {
+    this.clauses.push(`${quoteJqlField(field)} = ${quoteJqlValue(value)}`);
+    return this;
+  }
+
+  /**
+   * Require a field to match one of several values
+   * @param {string} field - Field name
+   * @param {Array<string|number>} values - Values to match; at least one
+   * @returns {JqlBuilder} This builder
+   */
+  whereIn(field, values) {
+    this.clauses.push(`${quoteJqlField(field)} in ${this._toList(field, values)}`);
+    return this;
+  }
+
+  /**
+   * Exclude issues whose field matches any of several values
+   * @param {string} field - Field name
+   * @param {Array<string|number>} values - Values to exclude; at least one
+   * @returns {JqlBuilder} This builder
+   */
+  whereNotIn(field, values) {
+    this.clauses.push(`${quoteJqlField(field)} not in ${this._toList(field, values)}`);
+    return this;
+  }
+
+  /**
+   * Require a date field to fall within the last few days (e.g. resolved >= -30d)
+   * @param {string} field - Date field name
+   * @param {number} days - Whole number of days, at least 1
+   * @returns {JqlBuilder} This builder
+   */
+  whereWithinDays(field, days) {
+    if (!Number.isInteger(days) || days < 1) {
+      throw new Error(`JQL date window for ${field} must be a whole number of days`);
+    }
+    this.clauses.push(`${quoteJqlField(field)} >= -${days}d`);
+    return this;
+  }
+
+  /**
+   * Add a trusted JQL fragment, such as an admin-defined metric condition
+   * The fragment is parenthesised so an OR inside it cannot escape the other clauses
+   * @param {string} fragment - JQL condition without ORDER BY
+   * @returns {JqlBuilder} This builder
+   */
+  whereFragment(fragment) {
+    if (typeof fragment !== 'string' || fragment.trim() === '') {
+      throw new Error('JQL fragments must not be empty');
+    }
+    this.clauses.push(`(${fragment.trim()})`);
+    return this;
+  }
+
+  /**
+   * Join every clause with AND
+   * @returns {string} JQL query
+   */
+  build() {
+    if (this.clauses.length === 0) {
+      throw new Error('JQL query needs at least one clause');
+    }
+    return this.clauses.join(' AND ');
+  }
+
+  /**
+   * Quote values as a parenthesised JQL list
+   * @private
+   */
+  _toList(field, values) {
+    if (!Array.isArray(values) || values.length === 0) {
+      throw new Error(`JQL list for ${field} needs at least one value`);
+    }
+    return `(${values.map(quoteJqlValue).join(', ')})`;
+  }
+}
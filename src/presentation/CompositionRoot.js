@@ -0,0 +1,97 @@
+import { PortfolioService } from '../application/services/PortfolioService.js';
+import { AuthorizationService } from '../application/services/AuthorizationService.js';
+import { PortfolioDataCache } from '../application/services/PortfolioDataCache.js';
+import { RoleDetectionService } from '../application/services/RoleDetectionService.js';
+import { MetricDefinitionService } from '../application/services/MetricDefinitionService.js';
+import { DeliveryForecastService } from '../application/services/DeliveryForecastService.js';
+import { CommitmentReliabilityService } from '../application/services/CommitmentReliabilityService.js';
+import { StrategicWeightService } from '../application/services/StrategicWeightService.js';
+import { ScoringPolicyService } from '../application/services/ScoringPolicyService.js';
+import { BusinessUnitService } from '../application/services/BusinessUnitService.js';
+import { PermissionMappingService } from '../application/services/PermissionMappingService.js';
+import { ExecutiveRosterService } from '../application/services/ExecutiveRosterService.js';
+import { ExecutiveIdentityPolicy } from '../application/services/ExecutiveIdentityPolicy.js';
+import { AuditService } from '../application/services/AuditService.js';
+import { ForgeJiraAdapter } from '../infrastructure/adapters/ForgeJiraAdapter.js';
+import { ForgeAgileAdapter } from '../infrastructure/adapters/ForgeAgileAdapter.js';
+import { ForgeSnapshotStorageAdapter } from '../infrastructure/adapters/ForgeSnapshotStorageAdapter.js';
+import { ForgeConfigurationAdapter } from '../infrastructure/adapters/ForgeConfigurationAdapter.js';
+import { ForgeCacheStorageAdapter } from '../infrastructure/adapters/ForgeCacheStorageAdapter.js';
+import { ForgeUserAdapter } from '../infrastructure/adapters/ForgeUserAdapter.js';
+import { ForgeAuditStorageAdapter } from '../infrastructure/adapters/ForgeAuditStorageAdapter.js';
+import { CachingJiraDataAdapter } from '../infrastructure/adapters/CachingJiraDataAdapter.js';
+import { CachingAgileDataAdapter } from '../infrastructure/adapters/CachingAgileDataAdapter.js';
+import { JiraRequestClient } from '../infrastructure/clients/JiraRequestClient.js';
+
+/**
+ * Composition Root
+ * Builds the adapters and services of one Forge invocation, so every resolver reads portfolio
+ * data through the same authorized, permission-filtered PortfolioService
+ */
+export class CompositionRoot {
+  /**
+   * @param {Object} [context] - Forge invocation context; accountId scopes the data cache and authorization
+   */
+  constructor(context = {}) {
+    this.context = context;
+
+    // Initialize infrastructure adapters; both Jira adapters draw on one request budget
+    this.requestClient = new JiraRequestClient();
+    this.dataCache = new PortfolioDataCache(new ForgeCacheStorageAdapter());
+    this.jiraAdapter = new CachingJiraDataAdapter(new ForgeJiraAdapter({ requestClient: this.requestClient }), this.dataCache, {
+      executiveId: context.accountId
+    });
+    this.agileAdapter = new CachingAgileDataAdapter(new ForgeAgileAdapter({ requestClient: this.requestClient }), this.dataCache, {
+      executiveId: context.accountId
+    });
+    this.snapshotStorageAdapter = new ForgeSnapshotStorageAdapter();
+    this.configurationAdapter = new ForgeConfigurationAdapter();
+
+    // Initialize application services with dependency injection
+    this.auditService = new AuditService(new ForgeAuditStorageAdapter());
+    this.roleDetectionService = new RoleDetectionService(this.configurationAdapter);
+    this.metricDefinitionService = new MetricDefinitionService(this.configurationAdapter, this.jiraAdapter);
+    this.businessUnitService = new BusinessUnitService(this.configurationAdapter, this.jiraAdapter);
+    this.permissionMappingService = new PermissionMappingService(this.configurationAdapter);
+    this.executiveIdentityPolicy = new ExecutiveIdentityPolicy(
+      new ExecutiveRosterService(this.configurationAdapter),
+      this.jiraAdapter,
+      this.roleDetectionService
+    );
+    this.authorizationService = new AuthorizationService(
+      new ForgeUserAdapter(this.jiraAdapter, this.businessUnitService, this.permissionMappingService),
+      this.auditService,
+      this.executiveIdentityPolicy
+    );
+    this.portfolioService = new PortfolioService(this.jiraAdapter, this.authorizationService, this.auditService, {
+      snapshotStorage: this.snapshotStorageAdapter,
+      roleDetectionService: this.roleDetectionService,
+      dataCache: this.dataCache,
+      metricDefinitionService: this.metricDefinitionService,
+      scoringPolicyService: new ScoringPolicyService(this.configurationAdapter, this.metricDefinitionService),
+      deliveryForecastService: new DeliveryForecastService(this.jiraAdapter),
+      commitmentReliabilityService: new CommitmentReliabilityService(this.agileAdapter),
+      strategicWeightService: new StrategicWeightService(this.configurationAdapter, this.jiraAdapter),
+      businessUnitService: this.businessUnitService
+    });
+  }
+
+  /**
+   * Derive the auth context of the invocation
+   * Forge authenticates the user before invoking the app and only then sets the account ID,
+   * so its presence is what marks the invocation as authenticated
+   * @returns {Object|null} Account ID and authenticated flag, or null for an anonymous invocation
+   */
+  getAuthContext() {
+    const { accountId } = this.context;
+
+    if (!accountId) {
+      return null;
+    }
+
+    return {
+      accountId,
+      isAuthenticated: true
+    };
+  }
+}
@@ -0,0 +1,261 @@
+import { RoleDetectionService } from '../../application/services/RoleDetectionService.js';
+import { MetricDefinitionService } from '../../application/services/MetricDefinitionService.js';
+import { StrategicWeightService } from '../../application/services/StrategicWeightService.js';
+import { ScoringPolicyService } from '../../application/services/ScoringPolicyService.js';
+import { BusinessUnitService } from '../../application/services/BusinessUnitService.js';
+import { PermissionMappingService } from '../../application/services/PermissionMappingService.js';
+import { ExecutiveRosterService } from '../../application/services/ExecutiveRosterService.js';
+import { AuditService } from '../../application/services/AuditService.js';
+import { ForgeJiraAdapter } from '../../infrastructure/adapters/ForgeJiraAdapter.js';
+import { ForgeConfigurationAdapter } from '../../infrastructure/adapters/ForgeConfigurationAdapter.js';
+import { ForgeAuditStorageAdapter } from '../../infrastructure/adapters/ForgeAuditStorageAdapter.js';
+
+/**
+ * Admin Resolver
+ * Presentation layer resolver for admin-maintained app configuration
+ */
+export class AdminResolver {
+  constructor() {
+    // Initialize infrastructure adapters
+    this.jiraAdapter = new ForgeJiraAdapter();
+    this.configurationAdapter = new ForgeConfigurationAdapter();
+
+    // Initialize application services with dependency injection
+    this.roleDetectionService = new RoleDetectionService(this.configurationAdapter);
+    this.metricDefinitionService = new MetricDefinitionService(this.configurationAdapter, this.jiraAdapter);
+    this.scoringPolicyService = new ScoringPolicyService(this.configurationAdapter, this.metricDefinitionService);
+    this.strategicWeightService = new StrategicWeightService(this.configurationAdapter, this.jiraAdapter);
+    this.businessUnitService = new BusinessUnitService(this.configurationAdapter, this.jiraAdapter);
+    this.permissionMappingService = new PermissionMappingService(this.configurationAdapter);
+    this.executiveRosterService = new ExecutiveRosterService(this.configurationAdapter);
+    this.auditService = new AuditService(new ForgeAuditStorageAdapter());
+  }
+
+  /**
+   * Resolve the executive role mapping
+   * @returns {Promise<Object>} Role mapping or error state
+   */
+  async getRoleMapping() {
+    return this._asAdmin(() => this.roleDetectionService.getRoleMapping());
+  }
+
+  /**
+   * Save the executive role mapping
+   * @param {Object} mapping - Mapping with accounts and groups
+   * @returns {Promise<Object>} Saved role mapping or error state
+   */
+  async saveRoleMapping(mapping) {
+    return this._asAdmin(() => this.roleDetectionService.saveRoleMapping(mapping));
+  }
+
+  /**
+   * Resolve the health metric JQL definitions
+   * @returns {Promise<Object>} Metric definitions or error state
+   */
+  async getMetricDefinitions() {
+    return this._asAdmin(async () => (await this.metricDefinitionService.getDefinitions()).toJSON());
+  }
+
+  /**
+   * Validate and save the health metric JQL definitions
+   * @param {Object} definitions - Metric JQL and per-project overrides
+   * @returns {Promise<Object>} Saved definitions or error state
+   */
+  async saveMetricDefinitions(definitions) {
+    return this._asAdmin(() => this.metricDefinitionService.saveDefinitions(definitions));
+  }
+
+  /**
+   * Resolve the organisation's health scoring policy
+   * @returns {Promise<Object>} Scoring policy or error state
+   */
+  async getScoringPolicy() {
+    return this._asAdmin(async () => (await this.scoringPolicyService.getPolicy()).toJSON());
+  }
+
+  /**
+   * Resolve a saved version of a scoring policy, such as one an earlier snapshot was scored with
+   * @param {string} id - Policy id
+   * @param {string} version - Policy version
+   * @returns {Promise<Object>} Scoring policy or error state
+   */
+  async getScoringPolicyVersion(id, version) {
+    return this._asAdmin(async () => (await this.scoringPolicyService.getPolicyVersion(id, version)).toJSON());
+  }
+
+  /**
+   * List the scoring policy templates an organisation policy can start from
+   * @returns {Promise<Object>} Template policies or error state
+   */
+  async getScoringPolicyTemplates() {
+    return this._asAdmin(async () => this.scoringPolicyService.getTemplates());
+  }
+
+  /**
+   * Validate and save the organisation's health scoring policy
+   * @param {Object} policy - Id, version, factors, critical thresholds and optional size normalisation
+   * @returns {Promise<Object>} Saved policy or error state
+   */
+  async saveScoringPolicy(policy) {
+    return this._asAdmin(() => this.scoringPolicyService.savePolicy(policy));
+  }
+
+  /**
+   * Resolve the strategic tiers and project assignments
+   * @returns {Promise<Object>} Strategic weights or error state
+   */
+  async getStrategicWeights() {
+    return this._asAdmin(async () => (await this.strategicWeightService.getWeights()).toJSON());
+  }
+
+  /**
+   * Save the strategic tiers and project assignments
+   * @param {Object} weights - Tiers, default tier and per-project tier or weight
+   * @returns {Promise<Object>} Saved weights or error state
+   */
+  async saveStrategicWeights(weights) {
+    return this._asAdmin(() => this.strategicWeightService.saveWeights(weights));
+  }
+
+  /**
+   * Resolve the project and executive business unit mapping
+   * @returns {Promise<Object>} Business unit mapping or error state
+   */
+  async getBusinessUnitMapping() {
+    return this._asAdmin(async () => (await this.businessUnitService.getMapping()).toJSON());
+  }
+
+  /**
+   * Save the project and executive business unit mapping
+   * @param {Object} mapping - Project, category, executive and group tables and the default executive unit
+   * @returns {Promise<Object>} Saved mapping or error state
+   */
+  async saveBusinessUnitMapping(mapping) {
+    return this._asAdmin(() => this.businessUnitService.saveMapping(mapping));
+  }
+
+  /**
+   * List the projects no business unit mapping covers, so admins can map them
+   * @returns {Promise<Object>} Unmapped projects (key and name) or error state
+   */
+  async getUnmappedProjects() {
+    return this._asAdmin(async () => {
+      const projects = await this.jiraAdapter.getExecutiveProjects();
+      return (await this.businessUnitService.resolveProjects(projects)).unmappedProjects;
+    });
+  }
+
+  /**
+   * Resolve the mapping from business units, Jira groups and project roles to permissions
+   * @returns {Promise<Object>} Permission mapping or error state
+   */
+  async getPermissionMapping() {
+    return this._asAdmin(async () => (await this.permissionMappingService.getMapping()).toJSON());
+  }
+
+  /**
+   * Save the mapping from business units, Jira groups and project roles to permissions
+   * @param {Object} mapping - Own business unit permissions, group grants and project role grants
+   * @returns {Promise<Object>} Saved mapping or error state
+   */
+  async savePermissionMapping(mapping) {
+    return this._asAdmin(() => this.permissionMappingService.saveMapping(mapping));
+  }
+
+  /**
+   * Resolve the executive roster: registered accounts, executive groups and executive app roles
+   * @returns {Promise<Object>} Executive roster or error state
+   */
+  async getExecutiveRoster() {
+    return this._asAdmin(async () => (await this.executiveRosterService.getRoster()).toJSON());
+  }
+
+  /**
+   * Save the whole executive roster
+   * @param {Object} roster - Registered accounts, executive groups and executive app roles
+   * @returns {Promise<Object>} Saved roster or error state
+   */
+  async saveExecutiveRoster(roster) {
+    return this._asAdmin(() => this.executiveRosterService.saveRoster(roster));
+  }
+
+  /**
+   * Register one account as an executive
+   * @param {string} accountId - Atlassian account ID
+   * @param {Object} [details] - Display name
+   * @returns {Promise<Object>} Saved roster or error state
+   */
+  async registerExecutive(accountId, details) {
+    return this._asAdmin(() => this.executiveRosterService.registerExecutive(accountId, details));
+  }
+
+  /**
+   * Remove one account from the executive roster
+   * @param {string} accountId - Atlassian account ID
+   * @returns {Promise<Object>} Saved roster or error state
+   */
+  async removeExecutive(accountId) {
+    return this._asAdmin(() => this.executiveRosterService.removeExecutive(accountId));
+  }
+
+  /**
+   * Find audit records for a compliance review
+   * @param {Object} [filters] - Any of userId, category, eventType, from and to
+   * @returns {Promise<Object>} Matching audit records or error state
+   */
+  async queryAuditTrail(filters = {}) {
+    return this._asAdmin(async () => (await this.auditService.query(filters)).map(record => record.toJSON()));
+  }
+
+  /**
+   * Export audit records for a compliance review
+   * @param {string} format - 'csv' or 'jsonl'
+   * @param {Object} [filters] - Same filters as queryAuditTrail
+   * @returns {Promise<Object>} Export content or error state
+   */
+  async exportAuditTrail(format, filters = {}) {
+    return this._asAdmin(() => {
+      if (format === 'csv') return this.auditService.exportCsv(filters);
+      if (format === 'jsonl') return this.auditService.exportJsonLines(filters);
+      throw new Error(`Unsupported audit export format: ${format}`);
+    });
+  }
+
+  /**
+   * Check the audit trail has not been tampered with
+   * @returns {Promise<Object>} Chain verification result or error state
+   */
+  async verifyAuditTrail() {
+    return this._asAdmin(() => this.auditService.verifyChain());
+  }
+
+  /**
+   * Run an admin operation once the current user is confirmed as a Jira administrator
+   * @private
+   */
+  async _asAdmin(operation) {
+    try {
+      const isAdmin = await this.jiraAdapter.hasAdminPermission();
+
+      if (!isAdmin) {
+        return {
+          success: false,
+          message: 'Jira administrator permission required'
+        };
+      }
+
+      return {
+        success: true,
+        data: await operation()
+      };
+
+    } catch (error) {
+      console.error('Admin resolver error:', error);
+      return {
+        success: false,
+        message: 'Error updating app configuration',
+        error: error.message
+      };
+    }
+  }
+}
@@ -1,17 +1,20 @@
-import { PortfolioService } from '../../application/services/PortfolioService.js';
-import { ForgeJiraAdapter } from '../../infrastructure/adapters/ForgeJiraAdapter.js';
+import { CompositionRoot } from '../CompositionRoot.js';
 
 /**
  * Dashboard Resolver
  * Presentation layer resolver for executive dashboard
  */
 export class DashboardResolver {
-  constructor() {
-    // Initialize infrastructure adapters
-    this.jiraAdapter = new ForgeJiraAdapter();
+  /**
+   * @param {Object} [context] - Forge invocation context; identifies the executive being authorized
+   */
+  constructor(context = {}) {
+    const compositionRoot = new CompositionRoot(context);
 
-    // Initialize application services with dependency injection
-    this.portfolioService = new PortfolioService(this.jiraAdapter);
+    this.dataCache = compositionRoot.dataCache;
+    this.jiraAdapter = compositionRoot.jiraAdapter;
+    this.portfolioService = compositionRoot.portfolioService;
+    this.authContext = compositionRoot.getAuthContext();
   }
 
   /**
@@ -23,7 +26,16 @@ export class DashboardResolver {
       const startTime = Date.now();
 
       // Get portfolio dashboard data from application service
-      const dashboardData = await this.portfolioService.getExecutiveDashboard();
+      const dashboardData = await this.portfolioService.getExecutiveDashboard(this.authContext);
+
+      if (dashboardData.status === 'access_denied') {
+        return {
+          error: {
+            message: 'You do not have access to portfolio data',
+            timestamp: new Date().toISOString()
+          }
+        };
+      }
 
       // Add performance metrics for monitoring
       const responseTime = Date.now() - startTime;
@@ -58,6 +70,26 @@ export class DashboardResolver {
     }
   }
 
+  /**
+   * Resolve the drill-down view of one project
+   * @param {string} projectKey - Jira project key
+   * @returns {Promise<Object>} Project drill-down, or an error state when it is unavailable
+   */
+  async resolveProjectDrillDown(projectKey) {
+    const drillDown = await this.portfolioService.getProjectDrillDown(projectKey, this.authContext);
+
+    if (!drillDown) {
+      return {
+        error: {
+          message: `Project ${projectKey} is not available in your portfolio`,
+          timestamp: new Date().toISOString()
+        }
+      };
+    }
+
+    return drillDown;
+  }
+
   /**
    * Handle dashboard refresh requests
    * @returns {Promise<Object>} Refresh status
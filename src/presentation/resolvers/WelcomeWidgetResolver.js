@@ -0,0 +1,49 @@
+import { WelcomeMessageService } from '../../application/services/WelcomeMessageService.js';
+import { CompositionRoot } from '../CompositionRoot.js';
+
+/**
+ * Welcome Widget Resolver
+ * Presentation layer resolver for the executive welcome widget
+ */
+export class WelcomeWidgetResolver {
+  /**
+   * @param {Object} [context] - Forge invocation context; identifies the executive being authorized
+   */
+  constructor(context = {}) {
+    const compositionRoot = new CompositionRoot(context);
+
+    this.jiraAdapter = compositionRoot.jiraAdapter;
+    this.portfolioService = compositionRoot.portfolioService;
+    this.welcomeMessageService = new WelcomeMessageService(
+      this.jiraAdapter,
+      this.portfolioService,
+      compositionRoot.snapshotStorageAdapter,
+      { authContext: compositionRoot.getAuthContext() }
+    );
+  }
+
+  /**
+   * Resolve welcome widget data
+   * @returns {Promise<Object>} Welcome data for UI rendering, with fallback data on error
+   */
+  async resolveWelcome() {
+    try {
+      const welcomeMessage = await this.welcomeMessageService.getWelcomeMessage();
+
+      return {
+        success: true,
+        data: welcomeMessage.toJSON()
+      };
+
+    } catch (error) {
+      console.error('Welcome resolver error:', error);
+
+      // Return generic welcome so the widget still renders
+      return {
+        success: false,
+        error: 'Unable to personalise welcome message',
+        data: this.welcomeMessageService.getDefaultWelcomeMessage().toJSON()
+      };
+    }
+  }
+}
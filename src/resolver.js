@@ -0,0 +1,109 @@
+import Resolver from '@forge/resolver';
+
+import { WelcomeWidgetResolver } from './presentation/resolvers/WelcomeWidgetResolver.js';
+import { AdminResolver } from './presentation/resolvers/AdminResolver.js';
+import { DashboardResolver } from './presentation/resolvers/DashboardResolver.js';
+
+/**
+ * Forge Function Resolvers
+ * Backend functions invoked from Custom UI through @forge/bridge
+ */
+const resolver = new Resolver();
+
+resolver.define('resolver', async ({ context }) => {
+  return new WelcomeWidgetResolver(context).resolveWelcome();
+});
+
+resolver.define('getProjectDrillDown', async ({ payload, context }) => {
+  return new DashboardResolver(context).resolveProjectDrillDown(payload.projectKey);
+});
+
+resolver.define('getRoleMapping', async () => {
+  return new AdminResolver().getRoleMapping();
+});
+
+resolver.define('saveRoleMapping', async ({ payload }) => {
+  return new AdminResolver().saveRoleMapping(payload.mapping);
+});
+
+resolver.define('getMetricDefinitions', async () => {
+  return new AdminResolver().getMetricDefinitions();
+});
+
+resolver.define('saveMetricDefinitions', async ({ payload }) => {
+  return new AdminResolver().saveMetricDefinitions(payload.definitions);
+});
+
+resolver.define('getScoringPolicy', async () => {
+  return new AdminResolver().getScoringPolicy();
+});
+
+resolver.define('getScoringPolicyVersion', async ({ payload }) => {
+  return new AdminResolver().getScoringPolicyVersion(payload.id, payload.version);
+});
+
+resolver.define('getScoringPolicyTemplates', async () => {
+  return new AdminResolver().getScoringPolicyTemplates();
+});
+
+resolver.define('saveScoringPolicy', async ({ payload }) => {
+  return new AdminResolver().saveScoringPolicy(payload.policy);
+});
+
+resolver.define('getStrategicWeights', async () => {
+  return new AdminResolver().getStrategicWeights();
+});
+
+resolver.define('saveStrategicWeights', async ({ payload }) => {
+  return new AdminResolver().saveStrategicWeights(payload.weights);
+});
+
+resolver.define('getBusinessUnitMapping', async () => {
+  return new AdminResolver().getBusinessUnitMapping();
+});
+
+resolver.define('saveBusinessUnitMapping', async ({ payload }) => {
+  return new AdminResolver().saveBusinessUnitMapping(payload.mapping);
+});
+
+resolver.define('getUnmappedProjects', async () => {
+  return new AdminResolver().getUnmappedProjects();
+});
+
+resolver.define('getPermissionMapping', async () => {
+  return new AdminResolver().getPermissionMapping();
+});
+
+resolver.define('savePermissionMapping', async ({ payload }) => {
+  return new AdminResolver().savePermissionMapping(payload.mapping);
+});
+
+resolver.define('getExecutiveRoster', async () => {
+  return new AdminResolver().getExecutiveRoster();
+});
+
+resolver.define('saveExecutiveRoster', async ({ payload }) => {
+  return new AdminResolver().saveExecutiveRoster(payload.roster);
+});
+
+resolver.define('registerExecutive', async ({ payload }) => {
+  return new AdminResolver().registerExecutive(payload.accountId, payload.details);
+});
+
+resolver.define('removeExecutive', async ({ payload }) => {
+  return new AdminResolver().removeExecutive(payload.accountId);
+});
+
+resolver.define('queryAuditTrail', async ({ payload }) => {
+  return new AdminResolver().queryAuditTrail(payload?.filters);
+});
+
+resolver.define('exportAuditTrail', async ({ payload }) => {
+  return new AdminResolver().exportAuditTrail(payload.format, payload.filters);
+});
+
+resolver.define('verifyAuditTrail', async () => {
+  return new AdminResolver().verifyAuditTrail();
+});
+
+export const handler = resolver.getDefinitions();
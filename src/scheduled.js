@@ -0,0 +1,19 @@
+import { AuditService } from './application/services/AuditService.js';
+import { ForgeAuditStorageAdapter } from './infrastructure/adapters/ForgeAuditStorageAdapter.js';
+
+/**
+ * Forge Scheduled Trigger Handlers
+ * Background functions run by the platform rather than by a user
+ */
+
+/**
+ * Seal queued audit events into the chain, then remove records past their retention period
+ * This is the audit trail's only writer of sealed records, so it is the one place that sequences them
+ * @returns {Promise<Object>} Number of records sealed and removed
+ */
+export const maintainAuditTrail = async () => {
+  const auditService = new AuditService(new ForgeAuditStorageAdapter());
+  const { sealedRecords } = await auditService.sealPendingEvents();
+  const { prunedRecords } = await auditService.applyRetention();
+  return { sealedRecords, prunedRecords };
+};
@@ -57,6 +57,17 @@ const WelcomeWidget = () => {
   return (
     <Fragment>
       <Strong>{welcomeData.message}</Strong>
+      {welcomeData.urgency && (
+        <Text>{welcomeData.urgency.icon} {welcomeData.urgency.label}</Text>
+      )}
+      {welcomeData.projectCount !== undefined && (
+        <Text>
+          Projects in portfolio: {welcomeData.projectCount} | Needing attention: {welcomeData.attentionCount}
+        </Text>
+      )}
+      {welcomeData.criticalCount > 0 && (
+        <Text>🚨 Critical alerts: {welcomeData.criticalCount} - open the Executive Flash News gadget for details</Text>
+      )}
       <Text>Version: {welcomeData.version}</Text>
       {welcomeData.isExecutive && (
         <Text>🎯 Executive Dashboard Access</Text>
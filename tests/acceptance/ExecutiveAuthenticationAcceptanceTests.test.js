@@ -268,21 +268,24 @@ function getRequiredService(serviceName) {
       const { AuthenticationService } = require('../../src/application/services/AuthenticationService.js');
       return new AuthenticationService(
         getMockForgeAuthAdapter(),
-        getMockAuditService()
+        getMockAuditService(),
+        getExecutiveIdentityPolicy()
       );
 
     case 'IAuthorizationService':
       const { AuthorizationService } = require('../../src/application/services/AuthorizationService.js');
       return new AuthorizationService(
         getMockForgeUserAdapter(),
-        getMockAuditService()
+        getMockAuditService(),
+        getExecutiveIdentityPolicy()
       );
 
     case 'IPortfolioService':
       const { PortfolioService } = require('../../src/application/services/PortfolioService.js');
       const authorizationService = new (require('../../src/application/services/AuthorizationService.js')).AuthorizationService(
         getMockForgeUserAdapter(),
-        getMockAuditService()
+        getMockAuditService(),
+        getExecutiveIdentityPolicy()
       );
       return new PortfolioService(
         getMockJiraDataPort(),
@@ -309,6 +312,25 @@ function getRequiredService(serviceName) {
   }
 }
 
+// Production identity policy over a stored roster registering the executives under test
+function getExecutiveIdentityPolicy() {
+  const { ExecutiveIdentityPolicy } = require('../../src/application/services/ExecutiveIdentityPolicy.js');
+  const { ExecutiveRosterService } = require('../../src/application/services/ExecutiveRosterService.js');
+  const { RoleDetectionService } = require('../../src/application/services/RoleDetectionService.js');
+  const configurationPort = {
+    getConfiguration: jest.fn(async name => (name === 'executive-roster'
+      ? { accounts: { 'exec-ceo-001': { displayName: 'Chief Executive Officer' } }, groups: [], appRoles: ['CEO'] }
+      : null)),
+    saveConfiguration: jest.fn()
+  };
+
+  return new ExecutiveIdentityPolicy(
+    new ExecutiveRosterService(configurationPort),
+    { getUserGroups: jest.fn().mockResolvedValue([]) },
+    new RoleDetectionService(configurationPort)
+  );
+}
+
 // Mock service factory functions for E2E testing
 function getMockForgeAuthAdapter() {
   return {
@@ -378,11 +400,17 @@ function getMockJiraDataPort() {
       { key: 'PROJ2', name: 'Analytics Project', businessUnit: 'Corporate' },
       { key: 'PROJ3', name: 'Sales Tool', businessUnit: 'Sales' }
     ]),
-    getProjectHealthMetrics: jest.fn().mockResolvedValue({
-      overdueIssues: 2,
-      blockedIssues: 1,
-      highPriorityIssues: 3
-    })
+    getPortfolioHealthMetrics: jest.fn(async (projectKeys) => projectKeys.reduce((metrics, projectKey) => ({
+      ...metrics,
+      [projectKey]: {
+        overdueIssues: 2,
+        blockedIssues: 1,
+        highPriorityIssues: 3
+      }
+    }), {})),
+    getPortfolioFlowMetrics: jest.fn().mockResolvedValue({}),
+    getUpcomingReleases: jest.fn().mockResolvedValue({}),
+    getDependencyLinks: jest.fn().mockResolvedValue({})
   };
 }
 
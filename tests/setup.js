@@ -9,8 +9,16 @@ jest.mock('@forge/api', () => ({
     fetch: jest.fn(),
     asUser: jest.fn(() => ({
       requestJira: jest.fn()
+    })),
+    asApp: jest.fn(() => ({
+      requestJira: jest.fn()
     }))
-  }
+  },
+  route: jest.fn((strings, ...parameters) => strings.reduce(
+    (path, fragment, index) => path + fragment + (index < parameters.length ? String(parameters[index]) : ''),
+    ''
+  )),
+  startsWith: jest.fn(value => ({ condition: 'STARTS_WITH', value }))
 }));
 
 jest.mock('@forge/ui', () => ({
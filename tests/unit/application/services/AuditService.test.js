@@ -0,0 +1,246 @@
+/**
+ * Unit Tests: AuditService - Tamper-Evident Audit Trail
+ * Behavior-focused tests against the in-memory audit storage stand-in
+ */
+
+import { jest } from '@jest/globals';
+import { AuditService } from '../../../../src/application/services/AuditService.js';
+import { GENESIS_HASH } from '../../../../src/domain/entities/AuditRecord.js';
+import { InMemoryAuditStorageAdapter } from '../../../../src/infrastructure/adapters/InMemoryAuditStorageAdapter.js';
+
+describe('AuditService Should', () => {
+  let auditService;
+  let auditStorage;
+  let clock;
+
+  const day = date => new Date(`${date}T09:00:00Z`);
+  const sealAfterMinutes = async minutes => {
+    clock = new Date(clock.getTime() + minutes * 60 * 1000);
+    return auditService.sealPendingEvents();
+  };
+
+  beforeEach(async () => {
+    clock = day('2026-10-19');
+    auditStorage = new InMemoryAuditStorageAdapter({ now: () => clock });
+    auditService = new AuditService(auditStorage, { now: () => clock });
+
+    await auditService.logAuthenticationEvent({
+      userId: 'exec-ceo-001', event: 'AUTHENTICATION_SUCCESS', method: 'FORGE', timestamp: day('2025-01-10')
+    });
+    await auditService.logAuthorizationEvent({
+      userId: 'exec-ceo-001', resource: 'PORTFOLIO_DATA', businessUnit: 'Corporate', result: 'AUTHORIZED', timestamp: day('2026-03-01')
+    });
+    await auditService.logDataAccessEvent({
+      userId: 'exec-ceo-001', resource: 'EXECUTIVE_DASHBOARD', action: 'read', projectCount: 3, timestamp: day('2026-10-01')
+    });
+    await auditService.logSecurityEvent({
+      userId: 'exec-cfo-001', event: 'PORTFOLIO_ACCESS_DENIED', reason: 'Unauthorized access to portfolio data', timestamp: day('2026-10-18')
+    });
+    await sealAfterMinutes(5);
+  });
+
+  describe('Recording', () => {
+    test('AppendEventsAsRecordsChainedWithinTheirCategory', async () => {
+      // Given
+      await auditService.logDataAccessEvent({ userId: 'exec-cto-001', action: 'export' });
+      await sealAfterMinutes(5);
+
+      // When
+      const records = await auditStorage.getRecords();
+
+      // Then
+      expect(records.map(record => [record.sequence, record.category, record.eventType])).toEqual([
+        [1, 'AUTHENTICATION', 'AUTHENTICATION_SUCCESS'],
+        [2, 'AUTHORIZATION', 'AUTHORIZATION_AUTHORIZED'],
+        [3, 'DATA_ACCESS', 'DATA_READ'],
+        [4, 'SECURITY', 'PORTFOLIO_ACCESS_DENIED'],
+        [5, 'DATA_ACCESS', 'DATA_EXPORT']
+      ]);
+      expect(records[2].details).toEqual({ resource: 'EXECUTIVE_DASHBOARD', action: 'read', projectCount: 3 });
+      expect(records[2].occurredAt).toBe('2026-10-01T09:00:00.000Z');
+      expect(records[3].previousHash).toBe(GENESIS_HASH);
+      expect(records[4].previousHash).toBe(records[2].hash);
+    });
+
+    test('QueueEventsUntilTheSealingRunChainsThem', async () => {
+      // Given
+      const queued = await auditService.logSecurityEvent({ userId: 'exec-cfo-001', event: 'PORTFOLIO_ACCESS_DENIED' });
+
+      // When
+      const tooSoon = await sealAfterMinutes(0.5);
+      const settled = await sealAfterMinutes(1);
+
+      // Then
+      expect(queued).toEqual(expect.objectContaining({ eventType: 'PORTFOLIO_ACCESS_DENIED', occurredAt: '2026-10-19T09:05:00.000Z' }));
+      expect(tooSoon).toEqual({ sealedRecords: 0 });
+      expect(settled).toEqual({ sealedRecords: 1 });
+      expect((await auditStorage.getRecords()).map(record => record.sequence)).toEqual([1, 2, 3, 4, 5]);
+      expect(auditStorage.pending.size).toBe(0);
+    });
+
+    test('SealEventsOnlyOnceWhenARunIsInterruptedBeforeClearingTheQueue', async () => {
+      // Given
+      await auditService.logDataAccessEvent({ userId: 'exec-ceo-001', action: 'read' });
+      const removePendingEvents = auditStorage.removePendingEvents.bind(auditStorage);
+      auditStorage.removePendingEvents = jest.fn()
+        .mockRejectedValueOnce(new Error('Storage unavailable'))
+        .mockImplementation(removePendingEvents);
+      await expect(sealAfterMinutes(5)).rejects.toThrow('Storage unavailable');
+
+      // When
+      const result = await sealAfterMinutes(5);
+
+      // Then
+      expect(result).toEqual({ sealedRecords: 0 });
+      expect(auditStorage.pending.size).toBe(0);
+      expect(await auditService.verifyChain()).toEqual(expect.objectContaining({ valid: true, checkedRecords: 5 }));
+    });
+
+    test('SealABoundedBatchPerRun', async () => {
+      // Given
+      auditService = new AuditService(auditStorage, { now: () => clock, sealBatchSize: 2 });
+      await auditService.logDataAccessEvent({ userId: 'exec-ceo-001', action: 'read' });
+      await auditService.logDataAccessEvent({ userId: 'exec-cto-001', action: 'read' });
+      await auditService.logSecurityEvent({ userId: 'exec-cfo-001', event: 'PORTFOLIO_ACCESS_DENIED' });
+
+      // When
+      const first = await sealAfterMinutes(5);
+      const second = await sealAfterMinutes(5);
+
+      // Then
+      expect(first).toEqual({ sealedRecords: 2 });
+      expect(second).toEqual({ sealedRecords: 1 });
+      expect(await auditService.verifyChain()).toEqual(expect.objectContaining({ valid: true, checkedRecords: 7 }));
+    });
+  });
+
+  describe('Querying', () => {
+    test('FilterByUserEventTypeAndDateRange', async () => {
+      // When
+      const ceoRecords = await auditService.query({ userId: 'exec-ceo-001' });
+      const denials = await auditService.query({ eventType: 'PORTFOLIO_ACCESS_DENIED' });
+      const thisYear = await auditService.query({ from: '2026-01-01', to: day('2026-10-18') });
+
+      // Then
+      expect(ceoRecords.map(record => record.sequence)).toEqual([1, 2, 3]);
+      expect(denials.map(record => record.userId)).toEqual(['exec-cfo-001']);
+      expect(thisYear.map(record => record.sequence)).toEqual([2, 3]);
+    });
+  });
+
+  describe('Tamper Evidence', () => {
+    test('VerifyAnUntouchedChain', async () => {
+      // When
+      const result = await auditService.verifyChain();
+
+      // Then
+      expect(result).toEqual({ valid: true, checkedRecords: 4, firstInvalidSequence: null, reason: null });
+    });
+
+    test('DetectAlteredRecord', async () => {
+      // Given
+      auditStorage.records.set(3, { ...auditStorage.records.get(3), userId: 'exec-cfo-001' });
+
+      // When
+      const result = await auditService.verifyChain();
+
+      // Then
+      expect(result.valid).toBe(false);
+      expect(result.firstInvalidSequence).toBe(3);
+      expect(result.reason).toBe('Record content does not match its hash');
+    });
+
+    test('DetectRecordRemovedFromTheMiddleOfACategory', async () => {
+      // Given
+      await auditService.logDataAccessEvent({ userId: 'exec-ceo-001', action: 'read' });
+      await auditService.logDataAccessEvent({ userId: 'exec-ceo-001', action: 'export' });
+      await sealAfterMinutes(5);
+      auditStorage.records.delete(5);
+
+      // When
+      const result = await auditService.verifyChain();
+
+      // Then
+      expect(result).toEqual(expect.objectContaining({
+        valid: false,
+        firstInvalidSequence: 6,
+        reason: 'Previous hash does not match the preceding DATA_ACCESS record'
+      }));
+    });
+
+    test('DetectRecordsRemovedFromTheEnd', async () => {
+      // Given
+      auditStorage.records.delete(4);
+
+      // When
+      const result = await auditService.verifyChain();
+
+      // Then
+      expect(result).toEqual(expect.objectContaining({
+        valid: false,
+        firstInvalidSequence: 4,
+        reason: 'SECURITY records are missing from the end of the trail'
+      }));
+    });
+  });
+
+  describe('Retention', () => {
+    test('PruneExpiredRecordsFromTheStartOfTheChain', async () => {
+      // When
+      const result = await auditService.applyRetention();
+
+      // Then
+      expect(result).toEqual({ prunedRecords: 1 });
+      expect((await auditStorage.getRecords()).map(record => record.sequence)).toEqual([2, 3, 4]);
+      expect(await auditService.verifyChain()).toEqual(expect.objectContaining({ valid: true, checkedRecords: 3 }));
+    });
+
+    test('PruneEachCategoryOnItsOwnRetentionPeriod', async () => {
+      // Given
+      auditService = new AuditService(auditStorage, {
+        now: () => day('2026-10-19'),
+        retention: { defaultDays: 30, categories: { AUTHORIZATION: 3650, DATA_ACCESS: 1 } }
+      });
+
+      // When
+      const result = await auditService.applyRetention();
+
+      // Then
+      expect(result).toEqual({ prunedRecords: 2 });
+      expect((await auditStorage.getRecords()).map(record => record.eventType))
+        .toEqual(['AUTHORIZATION_AUTHORIZED', 'PORTFOLIO_ACCESS_DENIED']);
+      expect(await auditService.verifyChain()).toEqual(expect.objectContaining({ valid: true, checkedRecords: 2 }));
+    });
+  });
+
+  describe('Export', () => {
+    test('ExportCsvWithQuotedDetailsAndNeutralisedFormulas', async () => {
+      // Given
+      await auditService.logSecurityEvent({ userId: '=HYPERLINK("x")', event: 'PORTFOLIO_ACCESS_DENIED', reason: 'a, b' });
+      await sealAfterMinutes(5);
+
+      // When
+      const csv = await auditService.exportCsv({ category: 'SECURITY' });
+
+      // Then
+      const lines = csv.split('\n');
+      expect(lines[0]).toBe('sequence,occurredAt,category,eventType,userId,details,previousHash,hash');
+      expect(lines).toHaveLength(3);
+      expect(lines[1]).toMatch(/^4,2026-10-18T09:00:00.000Z,SECURITY,PORTFOLIO_ACCESS_DENIED,exec-cfo-001,"{""reason"":""Unauthorized access to portfolio data""}",[0-9a-f]{64},[0-9a-f]{64}$/);
+      expect(lines[2]).toContain(',"\'=HYPERLINK(""x"")",');
+    });
+
+    test('ExportJsonLinesWithHashes', async () => {
+      // When
+      const jsonLines = await auditService.exportJsonLines({ userId: 'exec-ceo-001' });
+
+      // Then
+      const records = jsonLines.split('\n').map(line => JSON.parse(line));
+      expect(records.map(record => record.sequence)).toEqual([1, 2, 3]);
+      expect(records[1]).toEqual(expect.objectContaining({
+        previousHash: GENESIS_HASH,
+        hash: expect.stringMatching(/^[0-9a-f]{64}$/)
+      }));
+    });
+  });
+});
@@ -10,6 +10,7 @@ describe('AuthenticationService Should', () => {
   let authenticationService;
   let mockForgeAuthAdapter;
   let mockAuditService;
+  let mockExecutiveIdentityPolicy;
 
   beforeEach(() => {
     // Reset mocks before each test
@@ -23,10 +24,14 @@ describe('AuthenticationService Should', () => {
       logAuthenticationEvent: jest.fn()
     };
 
+    mockExecutiveIdentityPolicy = {
+      identify: jest.fn().mockResolvedValue({ isExecutive: true, source: 'roster' })
+    };
+
     // Import AuthenticationService (will fail until implemented)
     try {
       const { AuthenticationService } = require('../../../../src/application/services/AuthenticationService.js');
-      authenticationService = new AuthenticationService(mockForgeAuthAdapter, mockAuditService);
+      authenticationService = new AuthenticationService(mockForgeAuthAdapter, mockAuditService, mockExecutiveIdentityPolicy);
     } catch (error) {
       // Expected to fail until implementation exists
       console.log('AuthenticationService not yet implemented:', error.message);
@@ -230,17 +235,20 @@ describe('AuthenticationService Should', () => {
       }
     });
 
-    test('ValidateExecutiveUserIdFormat', async () => {
+    test('RejectUsersWhoAreNotRecognisedExecutives', async () => {
       // Given
-      const invalidUserId = 'invalid-format'; // Should be 'exec-*' format
+      const invalidUserId = '557058:regular-user';
       const authOptions = { forgeContext: true };
+      mockExecutiveIdentityPolicy.identify.mockResolvedValue({ isExecutive: false, source: null });
 
       // When & Then
       if (authenticationService) {
         const result = await authenticationService.authenticateUser(invalidUserId, authOptions);
 
         expect(result.success).toBe(false);
-        expect(result.error).toContain('Invalid executive user ID format');
+        expect(result.error).toContain('User is not a recognised executive');
+        expect(mockExecutiveIdentityPolicy.identify).toHaveBeenCalledWith(invalidUserId);
+        expect(mockForgeAuthAdapter.authenticateWithForge).not.toHaveBeenCalled();
       } else {
         // Expected failure - will drive implementation
         expect(() => {
@@ -0,0 +1,139 @@
+/**
+ * Unit Tests: BusinessUnitService - Business Unit Resolution
+ * Behavior-focused tests with mocked configuration storage, Jira project properties and groups
+ */
+
+import { jest } from '@jest/globals';
+import { BusinessUnitService, BUSINESS_UNIT_PROPERTY } from '../../../../src/application/services/BusinessUnitService.js';
+import { DEFAULT_BUSINESS_UNIT_MAPPING } from '../../../../src/domain/entities/BusinessUnitMapping.js';
+import { JiraUnavailableError } from '../../../../src/domain/errors/JiraDataErrors.js';
+
+describe('BusinessUnitService Should', () => {
+  let businessUnitService;
+  let mockConfigurationPort;
+  let mockJiraDataPort;
+
+  const projects = [
+    { key: 'PAY', name: 'Payments', projectCategory: null },
+    { key: 'CRM', name: 'Sales CRM', projectCategory: { id: '10002', name: 'Commercial' } },
+    { key: 'WIKI', name: 'Wiki', projectCategory: null }
+  ];
+
+  beforeEach(() => {
+    mockConfigurationPort = {
+      getConfiguration: jest.fn().mockResolvedValue({
+        ...DEFAULT_BUSINESS_UNIT_MAPPING,
+        categories: { Commercial: 'Sales' },
+        executives: { 'exec-cfo': 'Finance' },
+        groups: { 'engineering-leads': 'Engineering' }
+      }),
+      saveConfiguration: jest.fn().mockResolvedValue(undefined)
+    };
+    mockJiraDataPort = {
+      getProjectProperties: jest.fn().mockResolvedValue({ PAY: { businessUnit: 'Finance' }, CRM: null, WIKI: null }),
+      getUserGroups: jest.fn().mockResolvedValue(['jira-users', 'engineering-leads'])
+    };
+
+    businessUnitService = new BusinessUnitService(mockConfigurationPort, mockJiraDataPort);
+  });
+
+  test('ResolveProjectsAndReportUnmappedOnes', async () => {
+    // When
+    const result = await businessUnitService.resolveProjects(projects);
+
+    // Then
+    expect(mockConfigurationPort.getConfiguration).toHaveBeenCalledWith('business-units');
+    expect(mockJiraDataPort.getProjectProperties).toHaveBeenCalledWith(['PAY', 'WIKI'], BUSINESS_UNIT_PROPERTY);
+    expect(result.projects.map(project => [project.key, project.businessUnit, project.businessUnitSource])).toEqual([
+      ['PAY', 'Finance', 'project property'],
+      ['CRM', 'Sales', 'project category'],
+      ['WIKI', null, 'unmapped']
+    ]);
+    expect(result.unmappedProjects).toEqual([{ key: 'WIKI', name: 'Wiki' }]);
+  });
+
+  test('KeepCategoryUnitsWhenPropertiesAreUnavailable', async () => {
+    // Given
+    mockJiraDataPort.getProjectProperties.mockRejectedValue(new JiraUnavailableError('Jira unavailable'));
+
+    // When
+    const result = await businessUnitService.resolveProjects(projects);
+
+    // Then
+    expect(result.projects[1].businessUnit).toBe('Sales');
+    expect(result.unmappedProjects.map(project => project.key)).toEqual(['PAY', 'WIKI']);
+  });
+
+  test('ReadProjectPropertiesOnlyOncePerInvocation', async () => {
+    // Given
+    await businessUnitService.resolveProjects(projects);
+
+    // When
+    const result = await businessUnitService.resolveProjects([
+      ...projects,
+      { key: 'OPS', name: 'Operations', projectCategory: null }
+    ]);
+
+    // Then
+    expect(mockJiraDataPort.getProjectProperties).toHaveBeenCalledTimes(2);
+    expect(mockJiraDataPort.getProjectProperties).toHaveBeenLastCalledWith(['OPS'], BUSINESS_UNIT_PROPERTY);
+    expect(result.projects[0].businessUnit).toBe('Finance');
+  });
+
+  test('ReadNoProjectPropertiesWhenTableAndCategoriesMapEveryProject', async () => {
+    // When
+    await businessUnitService.resolveProjects([projects[1]]);
+
+    // Then
+    expect(mockJiraDataPort.getProjectProperties).not.toHaveBeenCalled();
+  });
+
+  test('ResolveExecutiveFromDirectoryWithoutReadingGroups', async () => {
+    // When
+    const unit = await businessUnitService.resolveExecutive('exec-cfo');
+
+    // Then
+    expect(unit).toEqual({ businessUnit: 'Finance', source: 'directory' });
+    expect(mockJiraDataPort.getUserGroups).not.toHaveBeenCalled();
+  });
+
+  test('ResolveExecutiveFromJiraGroups', async () => {
+    // When
+    const unit = await businessUnitService.resolveExecutive('exec-cto');
+
+    // Then
+    expect(mockJiraDataPort.getUserGroups).toHaveBeenCalledWith('exec-cto');
+    expect(unit).toEqual({ businessUnit: 'Engineering', source: 'group' });
+  });
+
+  test('ReuseGroupsTheCallerAlreadyRead', async () => {
+    // When
+    const unit = await businessUnitService.resolveExecutive('exec-cto', ['engineering-leads']);
+
+    // Then
+    expect(mockJiraDataPort.getUserGroups).not.toHaveBeenCalled();
+    expect(unit).toEqual({ businessUnit: 'Engineering', source: 'group' });
+  });
+
+  test('FallBackToDefaultUnitWhenGroupsAreUnavailable', async () => {
+    // Given
+    mockJiraDataPort.getUserGroups.mockRejectedValue(new JiraUnavailableError('Jira unavailable'));
+
+    // When
+    const unit = await businessUnitService.resolveExecutive('exec-cto');
+
+    // Then
+    expect(unit).toEqual({ businessUnit: 'Corporate', source: 'default' });
+  });
+
+  test('SaveOnlyValidMappings', async () => {
+    // When
+    const saved = await businessUnitService.saveMapping({ ...DEFAULT_BUSINESS_UNIT_MAPPING, groups: { 'Sales-Leads': 'Sales' } });
+
+    // Then
+    expect(saved.groups).toEqual({ 'sales-leads': 'Sales' });
+    expect(mockConfigurationPort.saveConfiguration).toHaveBeenCalledWith('business-units', saved);
+    await expect(businessUnitService.saveMapping({ ...DEFAULT_BUSINESS_UNIT_MAPPING, projects: { PAY: '' } }))
+      .rejects.toThrow('Business unit for PAY in projects must be a non-empty name');
+  });
+});
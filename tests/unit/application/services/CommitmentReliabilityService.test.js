@@ -0,0 +1,104 @@
+/**
+ * Unit Tests: CommitmentReliabilityService - Sprint Say/Do Ratios
+ * Behavior-focused tests with a mocked Agile data port
+ */
+
+import { jest } from '@jest/globals';
+import { CommitmentReliabilityService } from '../../../../src/application/services/CommitmentReliabilityService.js';
+
+describe('CommitmentReliabilityService Should', () => {
+  let commitmentReliabilityService;
+  let mockAgileDataPort;
+
+  const report = (sprintId, committedIssues, completedIssues) => ({
+    sprintId,
+    name: `Report ${sprintId}`,
+    committedIssues,
+    completedIssues,
+    addedIssues: 1,
+    committedPoints: 0,
+    completedPoints: 0,
+    addedPoints: 0
+  });
+
+  beforeEach(() => {
+    mockAgileDataPort = {
+      getProjectBoards: jest.fn(async projectKey => ({
+        PAY: [{ id: 1, name: 'Payments Team' }, { id: 3, name: 'Platform Team' }],
+        WEB: [{ id: 3, name: 'Platform Team' }],
+        OPS: []
+      })[projectKey]),
+      getClosedSprints: jest.fn(async boardId => [
+        { id: boardId * 10, name: `Sprint ${boardId}.1`, completeDate: '2024-01-31T10:00:00.000Z' },
+        { id: boardId * 10 + 1, name: `Sprint ${boardId}.2`, completeDate: '2024-02-14T10:00:00.000Z' }
+      ]),
+      getSprintReport: jest.fn(async (boardId, sprint) => report(sprint.id, 10, boardId === 1 ? 9 : 5))
+    };
+
+    commitmentReliabilityService = new CommitmentReliabilityService(mockAgileDataPort, { sprintCount: 2 });
+  });
+
+  test('MeasureEachTeamOnceAndShareItAcrossProjects', async () => {
+    // When
+    const reliability = await commitmentReliabilityService.getPortfolioReliability(['PAY', 'WEB', 'OPS']);
+
+    // Then
+    expect(reliability.PAY.map(team => [team.boardName, team.sayDoRatio])).toEqual([
+      ['Payments Team', 0.9], ['Platform Team', 0.5]
+    ]);
+    expect(reliability.WEB).toEqual([reliability.PAY[1]]);
+    expect(reliability.OPS).toEqual([]);
+    expect(mockAgileDataPort.getClosedSprints).toHaveBeenCalledTimes(2);
+    expect(mockAgileDataPort.getClosedSprints).toHaveBeenCalledWith(1, { limit: 2 });
+  });
+
+  test('NameSprintsFromTheSprintList', async () => {
+    // When
+    const reliability = await commitmentReliabilityService.getPortfolioReliability(['WEB']);
+
+    // Then
+    expect(reliability.WEB[0].sprints.map(sprint => [sprint.name, sprint.completeDate])).toEqual([
+      ['Sprint 3.1', '2024-01-31T10:00:00.000Z'],
+      ['Sprint 3.2', '2024-02-14T10:00:00.000Z']
+    ]);
+  });
+
+  test('LeaveOutTeamsWhoseReportsCannotBeRead', async () => {
+    // Given
+    mockAgileDataPort.getSprintReport.mockImplementation(async (boardId, sprint) => {
+      if (boardId === 3) throw new Error('Sprint report unavailable');
+      return report(sprint.id, 10, 9);
+    });
+
+    // When
+    const reliability = await commitmentReliabilityService.getPortfolioReliability(['PAY', 'WEB']);
+
+    // Then
+    expect(reliability.PAY.map(team => team.boardId)).toEqual([1]);
+    expect(reliability.WEB).toEqual([]);
+  });
+
+  test('ReadNoMoreBoardsAtOnceThanTheConcurrencyLimit', async () => {
+    // Given
+    let inFlight = 0;
+    let maxInFlight = 0;
+    mockAgileDataPort.getProjectBoards.mockImplementation(async projectKey => [{ id: Number(projectKey.slice(1)), name: projectKey }]);
+    mockAgileDataPort.getClosedSprints.mockImplementation(async (boardId) => {
+      inFlight += 1;
+      maxInFlight = Math.max(maxInFlight, inFlight);
+      await new Promise(resolve => setImmediate(resolve));
+      inFlight -= 1;
+      return [{ id: boardId * 10, name: `Sprint ${boardId}.1`, startDate: '2024-01-17T10:00:00.000Z', completeDate: '2024-01-31T10:00:00.000Z' }];
+    });
+    const projectKeys = Array.from({ length: 10 }, (_, index) => `P${index + 1}`);
+    commitmentReliabilityService = new CommitmentReliabilityService(mockAgileDataPort, { sprintCount: 2, concurrency: 3 });
+
+    // When
+    const reliability = await commitmentReliabilityService.getPortfolioReliability(projectKeys);
+
+    // Then
+    expect(maxInFlight).toBe(3);
+    expect(Object.keys(reliability)).toEqual(projectKeys);
+    expect(mockAgileDataPort.getSprintReport).toHaveBeenCalledWith(1, expect.objectContaining({ id: 10, startDate: '2024-01-17T10:00:00.000Z' }));
+  });
+});
@@ -0,0 +1,122 @@
+/**
+ * Unit Tests: DeliveryForecastService - Release and Epic Forecasts
+ * Behavior-focused tests with a mocked Jira data port and steady throughput
+ */
+
+import { jest } from '@jest/globals';
+import { DeliveryForecastService } from '../../../../src/application/services/DeliveryForecastService.js';
+
+describe('DeliveryForecastService Should', () => {
+  let deliveryForecastService;
+  let mockJiraDataPort;
+
+  const projects = [
+    { key: 'PAY', name: 'Payments' },
+    { key: 'WEB', name: 'Website' }
+  ];
+
+  beforeEach(() => {
+    mockJiraDataPort = {
+      getDeliveryScopes: jest.fn().mockResolvedValue({
+        PAY: [
+          { type: 'version', id: '10001', name: '2.0', targetDate: '2024-03-04', remainingIssues: 10 },
+          { type: 'epic', id: 'PAY-7', name: 'Card vault', targetDate: '2024-04-30', remainingIssues: 4 }
+        ],
+        WEB: [{ type: 'epic', id: 'WEB-3', name: 'Checkout redesign', targetDate: '2024-03-02', remainingIssues: 3 }]
+      }),
+      getDailyThroughput: jest.fn().mockResolvedValue({ PAY: [2, 2], WEB: [1] })
+    };
+
+    deliveryForecastService = new DeliveryForecastService(mockJiraDataPort, {
+      historyDays: 60,
+      trials: 10,
+      now: () => new Date('2024-03-01T09:00:00.000Z')
+    });
+  });
+
+  test('ForecastEveryOpenReleaseAndEpicMostLateFirst', async () => {
+    // When
+    const result = await deliveryForecastService.getPortfolioForecast(projects);
+
+    // Then
+    expect(mockJiraDataPort.getDailyThroughput).toHaveBeenCalledWith(['PAY', 'WEB'], { windowDays: 60 });
+    expect(result.historyDays).toBe(60);
+    expect(result.forecasts.map(forecast => [forecast.id, forecast.daysLate])).toEqual([
+      ['10001', 2], ['WEB-3', 2], ['PAY-7', -58]
+    ]);
+    expect(result.forecasts[0]).toMatchObject({ projectKey: 'PAY', projectName: 'Payments', type: 'version' });
+  });
+
+  test('AlertWhenEightyFifthPercentileDateSlipsPastTarget', async () => {
+    // When
+    const { alerts } = await deliveryForecastService.getPortfolioForecast(projects);
+
+    // Then
+    expect(alerts).toEqual([
+      {
+        projectKey: 'PAY',
+        projectName: 'Payments',
+        alertLevel: 'WARNING',
+        scope: { type: 'version', id: '10001', name: '2.0' },
+        reason: 'Release 2.0: 85% forecast 2024-03-06 is 2 days after target 2024-03-04'
+      },
+      {
+        projectKey: 'WEB',
+        projectName: 'Website',
+        alertLevel: 'WARNING',
+        scope: { type: 'epic', id: 'WEB-3', name: 'Checkout redesign' },
+        reason: 'Epic Checkout redesign: 85% forecast 2024-03-04 is 2 days after target 2024-03-02'
+      }
+    ]);
+  });
+
+  test('AlertWhenACommittedScopeHasNoThroughputHistory', async () => {
+    // Given
+    mockJiraDataPort.getDailyThroughput.mockResolvedValue({ PAY: [2, 2], WEB: [0, 0] });
+
+    // When
+    const { alerts } = await deliveryForecastService.getPortfolioForecast(projects);
+
+    // Then
+    expect(alerts[1]).toEqual({
+      projectKey: 'WEB',
+      projectName: 'Website',
+      alertLevel: 'WARNING',
+      scope: { type: 'epic', id: 'WEB-3', name: 'Checkout redesign' },
+      reason: 'Epic Checkout redesign: No issues resolved in the throughput history, target 2024-03-02'
+    });
+  });
+
+  test('ForecastTheSoonestDueScopesUpToTheCap', async () => {
+    // Given
+    mockJiraDataPort.getDeliveryScopes.mockResolvedValue({
+      PAY: [
+        { type: 'version', id: '10001', name: '2.0', targetDate: '2024-03-04', remainingIssues: 10 },
+        { type: 'version', id: '10002', name: '3.0', targetDate: null, remainingIssues: 8 },
+        { type: 'epic', id: 'PAY-7', name: 'Card vault', targetDate: '2024-04-30', remainingIssues: 4 }
+      ],
+      WEB: [{ type: 'epic', id: 'WEB-3', name: 'Checkout redesign', targetDate: '2024-03-02', remainingIssues: 3 }]
+    });
+    const cappedService = new DeliveryForecastService(mockJiraDataPort, {
+      maxScopes: 2,
+      trials: 10,
+      now: () => new Date('2024-03-01T09:00:00.000Z')
+    });
+
+    // When
+    const result = await cappedService.getPortfolioForecast(projects);
+
+    // Then
+    expect(result.forecasts.map(forecast => forecast.id)).toEqual(['10001', 'WEB-3']);
+    expect(result.unforecastScopes).toBe(2);
+  });
+
+  test('SkipJiraForEmptyPortfolio', async () => {
+    // When
+    const result = await deliveryForecastService.getPortfolioForecast([]);
+
+    // Then
+    expect(result).toEqual({ historyDays: 60, forecasts: [], alerts: [], unforecastScopes: 0 });
+    expect(mockJiraDataPort.getDeliveryScopes).not.toHaveBeenCalled();
+  });
+});
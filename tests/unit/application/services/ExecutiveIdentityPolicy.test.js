@@ -0,0 +1,104 @@
+/**
+ * Unit Tests: ExecutiveIdentityPolicy - Executive Identity Resolution
+ * Behavior-focused tests with mocked roster, Jira groups and role detection
+ */
+
+import { jest } from '@jest/globals';
+import { ExecutiveIdentityPolicy } from '../../../../src/application/services/ExecutiveIdentityPolicy.js';
+import { ExecutiveRoster } from '../../../../src/domain/entities/ExecutiveRoster.js';
+import { InvalidConfigurationError } from '../../../../src/domain/errors/ConfigurationErrors.js';
+
+describe('ExecutiveIdentityPolicy Should', () => {
+  let executiveIdentityPolicy;
+  let executiveRosterService;
+  let mockJiraDataPort;
+  let roleDetectionService;
+
+  beforeEach(() => {
+    executiveRosterService = {
+      getRoster: jest.fn().mockResolvedValue(new ExecutiveRoster({
+        accounts: { '557058:cfo': { displayName: 'Chief Financial Officer' } },
+        groups: ['executive-committee'],
+        appRoles: ['CEO', 'CTO']
+      }))
+    };
+    mockJiraDataPort = { getUserGroups: jest.fn().mockResolvedValue(['jira-users']) };
+    roleDetectionService = { detectRole: jest.fn().mockResolvedValue('EXECUTIVE') };
+
+    executiveIdentityPolicy = new ExecutiveIdentityPolicy(executiveRosterService, mockJiraDataPort, roleDetectionService);
+  });
+
+  test('IdentifyRegisteredExecutivesWithoutReadingGroups', async () => {
+    // When
+    const identity = await executiveIdentityPolicy.identify('557058:cfo');
+
+    // Then
+    expect(identity).toEqual({ isExecutive: true, source: 'roster' });
+    expect(mockJiraDataPort.getUserGroups).not.toHaveBeenCalled();
+    expect(roleDetectionService.detectRole).not.toHaveBeenCalled();
+  });
+
+  test('IdentifyExecutivesByJiraGroup', async () => {
+    // Given
+    mockJiraDataPort.getUserGroups.mockResolvedValue(['jira-users', 'Executive-Committee']);
+
+    // When
+    const identity = await executiveIdentityPolicy.identify('557058:coo');
+
+    // Then
+    expect(mockJiraDataPort.getUserGroups).toHaveBeenCalledWith('557058:coo');
+    expect(identity).toEqual({ isExecutive: true, source: 'group' });
+  });
+
+  test('IdentifyExecutivesByAppRoleDetectedFromTheirGroups', async () => {
+    // Given
+    mockJiraDataPort.getUserGroups.mockResolvedValue(['executive-cto']);
+    roleDetectionService.detectRole.mockResolvedValue('CTO');
+
+    // When
+    const identity = await executiveIdentityPolicy.identify('557058:cto');
+
+    // Then
+    expect(roleDetectionService.detectRole).toHaveBeenCalledWith({ accountId: '557058:cto', groups: ['executive-cto'] });
+    expect(identity).toEqual({ isExecutive: true, source: 'app role' });
+  });
+
+  test('RejectOrdinaryUsersAndMissingAccounts', async () => {
+    // When
+    const ordinary = await executiveIdentityPolicy.identify('557058:developer');
+    const missing = await executiveIdentityPolicy.identify(undefined);
+
+    // Then
+    expect(ordinary).toEqual({ isExecutive: false, source: null });
+    expect(missing).toEqual({ isExecutive: false, source: null });
+  });
+
+  test('IgnoreGroupsJiraCannotReturn', async () => {
+    // Given
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    mockJiraDataPort.getUserGroups.mockRejectedValue(new Error('Jira unavailable'));
+
+    // When
+    const identity = await executiveIdentityPolicy.identify('557058:coo');
+
+    // Then
+    expect(roleDetectionService.detectRole).toHaveBeenCalledWith({ accountId: '557058:coo', groups: [] });
+    expect(identity).toEqual({ isExecutive: false, source: null });
+    console.error.mockRestore();
+  });
+
+  test('IdentifyByDefaultAppRolesOnlyWhileTheStoredRosterIsInvalid', async () => {
+    // Given
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    executiveRosterService.getRoster.mockRejectedValue(
+      new InvalidConfigurationError('executive roster', new Error('App roles cannot identify executives: EXECUTIVE')));
+    roleDetectionService.detectRole.mockResolvedValue('CTO');
+
+    // When
+    const registered = await executiveIdentityPolicy.identify('557058:cfo');
+
+    // Then
+    expect(registered).toEqual({ isExecutive: true, source: 'app role' });
+    console.error.mockRestore();
+  });
+});
@@ -0,0 +1,82 @@
+/**
+ * Unit Tests: ExecutiveRosterService - Executive Registry
+ * Behavior-focused tests with mocked configuration storage
+ */
+
+import { jest } from '@jest/globals';
+import { ExecutiveRosterService } from '../../../../src/application/services/ExecutiveRosterService.js';
+import { DEFAULT_EXECUTIVE_ROSTER } from '../../../../src/domain/entities/ExecutiveRoster.js';
+import { InvalidConfigurationError } from '../../../../src/domain/errors/ConfigurationErrors.js';
+
+describe('ExecutiveRosterService Should', () => {
+  let executiveRosterService;
+  let mockConfigurationPort;
+
+  beforeEach(() => {
+    mockConfigurationPort = {
+      getConfiguration: jest.fn().mockResolvedValue({
+        ...DEFAULT_EXECUTIVE_ROSTER,
+        accounts: { '557058:cfo': { displayName: 'Chief Financial Officer' } }
+      }),
+      saveConfiguration: jest.fn().mockResolvedValue(undefined)
+    };
+
+    executiveRosterService = new ExecutiveRosterService(mockConfigurationPort);
+  });
+
+  test('RefuseToFallBackToDefaultsWhenStoredRosterIsInvalid', async () => {
+    // Given
+    mockConfigurationPort.getConfiguration.mockResolvedValue({ appRoles: ['EXECUTIVE'] });
+
+    // When
+    const read = executiveRosterService.getRoster();
+
+    // Then
+    await expect(read).rejects.toBeInstanceOf(InvalidConfigurationError);
+    await expect(executiveRosterService.getRoster()).rejects.toThrow(
+      'Stored executive roster is invalid and must be saved again: App roles cannot identify executives: EXECUTIVE'
+    );
+    expect(mockConfigurationPort.getConfiguration).toHaveBeenCalledWith('executive-roster');
+  });
+
+  test('NeverRegisterOrRemoveOverAnInvalidStoredRoster', async () => {
+    // Given
+    mockConfigurationPort.getConfiguration.mockResolvedValue({ appRoles: ['EXECUTIVE'] });
+
+    // When & Then
+    await expect(executiveRosterService.registerExecutive('557058:coo')).rejects.toBeInstanceOf(InvalidConfigurationError);
+    await expect(executiveRosterService.removeExecutive('557058:cfo')).rejects.toBeInstanceOf(InvalidConfigurationError);
+    expect(mockConfigurationPort.saveConfiguration).not.toHaveBeenCalled();
+  });
+
+  test('RegisterExecutiveAlongsideExistingOnes', async () => {
+    // When
+    const saved = await executiveRosterService.registerExecutive('557058:coo', { displayName: 'Chief Operating Officer' });
+
+    // Then
+    expect(Object.keys(saved.accounts)).toEqual(['557058:cfo', '557058:coo']);
+    expect(mockConfigurationPort.saveConfiguration).toHaveBeenCalledWith('executive-roster', saved);
+    await expect(executiveRosterService.registerExecutive(' ')).rejects.toThrow('Executive registration requires an account ID');
+  });
+
+  test('RemoveOnlyRegisteredExecutives', async () => {
+    // When
+    const saved = await executiveRosterService.removeExecutive('557058:cfo');
+
+    // Then
+    expect(saved.accounts).toEqual({});
+    await expect(executiveRosterService.removeExecutive('557058:intern'))
+      .rejects.toThrow('Account 557058:intern is not on the executive roster');
+  });
+
+  test('SaveOnlyValidRosters', async () => {
+    // When
+    const saved = await executiveRosterService.saveRoster({ accounts: {}, groups: ['Executive-Committee'], appRoles: ['CEO'] });
+
+    // Then
+    expect(saved).toEqual({ accounts: {}, groups: ['executive-committee'], appRoles: ['CEO'] });
+    expect(mockConfigurationPort.saveConfiguration).toHaveBeenCalledWith('executive-roster', saved);
+    await expect(executiveRosterService.saveRoster({ appRoles: ['EXECUTIVE'] }))
+      .rejects.toThrow('App roles cannot identify executives: EXECUTIVE');
+  });
+});
@@ -0,0 +1,77 @@
+/**
+ * Unit Tests: MetricDefinitionService - Health Metric JQL Registry
+ * Behavior-focused tests with mocked configuration storage and Jira JQL parsing
+ */
+
+import { jest } from '@jest/globals';
+import { MetricDefinitionService } from '../../../../src/application/services/MetricDefinitionService.js';
+import { DEFAULT_METRIC_DEFINITIONS } from '../../../../src/domain/entities/MetricDefinitions.js';
+
+describe('MetricDefinitionService Should', () => {
+  let metricDefinitionService;
+  let mockConfigurationPort;
+  let mockJiraDataPort;
+
+  const flaggedDefinitions = {
+    ...DEFAULT_METRIC_DEFINITIONS,
+    projectOverrides: { PAY: { blockedIssues: 'flagged = "Impediment" AND resolution is EMPTY' } }
+  };
+
+  beforeEach(() => {
+    mockConfigurationPort = {
+      getConfiguration: jest.fn().mockResolvedValue(null),
+      saveConfiguration: jest.fn().mockResolvedValue(undefined)
+    };
+    mockJiraDataPort = {
+      validateJql: jest.fn(async queries => queries.map(query => ({ query, errors: [] })))
+    };
+
+    metricDefinitionService = new MetricDefinitionService(mockConfigurationPort, mockJiraDataPort);
+  });
+
+  test('UseDefaultsUntilAdminSavesDefinitions', async () => {
+    // When
+    const definitions = await metricDefinitionService.getDefinitions();
+
+    // Then
+    expect(definitions.toJSON()).toEqual(DEFAULT_METRIC_DEFINITIONS);
+    expect(mockConfigurationPort.getConfiguration).toHaveBeenCalledWith('metric-definitions');
+  });
+
+  test('IgnoreStoredDefinitionsThatNoLongerValidate', async () => {
+    // Given
+    mockConfigurationPort.getConfiguration.mockResolvedValue({ metrics: {} });
+
+    // When
+    const definitions = await metricDefinitionService.getDefinitions();
+
+    // Then
+    expect(definitions.getMetricNames()).toEqual(['overdueIssues', 'blockedIssues', 'highPriorityIssues', 'openBugs']);
+  });
+
+  test('SaveDefinitionsOnceJiraAcceptsEveryFragment', async () => {
+    // When
+    const saved = await metricDefinitionService.saveDefinitions(flaggedDefinitions);
+
+    // Then
+    expect(mockJiraDataPort.validateJql).toHaveBeenCalledWith(expect.arrayContaining([
+      'flagged = "Impediment" AND resolution is EMPTY'
+    ]));
+    expect(mockConfigurationPort.saveConfiguration).toHaveBeenCalledWith('metric-definitions', saved);
+    expect(saved.projectOverrides.PAY.blockedIssues).toBe('flagged = "Impediment" AND resolution is EMPTY');
+  });
+
+  test('RefuseDefinitionsJiraCannotParse', async () => {
+    // Given
+    mockJiraDataPort.validateJql.mockImplementation(async queries => queries.map(query => ({
+      query,
+      errors: query.startsWith('flagged') ? ["Field 'flagged' does not exist"] : []
+    })));
+
+    // When & Then
+    await expect(metricDefinitionService.saveDefinitions(flaggedDefinitions)).rejects.toThrow(
+      'Invalid JQL in metric definitions: "flagged = "Impediment" AND resolution is EMPTY" (Field \'flagged\' does not exist)'
+    );
+    expect(mockConfigurationPort.saveConfiguration).not.toHaveBeenCalled();
+  });
+});
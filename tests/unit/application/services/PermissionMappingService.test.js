@@ -0,0 +1,57 @@
+/**
+ * Unit Tests: PermissionMappingService - Executive Permission Rules
+ * Behavior-focused tests with mocked configuration storage
+ */
+
+import { jest } from '@jest/globals';
+import { PermissionMappingService } from '../../../../src/application/services/PermissionMappingService.js';
+import { DEFAULT_PERMISSION_MAPPING } from '../../../../src/domain/entities/PermissionMapping.js';
+import { InvalidConfigurationError } from '../../../../src/domain/errors/ConfigurationErrors.js';
+
+describe('PermissionMappingService Should', () => {
+  let permissionMappingService;
+  let mockConfigurationPort;
+
+  beforeEach(() => {
+    mockConfigurationPort = {
+      getConfiguration: jest.fn().mockResolvedValue(null),
+      saveConfiguration: jest.fn().mockResolvedValue(undefined)
+    };
+
+    permissionMappingService = new PermissionMappingService(mockConfigurationPort);
+  });
+
+  test('UseDefaultsUntilAMappingIsSaved', async () => {
+    // When
+    const mapping = await permissionMappingService.getMapping();
+
+    // Then
+    expect(mockConfigurationPort.getConfiguration).toHaveBeenCalledWith('permission-mapping');
+    expect(mapping.toJSON()).toEqual(DEFAULT_PERMISSION_MAPPING);
+  });
+
+  test('RefuseToFallBackToDefaultsWhenStoredMappingIsInvalid', async () => {
+    // Given
+    mockConfigurationPort.getConfiguration.mockResolvedValue({ ownBusinessUnit: ['EVERYTHING'] });
+
+    // When & Then
+    await expect(permissionMappingService.getMapping()).rejects.toBeInstanceOf(InvalidConfigurationError);
+    await expect(permissionMappingService.getMapping())
+      .rejects.toThrow('Stored permission mapping is invalid and must be saved again');
+  });
+
+  test('SaveOnlyValidMappings', async () => {
+    // When
+    const saved = await permissionMappingService.saveMapping({
+      ownBusinessUnit: ['PORTFOLIO_VIEW'],
+      groups: { 'Finance-Leadership': { permissions: ['FINANCIAL_DATA'], scope: ['Finance'] } },
+      projectRoles: { Administrators: { permissions: ['DETAILED_METRICS'] } }
+    });
+
+    // Then
+    expect(saved.groups).toEqual({ 'finance-leadership': { permissions: ['FINANCIAL_DATA'], scope: ['Finance'] } });
+    expect(mockConfigurationPort.saveConfiguration).toHaveBeenCalledWith('permission-mapping', saved);
+    await expect(permissionMappingService.saveMapping({ groups: { ceo: { permissions: ['VIEW_ALL'], scope: ['All_Units'] } } }))
+      .rejects.toThrow('Unknown permissions for group ceo: VIEW_ALL');
+  });
+});
@@ -0,0 +1,202 @@
+/**
+ * Unit Tests: PortfolioDataCache - Per-Executive Jira Data Cache
+ * Behavior-focused tests with an in-memory cache store and a controllable clock
+ */
+
+import { jest } from '@jest/globals';
+import { PortfolioDataCache } from '../../../../src/application/services/PortfolioDataCache.js';
+
+describe('PortfolioDataCache Should', () => {
+  const MINUTE_MS = 60 * 1000;
+  const start = Date.parse('2024-01-15T10:00:00.000Z');
+
+  let cache;
+  let cacheStorage;
+  let now;
+
+  beforeEach(() => {
+    const entries = new Map();
+    cacheStorage = {
+      entries,
+      getEntry: jest.fn(async key => entries.get(key) || null),
+      saveEntry: jest.fn(async (key, entry) => { entries.set(key, entry); }),
+      deleteEntries: jest.fn(async prefix => {
+        [...entries.keys()].filter(key => key.startsWith(prefix)).forEach(key => entries.delete(key));
+      })
+    };
+    now = start;
+    cache = new PortfolioDataCache(cacheStorage, { now: () => now });
+  });
+
+  describe('Time To Live', () => {
+    test('ServeFreshValuesWithoutCallingJira', async () => {
+      // Given
+      const fetchUser = jest.fn().mockResolvedValue({ accountId: 'exec-1' });
+      await cache.getOrFetch('exec-1', 'user', 'current', fetchUser);
+
+      // When
+      now += 10 * MINUTE_MS;
+      const user = await cache.getOrFetch('exec-1', 'user', 'current', fetchUser);
+
+      // Then
+      expect(user).toEqual({ accountId: 'exec-1' });
+      expect(fetchUser).toHaveBeenCalledTimes(1);
+      expect(cache.getFreshness('exec-1')).toEqual({ fetchedAt: '2024-01-15T10:00:00.000Z', stale: false });
+    });
+
+    test('FetchAgainOnceStaleWindowHasPassed', async () => {
+      // Given
+      const fetchMetrics = jest.fn()
+        .mockResolvedValueOnce({ PAY: { overdueIssues: 1 } })
+        .mockResolvedValueOnce({ PAY: { overdueIssues: 4 } });
+      await cache.getManyOrFetch('exec-1', 'metrics', ['PAY'], fetchMetrics);
+
+      // When
+      now += 6 * MINUTE_MS;
+      const metrics = await cache.getManyOrFetch('exec-1', 'metrics', ['PAY'], fetchMetrics);
+
+      // Then
+      expect(metrics.PAY.overdueIssues).toBe(4);
+      expect(cache.getFreshness('exec-1').fetchedAt).toBe('2024-01-15T10:06:00.000Z');
+    });
+  });
+
+  describe('Stale If Error', () => {
+    test('RefreshStaleValueBeforeReturning', async () => {
+      // Given
+      const fetchMetrics = jest.fn()
+        .mockResolvedValueOnce({ PAY: { overdueIssues: 1 } })
+        .mockResolvedValueOnce({ PAY: { overdueIssues: 4 } });
+      await cache.getManyOrFetch('exec-1', 'metrics', ['PAY'], fetchMetrics);
+
+      // When
+      now += 4 * MINUTE_MS;
+      const metrics = await cache.getManyOrFetch('exec-1', 'metrics', ['PAY'], fetchMetrics);
+
+      // Then
+      expect(metrics.PAY.overdueIssues).toBe(4);
+      expect(cache.getFreshness('exec-1')).toEqual({ fetchedAt: '2024-01-15T10:04:00.000Z', stale: false });
+      const storedShard = [...cacheStorage.entries.values()].find(shard => shard.entries.PAY);
+      expect(storedShard.entries.PAY.value.overdueIssues).toBe(4);
+    });
+
+    test('ServeStaleValueWhenRefreshFails', async () => {
+      // Given
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+      const fetchMetrics = jest.fn()
+        .mockResolvedValueOnce({ PAY: { overdueIssues: 1 } })
+        .mockRejectedValueOnce(new Error('Jira unavailable'));
+      await cache.getManyOrFetch('exec-1', 'metrics', ['PAY'], fetchMetrics);
+
+      // When
+      now += 4 * MINUTE_MS;
+      const metrics = await cache.getManyOrFetch('exec-1', 'metrics', ['PAY'], fetchMetrics);
+
+      // Then
+      expect(metrics.PAY.overdueIssues).toBe(1);
+      expect(cache.getFreshness('exec-1')).toEqual({ fetchedAt: '2024-01-15T10:00:00.000Z', stale: true });
+      console.error.mockRestore();
+    });
+
+    test('ReadNoMoreShardsAtOnceThanTheStorageConcurrency', async () => {
+      // Given
+      let inFlight = 0;
+      let maxInFlight = 0;
+      cacheStorage.getEntry.mockImplementation(async () => {
+        inFlight += 1;
+        maxInFlight = Math.max(maxInFlight, inFlight);
+        await new Promise(resolve => setImmediate(resolve));
+        inFlight -= 1;
+        return null;
+      });
+      const projectKeys = Array.from({ length: 10 }, (_, index) => `P${index + 1}`);
+      cache = new PortfolioDataCache(cacheStorage, { now: () => now, storageConcurrency: 3 });
+
+      // When
+      const metrics = await cache.getManyOrFetch('exec-1', 'metrics', projectKeys,
+        async ids => Object.fromEntries(ids.map(id => [id, { overdueIssues: 0 }])));
+
+      // Then
+      expect(maxInFlight).toBe(3);
+      expect(Object.keys(metrics)).toEqual(projectKeys);
+    });
+
+    test('ReadALargePortfolioWithOneStorageCallPerShard', async () => {
+      // Given
+      const projectKeys = Array.from({ length: 500 }, (_, index) => `P${index + 1}`);
+      const fetchMetrics = jest.fn(async ids => Object.fromEntries(ids.map(id => [id, { overdueIssues: 0 }])));
+      await cache.getManyOrFetch('exec-1', 'metrics', projectKeys, fetchMetrics);
+      cacheStorage.getEntry.mockClear();
+
+      // When
+      const nextInvocation = new PortfolioDataCache(cacheStorage, { now: () => now });
+      const metrics = await nextInvocation.getManyOrFetch('exec-1', 'metrics', projectKeys, fetchMetrics);
+
+      // Then
+      expect(cacheStorage.getEntry).toHaveBeenCalledTimes(8);
+      expect(fetchMetrics).toHaveBeenCalledTimes(1);
+      expect(Object.keys(metrics)).toHaveLength(500);
+    });
+
+    test('FetchOnlyMissingValuesInOneBatch', async () => {
+      // Given
+      await cache.getManyOrFetch('exec-1', 'metrics', ['WEB'], async () => ({ WEB: { overdueIssues: 0 } }));
+      const fetchMetrics = jest.fn().mockResolvedValue({ PAY: { overdueIssues: 2 }, OPS: { overdueIssues: 3 } });
+
+      // When
+      const metrics = await cache.getManyOrFetch('exec-1', 'metrics', ['WEB', 'PAY', 'OPS'], fetchMetrics);
+
+      // Then
+      expect(fetchMetrics).toHaveBeenCalledWith(['PAY', 'OPS']);
+      expect(metrics).toEqual({
+        WEB: { overdueIssues: 0 },
+        PAY: { overdueIssues: 2 },
+        OPS: { overdueIssues: 3 }
+      });
+    });
+  });
+
+  describe('Invalidation and Scope', () => {
+    test('KeepExecutivesSeparateAndInvalidateOnlyOneScope', async () => {
+      // Given
+      const fetchProjects = jest.fn().mockResolvedValue([{ key: 'PAY' }]);
+      await cache.getOrFetch('exec-1', 'projects', 'all', fetchProjects);
+      await cache.getOrFetch('exec-2', 'projects', 'all', fetchProjects);
+
+      // When
+      await cache.invalidate('exec-1');
+      await cache.getOrFetch('exec-1', 'projects', 'all', fetchProjects);
+      await cache.getOrFetch('exec-2', 'projects', 'all', fetchProjects);
+
+      // Then
+      expect(fetchProjects).toHaveBeenCalledTimes(3);
+      expect(cacheStorage.deleteEntries).toHaveBeenCalledWith('exec-1:');
+    });
+
+    test('NotCacheValuesJiraCouldNotProvide', async () => {
+      // Given
+      const fetchMetrics = jest.fn().mockResolvedValue({});
+
+      // When
+      const metrics = await cache.getManyOrFetch('exec-1', 'metrics', ['PAY'], fetchMetrics);
+      await cache.getManyOrFetch('exec-1', 'metrics', ['PAY'], fetchMetrics);
+
+      // Then
+      expect(metrics.PAY).toBeUndefined();
+      expect(fetchMetrics).toHaveBeenCalledTimes(2);
+      expect(cacheStorage.saveEntry).not.toHaveBeenCalled();
+      expect(cache.getFreshness('exec-1')).toBeNull();
+    });
+
+    test('TreatStorageErrorsAsCacheMiss', async () => {
+      // Given
+      cacheStorage.getEntry.mockRejectedValue(new Error('Storage unavailable'));
+
+      // When
+      const user = await cache.getOrFetch('exec-1', 'user', 'current', async () => ({ accountId: 'exec-1' }));
+
+      // Then
+      expect(user).toEqual({ accountId: 'exec-1' });
+    });
+  });
+});
@@ -0,0 +1,783 @@
+/**
+ * Unit Tests: PortfolioService - Executive Dashboard Orchestration
+ * Behavior-focused tests for dashboard assembly with mocked ports
+ */
+
+import { jest } from '@jest/globals';
+import { PortfolioService } from '../../../../src/application/services/PortfolioService.js';
+import { AuthorizationService } from '../../../../src/application/services/AuthorizationService.js';
+import { ExecutiveIdentityPolicy } from '../../../../src/application/services/ExecutiveIdentityPolicy.js';
+import { ExecutiveRosterService } from '../../../../src/application/services/ExecutiveRosterService.js';
+import { PortfolioSnapshot } from '../../../../src/domain/entities/PortfolioSnapshot.js';
+import { JiraRateLimitError } from '../../../../src/domain/errors/JiraDataErrors.js';
+import { MetricDefinitions } from '../../../../src/domain/entities/MetricDefinitions.js';
+import { ScoringPolicy, DEFAULT_SCORING_POLICY, SIZE_NORMALISED_SCORING } from '../../../../src/domain/entities/ScoringPolicy.js';
+
+describe('PortfolioService Should', () => {
+  let portfolioService;
+  let mockJiraDataPort;
+  let mockSnapshotStorage;
+
+  const today = PortfolioSnapshot.toSnapshotDate(new Date());
+
+  const storedSnapshot = (date, portfolio) => new PortfolioSnapshot({
+    executiveId: 'exec-ceo-001',
+    date,
+    portfolio
+  });
+
+  beforeEach(() => {
+    mockJiraDataPort = {
+      getCurrentUser: jest.fn().mockResolvedValue({
+        accountId: 'exec-ceo-001',
+        displayName: 'John Executive'
+      }),
+      getExecutiveProjects: jest.fn().mockResolvedValue([
+        { key: 'WEB', name: 'Website' },
+        { key: 'PAY', name: 'Payments' }
+      ]),
+      getPortfolioHealthMetrics: jest.fn().mockResolvedValue({
+        WEB: { overdueIssues: 0, blockedIssues: 0, highPriorityIssues: 0 },
+        PAY: { overdueIssues: 7, blockedIssues: 0, highPriorityIssues: 0 }
+      }),
+      getPortfolioFlowMetrics: jest.fn().mockResolvedValue({
+        WEB: { windowDays: 30, throughput: 12, cycleTimeMedianDays: 3, cycleTimeP85Days: 6.5, wip: 4 }
+      })
+    };
+
+    mockSnapshotStorage = {
+      saveSnapshot: jest.fn().mockResolvedValue(undefined),
+      getSnapshots: jest.fn().mockResolvedValue([]),
+      pruneSnapshots: jest.fn().mockResolvedValue(0)
+    };
+
+    portfolioService = new PortfolioService(mockJiraDataPort, null, null, {
+      snapshotStorage: mockSnapshotStorage
+    });
+  });
+
+  describe('Project Scope', () => {
+    test('RequestProjectsWithConfiguredFilters', async () => {
+      // Given
+      const projectFilters = { categoryId: '10000', typeKey: 'software' };
+      portfolioService = new PortfolioService(mockJiraDataPort, null, null, { projectFilters });
+
+      // When
+      await portfolioService.getExecutiveDashboard();
+
+      // Then
+      expect(mockJiraDataPort.getExecutiveProjects).toHaveBeenCalledWith(projectFilters);
+    });
+
+    test('RequestHealthMetricsForAllProjectsInOneBatch', async () => {
+      // When
+      const dashboard = await portfolioService.getExecutiveDashboard();
+
+      // Then
+      expect(mockJiraDataPort.getPortfolioHealthMetrics).toHaveBeenCalledTimes(1);
+      expect(mockJiraDataPort.getPortfolioHealthMetrics).toHaveBeenCalledWith(['WEB', 'PAY'], MetricDefinitions.default());
+      expect(dashboard.criticalAlerts.map(alert => alert.projectKey)).toEqual(['PAY']);
+    });
+  });
+
+  describe('Business Units', () => {
+    let mockAuthorizationService;
+    let mockAuditService;
+
+    beforeEach(() => {
+      mockAuthorizationService = {
+        authorizePortfolioAccess: jest.fn().mockResolvedValue(true),
+        filterPortfolioDataByPermissions: jest.fn(async (userId, data) => data)
+      };
+      mockAuditService = {
+        logDataAccessEvent: jest.fn(),
+        logSecurityEvent: jest.fn()
+      };
+    });
+
+    test('AuthorizeAgainstResolvedUnitsAndReportUnmappedProjects', async () => {
+      // Given
+      const businessUnitService = {
+        resolveExecutive: jest.fn().mockResolvedValue({ businessUnit: 'Sales', source: 'group' }),
+        resolveProjects: jest.fn(async projects => ({
+          projects: projects.map(project => ({ ...project, businessUnit: project.key === 'WEB' ? 'Sales' : null })),
+          unmappedProjects: [{ key: 'PAY', name: 'Payments' }]
+        }))
+      };
+      portfolioService = new PortfolioService(mockJiraDataPort, mockAuthorizationService, mockAuditService, {
+        businessUnitService
+      });
+
+      // When
+      const portfolio = await portfolioService.getExecutivePortfolio('exec-vp-sales', 'auth-token');
+
+      // Then
+      expect(businessUnitService.resolveExecutive).toHaveBeenCalledWith('exec-vp-sales');
+      expect(mockAuthorizationService.authorizePortfolioAccess).toHaveBeenCalledWith('exec-vp-sales', 'Sales', 'auth-token');
+      expect(portfolio.projects.map(project => [project.key, project.businessUnit])).toEqual([['WEB', 'Sales'], ['PAY', null]]);
+      expect(portfolio.unmappedProjects).toEqual([{ key: 'PAY', name: 'Payments' }]);
+      expect(mockAuditService.logDataAccessEvent).toHaveBeenCalledWith(expect.objectContaining({ businessUnit: 'Sales' }));
+    });
+
+    test('ReportProjectsWithoutUnitAsUnmappedWhenNoMappingIsConfigured', async () => {
+      // Given
+      portfolioService = new PortfolioService(mockJiraDataPort, mockAuthorizationService, mockAuditService);
+
+      // When
+      const portfolio = await portfolioService.getExecutivePortfolio('exec-ceo-001', 'auth-token');
+
+      // Then
+      expect(mockAuthorizationService.authorizePortfolioAccess).toHaveBeenCalledWith('exec-ceo-001', 'Corporate', 'auth-token');
+      expect(portfolio.projects.every(project => project.businessUnit === null)).toBe(true);
+      expect(portfolio.unmappedProjects).toEqual([{ key: 'WEB', name: 'Website' }, { key: 'PAY', name: 'Payments' }]);
+    });
+  });
+
+  describe('Authorized Dashboard', () => {
+    const authContext = { accountId: 'exec-ceo-001', isAuthenticated: true };
+    let mockForgeUserAdapter;
+    let mockAuditService;
+    let businessUnitService;
+    let executiveRoster;
+
+    beforeEach(() => {
+      executiveRoster = { accounts: { 'exec-ceo-001': { displayName: 'Chief Executive' } }, groups: [], appRoles: [] };
+      const executiveIdentityPolicy = new ExecutiveIdentityPolicy(
+        new ExecutiveRosterService({ getConfiguration: jest.fn(async () => executiveRoster) }),
+        { getUserGroups: jest.fn().mockResolvedValue(['jira-users']) },
+        { detectRole: jest.fn().mockResolvedValue('EXECUTIVE') }
+      );
+      mockForgeUserAdapter = {
+        getUserPermissions: jest.fn().mockResolvedValue([{ type: 'PORTFOLIO_VIEW', scope: ['Digital'] }])
+      };
+      mockAuditService = {
+        logAuthorizationEvent: jest.fn(),
+        logDataAccessEvent: jest.fn(),
+        logSecurityEvent: jest.fn()
+      };
+      businessUnitService = {
+        resolveExecutive: jest.fn().mockResolvedValue({ businessUnit: 'Digital', source: 'directory' }),
+        resolveProjects: jest.fn(async projects => ({
+          projects: projects.map(project => ({ ...project, businessUnit: project.key === 'WEB' ? 'Digital' : 'Finance' })),
+          unmappedProjects: []
+        }))
+      };
+      portfolioService = new PortfolioService(
+        mockJiraDataPort,
+        new AuthorizationService(mockForgeUserAdapter, mockAuditService, executiveIdentityPolicy),
+        mockAuditService,
+        { snapshotStorage: mockSnapshotStorage, businessUnitService }
+      );
+    });
+
+    test('ShowOnlyProjectsWithinExecutivePermissions', async () => {
+      // When
+      const dashboard = await portfolioService.getExecutiveDashboard(authContext);
+
+      // Then
+      expect(mockJiraDataPort.getPortfolioHealthMetrics).toHaveBeenCalledWith(['WEB'], MetricDefinitions.default());
+      expect(dashboard.portfolio.totalProjects).toBe(1);
+      expect(dashboard.criticalAlerts).toEqual([]);
+      expect(mockAuditService.logDataAccessEvent).toHaveBeenCalledWith(expect.objectContaining({
+        userId: 'exec-ceo-001',
+        resource: 'EXECUTIVE_DASHBOARD',
+        businessUnit: 'Digital',
+        projectCount: 1
+      }));
+    });
+
+    test('DenyDashboardWithoutPortfolioPermission', async () => {
+      // Given
+      mockForgeUserAdapter.getUserPermissions.mockResolvedValue([]);
+
+      // When
+      const dashboard = await portfolioService.getExecutiveDashboard(authContext);
+
+      // Then
+      expect(dashboard.status).toBe('access_denied');
+      expect(dashboard.portfolio.totalProjects).toBe(0);
+      expect(mockJiraDataPort.getPortfolioHealthMetrics).not.toHaveBeenCalled();
+      expect(mockAuditService.logSecurityEvent).toHaveBeenCalledWith(expect.objectContaining({
+        userId: 'exec-ceo-001',
+        event: 'PORTFOLIO_ACCESS_DENIED',
+        reason: 'Unauthorized access to portfolio data'
+      }));
+    });
+
+    test('DenyDashboardToAccountsNotOnTheExecutiveRoster', async () => {
+      // Given
+      executiveRoster = { accounts: {}, groups: [], appRoles: [] };
+
+      // When
+      const dashboard = await portfolioService.getExecutiveDashboard(authContext);
+
+      // Then
+      expect(dashboard.status).toBe('access_denied');
+      expect(mockForgeUserAdapter.getUserPermissions).not.toHaveBeenCalled();
+      expect(mockAuditService.logAuthorizationEvent).toHaveBeenCalledWith(expect.objectContaining({
+        userId: 'exec-ceo-001',
+        result: 'DENIED',
+        reason: 'Not a recognised executive'
+      }));
+    });
+
+    test('DenyDashboardForInvocationOfAnotherUser', async () => {
+      // When
+      const anonymous = await portfolioService.getExecutiveDashboard(null);
+      const otherUser = await portfolioService.getExecutiveDashboard({ accountId: 'exec-cfo-001', isAuthenticated: true });
+
+      // Then
+      expect(anonymous.status).toBe('access_denied');
+      expect(otherUser.status).toBe('access_denied');
+      expect(mockForgeUserAdapter.getUserPermissions).not.toHaveBeenCalled();
+    });
+
+    test('HideDrillDownOfProjectOutsidePermissions', async () => {
+      // When
+      const visible = await portfolioService.getProjectDrillDown('WEB', authContext);
+      const hidden = await portfolioService.getProjectDrillDown('PAY', authContext);
+
+      // Then
+      expect(visible.key).toBe('WEB');
+      expect(hidden).toBeNull();
+    });
+
+    test('SummariseSecurePortfolioFromFilteredProjectsOnly', async () => {
+      // When
+      const portfolio = await portfolioService.getExecutivePortfolio('exec-ceo-001', 'auth-token');
+
+      // Then
+      expect(portfolio.projects.map(project => project.key)).toEqual(['WEB']);
+      expect(portfolio.portfolio.totalProjects).toBe(1);
+      expect(portfolio.criticalAlerts).toEqual([]);
+    });
+  });
+
+  describe('Flow Metrics', () => {
+    test('ReportFlowOverConfiguredWindow', async () => {
+      // Given
+      portfolioService = new PortfolioService(mockJiraDataPort, null, null, { flowWindowDays: 14 });
+
+      // When
+      const dashboard = await portfolioService.getExecutiveDashboard();
+
+      // Then
+      expect(mockJiraDataPort.getPortfolioFlowMetrics).toHaveBeenCalledWith(['WEB', 'PAY'], { windowDays: 14 });
+      expect(dashboard.flow).toMatchObject({ throughput: 12, wip: 4, slowestCycleTimeP85Days: 6.5, projectsWithoutFlowData: 1 });
+    });
+
+    test('KeepDashboardWhenFlowIsUnavailable', async () => {
+      // Given
+      mockJiraDataPort.getPortfolioFlowMetrics.mockRejectedValue(new JiraRateLimitError('Rate limited'));
+
+      // When
+      const dashboard = await portfolioService.getExecutiveDashboard();
+
+      // Then
+      expect(dashboard.status).toBeUndefined();
+      expect(dashboard.portfolio.healthScore).toBe(85);
+      expect(dashboard.flow).toMatchObject({ throughput: 0, projectsWithoutFlowData: 2 });
+    });
+  });
+
+  describe('Size-Normalised Health', () => {
+    test('ReadProjectSizesOnlyWhenPolicyNormalisesBySize', async () => {
+      // Given
+      mockJiraDataPort.getPortfolioSizeMetrics = jest.fn().mockResolvedValue({
+        WEB: { openIssues: 40, inProgressIssues: 5 },
+        PAY: { openIssues: 1000, inProgressIssues: 100 }
+      });
+      const normalisingService = new PortfolioService(mockJiraDataPort, null, null, {
+        scoringPolicy: { ...DEFAULT_SCORING_POLICY, normalisation: SIZE_NORMALISED_SCORING }
+      });
+
+      // When
+      const rawDashboard = await portfolioService.getExecutiveDashboard();
+      const normalisedDashboard = await normalisingService.getExecutiveDashboard();
+
+      // Then
+      expect(mockJiraDataPort.getPortfolioSizeMetrics).toHaveBeenCalledTimes(1);
+      expect(mockJiraDataPort.getPortfolioSizeMetrics).toHaveBeenCalledWith(['WEB', 'PAY']);
+      expect(rawDashboard.portfolio).toMatchObject({ healthScore: 85, normalisedHealthScore: null });
+      expect(normalisedDashboard.portfolio).toMatchObject({ healthScore: 85, normalisedHealthScore: 100 });
+    });
+
+    test('ScoreWithTheStoredOrganisationPolicy', async () => {
+      // Given
+      mockJiraDataPort.getPortfolioSizeMetrics = jest.fn().mockResolvedValue({
+        WEB: { openIssues: 40, inProgressIssues: 5 },
+        PAY: { openIssues: 1000, inProgressIssues: 100 }
+      });
+      const mockScoringPolicyService = {
+        getPolicy: jest.fn().mockResolvedValue(new ScoringPolicy({
+          ...DEFAULT_SCORING_POLICY, id: 'acme', version: '2.0.0', normalisation: SIZE_NORMALISED_SCORING
+        }))
+      };
+      portfolioService = new PortfolioService(mockJiraDataPort, null, null, { scoringPolicyService: mockScoringPolicyService });
+
+      // When
+      const dashboard = await portfolioService.getExecutiveDashboard();
+
+      // Then
+      expect(mockScoringPolicyService.getPolicy).toHaveBeenCalledTimes(1);
+      expect(mockJiraDataPort.getPortfolioSizeMetrics).toHaveBeenCalledWith(['WEB', 'PAY']);
+      expect(dashboard.portfolio).toMatchObject({
+        normalisedHealthScore: 100,
+        scoringPolicy: { id: 'acme', version: '2.0.0' }
+      });
+    });
+
+    test('ScoreWithTheDefaultPolicyWhenTheStoredPolicyCannotBeRead', async () => {
+      // Given
+      portfolioService = new PortfolioService(mockJiraDataPort, null, null, {
+        scoringPolicyService: { getPolicy: jest.fn().mockRejectedValue(new Error('Storage unavailable')) }
+      });
+
+      // When
+      const dashboard = await portfolioService.getExecutiveDashboard();
+
+      // Then
+      expect(dashboard.portfolio).toMatchObject({ healthScore: 85, scoringPolicy: { id: 'default', version: '1.0.0' } });
+    });
+  });
+
+  describe('Strategic Weights', () => {
+    test('WeightPortfolioHealthByProjectTier', async () => {
+      // Given
+      const mockStrategicWeightService = {
+        getProjectWeights: jest.fn().mockResolvedValue({
+          WEB: { tier: 'Supporting', weight: 0.5, source: 'project property' },
+          PAY: { tier: 'Flagship', weight: 3, source: 'configuration' }
+        })
+      };
+      portfolioService = new PortfolioService(mockJiraDataPort, null, null, {
+        strategicWeightService: mockStrategicWeightService
+      });
+
+      // When
+      const dashboard = await portfolioService.getExecutiveDashboard();
+
+      // Then - (100 * 0.5 + 70 * 3) / 3.5
+      expect(mockStrategicWeightService.getProjectWeights).toHaveBeenCalledWith(['WEB', 'PAY']);
+      expect(dashboard.portfolio).toMatchObject({ healthScore: 74, weightedNeedsAttentionProjects: 3 });
+    });
+
+    test('GiveAProjectMissingFromTheWeightsTheDefaultTier', async () => {
+      // Given
+      portfolioService = new PortfolioService(mockJiraDataPort, null, null, {
+        strategicWeightService: {
+          getProjectWeights: jest.fn().mockResolvedValue({ PAY: { tier: 'Flagship', weight: 3, source: 'configuration' } })
+        }
+      });
+
+      // When
+      const dashboard = await portfolioService.getExecutiveDashboard();
+
+      // Then - (100 * 1 + 70 * 3) / 4
+      expect(dashboard.portfolio.healthScore).toBe(78);
+    });
+
+    test('CountProjectsEquallyWhenWeightsFail', async () => {
+      // Given
+      portfolioService = new PortfolioService(mockJiraDataPort, null, null, {
+        strategicWeightService: { getProjectWeights: jest.fn().mockRejectedValue(new Error('Storage unavailable')) }
+      });
+
+      // When
+      const dashboard = await portfolioService.getExecutiveDashboard();
+
+      // Then
+      expect(dashboard.status).toBeUndefined();
+      expect(dashboard.portfolio.healthScore).toBe(85);
+    });
+  });
+
+  describe('Delivery Forecast', () => {
+    test('IncludeForecastForDashboardProjects', async () => {
+      // Given
+      const forecast = { historyDays: 90, forecasts: [], alerts: [] };
+      const mockDeliveryForecastService = { getPortfolioForecast: jest.fn().mockResolvedValue(forecast) };
+      portfolioService = new PortfolioService(mockJiraDataPort, null, null, {
+        deliveryForecastService: mockDeliveryForecastService
+      });
+
+      // When
+      const dashboard = await portfolioService.getExecutiveDashboard();
+
+      // Then
+      expect(dashboard.deliveryForecast).toBe(forecast);
+      expect(mockDeliveryForecastService.getPortfolioForecast.mock.calls[0][0].map(project => project.key))
+        .toEqual(['WEB', 'PAY']);
+    });
+
+    test('KeepDashboardWhenForecastFails', async () => {
+      // Given
+      portfolioService = new PortfolioService(mockJiraDataPort, null, null, {
+        deliveryForecastService: { getPortfolioForecast: jest.fn().mockRejectedValue(new Error('Boom')) }
+      });
+
+      // When
+      const dashboard = await portfolioService.getExecutiveDashboard();
+
+      // Then
+      expect(dashboard.status).toBeUndefined();
+      expect(dashboard.deliveryForecast).toBeNull();
+    });
+  });
+
+  describe('Release Readiness', () => {
+    test('JudgeUpcomingReleasesOfDashboardProjects', async () => {
+      // Given
+      mockJiraDataPort.getUpcomingReleases = jest.fn().mockResolvedValue({
+        PAY: [{ id: '10001', name: '2.0', releaseDate: null, openIssues: 4, doneIssues: 6, blockedIssues: 1, highPriorityBugs: 0 }]
+      });
+
+      // When
+      const dashboard = await portfolioService.getExecutiveDashboard();
+
+      // Then
+      expect(mockJiraDataPort.getUpcomingReleases).toHaveBeenCalledWith(['WEB', 'PAY'], MetricDefinitions.default());
+      expect(dashboard.releaseReadiness.summary).toEqual({ totalReleases: 1, ready: 0, atRisk: 1, notReady: 0 });
+      expect(dashboard.releaseReadiness.releases[0]).toMatchObject({
+        projectKey: 'PAY',
+        name: '2.0',
+        verdict: 'At Risk',
+        reasons: ['1 blocked issues']
+      });
+    });
+
+    test('KeepDashboardWhenReleasesAreUnavailable', async () => {
+      // Given
+      mockJiraDataPort.getUpcomingReleases = jest.fn().mockRejectedValue(new JiraRateLimitError('Rate limited'));
+
+      // When
+      const dashboard = await portfolioService.getExecutiveDashboard();
+
+      // Then
+      expect(dashboard.status).toBeUndefined();
+      expect(dashboard.releaseReadiness).toBeNull();
+    });
+  });
+
+  describe('Dependency Risk', () => {
+    test('RaiseDependencyAlertsAlongsideCriticalAlerts', async () => {
+      // Given
+      mockJiraDataPort.getDependencyLinks = jest.fn().mockResolvedValue({
+        WEB: [{
+          linkType: 'is blocked by',
+          blocker: { key: 'PAY-12', projectKey: 'PAY', summary: 'Card tokens' },
+          blocked: { key: 'WEB-3', projectKey: 'WEB', summary: 'Checkout page' }
+        }],
+        PAY: []
+      });
+      portfolioService = new PortfolioService(mockJiraDataPort, null, null, { dependencyLinkTypes: ['depends on'] });
+
+      // When
+      const dashboard = await portfolioService.getExecutiveDashboard();
+
+      // Then
+      expect(mockJiraDataPort.getDependencyLinks).toHaveBeenCalledWith(['WEB', 'PAY'], { linkTypes: ['depends on'] });
+      expect(dashboard.criticalAlerts.map(alert => [alert.projectKey, alert.alertLevel])).toEqual([
+        ['PAY', 'CRITICAL'],
+        ['WEB', 'DEPENDENCY']
+      ]);
+      expect(dashboard.portfolio.criticalAlerts).toBe(1);
+      expect(dashboard.dependencies.projectsAtRisk.map(risk => risk.projectKey)).toEqual(['WEB']);
+      expect(dashboard.dependencies.criticalChains[0].issues.map(issue => issue.key)).toEqual(['PAY-12', 'WEB-3']);
+    });
+
+    test('KeepDashboardWhenIssueLinksAreUnavailable', async () => {
+      // Given
+      mockJiraDataPort.getDependencyLinks = jest.fn().mockRejectedValue(new JiraRateLimitError('Rate limited'));
+
+      // When
+      const dashboard = await portfolioService.getExecutiveDashboard();
+
+      // Then
+      expect(dashboard.status).toBeUndefined();
+      expect(dashboard.dependencies).toBeNull();
+      expect(dashboard.criticalAlerts.map(alert => alert.alertLevel)).toEqual(['CRITICAL']);
+    });
+  });
+
+  describe('Commitment Reliability', () => {
+    test('SurfaceSayDoRatioInSummaryAndProjectDrillDown', async () => {
+      // Given
+      const team = { boardId: 1, boardName: 'Payments Team', unit: 'points', sayDoRatio: 0.8, sprints: [] };
+      const mockCommitmentReliabilityService = {
+        getPortfolioReliability: jest.fn().mockResolvedValue({ PAY: [team] })
+      };
+      portfolioService = new PortfolioService(mockJiraDataPort, null, null, {
+        commitmentReliabilityService: mockCommitmentReliabilityService
+      });
+
+      // When
+      const dashboard = await portfolioService.getExecutiveDashboard();
+      const drillDown = await portfolioService.getProjectDrillDown('PAY');
+
+      // Then
+      expect(mockCommitmentReliabilityService.getPortfolioReliability).toHaveBeenCalledWith(['WEB', 'PAY']);
+      expect(dashboard.portfolio.sayDoRatio).toBe(0.8);
+      expect(drillDown).toMatchObject({ key: 'PAY', commitment: { sayDoRatio: 0.8, teams: [team] } });
+    });
+
+    test('ReturnNoDrillDownForProjectsOutsidePortfolio', async () => {
+      // When & Then
+      expect(await portfolioService.getProjectDrillDown('HR')).toBeNull();
+    });
+  });
+
+  describe('Unavailable Jira Data', () => {
+    test('MarkProjectsWithoutMetricsAsDataUnavailable', async () => {
+      // Given
+      mockJiraDataPort.getPortfolioHealthMetrics.mockResolvedValue({
+        PAY: { overdueIssues: 7, blockedIssues: 0, highPriorityIssues: 0 }
+      });
+
+      // When
+      const dashboard = await portfolioService.getExecutiveDashboard();
+
+      // Then
+      expect(dashboard.portfolio).toMatchObject({ totalProjects: 2, healthScore: 70, incompleteDataProjects: 1 });
+    });
+
+    test('NotReportRateLimitedPortfolioAsHealthy', async () => {
+      // Given
+      mockJiraDataPort.getPortfolioHealthMetrics.mockRejectedValue(new JiraRateLimitError('Rate limited'));
+
+      // When
+      const dashboard = await portfolioService.getExecutiveDashboard();
+
+      // Then
+      expect(dashboard.status).toBeUndefined();
+      expect(dashboard.portfolio).toMatchObject({ healthScore: 0, onTrackProjects: 0, incompleteDataProjects: 2 });
+    });
+
+    test('ReturnFallbackDashboardForUnexpectedErrors', async () => {
+      // Given
+      mockJiraDataPort.getPortfolioHealthMetrics.mockRejectedValue(new TypeError('Cannot read properties of undefined'));
+
+      // When
+      const dashboard = await portfolioService.getExecutiveDashboard();
+
+      // Then
+      expect(dashboard.status).toBe('fallback');
+    });
+  });
+
+  describe('Data Freshness', () => {
+    test('ReportWhenCachedJiraDataWasFetched', async () => {
+      // Given
+      const freshness = { fetchedAt: '2024-01-15T10:00:00.000Z', stale: true };
+      const mockDataCache = { getFreshness: jest.fn().mockReturnValue(freshness), invalidate: jest.fn() };
+      portfolioService = new PortfolioService(mockJiraDataPort, null, null, { dataCache: mockDataCache });
+
+      // When
+      const dashboard = await portfolioService.getExecutiveDashboard();
+
+      // Then
+      expect(dashboard.dataFreshness).toEqual(freshness);
+      expect(mockDataCache.getFreshness).toHaveBeenCalledWith('exec-ceo-001');
+    });
+
+    test('InvalidateExecutivesCacheOnRefresh', async () => {
+      // Given
+      const mockDataCache = { invalidate: jest.fn().mockResolvedValue(undefined) };
+      portfolioService = new PortfolioService(mockJiraDataPort, null, null, { dataCache: mockDataCache });
+
+      // When
+      const refreshed = await portfolioService.refreshPortfolioData();
+
+      // Then
+      expect(refreshed).toBe(true);
+      expect(mockDataCache.invalidate).toHaveBeenCalledWith('exec-ceo-001');
+    });
+
+    test('ReportFailedRefreshWhenCacheCannotBeCleared', async () => {
+      // Given
+      const mockDataCache = { invalidate: jest.fn().mockRejectedValue(new Error('Storage unavailable')) };
+      portfolioService = new PortfolioService(mockJiraDataPort, null, null, { dataCache: mockDataCache });
+
+      // When & Then
+      expect(await portfolioService.refreshPortfolioData()).toBe(false);
+    });
+  });
+
+  describe('Metric Definitions', () => {
+    test('CountMetricsWithAdminDefinedJql', async () => {
+      // Given
+      const definitions = new MetricDefinitions({
+        metrics: { blockedIssues: { jql: 'flagged = "Impediment" AND resolution is EMPTY' } }
+      });
+      portfolioService = new PortfolioService(mockJiraDataPort, null, null, {
+        metricDefinitionService: { getDefinitions: jest.fn().mockResolvedValue(definitions) }
+      });
+
+      // When
+      await portfolioService.getExecutiveDashboard();
+
+      // Then
+      expect(mockJiraDataPort.getPortfolioHealthMetrics).toHaveBeenCalledWith(['WEB', 'PAY'], definitions);
+    });
+  });
+
+  describe('Role-Aware Briefing', () => {
+    test('BuildBriefingForDetectedRole', async () => {
+      // Given
+      const mockRoleDetectionService = { detectRole: jest.fn().mockResolvedValue('CTO') };
+      portfolioService = new PortfolioService(mockJiraDataPort, null, null, {
+        roleDetectionService: mockRoleDetectionService
+      });
+
+      // When
+      const dashboard = await portfolioService.getExecutiveDashboard();
+
+      // Then
+      expect(dashboard.executive.role).toBe('CTO');
+      expect(dashboard.briefing.greeting).toBe('Technical Overview');
+      expect(mockRoleDetectionService.detectRole).toHaveBeenCalledWith(
+        expect.objectContaining({ accountId: 'exec-ceo-001' })
+      );
+    });
+
+    test('UseGenericBriefingWhenRoleDetectionFails', async () => {
+      // Given
+      portfolioService = new PortfolioService(mockJiraDataPort, null, null, {
+        roleDetectionService: { detectRole: jest.fn().mockRejectedValue(new Error('Storage unavailable')) }
+      });
+
+      // When
+      const dashboard = await portfolioService.getExecutiveDashboard();
+
+      // Then
+      expect(dashboard.executive.role).toBe('EXECUTIVE');
+      expect(dashboard.briefing.greeting).toBe('Portfolio Briefing');
+    });
+  });
+
+  describe('Executive Dashboard Trends', () => {
+    test('SaveTodaysSnapshotForPortfolioAndProjects', async () => {
+      // When
+      await portfolioService.getExecutiveDashboard();
+
+      // Then
+      expect(mockSnapshotStorage.saveSnapshot).toHaveBeenCalledTimes(1);
+      const [snapshot] = mockSnapshotStorage.saveSnapshot.mock.calls[0];
+      expect(snapshot.date).toBe(today);
+      expect(snapshot.executiveId).toBe('exec-ceo-001');
+      expect(snapshot.portfolio.healthScore).toBe(85);
+      expect(snapshot.projects.map(project => project.key)).toEqual(['WEB', 'PAY']);
+    });
+
+    test('IncludeDayOverDayAndWeekOverWeekDeltas', async () => {
+      // Given
+      const yesterday = PortfolioSnapshot.shiftDate(today, -1);
+      const lastWeek = PortfolioSnapshot.shiftDate(today, -7);
+      mockSnapshotStorage.getSnapshots.mockResolvedValue([
+        storedSnapshot(lastWeek, { healthScore: 70, onTrackProjects: 1, atRiskProjects: 1, criticalAlerts: 2 }),
+        storedSnapshot(PortfolioSnapshot.shiftDate(today, -3), { healthScore: 80, onTrackProjects: 1, atRiskProjects: 1, criticalAlerts: 1 }),
+        storedSnapshot(yesterday, { healthScore: 90, onTrackProjects: 2, atRiskProjects: 0, criticalAlerts: 0 })
+      ]);
+
+      // When
+      const dashboard = await portfolioService.getExecutiveDashboard();
+
+      // Then
+      expect(dashboard.trends.dayOverDay).toEqual({
+        healthScore: -5,
+        onTrackProjects: 0,
+        atRiskProjects: 0,
+        criticalAlerts: 1,
+        comparedTo: yesterday
+      });
+      expect(dashboard.trends.weekOverWeek).toEqual({
+        healthScore: 15,
+        onTrackProjects: 1,
+        atRiskProjects: -1,
+        criticalAlerts: -1,
+        comparedTo: lastWeek
+      });
+    });
+
+    test('GenerateFlashNewsAgainstLatestEarlierSnapshot', async () => {
+      // Given
+      const yesterday = PortfolioSnapshot.shiftDate(today, -1);
+      mockSnapshotStorage.getSnapshots.mockResolvedValue([
+        new PortfolioSnapshot({
+          executiveId: 'exec-ceo-001',
+          date: yesterday,
+          portfolio: { healthScore: 100 },
+          projects: [{ key: 'PAY', name: 'Payments', healthScore: 100, status: 'On Track', metrics: {} }]
+        })
+      ]);
+
+      // When
+      const dashboard = await portfolioService.getExecutiveDashboard();
+
+      // Then
+      expect(dashboard.flashNews.map(item => item.headline)).toEqual([
+        'Project PAY went from On Track to Critical: 7 overdue issues since yesterday',
+        'Portfolio health fell 15 points to 85% since yesterday'
+      ]);
+    });
+
+    test('CompareProjectsWithTheirOwnSnapshotBaseline', async () => {
+      // Given - PAY always had seven overdue issues, WEB none
+      const baseline = [-6, -5, -4, -3, -2, -1].map(days => new PortfolioSnapshot({
+        executiveId: 'exec-ceo-001',
+        date: PortfolioSnapshot.shiftDate(today, days),
+        portfolio: { healthScore: 85 },
+        projects: [
+          { key: 'WEB', name: 'Website', healthScore: 100, status: 'On Track', metrics: { overdueIssues: 0, blockedIssues: 0, highPriorityIssues: 0 } },
+          { key: 'PAY', name: 'Payments', healthScore: 70, status: 'Critical', metrics: { overdueIssues: 7, blockedIssues: 0, highPriorityIssues: 0 } }
+        ]
+      }));
+      mockSnapshotStorage.getSnapshots.mockResolvedValue(baseline);
+      mockJiraDataPort.getPortfolioHealthMetrics.mockResolvedValue({
+        WEB: { overdueIssues: 0, blockedIssues: 3, highPriorityIssues: 0 },
+        PAY: { overdueIssues: 7, blockedIssues: 0, highPriorityIssues: 0 }
+      });
+      portfolioService = new PortfolioService(mockJiraDataPort, null, null, {
+        snapshotStorage: mockSnapshotStorage,
+        baselineSnapshots: 10
+      });
+
+      // When
+      const dashboard = await portfolioService.getExecutiveDashboard();
+
+      // Then
+      expect(mockSnapshotStorage.getSnapshots).toHaveBeenCalledWith(
+        'exec-ceo-001',
+        Array.from({ length: 11 }, (_, days) => PortfolioSnapshot.shiftDate(today, -days))
+      );
+      expect(dashboard.flashNews.map(item => item.headline)).toEqual([
+        'Project WEB has an unusual 3 blocked issues, usually around 0'
+      ]);
+    });
+
+    test('PruneSnapshotsPastRetentionOnlyOnTheFirstSaveOfTheDay', async () => {
+      // When
+      await portfolioService.getExecutiveDashboard();
+      mockSnapshotStorage.getSnapshots.mockResolvedValue([storedSnapshot(today, { healthScore: 85 })]);
+      await portfolioService.getExecutiveDashboard();
+
+      // Then
+      expect(mockSnapshotStorage.saveSnapshot).toHaveBeenCalledTimes(2);
+      expect(mockSnapshotStorage.pruneSnapshots).toHaveBeenCalledTimes(1);
+      expect(mockSnapshotStorage.pruneSnapshots).toHaveBeenCalledWith('exec-ceo-001', PortfolioSnapshot.shiftDate(today, -30));
+    });
+
+    test('ReturnDashboardWhenSnapshotStorageFails', async () => {
+      // Given
+      mockSnapshotStorage.saveSnapshot.mockRejectedValue(new Error('Storage unavailable'));
+
+      // When
+      const dashboard = await portfolioService.getExecutiveDashboard();
+
+      // Then
+      expect(dashboard.status).toBeUndefined();
+      expect(dashboard.portfolio.totalProjects).toBe(2);
+      expect(dashboard.trends).toEqual({ dayOverDay: null, weekOverWeek: null });
+    });
+  });
+});
@@ -0,0 +1,94 @@
+/**
+ * Unit Tests: RoleDetectionService - Executive Role Resolution
+ * Behavior-focused tests for admin mappings and Jira group detection
+ */
+
+import { jest } from '@jest/globals';
+import { RoleDetectionService } from '../../../../src/application/services/RoleDetectionService.js';
+
+describe('RoleDetectionService Should', () => {
+  let roleDetectionService;
+  let mockConfigurationPort;
+
+  beforeEach(() => {
+    mockConfigurationPort = {
+      getConfiguration: jest.fn().mockResolvedValue(null),
+      saveConfiguration: jest.fn().mockResolvedValue(undefined)
+    };
+
+    roleDetectionService = new RoleDetectionService(mockConfigurationPort);
+  });
+
+  describe('Detect Role', () => {
+    test('DetectRoleFromDefaultJiraGroups', async () => {
+      // Given
+      const user = { accountId: '557058:cto', groups: ['jira-software-users', 'Executive-CTO'] };
+
+      // When
+      const role = await roleDetectionService.detectRole(user);
+
+      // Then
+      expect(role).toBe('CTO');
+      expect(mockConfigurationPort.getConfiguration).toHaveBeenCalledWith('role-mapping');
+    });
+
+    test('PreferAdminAccountMappingOverGroups', async () => {
+      // Given
+      mockConfigurationPort.getConfiguration.mockResolvedValue({
+        accounts: { '557058:delivery': 'HEAD_OF_DELIVERY' },
+        groups: { 'leadership': 'CEO' }
+      });
+      const user = { accountId: '557058:delivery', groups: ['leadership'] };
+
+      // When & Then
+      expect(await roleDetectionService.detectRole(user)).toBe('HEAD_OF_DELIVERY');
+    });
+
+    test('PickHighestPriorityRoleForMultipleGroups', async () => {
+      // Given
+      const user = { accountId: '557058:both', groups: ['head-of-delivery', 'executive-ceo'] };
+
+      // When & Then
+      expect(await roleDetectionService.detectRole(user)).toBe('CEO');
+    });
+
+    test('FallBackToGenericExecutiveRole', async () => {
+      // Given
+      const user = { accountId: '557058:someone', groups: ['jira-software-users'] };
+
+      // When & Then
+      expect(await roleDetectionService.detectRole(user)).toBe('EXECUTIVE');
+      expect(await roleDetectionService.detectRole({ accountId: 'unknown' })).toBe('EXECUTIVE');
+    });
+  });
+
+  describe('Save Role Mapping', () => {
+    test('StoreNormalisedMapping', async () => {
+      // Given
+      const mapping = {
+        accounts: { '557058:cto': 'CTO' },
+        groups: { 'Delivery-Leads': 'HEAD_OF_DELIVERY' }
+      };
+
+      // When
+      const saved = await roleDetectionService.saveRoleMapping(mapping);
+
+      // Then
+      expect(saved).toEqual({
+        accounts: { '557058:cto': 'CTO' },
+        groups: { 'delivery-leads': 'HEAD_OF_DELIVERY' }
+      });
+      expect(mockConfigurationPort.saveConfiguration).toHaveBeenCalledWith('role-mapping', saved);
+    });
+
+    test('RejectUnknownRoles', async () => {
+      // Given
+      const mapping = { groups: { 'finance': 'CFO' } };
+
+      // When & Then
+      await expect(roleDetectionService.saveRoleMapping(mapping))
+        .rejects.toThrow('Unknown executive roles in mapping: CFO');
+      expect(mockConfigurationPort.saveConfiguration).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,191 @@
+/**
+ * Unit Tests: ScoringPolicyService - Organisation Scoring Policy
+ * Behavior-focused tests with mocked configuration storage and metric definitions
+ */
+
+import { jest } from '@jest/globals';
+import { ScoringPolicyService } from '../../../../src/application/services/ScoringPolicyService.js';
+import { DEFAULT_SCORING_POLICY, SIZE_NORMALISED_SCORING } from '../../../../src/domain/entities/ScoringPolicy.js';
+import { MetricDefinitions } from '../../../../src/domain/entities/MetricDefinitions.js';
+
+describe('ScoringPolicyService Should', () => {
+  let scoringPolicyService;
+  let mockConfigurationPort;
+  let mockMetricDefinitionService;
+
+  const organisationPolicy = {
+    ...DEFAULT_SCORING_POLICY,
+    id: 'acme',
+    version: '2.0.0',
+    name: 'Acme Delivery Health',
+    factors: [
+      ...DEFAULT_SCORING_POLICY.factors,
+      { metric: 'wip', label: 'issues in progress', above: 15, pointsPerIssue: 1, maxDeduction: 10 }
+    ],
+    normalisation: SIZE_NORMALISED_SCORING
+  };
+
+  beforeEach(() => {
+    mockConfigurationPort = {
+      getConfiguration: jest.fn().mockResolvedValue(null),
+      saveConfiguration: jest.fn().mockResolvedValue(undefined)
+    };
+    mockMetricDefinitionService = {
+      getDefinitions: jest.fn().mockResolvedValue(MetricDefinitions.default())
+    };
+
+    scoringPolicyService = new ScoringPolicyService(mockConfigurationPort, mockMetricDefinitionService);
+  });
+
+  test('UseDefaultPolicyUntilOneIsSaved', async () => {
+    // When
+    const policy = await scoringPolicyService.getPolicy();
+
+    // Then
+    expect(mockConfigurationPort.getConfiguration).toHaveBeenCalledWith('scoring-policy');
+    expect(policy.getIdentity()).toEqual({ id: 'default', version: '1.0.0' });
+  });
+
+  test('LoadTheStoredOrganisationPolicy', async () => {
+    // Given
+    mockConfigurationPort.getConfiguration.mockResolvedValue(organisationPolicy);
+
+    // When
+    const policy = await scoringPolicyService.getPolicy();
+
+    // Then
+    expect(policy.getIdentity()).toEqual({ id: 'acme', version: '2.0.0' });
+    expect(policy.normalisation.sizeBands.map(band => band.name)).toEqual(['Small', 'Medium', 'Large']);
+  });
+
+  test('FallBackToDefaultPolicyWhenStoredPolicyIsInvalid', async () => {
+    // Given
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    mockConfigurationPort.getConfiguration.mockResolvedValue({ id: 'acme', version: '2.0.0', factors: 'all' });
+
+    // When
+    const policy = await scoringPolicyService.getPolicy();
+
+    // Then
+    expect(policy.getIdentity()).toEqual({ id: 'default', version: '1.0.0' });
+    console.error.mockRestore();
+  });
+
+  test('OfferDefaultFlowAndSizeNormalisedTemplatesThatCanBeSaved', async () => {
+    // When
+    const templates = scoringPolicyService.getTemplates();
+
+    // Then
+    expect(templates.map(template => template.id)).toEqual(['default', 'delivery-flow', 'size-normalised']);
+    expect(templates[1].factors.map(factor => factor.metric)).toEqual(
+      ['overdueIssues', 'blockedIssues', 'highPriorityIssues', 'cycleTimeP85Days', 'wip']
+    );
+    expect(templates[2].normalisation.sizeBands).toHaveLength(3);
+    await expect(scoringPolicyService.savePolicy(templates[1])).resolves.toEqual(templates[1]);
+  });
+
+  test('SaveValidPolicyAndReturnItAsStored', async () => {
+    // When
+    const saved = await scoringPolicyService.savePolicy(organisationPolicy);
+
+    // Then
+    expect(mockConfigurationPort.saveConfiguration).toHaveBeenCalledWith('scoring-policy', saved);
+    expect(saved).toMatchObject({ id: 'acme', version: '2.0.0', baseScore: 100, onTrackThreshold: 70 });
+    expect(saved.factors[3]).toEqual({ metric: 'wip', label: 'issues in progress', above: 15, pointsPerIssue: 1, maxDeduction: 10 });
+    expect(saved.normalisation.ratios).toHaveLength(3);
+  });
+
+  test('RejectPoliciesScoringMetricsTheAppDoesNotMeasure', async () => {
+    // When
+    const save = scoringPolicyService.savePolicy({
+      ...organisationPolicy,
+      factors: [{ metric: 'customerComplaints', pointsPerIssue: 2, maxDeduction: 10 }]
+    });
+
+    // Then
+    await expect(save).rejects.toThrow('Scoring policy acme scores unknown metrics: customerComplaints');
+    expect(mockConfigurationPort.saveConfiguration).not.toHaveBeenCalled();
+  });
+
+  test('RejectInvalidPolicies', async () => {
+    await expect(scoringPolicyService.savePolicy({ ...organisationPolicy, baseScore: -1 }))
+      .rejects.toThrow('Scoring policy acme needs a non-negative baseScore');
+    await expect(scoringPolicyService.savePolicy({
+      ...organisationPolicy,
+      normalisation: { ...SIZE_NORMALISED_SCORING, ratios: [{ metric: 'overdueIssues', per: 'storyPoints', pointsPerPercent: 1, maxDeduction: 5 }] }
+    })).rejects.toThrow('Scoring policy acme has an invalid normalised ratio overdueIssues');
+  });
+
+  describe('Versions', () => {
+    let storedConfiguration;
+
+    beforeEach(() => {
+      storedConfiguration = new Map();
+      mockConfigurationPort.getConfiguration.mockImplementation(async name => storedConfiguration.get(name) ?? null);
+      mockConfigurationPort.saveConfiguration.mockImplementation(async (name, value) => {
+        storedConfiguration.set(name, value);
+      });
+    });
+
+    test('KeepEarlierVersionsReadableAfterANewOneIsSaved', async () => {
+      // Given
+      await scoringPolicyService.savePolicy(organisationPolicy);
+      await scoringPolicyService.savePolicy({ ...organisationPolicy, version: '2.1.0', onTrackThreshold: 80 });
+
+      // When
+      const earlier = await scoringPolicyService.getPolicyVersion('acme', '2.0.0');
+      const inForce = await scoringPolicyService.getPolicy();
+
+      // Then
+      expect(earlier.onTrackThreshold).toBe(70);
+      expect(inForce.getIdentity()).toEqual({ id: 'acme', version: '2.1.0' });
+    });
+
+    test('RejectChangedRulesSavedUnderAnExistingVersion', async () => {
+      // Given
+      await scoringPolicyService.savePolicy(organisationPolicy);
+
+      // When
+      const save = scoringPolicyService.savePolicy({ ...organisationPolicy, onTrackThreshold: 80 });
+
+      // Then
+      await expect(save).rejects.toThrow(
+        'Scoring policy acme version 2.0.0 is already saved with different rules; save the changes under a new version'
+      );
+      expect((await scoringPolicyService.getPolicy()).onTrackThreshold).toBe(70);
+    });
+
+    test('RejectChangedRulesForThePolicyInForceSavedBeforeVersionsWereKept', async () => {
+      // Given
+      storedConfiguration.set('scoring-policy', organisationPolicy);
+
+      // When
+      const save = scoringPolicyService.savePolicy({ ...organisationPolicy, baseScore: 90 });
+
+      // Then
+      await expect(save).rejects.toThrow('Scoring policy acme version 2.0.0 is already saved with different rules');
+    });
+
+    test('PutASavedVersionBackInForceWhenItsRulesAreUnchanged', async () => {
+      // Given
+      await scoringPolicyService.savePolicy(organisationPolicy);
+      await scoringPolicyService.savePolicy({ ...organisationPolicy, version: '2.1.0', onTrackThreshold: 80 });
+
+      // When
+      await scoringPolicyService.savePolicy(organisationPolicy);
+
+      // Then
+      expect((await scoringPolicyService.getPolicy()).getIdentity()).toEqual({ id: 'acme', version: '2.0.0' });
+    });
+
+    test('ReadTheDefaultPolicyVersionAndRefuseVersionsNeverSaved', async () => {
+      // When
+      const defaultPolicy = await scoringPolicyService.getPolicyVersion('default', '1.0.0');
+
+      // Then
+      expect(defaultPolicy.getIdentity()).toEqual({ id: 'default', version: '1.0.0' });
+      await expect(scoringPolicyService.getPolicyVersion('acme', '9.0.0'))
+        .rejects.toThrow('Scoring policy acme version 9.0.0 has not been saved');
+    });
+  });
+});
@@ -0,0 +1,83 @@
+/**
+ * Unit Tests: StrategicWeightService - Project Strategic Importance
+ * Behavior-focused tests with mocked configuration storage and Jira project properties
+ */
+
+import { jest } from '@jest/globals';
+import { StrategicWeightService, STRATEGIC_WEIGHT_PROPERTY } from '../../../../src/application/services/StrategicWeightService.js';
+import { DEFAULT_STRATEGIC_WEIGHTS } from '../../../../src/domain/entities/StrategicWeights.js';
+import { JiraUnavailableError } from '../../../../src/domain/errors/JiraDataErrors.js';
+
+describe('StrategicWeightService Should', () => {
+  let strategicWeightService;
+  let mockConfigurationPort;
+  let mockJiraDataPort;
+
+  beforeEach(() => {
+    mockConfigurationPort = {
+      getConfiguration: jest.fn().mockResolvedValue({ ...DEFAULT_STRATEGIC_WEIGHTS, projects: { PAY: 'Flagship' } }),
+      saveConfiguration: jest.fn().mockResolvedValue(undefined)
+    };
+    mockJiraDataPort = {
+      getProjectProperties: jest.fn().mockResolvedValue({ PAY: null, WIKI: { tier: 'Supporting' }, OPS: null })
+    };
+
+    strategicWeightService = new StrategicWeightService(mockConfigurationPort, mockJiraDataPort);
+  });
+
+  test('CombineStoredAssignmentsWithProjectProperties', async () => {
+    // When
+    const weights = await strategicWeightService.getProjectWeights(['PAY', 'WIKI', 'OPS']);
+
+    // Then
+    expect(mockConfigurationPort.getConfiguration).toHaveBeenCalledWith('strategic-weights');
+    expect(mockJiraDataPort.getProjectProperties).toHaveBeenCalledWith(['WIKI', 'OPS'], STRATEGIC_WEIGHT_PROPERTY);
+    expect(weights).toEqual({
+      PAY: { tier: 'Flagship', weight: 3, source: 'configuration' },
+      WIKI: { tier: 'Supporting', weight: 0.5, source: 'project property' },
+      OPS: { tier: 'Standard', weight: 1, source: 'default' }
+    });
+  });
+
+  test('ReadNoProjectPropertiesWhenEveryProjectHasAStoredAssignment', async () => {
+    // When
+    const weights = await strategicWeightService.getProjectWeights(['PAY']);
+
+    // Then
+    expect(mockJiraDataPort.getProjectProperties).not.toHaveBeenCalled();
+    expect(weights.PAY.source).toBe('configuration');
+  });
+
+  test('KeepStoredAssignmentsWhenPropertiesAreUnavailable', async () => {
+    // Given
+    mockJiraDataPort.getProjectProperties.mockRejectedValue(new JiraUnavailableError('Jira unavailable'));
+
+    // When
+    const weights = await strategicWeightService.getProjectWeights(['PAY', 'WIKI']);
+
+    // Then
+    expect(weights.PAY.weight).toBe(3);
+    expect(weights.WIKI).toEqual({ tier: 'Standard', weight: 1, source: 'default' });
+  });
+
+  test('IgnoreStoredWeightsThatNoLongerValidate', async () => {
+    // Given
+    mockConfigurationPort.getConfiguration.mockResolvedValue({ tiers: {} });
+
+    // When
+    const weights = await strategicWeightService.getWeights();
+
+    // Then
+    expect(weights.toJSON()).toEqual(DEFAULT_STRATEGIC_WEIGHTS);
+  });
+
+  test('SaveOnlyValidWeights', async () => {
+    // When
+    const saved = await strategicWeightService.saveWeights({ ...DEFAULT_STRATEGIC_WEIGHTS, projects: { WIKI: 0.25 } });
+
+    // Then
+    expect(mockConfigurationPort.saveConfiguration).toHaveBeenCalledWith('strategic-weights', saved);
+    await expect(strategicWeightService.saveWeights({ ...DEFAULT_STRATEGIC_WEIGHTS, projects: { WIKI: 0 } }))
+      .rejects.toThrow('Project WIKI needs a defined tier or a positive weight');
+  });
+});
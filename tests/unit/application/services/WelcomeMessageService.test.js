@@ -0,0 +1,90 @@
+/**
+ * Unit Tests: WelcomeMessageService - Executive Welcome Orchestration
+ * Behavior-focused tests with mocked Jira, portfolio and snapshot dependencies
+ */
+
+import { jest } from '@jest/globals';
+import { WelcomeMessageService } from '../../../../src/application/services/WelcomeMessageService.js';
+
+describe('WelcomeMessageService Should', () => {
+  let welcomeMessageService;
+  let mockJiraDataPort;
+  let mockPortfolioService;
+  let mockSnapshotStorage;
+
+  beforeEach(() => {
+    mockJiraDataPort = {
+      getCurrentUser: jest.fn().mockResolvedValue({ accountId: '557058:ceo', displayName: 'Alex' })
+    };
+
+    mockPortfolioService = {
+      getExecutiveDashboard: jest.fn().mockResolvedValue({
+        executive: { name: 'Alex', accountId: '557058:ceo', role: 'CEO' },
+        portfolio: { totalProjects: 14, needsAttentionProjects: 4, criticalAlerts: 2 }
+      })
+    };
+
+    mockSnapshotStorage = {
+      hasSnapshots: jest.fn().mockResolvedValue(true)
+    };
+
+    welcomeMessageService = new WelcomeMessageService(
+      mockJiraDataPort,
+      mockPortfolioService,
+      mockSnapshotStorage
+    );
+  });
+
+  test('BuildWelcomeFromDashboardCounts', async () => {
+    // When
+    const welcome = await welcomeMessageService.getWelcomeMessage();
+
+    // Then
+    expect(welcome.toJSON()).toMatchObject({
+      role: 'CEO',
+      scenario: 'CRITICAL_ALERTS',
+      projectCount: 14,
+      attentionCount: 4,
+      criticalCount: 2,
+      version: 'v1.0.0'
+    });
+  });
+
+  test('DetectFirstVisitBeforeDashboardRecordsSnapshot', async () => {
+    // Given
+    mockSnapshotStorage.hasSnapshots.mockResolvedValue(false);
+
+    // When
+    const welcome = await welcomeMessageService.getWelcomeMessage();
+
+    // Then
+    expect(welcome.getScenario()).toBe('FIRST_TIME');
+    expect(mockSnapshotStorage.hasSnapshots).toHaveBeenCalledWith('557058:ceo');
+    expect(mockSnapshotStorage.hasSnapshots.mock.invocationCallOrder[0])
+      .toBeLessThan(mockPortfolioService.getExecutiveDashboard.mock.invocationCallOrder[0]);
+  });
+
+  test('RefuseToPersonaliseFromFallbackDashboard', async () => {
+    // Given
+    mockPortfolioService.getExecutiveDashboard.mockResolvedValue({ status: 'fallback' });
+
+    // When & Then
+    await expect(welcomeMessageService.getWelcomeMessage())
+      .rejects.toThrow('Portfolio data unavailable for welcome message');
+    expect(welcomeMessageService.getDefaultWelcomeMessage().isExecutiveUser()).toBe(false);
+  });
+
+  test('PersonaliseOnlyFromAuthorizedDashboard', async () => {
+    // Given
+    const authContext = { accountId: '557058:ceo', isAuthenticated: true };
+    welcomeMessageService = new WelcomeMessageService(mockJiraDataPort, mockPortfolioService, mockSnapshotStorage, {
+      authContext
+    });
+    mockPortfolioService.getExecutiveDashboard.mockResolvedValue({ status: 'access_denied' });
+
+    // When & Then
+    await expect(welcomeMessageService.getWelcomeMessage())
+      .rejects.toThrow('Portfolio data unavailable for welcome message');
+    expect(mockPortfolioService.getExecutiveDashboard).toHaveBeenCalledWith(authContext);
+  });
+});
@@ -0,0 +1,61 @@
+/**
+ * Unit Tests: AuditRecord - Tamper-Evident Audit Entries
+ * Behavior-focused tests for hash chaining and validation
+ */
+
+import { AuditRecord, GENESIS_HASH } from '../../../../src/domain/entities/AuditRecord.js';
+
+describe('AuditRecord Should', () => {
+  const entry = {
+    category: 'DATA_ACCESS',
+    eventType: 'DATA_READ',
+    userId: 'exec-ceo-001',
+    occurredAt: new Date('2026-10-01T09:00:00Z'),
+    details: { resource: 'EXECUTIVE_DASHBOARD', projectCount: 3 }
+  };
+
+  test('ChainEachRecordToThePreviousHash', () => {
+    // When
+    const first = AuditRecord.append(null, entry);
+    const second = AuditRecord.append(first, { ...entry, eventType: 'DATA_EXPORT' });
+
+    // Then
+    expect(first.sequence).toBe(1);
+    expect(first.previousHash).toBe(GENESIS_HASH);
+    expect(first.hash).toMatch(/^[0-9a-f]{64}$/);
+    expect(second.sequence).toBe(2);
+    expect(second.previousHash).toBe(first.hash);
+    expect(second.hash).not.toBe(first.hash);
+  });
+
+  test('HashIndependentlyOfDetailKeyOrder', () => {
+    // When
+    const ordered = AuditRecord.append(null, entry);
+    const reordered = AuditRecord.append(null, { ...entry, details: { projectCount: 3, resource: 'EXECUTIVE_DASHBOARD' } });
+
+    // Then
+    expect(reordered.hash).toBe(ordered.hash);
+  });
+
+  test('DetectContentAlteredAfterItWasStored', () => {
+    // Given
+    const stored = AuditRecord.append(null, entry).toJSON();
+
+    // When
+    const untouched = AuditRecord.fromJSON(stored);
+    const altered = AuditRecord.fromJSON({ ...stored, details: { ...stored.details, projectCount: 30 } });
+
+    // Then
+    expect(untouched.hasValidHash()).toBe(true);
+    expect(altered.hasValidHash()).toBe(false);
+  });
+
+  test('RejectIncompleteRecords', () => {
+    expect(() => new AuditRecord({ ...entry, sequence: 0, previousHash: GENESIS_HASH, occurredAt: '2026-10-01' }))
+      .toThrow('Audit record requires a positive integer sequence');
+    expect(() => new AuditRecord({ sequence: 1, category: 'SECURITY', previousHash: GENESIS_HASH, occurredAt: '2026-10-01' }))
+      .toThrow('Audit record requires a category and an event type');
+    expect(() => new AuditRecord({ ...entry, sequence: 1, previousHash: GENESIS_HASH, occurredAt: 'yesterday' }))
+      .toThrow('Audit record 1 has an invalid time');
+  });
+});
@@ -0,0 +1,71 @@
+/**
+ * Unit Tests: BusinessUnitMapping - Project and Executive Business Units
+ * Behavior-focused tests for unit resolution and validation
+ */
+
+import { BusinessUnitMapping, DEFAULT_BUSINESS_UNIT_MAPPING } from '../../../../src/domain/entities/BusinessUnitMapping.js';
+
+describe('BusinessUnitMapping Should', () => {
+  const mapping = new BusinessUnitMapping({
+    ...DEFAULT_BUSINESS_UNIT_MAPPING,
+    projects: { PAY: 'Finance' },
+    categories: { Commercial: 'Sales', 10001: 'Engineering' },
+    executives: { 'exec-cfo': 'Finance' },
+    groups: { 'Sales-Leadership': 'Sales', 'engineering-leads': 'Engineering' }
+  });
+
+  test('PreferAdminTableOverPropertyAndCategory', () => {
+    const project = { key: 'PAY', projectCategory: { id: '10001', name: 'Platform' } };
+
+    expect(mapping.getProjectUnit(project, { businessUnit: 'Sales' }))
+      .toEqual({ businessUnit: 'Finance', source: 'configuration' });
+  });
+
+  test('PreferCategoryOverProjectProperty', () => {
+    const project = { key: 'CRM', projectCategory: { id: '10002', name: 'Commercial' } };
+
+    expect(mapping.getProjectUnit(project, { businessUnit: 'Marketing' }))
+      .toEqual({ businessUnit: 'Sales', source: 'project category' });
+    expect(mapping.needsProjectProperty(project)).toBe(false);
+  });
+
+  test('UseProjectPropertyOnlyWhenTableAndCategoryLeaveProjectUnmapped', () => {
+    const project = { key: 'ADS', projectCategory: { id: '10009', name: 'Uncategorised' } };
+
+    expect(mapping.needsProjectProperty(project)).toBe(true);
+    expect(mapping.getProjectUnit(project, { businessUnit: 'Marketing' }))
+      .toEqual({ businessUnit: 'Marketing', source: 'project property' });
+    expect(mapping.getProjectUnit(project, 'Marketing'))
+      .toEqual({ businessUnit: 'Marketing', source: 'project property' });
+  });
+
+  test('MapProjectCategoryByNameOrId', () => {
+    expect(mapping.getProjectUnit({ key: 'CRM', projectCategory: { id: '10002', name: 'Commercial' } }))
+      .toEqual({ businessUnit: 'Sales', source: 'project category' });
+    expect(mapping.getProjectUnit({ key: 'OPS', projectCategory: { id: '10001', name: 'Platform' } }))
+      .toEqual({ businessUnit: 'Engineering', source: 'project category' });
+  });
+
+  test('ReportProjectsNothingMapsAsUnmapped', () => {
+    expect(mapping.getProjectUnit({ key: 'WIKI', projectCategory: null }, { businessUnit: '  ' }))
+      .toEqual({ businessUnit: null, source: 'unmapped' });
+  });
+
+  test('ResolveExecutivesFromDirectoryThenGroups', () => {
+    expect(mapping.getExecutiveUnit('exec-cfo', ['sales-leadership']))
+      .toEqual({ businessUnit: 'Finance', source: 'directory' });
+    expect(mapping.getExecutiveUnit('exec-vp', ['Engineering-Leads', 'sales-leadership']))
+      .toEqual({ businessUnit: 'Sales', source: 'group' });
+    expect(mapping.getExecutiveUnit('exec-ceo', ['jira-users']))
+      .toEqual({ businessUnit: 'Corporate', source: 'default' });
+  });
+
+  test('RejectInvalidMappings', () => {
+    expect(() => new BusinessUnitMapping({ ...DEFAULT_BUSINESS_UNIT_MAPPING, defaultExecutiveUnit: '' }))
+      .toThrow('Business unit mapping requires a default executive unit');
+    expect(() => new BusinessUnitMapping({ ...DEFAULT_BUSINESS_UNIT_MAPPING, projects: { 'pay-1': 'Finance' } }))
+      .toThrow('Business unit project key pay-1 is not a valid Jira project key');
+    expect(() => new BusinessUnitMapping({ ...DEFAULT_BUSINESS_UNIT_MAPPING, groups: { admins: 42 } }))
+      .toThrow('Business unit for admins in groups must be a non-empty name');
+  });
+});
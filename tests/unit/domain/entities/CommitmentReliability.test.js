@@ -0,0 +1,78 @@
+/**
+ * Unit Tests: CommitmentReliability - Sprint Say/Do Ratio
+ * Behavior-focused tests for committed vs. completed work and mid-sprint scope changes
+ */
+
+import { CommitmentReliability } from '../../../../src/domain/entities/CommitmentReliability.js';
+
+describe('CommitmentReliability Should', () => {
+  const sprint = (sprintId, numbers) => ({
+    sprintId,
+    name: `Sprint ${sprintId}`,
+    completeDate: '2024-02-14T10:00:00.000Z',
+    committedIssues: 0,
+    completedIssues: 0,
+    addedIssues: 0,
+    committedPoints: 0,
+    completedPoints: 0,
+    addedPoints: 0,
+    ...numbers
+  });
+
+  test('MeasureRollingSayDoRatioInStoryPoints', () => {
+    // Given
+    const reliability = new CommitmentReliability({
+      boardId: 12,
+      boardName: 'Payments Team',
+      sprints: [
+        sprint(1, { committedPoints: 20, completedPoints: 18, addedPoints: 3, committedIssues: 8, completedIssues: 7 }),
+        sprint(2, { committedPoints: 20, completedPoints: 12, addedPoints: 0, committedIssues: 9, completedIssues: 5 })
+      ]
+    });
+
+    // When
+    const json = reliability.toJSON();
+
+    // Then
+    expect(json).toMatchObject({ boardId: 12, unit: 'points', sayDoRatio: 0.75 });
+    expect(json.sprints[0]).toEqual({
+      sprintId: 1,
+      name: 'Sprint 1',
+      completeDate: '2024-02-14T10:00:00.000Z',
+      committed: 20,
+      completed: 18,
+      addedScope: 3,
+      sayDoRatio: 0.9
+    });
+  });
+
+  test('FallBackToIssueCountsForTeamsWithoutEstimates', () => {
+    // When
+    const reliability = new CommitmentReliability({
+      boardId: 7,
+      boardName: 'Web Team',
+      sprints: [sprint(1, { committedIssues: 10, completedIssues: 8, addedIssues: 4 })]
+    });
+
+    // Then
+    expect(reliability.unit).toBe('issues');
+    expect(reliability.sayDoRatio).toBe(0.8);
+    expect(reliability.sprints[0].addedScope).toBe(4);
+  });
+
+  test('HaveNoRatioWithoutCommitments', () => {
+    // When
+    const reliability = new CommitmentReliability({ boardId: 7, boardName: 'New Team' });
+
+    // Then
+    expect(reliability.sayDoRatio).toBeNull();
+    expect(reliability.sprints).toEqual([]);
+  });
+
+  test('AverageRatiosAcrossTeamsIgnoringTeamsWithoutRatio', () => {
+    expect(CommitmentReliability.averageSayDoRatio([
+      { sayDoRatio: 0.9 }, { sayDoRatio: 0.6 }, { sayDoRatio: null }
+    ])).toBe(0.75);
+    expect(CommitmentReliability.averageSayDoRatio([])).toBeNull();
+  });
+});
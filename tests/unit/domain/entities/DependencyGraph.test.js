@@ -0,0 +1,111 @@
+/**
+ * Unit Tests: DependencyGraph - Cross-Project Dependency Risk
+ * Behavior-focused tests for upstream blockage and critical dependency chains
+ */
+
+import { DependencyGraph } from '../../../../src/domain/entities/DependencyGraph.js';
+
+describe('DependencyGraph Should', () => {
+  const projects = [
+    { key: 'OPS', name: 'Operations' },
+    { key: 'PAY', name: 'Payments' },
+    { key: 'WEB', name: 'Website' }
+  ];
+
+  const issue = key => ({ key, projectKey: key.split('-')[0], summary: `Summary of ${key}` });
+  const link = (blockerKey, blockedKey) => ({ linkType: 'is blocked by', blocker: issue(blockerKey), blocked: issue(blockedKey) });
+
+  test('FindProjectsWaitingOnOtherProjectsThroughChains', () => {
+    // Given
+    const graph = new DependencyGraph({
+      projects,
+      links: [link('OPS-7', 'PAY-12'), link('PAY-12', 'WEB-3'), link('WEB-4', 'WEB-5')]
+    });
+
+    // When
+    const projectsAtRisk = graph.getProjectsAtRisk();
+
+    // Then
+    expect(projectsAtRisk.map(risk => ({ ...risk, criticalChain: risk.criticalChain.issues.map(i => i.key) }))).toEqual([
+      { projectKey: 'WEB', waitingIssues: 1, upstreamProjects: ['OPS', 'PAY'], criticalChain: ['OPS-7', 'PAY-12', 'WEB-3'] },
+      { projectKey: 'PAY', waitingIssues: 1, upstreamProjects: ['OPS'], criticalChain: ['OPS-7', 'PAY-12'] }
+    ]);
+  });
+
+  test('RankChainsCrossingMostProjectsFirst', () => {
+    // Given
+    const graph = new DependencyGraph({
+      projects,
+      links: [
+        link('PAY-1', 'PAY-2'), link('PAY-2', 'PAY-3'), link('PAY-3', 'WEB-1'),
+        link('OPS-1', 'PAY-9'), link('PAY-9', 'WEB-2')
+      ]
+    });
+
+    // When
+    const chains = graph.getCriticalChains();
+
+    // Then
+    expect(chains.map(chain => chain.issues.map(i => i.key))).toEqual([
+      ['OPS-1', 'PAY-9', 'WEB-2'],
+      ['PAY-1', 'PAY-2', 'PAY-3', 'WEB-1']
+    ]);
+    expect(chains[0]).toMatchObject({ projectKeys: ['OPS', 'PAY', 'WEB'], length: 3 });
+  });
+
+  test('IgnoreLinksOutsideThePortfolioAndWithinOneProject', () => {
+    // Given
+    const graph = new DependencyGraph({
+      projects,
+      links: [link('HR-1', 'PAY-1'), link('PAY-2', 'PAY-3')]
+    });
+
+    // When / Then
+    expect(graph.getProjectsAtRisk()).toEqual([]);
+    expect(graph.getCriticalChains()).toEqual([]);
+    expect(graph.getDependencyAlerts()).toEqual([]);
+  });
+
+  test('StopFollowingCyclicDependencies', () => {
+    // Given
+    const graph = new DependencyGraph({
+      projects,
+      links: [link('PAY-1', 'WEB-1'), link('WEB-1', 'PAY-1'), link('WEB-1', 'OPS-1')]
+    });
+
+    // When
+    const chains = graph.getCriticalChains();
+
+    // Then
+    expect(chains.map(chain => chain.issues.map(i => i.key))).toEqual([['PAY-1', 'WEB-1', 'OPS-1']]);
+  });
+
+  test('RaiseDependencyAlertPerProjectAtRisk', () => {
+    // Given
+    const graph = new DependencyGraph({
+      projects,
+      links: [link('OPS-7', 'PAY-12'), link('OPS-7', 'PAY-13'), link('PAY-12', 'WEB-3')]
+    });
+
+    // When
+    const alerts = graph.getDependencyAlerts();
+
+    // Then
+    expect(alerts).toEqual([
+      {
+        projectKey: 'PAY',
+        projectName: 'Payments',
+        alertLevel: 'DEPENDENCY',
+        reason: '2 issues wait on Operations: OPS-7 → PAY-12',
+        chain: ['OPS-7', 'PAY-12']
+      },
+      {
+        projectKey: 'WEB',
+        projectName: 'Website',
+        alertLevel: 'DEPENDENCY',
+        reason: '1 issue waits on Operations, Payments: OPS-7 → PAY-12 → WEB-3',
+        chain: ['OPS-7', 'PAY-12', 'WEB-3']
+      }
+    ]);
+  });
+});
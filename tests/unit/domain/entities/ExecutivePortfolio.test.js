@@ -0,0 +1,481 @@
+/**
+ * Unit Tests: ExecutivePortfolio - Portfolio Health Business Logic
+ * Behavior-focused tests for health scoring driven by a versioned scoring policy
+ */
+
+import { ExecutivePortfolio } from '../../../../src/domain/entities/ExecutivePortfolio.js';
+import {
+  ScoringPolicy,
+  DEFAULT_SCORING_POLICY,
+  FLOW_SCORING_FACTORS,
+  SIZE_NORMALISED_SCORING
+} from '../../../../src/domain/entities/ScoringPolicy.js';
+
+describe('ExecutivePortfolio Should', () => {
+  const healthyProject = {
+    key: 'WEB', name: 'Website', overdueIssues: 0, blockedIssues: 0, highPriorityIssues: 0
+  };
+  const troubledProject = {
+    key: 'PAY', name: 'Payments', overdueIssues: 7, blockedIssues: 1, highPriorityIssues: 2
+  };
+
+  describe('Default Scoring Policy', () => {
+    test('ScoreProjectsWithOriginalDeductionsAndCaps', () => {
+      // Given
+      const portfolio = new ExecutivePortfolio('exec-ceo-001', {
+        projects: [healthyProject, troubledProject]
+      });
+
+      // When
+      const healthScore = portfolio.calculateHealthScore();
+
+      // Then - PAY loses 30 (capped) + 3 + 4 = 37 points
+      expect(healthScore).toBe(Math.round((100 + 63) / 2));
+    });
+
+    test('ReportPolicyVersionInSummaryAndAlerts', () => {
+      // Given
+      const portfolio = new ExecutivePortfolio('exec-ceo-001', {
+        projects: [healthyProject, troubledProject]
+      });
+
+      // When
+      const summary = portfolio.getPortfolioSummary();
+      const alerts = portfolio.getCriticalAlerts();
+
+      // Then
+      expect(summary).toEqual({
+        totalProjects: 2,
+        healthScore: 82,
+        normalisedHealthScore: null,
+        criticalAlerts: 1,
+        onTrackProjects: 1,
+        atRiskProjects: 1,
+        weightedAtRiskProjects: 1,
+        needsAttentionProjects: 1,
+        weightedNeedsAttentionProjects: 1,
+        incompleteDataProjects: 0,
+        sayDoRatio: null,
+        scoringPolicy: { id: 'default', version: '1.0.0' }
+      });
+      expect(alerts).toEqual([{
+        projectKey: 'PAY',
+        projectName: 'Payments',
+        alertLevel: 'CRITICAL',
+        reason: '7 overdue issues',
+        scoringPolicy: { id: 'default', version: '1.0.0' }
+      }]);
+    });
+
+    test('ReturnZeroHealthForEmptyPortfolio', () => {
+      // Given
+      const portfolio = new ExecutivePortfolio('exec-ceo-001', {});
+
+      // When & Then
+      expect(portfolio.calculateHealthScore()).toBe(0);
+      expect(portfolio.getCriticalAlerts()).toEqual([]);
+    });
+  });
+
+  describe('Unavailable Jira Data', () => {
+    test('LeaveProjectsWithoutDataOutOfHealthAndAlerts', () => {
+      // Given
+      const portfolio = new ExecutivePortfolio('exec-ceo-001', {
+        projects: [troubledProject, { key: 'OPS', name: 'Operations', dataUnavailable: true }]
+      });
+
+      // When
+      const summary = portfolio.getPortfolioSummary();
+      const breakdown = portfolio.getProjectHealthBreakdown();
+
+      // Then
+      expect(summary).toMatchObject({
+        totalProjects: 2,
+        healthScore: 63,
+        onTrackProjects: 0,
+        atRiskProjects: 1,
+        incompleteDataProjects: 1
+      });
+      expect(portfolio.getCriticalAlerts().map(alert => alert.projectKey)).toEqual(['PAY']);
+      expect(breakdown[1]).toEqual({
+        key: 'OPS',
+        name: 'Operations',
+        healthScore: null,
+        normalisedHealthScore: null,
+        sizeBand: null,
+        status: 'Data Unavailable',
+        criticalReason: null,
+        metrics: { overdueIssues: null, blockedIssues: null, highPriorityIssues: null },
+        unavailableMetrics: ['overdueIssues', 'blockedIssues', 'highPriorityIssues']
+      });
+    });
+
+    test('NotScoreProjectWithMissingMetricAsHealthy', () => {
+      // Given - blocked issues could not be counted, everything else is clean
+      const portfolio = new ExecutivePortfolio('exec-ceo-001', {
+        projects: [
+          healthyProject,
+          {
+            ...healthyProject,
+            key: 'OPS',
+            blockedIssues: null,
+            metricAvailability: { overdueIssues: true, blockedIssues: false, highPriorityIssues: true }
+          }
+        ]
+      });
+
+      // When
+      const summary = portfolio.getPortfolioSummary();
+      const [, ops] = portfolio.getProjectHealthBreakdown();
+
+      // Then
+      expect(summary).toMatchObject({ healthScore: 100, onTrackProjects: 1, incompleteDataProjects: 1 });
+      expect(ops).toMatchObject({
+        healthScore: null,
+        status: 'Data Unavailable',
+        metrics: { overdueIssues: 0, blockedIssues: null, highPriorityIssues: 0 },
+        unavailableMetrics: ['blockedIssues']
+      });
+    });
+
+    test('StillAlertOnKnownBreachWhenOtherMetricsAreMissing', () => {
+      // Given
+      const portfolio = new ExecutivePortfolio('exec-ceo-001', {
+        projects: [{
+          ...troubledProject,
+          highPriorityIssues: null,
+          metricAvailability: { overdueIssues: true, blockedIssues: true, highPriorityIssues: false }
+        }]
+      });
+
+      // When
+      const [pay] = portfolio.getProjectHealthBreakdown();
+
+      // Then
+      expect(pay).toMatchObject({ status: 'Critical', criticalReason: '7 overdue issues', healthScore: null });
+      expect(portfolio.getPortfolioSummary()).toMatchObject({ criticalAlerts: 1, needsAttentionProjects: 1 });
+    });
+  });
+
+  describe('Organisation Scoring Policy', () => {
+    const pmoPolicy = {
+      id: 'acme-pmo',
+      version: '2024.2',
+      onTrackThreshold: 80,
+      factors: [
+        { metric: 'overdueIssues', label: 'overdue issues', pointsPerIssue: 10, maxDeduction: 50 },
+        { metric: 'securityIssues', label: 'open security issues', pointsPerIssue: 15, maxDeduction: 45 }
+      ],
+      criticalThresholds: {
+        healthScoreBelow: 60,
+        metrics: [{ metric: 'securityIssues', label: 'open security issues', above: 0 }]
+      }
+    };
+
+    test('ApplyCustomWeightsCapsAndExtraFactors', () => {
+      // Given
+      const project = { key: 'SEC', name: 'Security', overdueIssues: 2, blockedIssues: 9, securityIssues: 1 };
+      const portfolio = new ExecutivePortfolio('exec-cto-001', { projects: [project] }, pmoPolicy);
+
+      // When
+      const summary = portfolio.getPortfolioSummary();
+
+      // Then - blocked issues are not part of this policy
+      expect(summary.healthScore).toBe(65);
+      expect(summary.atRiskProjects).toBe(1);
+      expect(summary.scoringPolicy).toEqual({ id: 'acme-pmo', version: '2024.2' });
+    });
+
+    test('UseCustomCriticalThresholdsAndReasons', () => {
+      // Given
+      const project = { key: 'SEC', name: 'Security', overdueIssues: 0, securityIssues: 1 };
+      const portfolio = new ExecutivePortfolio('exec-cto-001', { projects: [project] }, pmoPolicy);
+
+      // When
+      const alerts = portfolio.getCriticalAlerts();
+
+      // Then
+      expect(alerts).toHaveLength(1);
+      expect(alerts[0].reason).toBe('1 open security issues');
+      expect(alerts[0].scoringPolicy).toEqual({ id: 'acme-pmo', version: '2024.2' });
+    });
+
+    test('FlagLowHealthWithPolicyThresholdInReason', () => {
+      // Given
+      const project = { key: 'OPS', name: 'Operations', overdueIssues: 7, securityIssues: 0 };
+      const portfolio = new ExecutivePortfolio('exec-cto-001', { projects: [project] }, pmoPolicy);
+
+      // When
+      const alerts = portfolio.getCriticalAlerts();
+
+      // Then
+      expect(alerts[0].reason).toBe('Overall health below 60%');
+    });
+  });
+
+  describe('Flow Indicators', () => {
+    const webFlow = { windowDays: 30, throughput: 20, cycleTimeMedianDays: 4, cycleTimeP85Days: 9, wip: 6 };
+    const payFlow = { windowDays: 30, throughput: 5, cycleTimeMedianDays: 12, cycleTimeP85Days: 25, wip: 18 };
+
+    test('SummariseFlowAcrossProjectsWithFlowData', () => {
+      // Given
+      const portfolio = new ExecutivePortfolio('exec-ceo-001', {
+        projects: [
+          { ...healthyProject, flowMetrics: webFlow },
+          { ...troubledProject, flowMetrics: payFlow },
+          { key: 'OPS', name: 'Operations', flowMetrics: null }
+        ]
+      });
+
+      // When
+      const flow = portfolio.getFlowIndicators();
+
+      // Then
+      expect(flow).toMatchObject({
+        windowDays: 30,
+        throughput: 25,
+        wip: 24,
+        slowestCycleTimeP85Days: 25,
+        projectsWithoutFlowData: 1
+      });
+      expect(flow.projects[1]).toEqual({
+        key: 'PAY', name: 'Payments', throughput: 5, cycleTimeMedianDays: 12, cycleTimeP85Days: 25, wip: 18
+      });
+    });
+
+    test('DeductFlowFactorsOnlyAboveTheirAllowance', () => {
+      // Given
+      const flowPolicy = { ...DEFAULT_SCORING_POLICY, id: 'flow', factors: FLOW_SCORING_FACTORS };
+      const portfolio = new ExecutivePortfolio('exec-cto-001', {
+        projects: [
+          { ...healthyProject, flowMetrics: webFlow },
+          { ...troubledProject, flowMetrics: payFlow }
+        ]
+      }, flowPolicy);
+
+      // When
+      const [web, pay] = portfolio.getProjectHealthBreakdown();
+
+      // Then - PAY loses 20 (capped) for cycle time and 3 for WIP
+      expect(web).toMatchObject({ healthScore: 100, metrics: { cycleTimeP85Days: 9, wip: 6 } });
+      expect(pay.healthScore).toBe(77);
+    });
+
+    test('TreatMissingFlowAsIncompleteDataWhenPolicyScoresFlow', () => {
+      // Given
+      const flowPolicy = { ...DEFAULT_SCORING_POLICY, id: 'flow', factors: FLOW_SCORING_FACTORS };
+      const portfolio = new ExecutivePortfolio('exec-cto-001', {
+        projects: [{ ...healthyProject, flowMetrics: null }]
+      }, flowPolicy);
+
+      // When
+      const [web] = portfolio.getProjectHealthBreakdown();
+
+      // Then
+      expect(web).toMatchObject({ healthScore: null, unavailableMetrics: ['cycleTimeP85Days', 'wip'] });
+    });
+  });
+
+  describe('Commitment Reliability', () => {
+    const paymentsTeam = { boardId: 1, boardName: 'Payments Team', unit: 'points', sayDoRatio: 0.9, sprints: [] };
+    const platformTeam = { boardId: 3, boardName: 'Platform Team', unit: 'issues', sayDoRatio: 0.5, sprints: [] };
+
+    test('AverageSayDoRatioAcrossTeamsCountingSharedBoardsOnce', () => {
+      // Given
+      const portfolio = new ExecutivePortfolio('exec-hod-001', {
+        projects: [
+          { ...healthyProject, commitmentReliability: [paymentsTeam, platformTeam] },
+          { ...troubledProject, commitmentReliability: [platformTeam, platformTeam] }
+        ]
+      });
+
+      // When & Then
+      expect(portfolio.getPortfolioSummary().sayDoRatio).toBe(0.7);
+    });
+
+    test('DrillIntoProjectHealthFlowAndCommitment', () => {
+      // Given
+      const flowMetrics = { windowDays: 30, throughput: 5, cycleTimeMedianDays: 12, cycleTimeP85Days: 25, wip: 18 };
+      const portfolio = new ExecutivePortfolio('exec-hod-001', {
+        projects: [healthyProject, { ...troubledProject, flowMetrics, commitmentReliability: [platformTeam] }]
+      });
+
+      // When
+      const drillDown = portfolio.getProjectDrillDown('PAY');
+
+      // Then
+      expect(drillDown).toMatchObject({
+        key: 'PAY',
+        status: 'Critical',
+        healthScore: 63,
+        flow: flowMetrics,
+        commitment: { sayDoRatio: 0.5, teams: [platformTeam] }
+      });
+      expect(portfolio.getProjectDrillDown('WEB')).toMatchObject({ flow: null, commitment: null });
+      expect(portfolio.getProjectDrillDown('NOPE')).toBeNull();
+    });
+  });
+
+  describe('Strategic Weights', () => {
+    const flagship = { ...troubledProject, strategicTier: 'Flagship', strategicWeight: 3 };
+    const wiki = { key: 'WIKI', name: 'Wiki', overdueIssues: 6, blockedIssues: 0, highPriorityIssues: 0, strategicWeight: 0.5 };
+
+    test('WeightHealthAndAtRiskCountsByStrategicImportance', () => {
+      // Given
+      const portfolio = new ExecutivePortfolio('exec-ceo-001', {
+        projects: [healthyProject, flagship]
+      });
+
+      // When
+      const summary = portfolio.getPortfolioSummary();
+
+      // Then - (100 * 1 + 63 * 3) / 4
+      expect(summary).toMatchObject({
+        healthScore: 72,
+        atRiskProjects: 1,
+        weightedAtRiskProjects: 3,
+        needsAttentionProjects: 1,
+        weightedNeedsAttentionProjects: 3
+      });
+    });
+
+    test('OrderAlertsByStrategicWeight', () => {
+      // Given
+      const portfolio = new ExecutivePortfolio('exec-ceo-001', {
+        projects: [wiki, healthyProject, flagship]
+      });
+
+      // When
+      const alerts = portfolio.getCriticalAlerts();
+
+      // Then
+      expect(alerts.map(alert => alert.projectKey)).toEqual(['PAY', 'WIKI']);
+      expect(portfolio.sortByStrategicWeight([{ projectKey: 'WIKI' }, { projectKey: 'WEB' }, { projectKey: 'PAY' }]))
+        .toEqual([{ projectKey: 'PAY' }, { projectKey: 'WEB' }, { projectKey: 'WIKI' }]);
+    });
+  });
+
+  describe('Size-Normalised Scoring', () => {
+    const normalisedPolicy = { ...DEFAULT_SCORING_POLICY, normalisation: SIZE_NORMALISED_SCORING };
+    const largeProgramme = {
+      key: 'ERP', name: 'ERP Programme', overdueIssues: 40, blockedIssues: 6, highPriorityIssues: 20,
+      sizeMetrics: { openIssues: 2000, inProgressIssues: 300 }
+    };
+    const tinyProject = {
+      key: 'LAB', name: 'Innovation Lab', overdueIssues: 3, blockedIssues: 1, highPriorityIssues: 1,
+      sizeMetrics: { openIssues: 10, inProgressIssues: 2 }
+    };
+
+    test('ScoreRatiosAgainstSizeBandAlongsideRawHealth', () => {
+      // Given
+      const portfolio = new ExecutivePortfolio('exec-ceo-001', {
+        projects: [largeProgramme, tinyProject]
+      }, normalisedPolicy);
+
+      // When
+      const summary = portfolio.getPortfolioSummary();
+      const breakdown = portfolio.getProjectHealthBreakdown();
+
+      // Then - ERP loses 73 raw points but its ratios are within the Large band's 2%;
+      // LAB's 30% overdue and 50% blocked ratios exceed the Small band's 10% tolerance
+      expect(summary).toMatchObject({ healthScore: 54, normalisedHealthScore: 75 });
+      expect(breakdown.map(({ key, healthScore, normalisedHealthScore, sizeBand }) =>
+        ({ key, healthScore, normalisedHealthScore, sizeBand }))).toEqual([
+        { key: 'ERP', healthScore: 27, normalisedHealthScore: 100, sizeBand: 'Large' },
+        { key: 'LAB', healthScore: 80, normalisedHealthScore: 50, sizeBand: 'Small' }
+      ]);
+    });
+
+    test('TreatBlockedWorkWithNothingInProgressAsWorstRatio', () => {
+      // Given
+      const portfolio = new ExecutivePortfolio('exec-ceo-001', {
+        projects: [{ ...healthyProject, blockedIssues: 2, sizeMetrics: { openIssues: 100, inProgressIssues: 0 } }]
+      }, normalisedPolicy);
+
+      // When
+      const [web] = portfolio.getProjectHealthBreakdown();
+
+      // Then
+      expect(web).toMatchObject({ healthScore: 94, normalisedHealthScore: 80, sizeBand: 'Medium' });
+    });
+
+    test('LeaveNormalisedHealthOutWithoutSizeDataOrNormalisation', () => {
+      // Given
+      const withoutSizes = new ExecutivePortfolio('exec-ceo-001', {
+        projects: [{ ...tinyProject, sizeMetrics: null }, largeProgramme]
+      }, normalisedPolicy);
+      const withoutNormalisation = new ExecutivePortfolio('exec-ceo-001', { projects: [largeProgramme] });
+
+      // When & Then
+      expect(withoutSizes.getPortfolioSummary().normalisedHealthScore).toBe(100);
+      expect(withoutSizes.getProjectHealthBreakdown()[0]).toMatchObject({ normalisedHealthScore: null, sizeBand: null });
+      expect(withoutNormalisation.getPortfolioSummary().normalisedHealthScore).toBeNull();
+      expect(withoutNormalisation.getProjectHealthBreakdown()[0]).toMatchObject({ normalisedHealthScore: null, sizeBand: null });
+    });
+  });
+
+  describe('Scoring Policy Validation', () => {
+    test('RejectPolicyWithoutVersion', () => {
+      expect(() => new ScoringPolicy({ id: 'broken', factors: [] }))
+        .toThrow('Scoring policy requires an id and a version');
+    });
+
+    test('RejectFactorWithNegativeWeight', () => {
+      expect(() => new ScoringPolicy({
+        id: 'broken',
+        version: '1',
+        factors: [{ metric: 'overdueIssues', pointsPerIssue: -1, maxDeduction: 10 }]
+      })).toThrow('needs non-negative pointsPerIssue and maxDeduction');
+    });
+
+    test('RejectNegativeFactorAllowance', () => {
+      expect(() => new ScoringPolicy({
+        id: 'broken',
+        version: '1',
+        factors: [{ metric: 'wip', above: -5, pointsPerIssue: 1, maxDeduction: 10 }]
+      })).toThrow('Scoring policy broken factor wip has an invalid allowance');
+    });
+
+    test('RejectInvalidCriticalThreshold', () => {
+      expect(() => new ScoringPolicy({
+        ...DEFAULT_SCORING_POLICY,
+        criticalThresholds: { metrics: [{ metric: 'blockedIssues' }] }
+      })).toThrow('has an invalid critical threshold');
+    });
+
+    test('RejectSizeBandWithoutTolerance', () => {
+      expect(() => new ScoringPolicy({
+        ...DEFAULT_SCORING_POLICY,
+        normalisation: { ratios: [], sizeBands: [{ name: 'Huge', maxOpenIssues: null }] }
+      })).toThrow('Scoring policy default has an invalid size band Huge');
+    });
+
+    test('RejectNormalisedRatioWithoutDenominator', () => {
+      expect(() => new ScoringPolicy({
+        ...DEFAULT_SCORING_POLICY,
+        normalisation: {
+          ratios: [{ metric: 'overdueIssues', pointsPerPercent: 1, maxDeduction: 10 }],
+          sizeBands: SIZE_NORMALISED_SCORING.sizeBands
+        }
+      })).toThrow('Scoring policy default has an invalid normalised ratio overdueIssues');
+    });
+
+    test('PlaceProjectsBeyondEveryBoundedBandInTheLargest', () => {
+      const policy = new ScoringPolicy({
+        ...DEFAULT_SCORING_POLICY,
+        normalisation: {
+          ratios: [],
+          sizeBands: [{ name: 'Medium', maxOpenIssues: 500, tolerancePercent: 5 }, { name: 'Small', maxOpenIssues: 50, tolerancePercent: 10 }]
+        }
+      });
+
+      expect(policy.getSizeBand(20).name).toBe('Small');
+      expect(policy.getSizeBand(5000).name).toBe('Medium');
+    });
+
+    test('ReuseExistingPolicyInstances', () => {
+      const policy = ScoringPolicy.default();
+      expect(ScoringPolicy.from(policy)).toBe(policy);
+    });
+  });
+});
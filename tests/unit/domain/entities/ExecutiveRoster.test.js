@@ -0,0 +1,61 @@
+/**
+ * Unit Tests: ExecutiveRoster - Executive Registry
+ * Behavior-focused tests for executive identification and validation
+ */
+
+import { ExecutiveRoster, DEFAULT_EXECUTIVE_ROSTER } from '../../../../src/domain/entities/ExecutiveRoster.js';
+
+describe('ExecutiveRoster Should', () => {
+  const roster = new ExecutiveRoster({
+    accounts: { '557058:cfo': { displayName: 'Chief Financial Officer' } },
+    groups: ['Executive-Committee'],
+    appRoles: ['CEO']
+  });
+
+  test('IdentifyRegisteredAccountsFirst', () => {
+    expect(roster.identify({ accountId: '557058:cfo', groups: ['executive-committee'], appRole: 'CEO' }))
+      .toEqual({ isExecutive: true, source: 'roster' });
+  });
+
+  test('IdentifyMembersOfExecutiveGroupsRegardlessOfCase', () => {
+    expect(roster.identify({ accountId: '557058:coo', groups: ['jira-users', 'EXECUTIVE-COMMITTEE'] }))
+      .toEqual({ isExecutive: true, source: 'group' });
+  });
+
+  test('IdentifyHoldersOfExecutiveAppRoles', () => {
+    expect(roster.identify({ accountId: '557058:ceo', groups: [], appRole: 'CEO' }))
+      .toEqual({ isExecutive: true, source: 'app role' });
+    expect(roster.identify({ accountId: '557058:cto', groups: [], appRole: 'CTO' }))
+      .toEqual({ isExecutive: false, source: null });
+  });
+
+  test('RegisterAndRemoveAccountsWithoutChangingTheOriginal', () => {
+    const updated = roster.withExecutive('557058:coo', { displayName: 'Chief Operating Officer' });
+    const reduced = updated.withoutExecutive('557058:cfo');
+
+    expect(roster.isRegistered('557058:coo')).toBe(false);
+    expect(updated.isRegistered('557058:coo')).toBe(true);
+    expect(reduced.toJSON()).toEqual({
+      accounts: { '557058:coo': { displayName: 'Chief Operating Officer' } },
+      groups: ['executive-committee'],
+      appRoles: ['CEO']
+    });
+  });
+
+  test('RecogniseOnlyExecutiveAppRolesByDefault', () => {
+    expect(ExecutiveRoster.from(null).toJSON()).toEqual(DEFAULT_EXECUTIVE_ROSTER);
+    expect(ExecutiveRoster.default().identify({ accountId: '557058:anyone', appRole: 'HEAD_OF_DELIVERY' }).isExecutive)
+      .toBe(true);
+    expect(ExecutiveRoster.default().identify({ accountId: '557058:anyone', appRole: 'EXECUTIVE' }).isExecutive)
+      .toBe(false);
+  });
+
+  test('RejectInvalidRosters', () => {
+    expect(() => new ExecutiveRoster('everyone')).toThrow('Executive roster must be an object');
+    expect(() => new ExecutiveRoster({ accounts: { '557058:cfo': 'CFO' } }))
+      .toThrow('Roster entry for 557058:cfo must be an object with an optional display name');
+    expect(() => new ExecutiveRoster({ groups: [''] })).toThrow('Executive groups must be a list of group names');
+    expect(() => new ExecutiveRoster({ appRoles: ['EXECUTIVE', 'CFO'] }))
+      .toThrow('App roles cannot identify executives: EXECUTIVE, CFO');
+  });
+});
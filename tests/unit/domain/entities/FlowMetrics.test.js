@@ -0,0 +1,50 @@
+/**
+ * Unit Tests: FlowMetrics - Delivery Flow Indicators
+ * Behavior-focused tests for throughput, cycle time percentiles and WIP
+ */
+
+import { FlowMetrics, DEFAULT_FLOW_WINDOW_DAYS } from '../../../../src/domain/entities/FlowMetrics.js';
+
+describe('FlowMetrics Should', () => {
+  test('InterpolateMedianAndEightyFifthPercentileCycleTime', () => {
+    // Given
+    const flowMetrics = new FlowMetrics({
+      throughput: 4,
+      cycleTimesDays: [10, 1, 4, 2],
+      wip: 3,
+      windowDays: 14
+    });
+
+    // When & Then
+    expect(flowMetrics.toJSON()).toEqual({
+      windowDays: 14,
+      throughput: 4,
+      cycleTimeMedianDays: 3,
+      cycleTimeP85Days: 7.3,
+      wip: 3
+    });
+  });
+
+  test('CountThroughputEvenWithoutCycleTimeSamples', () => {
+    // Given - resolved issues whose start could not be determined
+    const flowMetrics = new FlowMetrics({ throughput: 2, cycleTimesDays: [] });
+
+    // When & Then
+    expect(flowMetrics).toMatchObject({
+      windowDays: DEFAULT_FLOW_WINDOW_DAYS,
+      throughput: 2,
+      cycleTimeMedianDays: null,
+      cycleTimeP85Days: null,
+      wip: 0
+    });
+  });
+
+  test('UseTheOnlySampleForEveryPercentile', () => {
+    // When
+    const flowMetrics = new FlowMetrics({ throughput: 1, cycleTimesDays: [2.25] });
+
+    // Then
+    expect(flowMetrics.cycleTimeMedianDays).toBe(2.3);
+    expect(flowMetrics.cycleTimeP85Days).toBe(2.3);
+  });
+});
@@ -0,0 +1,72 @@
+/**
+ * Unit Tests: MetricDefinitions - Health Metric JQL Registry
+ * Behavior-focused tests for metric JQL, per-project overrides and validation
+ */
+
+import {
+  MetricDefinitions,
+  DEFAULT_METRIC_DEFINITIONS,
+  BLOCKED_JQL_PRESETS
+} from '../../../../src/domain/entities/MetricDefinitions.js';
+
+describe('MetricDefinitions Should', () => {
+  describe('Metric JQL', () => {
+    test('ReproduceOriginalQueriesByDefault', () => {
+      // Given
+      const definitions = MetricDefinitions.default();
+
+      // When & Then
+      expect(definitions.getMetricNames()).toEqual(['overdueIssues', 'blockedIssues', 'highPriorityIssues', 'openBugs']);
+      expect(definitions.getJql('blockedIssues', 'PAY')).toBe('status = "Blocked" AND resolution is EMPTY');
+    });
+
+    test('ApplyProjectOverrideOnlyToThatProject', () => {
+      // Given
+      const definitions = new MetricDefinitions({
+        ...DEFAULT_METRIC_DEFINITIONS,
+        projectOverrides: { PAY: { blockedIssues: BLOCKED_JQL_PRESETS.flagged } }
+      });
+
+      // When & Then
+      expect(definitions.getJql('blockedIssues', 'PAY')).toBe('flagged = "Impediment" AND resolution is EMPTY');
+      expect(definitions.getJql('blockedIssues', 'WEB')).toBe('status = "Blocked" AND resolution is EMPTY');
+      expect(definitions.getAllJql()).toHaveLength(5);
+    });
+
+    test('ChangeRevisionWhenJqlChanges', () => {
+      // Given
+      const edited = new MetricDefinitions({
+        metrics: { ...DEFAULT_METRIC_DEFINITIONS.metrics, blockedIssues: { jql: 'cf[10021] = "Yes"' } }
+      });
+
+      // When & Then
+      expect(edited.revision).not.toBe(MetricDefinitions.default().revision);
+      expect(MetricDefinitions.default().revision).toBe(MetricDefinitions.default().revision);
+    });
+  });
+
+  describe('Validation', () => {
+    test('RejectDefinitionsWithoutMetrics', () => {
+      expect(() => new MetricDefinitions({ metrics: {} }))
+        .toThrow('Metric definitions require at least one metric');
+    });
+
+    test('RejectEmptyOrOrderedJql', () => {
+      expect(() => new MetricDefinitions({ metrics: { blockedIssues: { jql: ' ' } } }))
+        .toThrow('Metric blockedIssues needs a JQL fragment');
+      expect(() => new MetricDefinitions({ metrics: { blockedIssues: { jql: 'flagged is not EMPTY ORDER BY rank' } } }))
+        .toThrow('Metric blockedIssues JQL must not contain ORDER BY');
+    });
+
+    test('RejectOverridesForUnknownMetricsOrProjects', () => {
+      expect(() => new MetricDefinitions({
+        ...DEFAULT_METRIC_DEFINITIONS,
+        projectOverrides: { PAY: { impededIssues: 'flagged is not EMPTY' } }
+      })).toThrow('Metric override PAY.impededIssues refers to an undefined metric');
+      expect(() => new MetricDefinitions({
+        ...DEFAULT_METRIC_DEFINITIONS,
+        projectOverrides: { 'pay project': { blockedIssues: 'flagged is not EMPTY' } }
+      })).toThrow('Metric override project key pay project is not a valid Jira project key');
+    });
+  });
+});
@@ -0,0 +1,69 @@
+/**
+ * Unit Tests: PermissionMapping - Executive Permission Rules
+ * Behavior-focused tests for permission derivation and validation
+ */
+
+import { PermissionMapping, DEFAULT_PERMISSION_MAPPING } from '../../../../src/domain/entities/PermissionMapping.js';
+
+describe('PermissionMapping Should', () => {
+  const mapping = new PermissionMapping({
+    ownBusinessUnit: ['PORTFOLIO_VIEW', 'DETAILED_METRICS'],
+    groups: {
+      'Finance-Leadership': { permissions: ['PORTFOLIO_VIEW', 'FINANCIAL_DATA'], scope: ['Finance', 'Sales'] }
+    },
+    projectRoles: {
+      Administrators: { permissions: ['PORTFOLIO_VIEW', 'FINANCIAL_DATA'] }
+    }
+  });
+
+  test('GrantOwnBusinessUnitPermissions', () => {
+    expect(mapping.getPermissions({ businessUnit: 'Sales' })).toEqual([
+      { type: 'PORTFOLIO_VIEW', scope: ['Sales'] },
+      { type: 'DETAILED_METRICS', scope: ['Sales'] }
+    ]);
+  });
+
+  test('MatchGroupsRegardlessOfCase', () => {
+    expect(mapping.getPermissions({ businessUnit: 'Sales', groups: ['finance-leadership'] })).toEqual([
+      { type: 'PORTFOLIO_VIEW', scope: ['Sales', 'Finance'] },
+      { type: 'FINANCIAL_DATA', scope: ['Finance', 'Sales'] },
+      { type: 'DETAILED_METRICS', scope: ['Sales'] }
+    ]);
+  });
+
+  test('ScopeProjectRolePermissionsToTheProjectsBusinessUnit', () => {
+    const permissions = mapping.getPermissions({
+      businessUnit: null,
+      projectRoles: [
+        { role: 'Administrators', businessUnit: 'Marketing' },
+        { role: 'Administrators', businessUnit: null },
+        { role: 'Developers', businessUnit: 'Engineering' }
+      ]
+    });
+
+    expect(permissions).toEqual([
+      { type: 'PORTFOLIO_VIEW', scope: ['Marketing'] },
+      { type: 'FINANCIAL_DATA', scope: ['Marketing'] }
+    ]);
+    expect(mapping.getMappedProjectRoles()).toEqual(['Administrators']);
+  });
+
+  test('GrantEverythingToTheCeoGroupByDefault', () => {
+    expect(PermissionMapping.default().getPermissions({ businessUnit: 'Corporate', groups: ['executive-ceo'] })).toEqual([
+      { type: 'PORTFOLIO_VIEW', scope: ['Corporate', 'All_Units'] },
+      { type: 'FINANCIAL_DATA', scope: ['All_Units'] },
+      { type: 'DETAILED_METRICS', scope: ['All_Units'] }
+    ]);
+    expect(PermissionMapping.from(null).toJSON()).toEqual(DEFAULT_PERMISSION_MAPPING);
+  });
+
+  test('RejectInvalidMappings', () => {
+    expect(() => new PermissionMapping('all')).toThrow('Permission mapping must be an object');
+    expect(() => new PermissionMapping({ ownBusinessUnit: 'PORTFOLIO_VIEW' }))
+      .toThrow('Permissions for ownBusinessUnit must be a list');
+    expect(() => new PermissionMapping({ projectRoles: { Administrators: { permissions: ['ADMIN'] } } }))
+      .toThrow('Unknown permissions for project role Administrators: ADMIN');
+    expect(() => new PermissionMapping({ groups: { 'finance-leadership': { permissions: ['FINANCIAL_DATA'], scope: [] } } }))
+      .toThrow('Permission grant for group finance-leadership needs at least one business unit');
+  });
+});
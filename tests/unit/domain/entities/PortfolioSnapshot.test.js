@@ -0,0 +1,97 @@
+/**
+ * Unit Tests: PortfolioSnapshot - Historical Health Records
+ * Behavior-focused tests for dated snapshots and trend deltas
+ */
+
+import { PortfolioSnapshot } from '../../../../src/domain/entities/PortfolioSnapshot.js';
+import { ExecutivePortfolio } from '../../../../src/domain/entities/ExecutivePortfolio.js';
+
+describe('PortfolioSnapshot Should', () => {
+  const capturedAt = new Date('2024-01-15T10:30:00.000Z');
+
+  const createPortfolio = (projects) => new ExecutivePortfolio('exec-ceo-001', { projects });
+
+  test('CapturePortfolioAndPerProjectHealthForTheDay', () => {
+    // Given
+    const portfolio = createPortfolio([
+      { key: 'WEB', name: 'Website', overdueIssues: 0, blockedIssues: 0, highPriorityIssues: 0 },
+      { key: 'PAY', name: 'Payments', overdueIssues: 7, blockedIssues: 0, highPriorityIssues: 0 },
+      { key: 'CRM', name: 'CRM', overdueIssues: 2, blockedIssues: 2, highPriorityIssues: 3 }
+    ]);
+
+    // When
+    const snapshot = PortfolioSnapshot.fromPortfolio(portfolio, capturedAt);
+
+    // Then
+    expect(snapshot.date).toBe('2024-01-15');
+    expect(snapshot.scoringPolicy).toEqual({ id: 'default', version: '1.0.0' });
+    expect(snapshot.portfolio).toEqual({
+      totalProjects: 3,
+      healthScore: 83,
+      onTrackProjects: 3,
+      atRiskProjects: 0,
+      criticalAlerts: 1
+    });
+    expect(snapshot.getProject('PAY')).toEqual({
+      key: 'PAY',
+      name: 'Payments',
+      healthScore: 70,
+      normalisedHealthScore: null,
+      sizeBand: null,
+      status: 'Critical',
+      criticalReason: '7 overdue issues',
+      metrics: { overdueIssues: 7, blockedIssues: 0, highPriorityIssues: 0 },
+      unavailableMetrics: []
+    });
+    expect(snapshot.getProject('CRM').status).toBe('On Track');
+  });
+
+  test('CalculateDeltasAgainstEarlierSnapshot', () => {
+    // Given
+    const previous = new PortfolioSnapshot({
+      executiveId: 'exec-ceo-001',
+      date: '2024-01-14',
+      portfolio: { healthScore: 70, onTrackProjects: 1, atRiskProjects: 2, criticalAlerts: 2 }
+    });
+    const current = new PortfolioSnapshot({
+      executiveId: 'exec-ceo-001',
+      date: '2024-01-15',
+      portfolio: { healthScore: 62, onTrackProjects: 0, atRiskProjects: 3, criticalAlerts: 3 }
+    });
+
+    // When
+    const delta = current.deltaFrom(previous);
+
+    // Then
+    expect(delta).toEqual({
+      healthScore: -8,
+      onTrackProjects: -1,
+      atRiskProjects: 1,
+      criticalAlerts: 1,
+      comparedTo: '2024-01-14'
+    });
+  });
+
+  test('ReturnNoDeltaWithoutBaseline', () => {
+    const snapshot = PortfolioSnapshot.fromPortfolio(createPortfolio([]), capturedAt);
+    expect(snapshot.deltaFrom(null)).toBeNull();
+  });
+
+  test('RoundTripThroughStoredRepresentation', () => {
+    // Given
+    const snapshot = PortfolioSnapshot.fromPortfolio(createPortfolio([]), capturedAt);
+
+    // When
+    const restored = PortfolioSnapshot.fromJSON(JSON.parse(JSON.stringify(snapshot)));
+
+    // Then
+    expect(restored).toBeInstanceOf(PortfolioSnapshot);
+    expect(restored.toJSON()).toEqual(snapshot.toJSON());
+    expect(PortfolioSnapshot.fromJSON(undefined)).toBeNull();
+  });
+
+  test('ShiftSnapshotDatesAcrossMonthBoundaries', () => {
+    expect(PortfolioSnapshot.shiftDate('2024-03-01', -1)).toBe('2024-02-29');
+    expect(PortfolioSnapshot.shiftDate('2024-01-03', -7)).toBe('2023-12-27');
+  });
+});
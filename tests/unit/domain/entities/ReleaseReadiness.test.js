@@ -0,0 +1,131 @@
+/**
+ * Unit Tests: ReleaseReadiness - Go/No-Go Verdicts per fixVersion
+ * Behavior-focused tests for readiness rules as release dates approach
+ */
+
+import { ReleaseReadiness, READINESS_VERDICTS } from '../../../../src/domain/entities/ReleaseReadiness.js';
+
+describe('ReleaseReadiness Should', () => {
+  const asOf = new Date('2024-03-01T09:00:00.000Z');
+
+  const release = (name, numbers) => ({
+    id: name,
+    name,
+    releaseDate: '2024-03-31',
+    openIssues: 0,
+    doneIssues: 10,
+    blockedIssues: 0,
+    highPriorityBugs: 0,
+    ...numbers
+  });
+
+  const readinessOf = (...releases) => new ReleaseReadiness('exec-ceo-001', {
+    projects: [{ key: 'PAY', name: 'Payments', releases }],
+    asOf
+  });
+
+  test('MarkNearlyDoneReleaseWithoutProblemsReady', () => {
+    // Given
+    const readiness = readinessOf(release('2.0', { releaseDate: '2024-03-05', openIssues: 1, doneIssues: 19 }));
+
+    // When
+    const [assessment] = readiness.getReleaseBreakdown();
+
+    // Then
+    expect(assessment).toEqual({
+      projectKey: 'PAY',
+      projectName: 'Payments',
+      id: '2.0',
+      name: '2.0',
+      releaseDate: '2024-03-05',
+      daysToRelease: 4,
+      openIssues: 1,
+      doneIssues: 19,
+      completion: 0.95,
+      blockedIssues: 0,
+      highPriorityBugs: 0,
+      verdict: READINESS_VERDICTS.READY,
+      reasons: []
+    });
+  });
+
+  test('MarkReleaseWithBlockersInFinalWeekNotReady', () => {
+    // Given
+    const readiness = readinessOf(release('2.0', { releaseDate: '2024-03-06', openIssues: 5, doneIssues: 15, blockedIssues: 2 }));
+
+    // When
+    const [assessment] = readiness.getReleaseBreakdown();
+
+    // Then
+    expect(assessment.verdict).toBe(READINESS_VERDICTS.NOT_READY);
+    expect(assessment.reasons).toEqual(['2 blocked issues', 'Only 75% done 5 days before release']);
+  });
+
+  test('MarkPassedReleaseWithOpenWorkNotReady', () => {
+    // Given
+    const readiness = readinessOf(release('1.9', { releaseDate: '2024-02-28', openIssues: 3 }));
+
+    // When
+    const [assessment] = readiness.getReleaseBreakdown();
+
+    // Then
+    expect(assessment.daysToRelease).toBe(-2);
+    expect(assessment.verdict).toBe(READINESS_VERDICTS.NOT_READY);
+    expect(assessment.reasons).toEqual(['Release date passed 2 days ago with 3 open issues']);
+  });
+
+  test('FlagDistantReleaseWithHighPriorityBugsAtRisk', () => {
+    // Given
+    const readiness = readinessOf(release('3.0', { openIssues: 40, doneIssues: 10, highPriorityBugs: 1 }));
+
+    // When
+    const [assessment] = readiness.getReleaseBreakdown();
+
+    // Then
+    expect(assessment.verdict).toBe(READINESS_VERDICTS.AT_RISK);
+    expect(assessment.reasons).toEqual(['1 unresolved high priority bugs']);
+  });
+
+  test('FlagReleaseBehindScheduleWithinTwoWeeksAtRisk', () => {
+    // Given
+    const readiness = readinessOf(release('2.1', { releaseDate: '2024-03-12', openIssues: 3, doneIssues: 7 }));
+
+    // When
+    const [assessment] = readiness.getReleaseBreakdown();
+
+    // Then
+    expect(assessment.verdict).toBe(READINESS_VERDICTS.AT_RISK);
+    expect(assessment.reasons).toEqual(['Only 70% done 11 days before release']);
+  });
+
+  test('ApplyCustomReadinessRules', () => {
+    // Given
+    const readiness = new ReleaseReadiness('exec-ceo-001', {
+      projects: [{ key: 'PAY', name: 'Payments', releases: [release('2.1', { releaseDate: '2024-03-12', openIssues: 3, doneIssues: 7 })] }],
+      asOf
+    }, { notReadyWithinDays: 14 });
+
+    // When
+    const [assessment] = readiness.getReleaseBreakdown();
+
+    // Then
+    expect(assessment.verdict).toBe(READINESS_VERDICTS.NOT_READY);
+  });
+
+  test('OrderSoonestReleaseFirstAndUndatedLast', () => {
+    // Given
+    const readiness = readinessOf(
+      release('Someday', { releaseDate: null }),
+      release('3.0', { releaseDate: '2024-04-30' }),
+      release('2.0', { releaseDate: '2024-03-05', openIssues: 4, doneIssues: 6, blockedIssues: 1 })
+    );
+
+    // When
+    const breakdown = readiness.getReleaseBreakdown();
+    const summary = readiness.getReadinessSummary();
+
+    // Then
+    expect(breakdown.map(assessment => assessment.name)).toEqual(['2.0', '3.0', 'Someday']);
+    expect(summary).toEqual({ totalReleases: 3, ready: 2, atRisk: 0, notReady: 1 });
+  });
+});
@@ -0,0 +1,47 @@
+/**
+ * Unit Tests: StrategicWeights - Project Strategic Importance
+ * Behavior-focused tests for tier resolution and validation
+ */
+
+import { StrategicWeights, DEFAULT_STRATEGIC_WEIGHTS } from '../../../../src/domain/entities/StrategicWeights.js';
+
+describe('StrategicWeights Should', () => {
+  const weights = new StrategicWeights({
+    ...DEFAULT_STRATEGIC_WEIGHTS,
+    projects: { PAY: 'Flagship', WIKI: 0.25 }
+  });
+
+  test('PreferConfiguredAssignmentOverProjectProperty', () => {
+    expect(weights.getAssignment('PAY', { tier: 'Supporting' })).toEqual({ tier: 'Flagship', weight: 3, source: 'configuration' });
+    expect(weights.getAssignment('WIKI')).toEqual({ tier: null, weight: 0.25, source: 'configuration' });
+  });
+
+  test('ReportWhichProjectsHaveAStoredAssignment', () => {
+    expect(weights.isAssigned('PAY')).toBe(true);
+    expect(weights.isAssigned('WIKI')).toBe(true);
+    expect(weights.isAssigned('OPS')).toBe(false);
+  });
+
+  test('ReadTierOrWeightFromProjectProperty', () => {
+    expect(weights.getAssignment('CRM', { tier: 'Core' })).toEqual({ tier: 'Core', weight: 2, source: 'project property' });
+    expect(weights.getAssignment('ERP', { weight: 2.5 })).toEqual({ tier: null, weight: 2.5, source: 'project property' });
+  });
+
+  test('FallBackToDefaultTierForMissingOrUnusableProperty', () => {
+    expect(weights.getAssignment('OPS')).toEqual({ tier: 'Standard', weight: 1, source: 'default' });
+    expect(weights.getAssignment('OPS', { tier: 'Galactic' })).toEqual({ tier: 'Standard', weight: 1, source: 'default' });
+    expect(weights.getAssignment('OPS', { weight: -2 })).toEqual({ tier: 'Standard', weight: 1, source: 'default' });
+  });
+
+  test('RejectInvalidWeights', () => {
+    expect(() => new StrategicWeights({ tiers: {} })).toThrow('Strategic weights require at least one tier');
+    expect(() => new StrategicWeights({ ...DEFAULT_STRATEGIC_WEIGHTS, tiers: { Flagship: 0 } }))
+      .toThrow('Strategic tier Flagship needs a positive weight');
+    expect(() => new StrategicWeights({ ...DEFAULT_STRATEGIC_WEIGHTS, defaultTier: 'Minor' }))
+      .toThrow('Default strategic tier Minor is not a defined tier');
+    expect(() => new StrategicWeights({ ...DEFAULT_STRATEGIC_WEIGHTS, projects: { PAY: 'Galactic' } }))
+      .toThrow('Project PAY needs a defined tier or a positive weight');
+    expect(() => new StrategicWeights({ ...DEFAULT_STRATEGIC_WEIGHTS, projects: { 'pay-1': 2 } }))
+      .toThrow('Strategic weight project key pay-1 is not a valid Jira project key');
+  });
+});
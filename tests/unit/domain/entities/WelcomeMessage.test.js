@@ -0,0 +1,96 @@
+/**
+ * Unit Tests: WelcomeMessage - Executive Welcome Business Logic
+ * Behavior-focused tests for the business-requirements welcome scenarios
+ */
+
+import { WelcomeMessage } from '../../../../src/domain/entities/WelcomeMessage.js';
+
+describe('WelcomeMessage Should', () => {
+  const welcomeText = 'Welcome to Executive Flash News Plugin';
+
+  describe('Scenario 1: First-time Executive User', () => {
+    test('ExplainValueWithRoleSpecificBenefits', () => {
+      // Given
+      const welcome = new WelcomeMessage(welcomeText, '1.0.0', 'CTO', {
+        executiveName: 'Dana',
+        isFirstVisit: true,
+        projectCount: 12,
+        attentionCount: 3,
+        criticalCount: 1
+      });
+
+      // When & Then
+      expect(welcome.getScenario()).toBe('FIRST_TIME');
+      expect(welcome.generatePersonalizedMessage()).toBe(
+        'Technical Overview: Welcome to Executive Flash News Plugin, Dana. ' +
+        'Flash News will track your 12 projects and brief you daily on technical debt and blocked work.'
+      );
+      expect(welcome.getUrgencyIndicator().level).toBe('CRITICAL');
+    });
+  });
+
+  describe('Scenario 2: Returning Executive with Active Projects', () => {
+    test('HighlightProjectCountAndItemsNeedingAttention', () => {
+      // Given
+      const welcome = new WelcomeMessage(welcomeText, '1.0.0', 'Head of Delivery', {
+        executiveName: 'Sam',
+        projectCount: 8,
+        attentionCount: 2
+      });
+
+      // When
+      const data = welcome.toJSON();
+
+      // Then
+      expect(data.scenario).toBe('RETURNING');
+      expect(data.message).toBe(
+        'Delivery Status: Welcome to Executive Flash News Plugin, Sam. Your portfolio has 8 projects; 2 need attention.'
+      );
+      expect(data.projectCount).toBe(8);
+      expect(data.attentionCount).toBe(2);
+      expect(data.urgency).toEqual({ level: 'ATTENTION', label: 'Needs attention', icon: '🟠', appearance: 'moved' });
+    });
+  });
+
+  describe('Scenario 3: Executive with Critical Alerts', () => {
+    test('DisplayUrgentItemsCountWithUrgencyIndicator', () => {
+      // Given
+      const welcome = new WelcomeMessage(welcomeText, '1.0.0', 'CEO', {
+        executiveName: 'Alex',
+        projectCount: 1,
+        attentionCount: 1,
+        criticalCount: 1
+      });
+
+      // When
+      const data = welcome.toJSON();
+
+      // Then
+      expect(data.scenario).toBe('CRITICAL_ALERTS');
+      expect(data.message).toBe(
+        'Executive Summary: Welcome to Executive Flash News Plugin, Alex. 1 critical alert needs your attention across 1 project.'
+      );
+      expect(data.urgency.icon).toBe('🔴');
+      expect(data.isExecutive).toBe(true);
+    });
+  });
+
+  describe('Version and Role Handling', () => {
+    test('FormatVersionOnce', () => {
+      expect(new WelcomeMessage(welcomeText, '1.0.0').getFormattedVersion()).toBe('v1.0.0');
+      expect(new WelcomeMessage(welcomeText, 'v2.1.0').getFormattedVersion()).toBe('v2.1.0');
+    });
+
+    test('ShowPlainWelcomeForNonExecutives', () => {
+      // Given
+      const welcome = new WelcomeMessage(welcomeText, '1.0.0', 'User', {
+        timestamp: '2024-01-15T10:30:00.000Z'
+      });
+
+      // When & Then
+      expect(welcome.isExecutiveUser()).toBe(false);
+      expect(welcome.toJSON()).toMatchObject(global.testData.defaultWelcomeMessage);
+      expect(welcome.getUrgencyIndicator().level).toBe('NORMAL');
+    });
+  });
+});
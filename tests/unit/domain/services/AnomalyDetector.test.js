@@ -0,0 +1,106 @@
+/**
+ * Unit Tests: AnomalyDetector - Metric Spikes Against a Project's Own Baseline
+ * Behavior-focused tests for median-absolute-deviation bands over snapshot history
+ */
+
+import { AnomalyDetector } from '../../../../src/domain/services/AnomalyDetector.js';
+import { PortfolioSnapshot } from '../../../../src/domain/entities/PortfolioSnapshot.js';
+
+describe('AnomalyDetector Should', () => {
+  let detector;
+
+  const snapshot = (day, projects) => new PortfolioSnapshot({
+    executiveId: 'exec-ceo-001',
+    date: `2024-01-${String(day).padStart(2, '0')}`,
+    portfolio: {},
+    projects: Object.entries(projects).map(([key, metrics]) => ({
+      key,
+      metrics: { overdueIssues: 0, blockedIssues: 0, highPriorityIssues: 0, ...metrics }
+    }))
+  });
+
+  const history = (readingsByProject) => {
+    const days = Object.values(readingsByProject)[0].length;
+    return Array.from({ length: days }, (_, index) => snapshot(index + 1, Object.entries(readingsByProject)
+      .reduce((projects, [key, readings]) => ({ ...projects, [key]: readings[index] }), {})));
+  };
+
+  beforeEach(() => {
+    detector = new AnomalyDetector();
+  });
+
+  test('FlagSpikeInSmallProjectBelowGlobalThresholds', () => {
+    // Given - a small project that usually has no blocked issues suddenly has four
+    const earlier = history({ PAY: Array(10).fill({ blockedIssues: 0 }) });
+    const current = snapshot(20, { PAY: { blockedIssues: 4 } });
+
+    // When
+    const anomalies = detector.detect(current, earlier);
+
+    // Then
+    expect(anomalies).toEqual([{
+      projectKey: 'PAY',
+      metric: 'blockedIssues',
+      value: 4,
+      baselineMedian: 0,
+      baselineSnapshots: 10,
+      deviation: 4
+    }]);
+  });
+
+  test('IgnoreNormalFluctuationInLargeProject', () => {
+    // Given - a large project whose overdue count routinely moves by tens
+    const readings = [180, 210, 195, 230, 170, 205, 220, 190, 185, 215].map(overdueIssues => ({ overdueIssues }));
+    const earlier = history({ ERP: readings });
+
+    // When
+    const steady = detector.detect(snapshot(20, { ERP: { overdueIssues: 240 } }), earlier);
+    const spike = detector.detect(snapshot(20, { ERP: { overdueIssues: 300 } }), earlier);
+
+    // Then
+    expect(steady).toEqual([]);
+    expect(spike).toMatchObject([{ projectKey: 'ERP', metric: 'overdueIssues', baselineMedian: 200 }]);
+  });
+
+  test('WaitForEnoughHistoryBeforeJudging', () => {
+    // Given
+    const earlier = history({ PAY: Array(4).fill({ highPriorityIssues: 0 }) });
+
+    // When
+    const anomalies = detector.detect(snapshot(20, { PAY: { highPriorityIssues: 9 } }), earlier);
+
+    // Then
+    expect(anomalies).toEqual([]);
+  });
+
+  test('UseOnlyRecentEarlierSnapshotsAsBaseline', () => {
+    // Given - an old quiet period followed by a sustained higher level
+    const readings = [...Array(10).fill({ overdueIssues: 0 }), ...Array(5).fill({ overdueIssues: 6 })];
+    const earlier = history({ PAY: readings });
+    detector = new AnomalyDetector({ baselineSnapshots: 5 });
+
+    // When
+    const anomalies = detector.detect(snapshot(20, { PAY: { overdueIssues: 7 } }), earlier);
+
+    // Then
+    expect(anomalies).toEqual([]);
+  });
+
+  test('OrderLargestDeviationFirst', () => {
+    // Given
+    const earlier = history({
+      PAY: Array(6).fill({ blockedIssues: 1 }),
+      WEB: Array(6).fill({ overdueIssues: 2 })
+    });
+    const current = snapshot(20, { PAY: { blockedIssues: 4 }, WEB: { overdueIssues: 12 } });
+
+    // When
+    const anomalies = detector.detect(current, earlier);
+
+    // Then
+    expect(anomalies.map(anomaly => [anomaly.projectKey, anomaly.metric])).toEqual([
+      ['WEB', 'overdueIssues'],
+      ['PAY', 'blockedIssues']
+    ]);
+  });
+});
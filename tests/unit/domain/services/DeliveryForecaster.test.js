@@ -0,0 +1,116 @@
+/**
+ * Unit Tests: DeliveryForecaster - Monte Carlo Delivery Forecasts
+ * Behavior-focused tests with deterministic throughput and random sources
+ */
+
+import { DeliveryForecaster } from '../../../../src/domain/services/DeliveryForecaster.js';
+
+describe('DeliveryForecaster Should', () => {
+  const today = new Date('2024-03-01T09:00:00.000Z');
+  const release = { type: 'version', id: '10001', name: '2.0', targetDate: '2024-03-04', remainingIssues: 10 };
+
+  const sequence = (...values) => {
+    let index = 0;
+    return () => values[index++ % values.length];
+  };
+
+  test('ProjectCompletionFromSteadyThroughput', () => {
+    // Given
+    const forecaster = new DeliveryForecaster({ trials: 20 });
+
+    // When
+    const forecast = forecaster.forecast(release, [2, 2, 2], today);
+
+    // Then - five days at two issues a day
+    expect(forecast).toMatchObject({
+      completionDates: { p50: '2024-03-06', p85: '2024-03-06', p95: '2024-03-06' },
+      targetDate: '2024-03-04',
+      daysLate: 2,
+      slipping: true
+    });
+  });
+
+  test('SpreadConfidenceLevelsWhenThroughputVaries', () => {
+    // Given
+    const forecaster = new DeliveryForecaster({ trials: 200, random: sequence(0.1, 0.5, 0.9, 0.3, 0.7, 0.2) });
+
+    // When
+    const forecast = forecaster.forecast({ ...release, targetDate: '2024-12-31' }, [0, 1, 4], today);
+
+    // Then
+    const { p50, p85, p95 } = forecast.completionDates;
+    expect(p50 <= p85 && p85 <= p95).toBe(true);
+    expect(forecast.slipping).toBe(false);
+    expect(forecast.daysLate).toBeLessThan(0);
+  });
+
+  test('NotForecastWithoutAnyResolvedIssues', () => {
+    // When
+    const forecast = new DeliveryForecaster().forecast(release, [0, 0, 0], today);
+
+    // Then
+    expect(forecast).toMatchObject({
+      completionDates: null,
+      slipping: false,
+      reason: 'No issues resolved in the throughput history'
+    });
+  });
+
+  test('FlagCommittedScopesWithoutThroughputHistory', () => {
+    // Given
+    const forecaster = new DeliveryForecaster();
+
+    // When
+    const committed = forecaster.forecast(release, [], today);
+    const uncommitted = forecaster.forecast({ ...release, targetDate: null }, [0, 0], today);
+
+    // Then
+    expect(committed).toMatchObject({ completionDates: null, risk: 'NO_THROUGHPUT_HISTORY' });
+    expect(uncommitted.risk).toBeNull();
+  });
+
+  test('TreatFinishedScopeAsCompleteToday', () => {
+    // When
+    const forecast = new DeliveryForecaster().forecast({ ...release, remainingIssues: 0 }, [], today);
+
+    // Then
+    expect(forecast.completionDates).toEqual({ p50: '2024-03-01', p85: '2024-03-01', p95: '2024-03-01' });
+    expect(forecast.slipping).toBe(false);
+  });
+
+  test('FlagScopesThatDoNotFinishWithinTheHorizon', () => {
+    // Given
+    const forecaster = new DeliveryForecaster({ trials: 10, maxForecastDays: 30 });
+
+    // When
+    const forecast = forecaster.forecast({ ...release, remainingIssues: 100 }, [1], today);
+
+    // Then
+    expect(forecast).toMatchObject({
+      completionDates: { p50: null, p85: null, p95: null },
+      slipping: true,
+      reason: '85% forecast beyond 30 days'
+    });
+  });
+
+  test('NeverSlipWithoutTargetDate', () => {
+    // When
+    const forecast = new DeliveryForecaster({ trials: 5 }).forecast({ ...release, targetDate: null }, [1], today);
+
+    // Then
+    expect(forecast).toMatchObject({ targetDate: null, daysLate: null, slipping: false });
+    expect(forecast.completionDates.p85).toBe('2024-03-11');
+  });
+
+  test('CapTheTrialsOfOneForecast', () => {
+    // Given
+    let draws = 0;
+    const forecaster = new DeliveryForecaster({ trials: 1000000, random: () => { draws++; return 0; } });
+
+    // When
+    forecaster.forecast({ ...release, remainingIssues: 1 }, [1], today);
+
+    // Then - one draw finishes each trial
+    expect(draws).toBe(1000);
+  });
+});
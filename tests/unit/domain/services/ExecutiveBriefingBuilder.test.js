@@ -0,0 +1,113 @@
+/**
+ * Unit Tests: ExecutiveBriefingBuilder - Role-Specific Briefings
+ * Behavior-focused tests for the metrics, alerts and wording each role sees
+ */
+
+import { ExecutiveBriefingBuilder } from '../../../../src/domain/services/ExecutiveBriefingBuilder.js';
+import { ExecutivePortfolio } from '../../../../src/domain/entities/ExecutivePortfolio.js';
+
+describe('ExecutiveBriefingBuilder Should', () => {
+  let builder;
+  let portfolio;
+
+  beforeEach(() => {
+    builder = new ExecutiveBriefingBuilder();
+    portfolio = new ExecutivePortfolio('exec-001', {
+      projects: [
+        { key: 'WEB', name: 'Website', overdueIssues: 0, blockedIssues: 0, highPriorityIssues: 0 },
+        { key: 'PAY', name: 'Payments', overdueIssues: 9, blockedIssues: 0, highPriorityIssues: 0 },
+        { key: 'API', name: 'Platform API', overdueIssues: 6, blockedIssues: 5, highPriorityIssues: 4, openBugs: 12 }
+      ]
+    });
+  });
+
+  test('FocusCeoOnStrategicRisk', () => {
+    // When
+    const briefing = builder.build('CEO', portfolio);
+
+    // Then
+    expect(briefing.greeting).toBe('Executive Summary');
+    expect(briefing.focus).toBe('Strategic risk');
+    expect(briefing.headline).toBe('2 of 3 projects put strategic delivery at risk');
+    expect(briefing.keyMetrics[0]).toEqual({ label: 'Portfolio health', value: '72%' });
+    expect(briefing.alerts.map(alert => alert.projectKey)).toEqual(['API', 'PAY']);
+  });
+
+  test('FocusCtoOnBlockedWorkAndTechnicalIssues', () => {
+    // When
+    const briefing = builder.build('CTO', portfolio);
+
+    // Then
+    expect(briefing.greeting).toBe('Technical Overview');
+    expect(briefing.headline).toBe('5 blocked and 4 high-priority issues need engineering attention');
+    expect(briefing.keyMetrics).toEqual([
+      { label: 'Blocked issues', value: 5 },
+      { label: 'Unresolved high-priority issues', value: 4 },
+      { label: 'Projects with blocked work', value: 1 },
+      { label: 'Open bugs', value: 12 }
+    ]);
+    expect(briefing.alerts.map(alert => alert.projectKey)).toEqual(['API']);
+  });
+
+  test('FocusHeadOfDeliveryOnCommitments', () => {
+    // When
+    const briefing = builder.build('HEAD_OF_DELIVERY', portfolio);
+
+    // Then
+    expect(briefing.greeting).toBe('Delivery Status');
+    expect(briefing.headline).toBe('15 overdue issues threaten commitments in 2 projects');
+    expect(briefing.keyMetrics[0]).toEqual({ label: 'Projects on track', value: '2 of 3' });
+    expect(briefing.alerts.map(alert => alert.projectKey)).toEqual(['PAY', 'API']);
+  });
+
+  test('FocusHeadOfDeliveryOnSayDoRatioOnceSprintsAreMeasured', () => {
+    // Given
+    const team = (boardId, sayDoRatio) => ({ boardId, boardName: `Team ${boardId}`, unit: 'points', sayDoRatio, sprints: [] });
+    const measuredPortfolio = new ExecutivePortfolio('exec-001', {
+      projects: [
+        { key: 'WEB', name: 'Website', overdueIssues: 0, blockedIssues: 0, highPriorityIssues: 0, commitmentReliability: [team(1, 0.9)] },
+        { key: 'PAY', name: 'Payments', overdueIssues: 9, blockedIssues: 0, highPriorityIssues: 0, commitmentReliability: [team(2, 0.75)] },
+        { key: 'API', name: 'Platform API', overdueIssues: 6, blockedIssues: 5, highPriorityIssues: 4, commitmentReliability: [team(2, 0.75), team(3, 0.5)] }
+      ]
+    });
+
+    // When
+    const briefing = builder.build('HEAD_OF_DELIVERY', measuredPortfolio);
+
+    // Then
+    expect(briefing.headline).toBe('Teams deliver 72% of what they commit to; 2 of 3 fall short of 80%');
+    expect(briefing.keyMetrics.slice(0, 2)).toEqual([
+      { label: 'Commitment reliability (say/do)', value: '72%' },
+      { label: 'Teams below commitment target', value: '2 of 3' }
+    ]);
+    expect(briefing.alerts.map(alert => alert.projectKey)).toEqual(['API', 'PAY']);
+  });
+
+  test('UseGenericBriefingForUnknownRoles', () => {
+    // Given
+    const news = [{ id: 'a' }, { id: 'b' }, { id: 'c' }, { id: 'd' }];
+
+    // When
+    const briefing = builder.build('CFO', portfolio, news);
+
+    // Then
+    expect(briefing.role).toBe('EXECUTIVE');
+    expect(briefing.greeting).toBe('Portfolio Briefing');
+    expect(briefing.news).toHaveLength(3);
+  });
+
+  test('ReassureWhenNothingNeedsAttention', () => {
+    // Given
+    const calmPortfolio = new ExecutivePortfolio('exec-001', {
+      projects: [{ key: 'WEB', name: 'Website', overdueIssues: 0, blockedIssues: 0, highPriorityIssues: 0 }]
+    });
+
+    // When & Then
+    expect(builder.build('CEO', calmPortfolio).headline)
+      .toBe('All 1 projects are within acceptable strategic risk');
+    expect(builder.build('CTO', calmPortfolio).headline)
+      .toBe('No blocked work or high-priority technical issues across the portfolio');
+    expect(builder.build('HEAD_OF_DELIVERY', calmPortfolio).headline)
+      .toBe('All 1 projects are meeting their commitments');
+  });
+});
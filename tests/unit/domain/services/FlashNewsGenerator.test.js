@@ -0,0 +1,163 @@
+/**
+ * Unit Tests: FlashNewsGenerator - Metric Changes as Business Headlines
+ * Behavior-focused tests for headline wording and ranking
+ */
+
+import { FlashNewsGenerator } from '../../../../src/domain/services/FlashNewsGenerator.js';
+import { PortfolioSnapshot } from '../../../../src/domain/entities/PortfolioSnapshot.js';
+
+describe('FlashNewsGenerator Should', () => {
+  let generator;
+
+  const project = (key, healthScore, status, metrics = {}, criticalReason = null) => ({
+    key,
+    name: key,
+    healthScore,
+    status,
+    criticalReason,
+    metrics: { overdueIssues: 0, blockedIssues: 0, highPriorityIssues: 0, ...metrics }
+  });
+
+  const snapshot = (date, healthScore, projects) => new PortfolioSnapshot({
+    executiveId: 'exec-ceo-001',
+    date,
+    portfolio: { healthScore },
+    projects
+  });
+
+  beforeEach(() => {
+    generator = new FlashNewsGenerator();
+  });
+
+  test('ReportProjectBecomingCriticalWithReasonAndWindow', () => {
+    // Given - Monday 2024-01-15 compared with Wednesday 2024-01-17
+    const previous = snapshot('2024-01-15', 80, [project('PAY', 100, 'On Track')]);
+    const current = snapshot('2024-01-17', 80, [
+      project('PAY', 65, 'Critical', { overdueIssues: 7 }, '7 overdue issues')
+    ]);
+
+    // When
+    const news = generator.generate(current, previous);
+
+    // Then
+    expect(news).toEqual([{
+      id: 'STATUS_CHANGE:PAY',
+      type: 'STATUS_CHANGE',
+      severity: 'critical',
+      projectKey: 'PAY',
+      headline: 'Project PAY went from On Track to Critical: 7 overdue issues since Monday',
+      score: 335,
+      since: '2024-01-15'
+    }]);
+  });
+
+  test('RankCriticalNewsAboveWarningsAndRecoveries', () => {
+    // Given
+    const previous = snapshot('2024-01-16', 70, [
+      project('PAY', 100, 'On Track'),
+      project('CRM', 40, 'Critical', {}, 'Overall health below 50%'),
+      project('WEB', 90, 'On Track'),
+      project('OPS', 95, 'On Track', { blockedIssues: 1 })
+    ]);
+    const current = snapshot('2024-01-17', 62, [
+      project('PAY', 60, 'At Risk'),
+      project('CRM', 85, 'On Track'),
+      project('WEB', 58, 'Critical', {}, 'Overall health below 50%'),
+      project('OPS', 95, 'On Track', { blockedIssues: 5 })
+    ]);
+
+    // When
+    const news = generator.generate(current, previous);
+
+    // Then
+    expect(news.map(item => item.headline)).toEqual([
+      'Project WEB went from On Track to Critical: Overall health below 50% since yesterday',
+      'Project PAY went from On Track to At Risk: health down 40 points since yesterday',
+      'Portfolio health fell 8 points to 62% since yesterday',
+      'Project OPS has 4 more blocked issues since yesterday',
+      'Project CRM recovered from Critical to On Track since yesterday'
+    ]);
+  });
+
+  test('ReportLargeHealthMovesWithoutStatusChange', () => {
+    // Given
+    const previous = snapshot('2024-01-01', 80, [project('WEB', 95, 'On Track')]);
+    const current = snapshot('2024-01-17', 80, [project('WEB', 75, 'On Track')]);
+
+    // When
+    const [item] = generator.generate(current, previous);
+
+    // Then
+    expect(item.headline).toBe('Project WEB health fell 20 points to 75% since 2024-01-01');
+    expect(item.severity).toBe('warning');
+  });
+
+  test('LimitFeedToConfiguredNumberOfItems', () => {
+    // Given
+    generator = new FlashNewsGenerator({ maxItems: 1 });
+    const previous = snapshot('2024-01-16', 90, [project('PAY', 100, 'On Track'), project('WEB', 100, 'On Track')]);
+    const current = snapshot('2024-01-17', 60, [project('PAY', 60, 'At Risk'), project('WEB', 60, 'At Risk')]);
+
+    // When & Then
+    expect(generator.generate(current, previous)).toHaveLength(1);
+  });
+
+  test('StayQuietWithoutPreviousSnapshotOrChanges', () => {
+    // Given
+    const previous = snapshot('2024-01-16', 90, [project('PAY', 100, 'On Track')]);
+    const current = snapshot('2024-01-17', 90, [project('PAY', 100, 'On Track'), project('NEW', 100, 'On Track')]);
+
+    // When & Then
+    expect(generator.generate(current, null)).toEqual([]);
+    expect(generator.generate(current, previous)).toEqual([]);
+  });
+
+  test('ReportUnusualCountAgainstProjectBaseline', () => {
+    // Given - PAY usually has one blocked issue
+    const history = ['2024-01-10', '2024-01-11', '2024-01-12', '2024-01-13', '2024-01-14', '2024-01-15']
+      .map(date => snapshot(date, 80, [project('PAY', 90, 'On Track', { blockedIssues: 1 })]));
+    const current = snapshot('2024-01-16', 80, [project('PAY', 88, 'On Track', { blockedIssues: 4 })]);
+
+    // When
+    const news = generator.generate(current, history[history.length - 1], history);
+
+    // Then
+    expect(news).toEqual([{
+      id: 'UNUSUAL_METRIC:PAY',
+      type: 'UNUSUAL_METRIC',
+      severity: 'warning',
+      projectKey: 'PAY',
+      headline: 'Project PAY has an unusual 4 blocked issues, usually around 1',
+      score: 203,
+      since: '2024-01-15'
+    }]);
+  });
+
+  test('ReportUnusualCountEvenWhenTheProjectAlsoChangedStatus', () => {
+    // Given - PAY usually has one blocked issue, and its status dropped today
+    const history = ['2024-01-10', '2024-01-11', '2024-01-12', '2024-01-13', '2024-01-14', '2024-01-15']
+      .map(date => snapshot(date, 80, [project('PAY', 90, 'On Track', { blockedIssues: 1 })]));
+    const current = snapshot('2024-01-16', 80, [project('PAY', 65, 'At Risk', { blockedIssues: 9 })]);
+
+    // When
+    const news = generator.generate(current, history[history.length - 1], history);
+
+    // Then
+    expect(news.map(item => item.id)).toEqual(['STATUS_CHANGE:PAY', 'UNUSUAL_METRIC:PAY']);
+    expect(news[0].headline).toBe('Project PAY went from On Track to At Risk: health down 25 points since yesterday');
+    expect(news[1].headline).toBe('Project PAY has an unusual 9 blocked issues, usually around 1');
+  });
+
+  test('RoundTheBaselineOfAnUnusualCount', () => {
+    // Given - PAY alternates between two and three blocked issues, a median of 2.5
+    const history = ['2024-01-10', '2024-01-11', '2024-01-12', '2024-01-13', '2024-01-14', '2024-01-15']
+      .map((date, day) => snapshot(date, 80, [project('PAY', 90, 'On Track', { blockedIssues: 2 + (day % 2) })]));
+    const current = snapshot('2024-01-16', 80, [project('PAY', 88, 'On Track', { blockedIssues: 12 })]);
+
+    // When
+    const news = generator.generate(current, history[history.length - 1], history);
+
+    // Then
+    expect(news[0].headline).toBe('Project PAY has an unusual 12 blocked issues, usually around 3');
+  });
+});
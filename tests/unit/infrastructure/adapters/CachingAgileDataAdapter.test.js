@@ -0,0 +1,51 @@
+/**
+ * Unit Tests: CachingAgileDataAdapter - Cached Jira Software Data Access
+ * Behavior-focused tests with a mocked live adapter and cache
+ */
+
+import { jest } from '@jest/globals';
+import { CachingAgileDataAdapter } from '../../../../src/infrastructure/adapters/CachingAgileDataAdapter.js';
+
+describe('CachingAgileDataAdapter Should', () => {
+  let agileDataPort;
+  let dataCache;
+
+  beforeEach(() => {
+    agileDataPort = {
+      getProjectBoards: jest.fn().mockResolvedValue([{ id: 1, name: 'Payments Team' }]),
+      getClosedSprints: jest.fn().mockResolvedValue([{ id: 10 }]),
+      getSprintReport: jest.fn().mockResolvedValue({ sprintId: 10, committedIssues: 5 })
+    };
+    dataCache = {
+      getOrFetch: jest.fn((scope, type, id, fetchValue) => fetchValue())
+    };
+  });
+
+  test('CacheBoardsSprintsAndReportsPerExecutive', async () => {
+    // Given
+    const adapter = new CachingAgileDataAdapter(agileDataPort, dataCache, { executiveId: 'exec-1' });
+
+    // When
+    await adapter.getProjectBoards('PAY');
+    await adapter.getClosedSprints(1, { limit: 6 });
+    const report = await adapter.getSprintReport(1, { id: 10, name: 'Sprint 10' });
+
+    // Then
+    expect(report).toEqual({ sprintId: 10, committedIssues: 5 });
+    expect(dataCache.getOrFetch).toHaveBeenCalledWith('exec-1', 'boards', 'PAY', expect.any(Function));
+    expect(dataCache.getOrFetch).toHaveBeenCalledWith('exec-1', 'sprints', '1.6', expect.any(Function));
+    expect(dataCache.getOrFetch).toHaveBeenCalledWith('exec-1', 'sprintReports', '1.10', expect.any(Function));
+  });
+
+  test('ReadLiveDataWithoutExecutiveScope', async () => {
+    // Given
+    const adapter = new CachingAgileDataAdapter(agileDataPort, dataCache);
+
+    // When
+    await adapter.getProjectBoards('PAY');
+
+    // Then
+    expect(agileDataPort.getProjectBoards).toHaveBeenCalledWith('PAY');
+    expect(dataCache.getOrFetch).not.toHaveBeenCalled();
+  });
+});
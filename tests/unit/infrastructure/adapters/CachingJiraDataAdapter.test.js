@@ -0,0 +1,192 @@
+/**
+ * Unit Tests: CachingJiraDataAdapter - Cached Jira Data Access
+ * Behavior-focused tests with a mocked live adapter and cache
+ */
+
+import { jest } from '@jest/globals';
+import { CachingJiraDataAdapter } from '../../../../src/infrastructure/adapters/CachingJiraDataAdapter.js';
+import { MetricDefinitions } from '../../../../src/domain/entities/MetricDefinitions.js';
+
+describe('CachingJiraDataAdapter Should', () => {
+  let jiraDataPort;
+  let dataCache;
+
+  beforeEach(() => {
+    jiraDataPort = {
+      getCurrentUser: jest.fn().mockResolvedValue({ accountId: 'exec-1', displayName: 'Alex' }),
+      getExecutiveProjects: jest.fn().mockResolvedValue([{ key: 'PAY' }]),
+      getPortfolioHealthMetrics: jest.fn().mockResolvedValue({ PAY: { overdueIssues: 2 } }),
+      hasAdminPermission: jest.fn().mockResolvedValue(true),
+      getUserGroups: jest.fn().mockResolvedValue(['sales-leadership']),
+      getProjectRoleMembers: jest.fn().mockResolvedValue({
+        PAY: { Administrators: { accountIds: ['exec-2'], groups: [] } }
+      })
+    };
+    dataCache = {
+      getOrFetch: jest.fn((scope, type, id, fetchValue) => fetchValue()),
+      getManyOrFetch: jest.fn((scope, type, ids, fetchValues) => fetchValues(ids))
+    };
+  });
+
+  test('ScopeCacheEntriesToExecutiveFromContext', async () => {
+    // Given
+    const adapter = new CachingJiraDataAdapter(jiraDataPort, dataCache, { executiveId: 'exec-1' });
+
+    // When
+    await adapter.getExecutiveProjects({ categoryId: 10000 });
+    await adapter.getPortfolioHealthMetrics(['PAY']);
+
+    // Then
+    expect(dataCache.getOrFetch).toHaveBeenCalledWith('exec-1', 'projects', '10000.any.live', expect.any(Function));
+    expect(dataCache.getManyOrFetch).toHaveBeenCalledWith(
+      'exec-1', 'metrics', [`PAY.${MetricDefinitions.default().revision}`], expect.any(Function)
+    );
+    expect(jiraDataPort.getCurrentUser).not.toHaveBeenCalled();
+  });
+
+  test('LearnExecutiveScopeFromJiraWhenContextHasNone', async () => {
+    // Given
+    const adapter = new CachingJiraDataAdapter(jiraDataPort, dataCache);
+
+    // When
+    await adapter.getExecutiveProjects();
+    await adapter.getCurrentUser();
+
+    // Then
+    expect(dataCache.getOrFetch).toHaveBeenCalledWith('exec-1', 'projects', 'any.any.live', expect.any(Function));
+    expect(dataCache.getOrFetch).toHaveBeenCalledWith('exec-1', 'user', 'current', expect.any(Function));
+    expect(jiraDataPort.getCurrentUser).toHaveBeenCalledTimes(2);
+  });
+
+  test('ReturnMetricsByProjectKeyAndKeepRevisionsApart', async () => {
+    // Given
+    const adapter = new CachingJiraDataAdapter(jiraDataPort, dataCache, { executiveId: 'exec-1' });
+    const edited = new MetricDefinitions({
+      metrics: { blockedIssues: { jql: 'flagged = "Impediment" AND resolution is EMPTY' } }
+    });
+
+    // When
+    const metrics = await adapter.getPortfolioHealthMetrics(['PAY'], edited);
+
+    // Then
+    expect(metrics).toEqual({ PAY: { overdueIssues: 2 } });
+    expect(jiraDataPort.getPortfolioHealthMetrics).toHaveBeenCalledWith(['PAY'], edited);
+    expect(edited.revision).not.toBe(MetricDefinitions.default().revision);
+  });
+
+  test('CacheFlowAndThroughputPerWindowLength', async () => {
+    // Given
+    jiraDataPort.getPortfolioFlowMetrics = jest.fn().mockResolvedValue({ PAY: { throughput: 4 } });
+    jiraDataPort.getDailyThroughput = jest.fn().mockResolvedValue({ PAY: [1, 0, 3] });
+    const adapter = new CachingJiraDataAdapter(jiraDataPort, dataCache, { executiveId: 'exec-1' });
+
+    // When
+    const flow = await adapter.getPortfolioFlowMetrics(['PAY']);
+    const throughput = await adapter.getDailyThroughput(['PAY'], { windowDays: 90 });
+
+    // Then
+    expect(flow).toEqual({ PAY: { throughput: 4 } });
+    expect(throughput).toEqual({ PAY: [1, 0, 3] });
+    expect(dataCache.getManyOrFetch).toHaveBeenCalledWith('exec-1', 'flow', ['PAY.30d'], expect.any(Function));
+    expect(dataCache.getManyOrFetch).toHaveBeenCalledWith('exec-1', 'throughput', ['PAY.90d'], expect.any(Function));
+    expect(jiraDataPort.getDailyThroughput).toHaveBeenCalledWith(['PAY'], { windowDays: 90 });
+  });
+
+  test('CacheUpcomingReleasesPerMetricDefinitionRevision', async () => {
+    // Given
+    const definitions = MetricDefinitions.default();
+    jiraDataPort.getUpcomingReleases = jest.fn().mockResolvedValue({ PAY: [{ id: '10001', name: '2.0' }] });
+    const adapter = new CachingJiraDataAdapter(jiraDataPort, dataCache, { executiveId: 'exec-1' });
+
+    // When
+    const releases = await adapter.getUpcomingReleases(['PAY'], definitions);
+
+    // Then
+    expect(releases).toEqual({ PAY: [{ id: '10001', name: '2.0' }] });
+    expect(dataCache.getManyOrFetch).toHaveBeenCalledWith(
+      'exec-1', 'releases', [`PAY.${definitions.revision}`], expect.any(Function)
+    );
+    expect(jiraDataPort.getUpcomingReleases).toHaveBeenCalledWith(['PAY'], definitions);
+  });
+
+  test('CacheProjectPropertiesPerPropertyKey', async () => {
+    // Given
+    jiraDataPort.getProjectProperties = jest.fn().mockResolvedValue({ PAY: { tier: 'Flagship' } });
+    const adapter = new CachingJiraDataAdapter(jiraDataPort, dataCache, { executiveId: 'exec-1' });
+
+    // When
+    const properties = await adapter.getProjectProperties(['PAY'], 'strategic-weight');
+
+    // Then
+    expect(properties).toEqual({ PAY: { tier: 'Flagship' } });
+    expect(dataCache.getManyOrFetch).toHaveBeenCalledWith('exec-1', 'properties', ['PAY.strategic-weight'], expect.any(Function));
+    expect(jiraDataPort.getProjectProperties).toHaveBeenCalledWith(['PAY'], 'strategic-weight');
+  });
+
+  test('CacheProjectSizesPerProject', async () => {
+    // Given
+    jiraDataPort.getPortfolioSizeMetrics = jest.fn().mockResolvedValue({ PAY: { openIssues: 120, inProgressIssues: 9 } });
+    const adapter = new CachingJiraDataAdapter(jiraDataPort, dataCache, { executiveId: 'exec-1' });
+
+    // When
+    const sizes = await adapter.getPortfolioSizeMetrics(['PAY']);
+
+    // Then
+    expect(sizes).toEqual({ PAY: { openIssues: 120, inProgressIssues: 9 } });
+    expect(dataCache.getManyOrFetch).toHaveBeenCalledWith('exec-1', 'sizes', ['PAY.open'], expect.any(Function));
+  });
+
+  test('CacheDependencyLinksPerLinkTypeSet', async () => {
+    // Given
+    jiraDataPort.getDependencyLinks = jest.fn().mockResolvedValue({ PAY: [] });
+    const adapter = new CachingJiraDataAdapter(jiraDataPort, dataCache, { executiveId: 'exec-1' });
+
+    // When
+    const links = await adapter.getDependencyLinks(['PAY'], { linkTypes: ['is blocked by', 'depends on'] });
+
+    // Then
+    expect(links).toEqual({ PAY: [] });
+    expect(dataCache.getManyOrFetch).toHaveBeenCalledWith(
+      'exec-1', 'dependencies', ['PAY.depends on|is blocked by'], expect.any(Function)
+    );
+  });
+
+  test('NeverCacheAdminPermission', async () => {
+    // Given
+    const adapter = new CachingJiraDataAdapter(jiraDataPort, dataCache, { executiveId: 'exec-1' });
+
+    // When
+    const isAdmin = await adapter.hasAdminPermission();
+
+    // Then
+    expect(isAdmin).toBe(true);
+    expect(dataCache.getOrFetch).not.toHaveBeenCalled();
+  });
+
+  test('NeverCacheUserGroups', async () => {
+    // Given
+    const adapter = new CachingJiraDataAdapter(jiraDataPort, dataCache, { executiveId: 'exec-1' });
+
+    // When
+    const groups = await adapter.getUserGroups('exec-2');
+
+    // Then
+    expect(groups).toEqual(['sales-leadership']);
+    expect(jiraDataPort.getUserGroups).toHaveBeenCalledWith('exec-2');
+    expect(dataCache.getOrFetch).not.toHaveBeenCalled();
+  });
+
+  test('NeverCacheProjectRoleMembers', async () => {
+    // Given
+    const adapter = new CachingJiraDataAdapter(jiraDataPort, dataCache, { executiveId: 'exec-1' });
+
+    // When
+    const members = await adapter.getProjectRoleMembers(['PAY'], ['Administrators']);
+
+    // Then
+    expect(members).toEqual({ PAY: { Administrators: { accountIds: ['exec-2'], groups: [] } } });
+    expect(jiraDataPort.getProjectRoleMembers).toHaveBeenCalledWith(['PAY'], ['Administrators']);
+    expect(dataCache.getOrFetch).not.toHaveBeenCalled();
+    expect(dataCache.getManyOrFetch).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,141 @@
+/**
+ * Unit Tests: ForgeAgileAdapter - Jira Software Boards and Sprints
+ * Behavior-focused tests with a mocked Forge Jira client
+ */
+
+import { jest } from '@jest/globals';
+import { ForgeAgileAdapter } from '../../../../src/infrastructure/adapters/ForgeAgileAdapter.js';
+import { JiraRequestRejectedError } from '../../../../src/domain/errors/JiraDataErrors.js';
+
+describe('ForgeAgileAdapter Should', () => {
+  let adapter;
+  let requestJira;
+
+  const jsonResponse = (data, ok = true) => ({
+    ok,
+    status: ok ? 200 : 404,
+    statusText: ok ? 'OK' : 'Not Found',
+    json: jest.fn().mockResolvedValue(data)
+  });
+
+  const sprintIssue = (key, { created, resolutiondate, points }, histories = []) => ({
+    key,
+    fields: { created, resolutiondate, ...(points === undefined ? {} : { customfield_10016: points }) },
+    changelog: { histories }
+  });
+
+  const change = (created, item) => ({ created, items: [item] });
+
+  beforeEach(() => {
+    requestJira = jest.fn();
+    adapter = new ForgeAgileAdapter({
+      apiClient: { asUser: jest.fn(() => ({ requestJira })) },
+      sleep: jest.fn().mockResolvedValue(undefined)
+    });
+  });
+
+  test('ListScrumBoardsForProjectAcrossPages', async () => {
+    // Given
+    requestJira
+      .mockResolvedValueOnce(jsonResponse({ isLast: false, values: [{ id: 1, name: 'Payments', type: 'scrum' }] }))
+      .mockResolvedValueOnce(jsonResponse({ isLast: true, values: [{ id: 2, name: 'Platform', type: 'scrum' }] }));
+
+    // When
+    const boards = await adapter.getProjectBoards('PAY');
+
+    // Then
+    expect(boards).toEqual([{ id: 1, name: 'Payments' }, { id: 2, name: 'Platform' }]);
+    expect(requestJira.mock.calls[0][0]).toBe('/rest/agile/1.0/board?projectKeyOrId=PAY&type=scrum&startAt=0&maxResults=50');
+    expect(requestJira.mock.calls[1][0]).toContain('startAt=1');
+  });
+
+  test('ReturnMostRecentClosedSprintsOldestFirst', async () => {
+    // Given
+    requestJira.mockResolvedValueOnce(jsonResponse({
+      isLast: true,
+      values: [
+        { id: 3, name: 'Sprint 3', originBoardId: 1, completeDate: '2024-02-14T10:00:00.000Z' },
+        { id: 1, name: 'Sprint 1', originBoardId: 1, completeDate: '2024-01-17T10:00:00.000Z' },
+        { id: 2, name: 'Sprint 2', originBoardId: 1, completeDate: '2024-01-31T10:00:00.000Z' },
+        { id: 9, name: 'Other board', originBoardId: 5, completeDate: '2024-02-20T10:00:00.000Z' }
+      ]
+    }));
+
+    // When
+    const sprints = await adapter.getClosedSprints(1, { limit: 2 });
+
+    // Then
+    expect(sprints.map(sprint => sprint.id)).toEqual([2, 3]);
+    expect(requestJira.mock.calls[0][0]).toBe('/rest/agile/1.0/board/1/sprint?state=closed&startAt=0&maxResults=50');
+  });
+
+  test('SeparateCommittedCompletedAndAddedWorkFromSprintIssueChangelogs', async () => {
+    // Given
+    const sprint = { id: 3, name: 'Sprint 3', startDate: '2024-02-01T09:00:00.000Z', completeDate: '2024-02-14T17:00:00.000Z' };
+    requestJira
+      .mockResolvedValueOnce(jsonResponse({ estimation: { type: 'field', field: { fieldId: 'customfield_10016' } } }))
+      .mockResolvedValueOnce(jsonResponse({ startAt: 0, total: 5, issues: [
+        sprintIssue('PAY-1', { created: '2024-01-20T10:00:00.000Z', resolutiondate: '2024-02-10T10:00:00.000Z', points: 5 }),
+        sprintIssue('PAY-2', { created: '2024-01-25T10:00:00.000Z', resolutiondate: '2024-02-12T10:00:00.000Z', points: 5 }, [
+          change('2024-02-05T10:00:00.000Z', { field: 'Story Points', fieldId: 'customfield_10016', fromString: '3', toString: '5' })
+        ]),
+        sprintIssue('PAY-9', { created: '2024-01-10T10:00:00.000Z', resolutiondate: '2024-02-13T10:00:00.000Z', points: 2 }, [
+          change('2024-02-06T10:00:00.000Z', { field: 'Sprint', from: '', to: '3' })
+        ])
+      ] }))
+      .mockResolvedValueOnce(jsonResponse({ startAt: 3, total: 5, issues: [
+        sprintIssue('PAY-3', { created: '2024-01-15T10:00:00.000Z', resolutiondate: null, points: 8 }, [
+          change('2024-01-30T10:00:00.000Z', { field: 'Sprint', from: '2', to: '2, 3' })
+        ]),
+        sprintIssue('PAY-4', { created: '2024-01-28T10:00:00.000Z', resolutiondate: '2024-02-20T10:00:00.000Z', points: 1 })
+      ] }));
+
+    // When
+    const report = await adapter.getSprintReport(1, sprint);
+
+    // Then
+    expect(report).toEqual({
+      sprintId: 3,
+      name: 'Sprint 3',
+      committedIssues: 4,
+      completedIssues: 2,
+      addedIssues: 1,
+      committedPoints: 17,
+      completedPoints: 8,
+      addedPoints: 2
+    });
+    expect(requestJira.mock.calls.map(call => call[0])).toEqual([
+      '/rest/agile/1.0/board/1/configuration',
+      '/rest/agile/1.0/board/1/sprint/3/issue?startAt=0&maxResults=50&fields=created%2Cresolutiondate%2Ccustomfield_10016&expand=changelog',
+      '/rest/agile/1.0/board/1/sprint/3/issue?startAt=3&maxResults=50&fields=created%2Cresolutiondate%2Ccustomfield_10016&expand=changelog'
+    ]);
+  });
+
+  test('CountIssuesAndReadTheBoardConfigurationOnceWhenTheBoardDoesNotEstimate', async () => {
+    // Given
+    requestJira.mockImplementation(async path => (path.endsWith('/configuration')
+      ? jsonResponse({ estimation: { type: 'issueCount' } })
+      : jsonResponse({ startAt: 0, total: 1, issues: [
+        sprintIssue('PAY-1', { created: '2024-01-20T10:00:00.000Z', resolutiondate: '2024-02-10T10:00:00.000Z' })
+      ] })));
+
+    // When
+    const reports = [
+      await adapter.getSprintReport(1, { id: 3, name: 'Sprint 3', startDate: '2024-02-01T09:00:00.000Z', completeDate: '2024-02-14T17:00:00.000Z' }),
+      await adapter.getSprintReport(1, { id: 4, name: 'Sprint 4', startDate: '2024-02-15T09:00:00.000Z', completeDate: '2024-02-28T17:00:00.000Z' })
+    ];
+
+    // Then
+    expect(reports.map(report => [report.committedIssues, report.completedIssues, report.committedPoints])).toEqual([[1, 1, 0], [1, 1, 0]]);
+    expect(requestJira.mock.calls.filter(call => call[0].endsWith('/configuration'))).toHaveLength(1);
+    expect(requestJira.mock.calls[1][0]).toContain('fields=created%2Cresolutiondate&');
+  });
+
+  test('RaiseTypedErrorWhenBoardIsMissing', async () => {
+    // Given
+    requestJira.mockResolvedValue(jsonResponse({ errorMessages: ['Board does not exist'] }, false));
+
+    // When & Then
+    await expect(adapter.getClosedSprints(99)).rejects.toBeInstanceOf(JiraRequestRejectedError);
+  });
+});
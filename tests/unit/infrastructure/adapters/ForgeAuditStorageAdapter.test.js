@@ -0,0 +1,128 @@
+/**
+ * Unit Tests: ForgeAuditStorageAdapter - Audit Trail Storage
+ * Behavior-focused tests against a stubbed Forge storage whose calls interleave like concurrent invocations
+ */
+
+import { ForgeAuditStorageAdapter } from '../../../../src/infrastructure/adapters/ForgeAuditStorageAdapter.js';
+import { AuditService } from '../../../../src/application/services/AuditService.js';
+
+describe('ForgeAuditStorageAdapter Should', () => {
+  let entries;
+  let queriedPrefixes;
+  let storage;
+  let clock;
+
+  // Every storage call yields to the event loop first, so concurrent invocations interleave
+  const yieldTurn = () => new Promise(resolve => setImmediate(resolve));
+
+  const createInvocation = () => {
+    const adapter = new ForgeAuditStorageAdapter({ now: () => clock });
+    adapter.storage = storage;
+    return new AuditService(adapter, { now: () => clock });
+  };
+
+  beforeEach(() => {
+    clock = new Date('2026-10-19T09:00:00Z');
+    entries = new Map();
+    queriedPrefixes = [];
+    storage = {
+      get: async key => { await yieldTurn(); return entries.get(key); },
+      set: async (key, value) => { await yieldTurn(); entries.set(key, JSON.parse(JSON.stringify(value))); },
+      delete: async key => { await yieldTurn(); entries.delete(key); },
+      query: () => {
+        let prefix;
+        return {
+          where(field, condition) { prefix = condition.value; return this; },
+          limit() { return this; },
+          cursor() { return this; },
+          async getMany() {
+            await yieldTurn();
+            queriedPrefixes.push(prefix);
+            return {
+              results: [...entries.entries()].filter(([key]) => key.startsWith(prefix)).map(([key, value]) => ({ key, value })),
+              nextCursor: undefined
+            };
+          }
+        };
+      }
+    };
+  });
+
+  test('KeepEveryEventWhenInvocationsRecordConcurrently', async () => {
+    // Given - two invocations recording at the same time
+    const dashboard = createInvocation();
+    const drillDown = createInvocation();
+    await Promise.all([
+      dashboard.logDataAccessEvent({ userId: 'exec-ceo-001', resource: 'EXECUTIVE_DASHBOARD', action: 'read' }),
+      drillDown.logDataAccessEvent({ userId: 'exec-cto-001', resource: 'PROJECT_DRILL_DOWN', action: 'read' }),
+      dashboard.logSecurityEvent({ userId: 'exec-cfo-001', event: 'PORTFOLIO_ACCESS_DENIED' })
+    ]);
+
+    // When
+    clock = new Date('2026-10-19T09:05:00Z');
+    const sealing = await createInvocation().sealPendingEvents();
+
+    // Then
+    const auditor = createInvocation();
+    const records = await auditor.query();
+    expect(sealing).toEqual({ sealedRecords: 3 });
+    expect(records.map(record => record.sequence)).toEqual([1, 2, 3]);
+    expect(records.map(record => record.userId).sort()).toEqual(['exec-ceo-001', 'exec-cfo-001', 'exec-cto-001']);
+    expect(await auditor.verifyChain()).toEqual(expect.objectContaining({ valid: true, checkedRecords: 3 }));
+    expect([...entries.keys()].filter(key => key.startsWith('audit-pending:'))).toEqual([]);
+  });
+
+  test('ReadOnlyTheMonthsADateRangeCovers', async () => {
+    // Given
+    const invocation = createInvocation();
+    await invocation.logDataAccessEvent({ userId: 'exec-ceo-001', action: 'read', timestamp: new Date('2026-08-03T10:00:00Z') });
+    await invocation.logDataAccessEvent({ userId: 'exec-ceo-001', action: 'read', timestamp: new Date('2026-10-18T10:00:00Z') });
+    clock = new Date('2026-10-19T09:05:00Z');
+    await invocation.sealPendingEvents();
+    queriedPrefixes = [];
+
+    // When
+    const records = await invocation.query({ from: '2026-10-01', to: '2026-10-19' });
+
+    // Then
+    expect(records.map(record => record.occurredAt)).toEqual(['2026-10-18T10:00:00.000Z']);
+    expect(queriedPrefixes).toEqual(['audit-record:2026-10-']);
+  });
+
+  test('MoveTheFirstMonthPastPrunedRecords', async () => {
+    // Given
+    const invocation = createInvocation();
+    await invocation.logSecurityEvent({ userId: 'exec-cfo-001', event: 'PORTFOLIO_ACCESS_DENIED', timestamp: new Date('2024-01-10T10:00:00Z') });
+    clock = new Date('2026-10-19T09:01:00Z');
+    await invocation.logDataAccessEvent({ userId: 'exec-ceo-001', action: 'read', timestamp: new Date('2026-10-18T10:00:00Z') });
+    clock = new Date('2026-10-19T09:05:00Z');
+    await invocation.sealPendingEvents();
+
+    // When
+    const result = await invocation.applyRetention();
+
+    // Then
+    expect(result).toEqual({ prunedRecords: 1 });
+    expect(entries.get('audit-chain')).toEqual(expect.objectContaining({ firstMonth: '2026-10' }));
+    expect(entries.get('audit-chain').chains.SECURITY.prunedThrough).toEqual(expect.objectContaining({ sequence: 1 }));
+    expect(await invocation.verifyChain()).toEqual(expect.objectContaining({ valid: true, checkedRecords: 1 }));
+  });
+
+  test('PruneAnExpiredRecordSealedAfterOneOfAnotherCategoryStillRetained', async () => {
+    // Given - the retained security record was written first
+    const invocation = createInvocation();
+    await invocation.logSecurityEvent({ userId: 'exec-cfo-001', event: 'PORTFOLIO_ACCESS_DENIED', timestamp: new Date('2026-10-18T10:00:00Z') });
+    clock = new Date('2026-10-19T09:01:00Z');
+    await invocation.logDataAccessEvent({ userId: 'exec-ceo-001', action: 'read', timestamp: new Date('2026-01-10T10:00:00Z') });
+    clock = new Date('2026-10-19T09:05:00Z');
+    await invocation.sealPendingEvents();
+
+    // When
+    const result = await invocation.applyRetention();
+
+    // Then
+    expect(result).toEqual({ prunedRecords: 1 });
+    expect((await invocation.query()).map(record => record.category)).toEqual(['SECURITY']);
+    expect(await invocation.verifyChain()).toEqual(expect.objectContaining({ valid: true, checkedRecords: 1 }));
+  });
+});
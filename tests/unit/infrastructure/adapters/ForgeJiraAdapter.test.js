@@ -0,0 +1,676 @@
+/**
+ * Unit Tests: ForgeJiraAdapter - Jira REST Access
+ * Behavior-focused tests with a mocked Forge Jira client
+ */
+
+import { jest } from '@jest/globals';
+import { ForgeJiraAdapter } from '../../../../src/infrastructure/adapters/ForgeJiraAdapter.js';
+import { ForgeAgileAdapter } from '../../../../src/infrastructure/adapters/ForgeAgileAdapter.js';
+import { JiraRequestClient } from '../../../../src/infrastructure/clients/JiraRequestClient.js';
+import { JiraRateLimitError, JiraRequestRejectedError } from '../../../../src/domain/errors/JiraDataErrors.js';
+import { MetricDefinitions, DEFAULT_METRIC_DEFINITIONS } from '../../../../src/domain/entities/MetricDefinitions.js';
+
+describe('ForgeJiraAdapter Should', () => {
+  let adapter;
+  let requestJira;
+
+  const jsonResponse = (data, ok = true) => ({
+    ok,
+    status: ok ? 200 : 400,
+    statusText: ok ? 'OK' : 'Bad Request',
+    json: jest.fn().mockResolvedValue(data)
+  });
+
+  const project = (key, extra = {}) => ({
+    id: `id-${key}`,
+    key,
+    name: `Project ${key}`,
+    projectTypeKey: 'software',
+    ...extra
+  });
+
+  const createAdapter = (options = {}) => new ForgeJiraAdapter({
+    apiClient: { asUser: jest.fn(() => ({ requestJira })), asApp: jest.fn(() => ({ requestJira })) },
+    sleep: jest.fn().mockResolvedValue(undefined),
+    ...options
+  });
+
+  beforeEach(() => {
+    requestJira = jest.fn();
+    adapter = createAdapter();
+  });
+
+  describe('Project Discovery', () => {
+    test('FollowEveryPageOfProjectSearch', async () => {
+      // Given
+      requestJira
+        .mockResolvedValueOnce(jsonResponse({ values: [project('WEB'), project('PAY')], isLast: false }))
+        .mockResolvedValueOnce(jsonResponse({ values: [project('OPS')], isLast: true }));
+
+      // When
+      const projects = await adapter.getExecutiveProjects();
+
+      // Then
+      expect(projects.map(p => p.key)).toEqual(['WEB', 'PAY', 'OPS']);
+      expect(requestJira).toHaveBeenCalledTimes(2);
+      expect(requestJira.mock.calls[0][0]).toContain('startAt=0');
+      expect(requestJira.mock.calls[1][0]).toContain('startAt=2');
+      expect(requestJira.mock.calls[0][0]).toContain('status=live');
+      expect(requestJira.mock.calls[0][0]).not.toContain('archived');
+    });
+
+    test('PassCategoryTypeAndArchivedFiltersToJira', async () => {
+      // Given
+      requestJira.mockResolvedValueOnce(jsonResponse({ values: [], isLast: true }));
+
+      // When
+      await adapter.getExecutiveProjects({ categoryId: 10000, typeKey: 'software', includeArchived: true });
+
+      // Then
+      const [path] = requestJira.mock.calls[0];
+      expect(path).toContain('categoryId=10000');
+      expect(path).toContain('typeKey=software');
+      expect(path).toContain('status=live&status=archived');
+    });
+
+    test('MapProjectCategoryAndArchivedStatus', async () => {
+      // Given
+      requestJira.mockResolvedValueOnce(jsonResponse({
+        values: [project('OLD', {
+          archived: true,
+          lead: { accountId: 'lead-1' },
+          projectCategory: { id: '10000', name: 'Payments', self: 'https://example' }
+        })],
+        isLast: true
+      }));
+
+      // When
+      const [mapped] = await adapter.getExecutiveProjects({ includeArchived: true });
+
+      // Then
+      expect(mapped).toMatchObject({
+        key: 'OLD',
+        leadAccountId: 'lead-1',
+        projectCategory: { id: '10000', name: 'Payments' },
+        archived: true
+      });
+    });
+
+    test('StopWhenJiraReturnsAnEmptyPage', async () => {
+      // Given
+      requestJira.mockResolvedValueOnce(jsonResponse({ values: [], isLast: false }));
+
+      // When
+      const projects = await adapter.getExecutiveProjects();
+
+      // Then
+      expect(projects).toEqual([]);
+      expect(requestJira).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('Batched Health Metrics', () => {
+    const issuesIn = (...projectKeys) => projectKeys.map(key => ({ fields: { project: { key } } }));
+
+    const searchBody = call => JSON.parse(call[1].body);
+
+    test('CountEachMetricForAllProjectsInOneSearchPerMetric', async () => {
+      // Given
+      requestJira.mockImplementation(async (path, request) => {
+        const { jql } = JSON.parse(request.body);
+        if (jql.includes('due < now()')) return jsonResponse({ issues: issuesIn('PAY', 'PAY', 'WEB'), total: 3 });
+        if (jql.includes('"Blocked"')) return jsonResponse({ issues: issuesIn('PAY'), total: 1 });
+        return jsonResponse({ issues: [], total: 0 });
+      });
+
+      // When
+      const metrics = await adapter.getPortfolioHealthMetrics(['WEB', 'PAY', 'OPS']);
+
+      // Then
+      expect(requestJira).toHaveBeenCalledTimes(4);
+      expect(searchBody(requestJira.mock.calls[0]).jql).toMatch(/^project in \("WEB", "PAY", "OPS"\) AND /);
+      expect(metrics.PAY).toMatchObject({ overdueIssues: 2, blockedIssues: 1, highPriorityIssues: 0 });
+      expect(metrics.WEB).toMatchObject({ overdueIssues: 1, blockedIssues: 0, highPriorityIssues: 0 });
+      expect(metrics.OPS).toMatchObject({ overdueIssues: 0, blockedIssues: 0, highPriorityIssues: 0 });
+    });
+
+    test('BatchProjectsWithMetricOverridesSeparately', async () => {
+      // Given
+      const definitions = new MetricDefinitions({
+        ...DEFAULT_METRIC_DEFINITIONS,
+        projectOverrides: { PAY: { blockedIssues: 'flagged = "Impediment" AND resolution is EMPTY' } }
+      });
+      requestJira.mockImplementation(async (path, request) => {
+        const { jql } = JSON.parse(request.body);
+        if (jql.includes('flagged')) return jsonResponse({ issues: issuesIn('PAY', 'PAY'), total: 2 });
+        return jsonResponse({ issues: [], total: 0 });
+      });
+
+      // When
+      const metrics = await adapter.getPortfolioHealthMetrics(['WEB', 'PAY'], definitions);
+
+      // Then
+      const queries = requestJira.mock.calls.map(call => searchBody(call).jql);
+      expect(queries).toContain('project in ("WEB") AND (status = "Blocked" AND resolution is EMPTY)');
+      expect(queries).toContain('project in ("PAY") AND (flagged = "Impediment" AND resolution is EMPTY)');
+      expect(metrics.PAY.blockedIssues).toBe(2);
+      expect(metrics.WEB.blockedIssues).toBe(0);
+    });
+
+    test('SplitProjectsIntoConfiguredBatchesAndFollowSearchPages', async () => {
+      // Given
+      adapter = createAdapter({ metricsBatchSize: 2 });
+      requestJira.mockImplementation(async (path, request) => {
+        const { jql, startAt } = JSON.parse(request.body);
+        if (jql.includes('"A", "B"') && jql.includes('due < now()')) {
+          return jsonResponse({ issues: issuesIn(startAt === 0 ? 'A' : 'B'), total: 2 });
+        }
+        return jsonResponse({ issues: [], total: 0 });
+      });
+
+      // When
+      const metrics = await adapter.getPortfolioHealthMetrics(['A', 'B', 'C']);
+
+      // Then
+      expect(requestJira).toHaveBeenCalledTimes(9);
+      expect(metrics.A.overdueIssues).toBe(1);
+      expect(metrics.B.overdueIssues).toBe(1);
+      expect(metrics.C.overdueIssues).toBe(0);
+    });
+
+    test('CountWithTotalOnlySearchesPerProjectWhenPagingWouldCostMore', async () => {
+      // Given
+      requestJira.mockImplementation(async (path, request) => {
+        const { jql, maxResults } = JSON.parse(request.body);
+        if (!jql.includes('due < now()')) return jsonResponse({ issues: [], total: 0 });
+        if (jql.startsWith('project in')) return jsonResponse({ issues: issuesIn(...new Array(100).fill('A')), total: 450 });
+        expect(maxResults).toBe(0);
+        return jsonResponse({ issues: [], total: jql.startsWith('project = "A"') ? 300 : 150 });
+      });
+
+      // When
+      const metrics = await adapter.getPortfolioHealthMetrics(['A', 'B']);
+
+      // Then
+      expect(requestJira).toHaveBeenCalledTimes(6);
+      expect(metrics.A.overdueIssues).toBe(300);
+      expect(metrics.B.overdueIssues).toBe(150);
+    });
+
+    test('KeepSearchesWithinConcurrencyLimit', async () => {
+      // Given
+      adapter = createAdapter({ metricsBatchSize: 1, metricsConcurrency: 2 });
+      let inFlight = 0;
+      let maxInFlight = 0;
+      requestJira.mockImplementation(async () => {
+        inFlight++;
+        maxInFlight = Math.max(maxInFlight, inFlight);
+        await new Promise(resolve => setTimeout(resolve, 1));
+        inFlight--;
+        return jsonResponse({ issues: [], total: 0 });
+      });
+
+      // When
+      await adapter.getPortfolioHealthMetrics(['A', 'B', 'C', 'D']);
+
+      // Then
+      expect(requestJira).toHaveBeenCalledTimes(16);
+      expect(maxInFlight).toBe(2);
+    });
+
+    test('FallBackToPerProjectQueriesWhenBatchedSearchFails', async () => {
+      // Given
+      requestJira.mockImplementation(async (path, request) => {
+        const { jql } = JSON.parse(request.body);
+        if (jql.startsWith('project in')) return jsonResponse({ errorMessages: ['JQL too long'] }, false);
+        return jsonResponse({ total: jql.includes('due < now()') ? 4 : 0 });
+      });
+
+      // When
+      const metrics = await adapter.getPortfolioHealthMetrics(['PAY']);
+
+      // Then
+      expect(metrics.PAY).toMatchObject({ overdueIssues: 4, blockedIssues: 0, highPriorityIssues: 0 });
+    });
+
+    test('PropagateRateLimitErrorsInsteadOfFallingBack', async () => {
+      // Given
+      requestJira.mockResolvedValue({ ...jsonResponse({}), ok: false, status: 429 });
+
+      // When & Then
+      await expect(adapter.getPortfolioHealthMetrics(['PAY'])).rejects.toBeInstanceOf(JiraRateLimitError);
+      expect(requestJira).toHaveBeenCalledTimes(16);
+    });
+
+    test('ReturnCompleteBatchesWhenTheSharedRequestBudgetRunsOut', async () => {
+      // Given
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+      const requestClient = new JiraRequestClient({
+        apiClient: { asUser: jest.fn(() => ({ requestJira })) },
+        requestBudget: 5
+      });
+      const agileAdapter = new ForgeAgileAdapter({ requestClient });
+      adapter = new ForgeJiraAdapter({ requestClient, metricsBatchSize: 2 });
+      requestJira.mockImplementation(async (path, request) => {
+        if (!request.body) return jsonResponse({ values: [], isLast: true });
+        const { jql } = JSON.parse(request.body);
+        return jsonResponse(jql.includes('due < now()') ? { issues: issuesIn('A'), total: 1 } : { issues: [], total: 0 });
+      });
+
+      // When
+      await agileAdapter.getProjectBoards('A');
+      const metrics = await adapter.getPortfolioHealthMetrics(['A', 'B', 'C', 'D']);
+
+      // Then
+      expect(requestJira).toHaveBeenCalledTimes(5);
+      expect(Object.keys(metrics)).toEqual(['A', 'B']);
+      expect(metrics.A).toMatchObject({ overdueIssues: 1, blockedIssues: 0, highPriorityIssues: 0 });
+      expect(metrics.B.metricAvailability).toEqual({ overdueIssues: true, blockedIssues: true, highPriorityIssues: true, openBugs: true });
+      console.error.mockRestore();
+    });
+
+    test('OmitProjectsWhoseMetricsCannotBeRead', async () => {
+      // Given
+      requestJira.mockImplementation(async (path, request) => {
+        const { jql } = JSON.parse(request.body);
+        if (jql.startsWith('project in') || jql.includes('"OPS"')) {
+          return jsonResponse({ errorMessages: ['Project unavailable'] }, false);
+        }
+        return jsonResponse({ total: 1 });
+      });
+
+      // When
+      const metrics = await adapter.getPortfolioHealthMetrics(['PAY', 'OPS']);
+
+      // Then
+      expect(Object.keys(metrics)).toEqual(['PAY']);
+    });
+  });
+
+  describe('Flow Metrics', () => {
+    const resolvedIssue = (projectKey, created, resolved, statusChanges = []) => ({
+      fields: { project: { key: projectKey }, created, resolutiondate: resolved },
+      changelog: {
+        histories: statusChanges.map(changedAt => ({ created: changedAt, items: [{ field: 'status' }] }))
+      }
+    });
+
+    test('MeasureCycleTimeFromFirstStatusChangeAndCountWip', async () => {
+      // Given
+      requestJira.mockImplementation(async (path, request) => {
+        const { jql } = JSON.parse(request.body);
+        if (jql.includes('statusCategory = Done')) {
+          return jsonResponse({
+            total: 3,
+            issues: [
+              resolvedIssue('PAY', '2024-01-01T00:00:00.000Z', '2024-01-05T00:00:00.000Z',
+                ['2024-01-03T00:00:00.000Z', '2024-01-02T00:00:00.000Z']),
+              resolvedIssue('PAY', '2024-01-01T00:00:00.000Z', '2024-01-02T00:00:00.000Z'),
+              resolvedIssue('WEB', '2024-01-01T00:00:00.000Z', null)
+            ]
+          });
+        }
+        return jsonResponse({ total: 2, issues: [{ fields: { project: { key: 'PAY' } } }, { fields: { project: { key: 'PAY' } } }] });
+      });
+
+      // When
+      const flow = await adapter.getPortfolioFlowMetrics(['PAY', 'WEB', 'OPS'], { windowDays: 14 });
+
+      // Then
+      const queries = requestJira.mock.calls.map(call => JSON.parse(call[1].body).jql);
+      expect(queries).toEqual([
+        'project in ("PAY", "WEB", "OPS") AND (statusCategory = Done) AND resolved >= -14d',
+        'project in ("PAY", "WEB", "OPS") AND (statusCategory = "In Progress")'
+      ]);
+      expect(flow.PAY).toEqual({ windowDays: 14, throughput: 2, cycleTimeMedianDays: 2, cycleTimeP85Days: 2.7, wip: 2 });
+      expect(flow.WEB).toMatchObject({ throughput: 1, cycleTimeMedianDays: null, wip: 0 });
+      expect(flow.OPS).toMatchObject({ throughput: 0, wip: 0 });
+    });
+  });
+
+  describe('Delivery Forecast Data', () => {
+    test('CollectUnreleasedVersionsAndOpenEpicsWithRemainingWork', async () => {
+      // Given
+      const release = { id: '10001', name: '2.0', releaseDate: '2024-03-04', released: false, archived: false };
+      const archived = { id: '10003', name: 'Old', released: false, archived: true };
+      requestJira.mockImplementation(async (path, request) => {
+        const { jql } = JSON.parse(request.body);
+        if (jql.includes('unreleasedVersions()')) {
+          return jsonResponse({ total: 2, issues: [
+            { fields: { project: { key: 'PAY' }, fixVersions: [release] } },
+            { fields: { project: { key: 'PAY' }, fixVersions: [release, archived] } }
+          ] });
+        }
+        if (jql.includes('issuetype = "Epic"')) {
+          return jsonResponse({ total: 1, issues: [
+            { key: 'PAY-7', fields: { project: { key: 'PAY' }, summary: 'Card vault', duedate: '2024-04-30' } }
+          ] });
+        }
+        return jsonResponse({ total: 1, issues: [{ fields: { parent: { key: 'PAY-7' } } }] });
+      });
+
+      // When
+      const scopes = await adapter.getDeliveryScopes(['PAY']);
+
+      // Then
+      expect(requestJira.mock.calls.every(call => call[0] === '/rest/api/3/search')).toBe(true);
+      expect(requestJira.mock.calls.map(call => JSON.parse(call[1].body).jql)).toContain(
+        'parent in ("PAY-7") AND (statusCategory != Done)'
+      );
+      expect(scopes).toEqual({
+        PAY: [
+          { type: 'version', id: '10001', name: '2.0', targetDate: '2024-03-04', remainingIssues: 2 },
+          { type: 'epic', id: 'PAY-7', name: 'Card vault', targetDate: '2024-04-30', remainingIssues: 1 }
+        ]
+      });
+    });
+
+    test('BucketResolvedIssuesByDaysAgo', async () => {
+      // Given
+      const daysAgo = days => new Date(Date.now() - days * 24 * 60 * 60 * 1000 - 1000).toISOString();
+      requestJira.mockResolvedValue(jsonResponse({ total: 3, issues: [
+        { fields: { project: { key: 'PAY' }, resolutiondate: daysAgo(0) } },
+        { fields: { project: { key: 'PAY' }, resolutiondate: daysAgo(2) } },
+        { fields: { project: { key: 'PAY' }, resolutiondate: daysAgo(2) } }
+      ] }));
+
+      // When
+      const throughput = await adapter.getDailyThroughput(['PAY', 'WEB'], { windowDays: 4 });
+
+      // Then
+      expect(JSON.parse(requestJira.mock.calls[0][1].body).jql)
+        .toBe('project in ("PAY", "WEB") AND (statusCategory = Done) AND resolved >= -4d');
+      expect(throughput).toEqual({ PAY: [1, 0, 2, 0], WEB: [0, 0, 0, 0] });
+    });
+  });
+
+  describe('Release Readiness Data', () => {
+    test('CountOpenDoneBlockedAndBuggyIssuesPerUnreleasedVersion', async () => {
+      // Given
+      const nextRelease = { id: '10002', name: '2.1', released: false, archived: false };
+      const release = { id: '10001', name: '2.0', releaseDate: '2024-03-04', released: false, archived: false };
+      const shipped = { id: '9000', name: '1.9', releaseDate: '2024-01-04', released: true, archived: false };
+      requestJira.mockImplementation(async (path, request) => {
+        const { jql } = JSON.parse(request.body);
+        if (jql.includes('status = "Blocked"')) {
+          return jsonResponse({ total: 1, issues: [{ fields: { fixVersions: [release] } }] });
+        }
+        if (jql.includes('issuetype = "Bug"')) {
+          return jsonResponse({ total: 1, issues: [{ fields: { fixVersions: [nextRelease] } }] });
+        }
+        return jsonResponse({ total: 3, issues: [
+          { fields: { project: { key: 'PAY' }, fixVersions: [shipped, release], status: { statusCategory: { key: 'done' } } } },
+          { fields: { project: { key: 'PAY' }, fixVersions: [release], status: { statusCategory: { key: 'indeterminate' } } } },
+          { fields: { project: { key: 'PAY' }, fixVersions: [nextRelease, release], status: { statusCategory: { key: 'new' } } } }
+        ] });
+      });
+
+      // When
+      const releases = await adapter.getUpcomingReleases(['PAY', 'WEB']);
+
+      // Then
+      expect(requestJira.mock.calls.every(call => call[0] === '/rest/api/3/search')).toBe(true);
+      expect(requestJira.mock.calls.map(call => call[1].body && JSON.parse(call[1].body).jql)).toContain(
+        '(fixVersion in unreleasedVersions()) AND project in ("PAY", "WEB") AND issuetype = "Bug" AND ' +
+        '(priority in ("High", "Highest") AND resolution is EMPTY)'
+      );
+      expect(releases).toEqual({
+        PAY: [
+          { id: '10001', name: '2.0', releaseDate: '2024-03-04', openIssues: 2, doneIssues: 1, blockedIssues: 1, highPriorityBugs: 0 },
+          { id: '10002', name: '2.1', releaseDate: null, openIssues: 1, doneIssues: 0, blockedIssues: 0, highPriorityBugs: 1 }
+        ],
+        WEB: []
+      });
+    });
+  });
+
+  describe('Project Properties', () => {
+    test('ReadPropertyValuesForAPageOfProjectsPerRequestTreatingMissingPropertiesAsNull', async () => {
+      // Given
+      const propertyKey = 'executive-flash-news.strategic-weight';
+      const keys = Array.from({ length: 51 }, (_, index) => `P${index}`);
+      requestJira.mockImplementation(async path => jsonResponse({
+        values: path.includes('keys=P0&')
+          ? [{ key: 'P0', properties: { [propertyKey]: { tier: 'Flagship' } } }, { key: 'P1', properties: {} }]
+          : []
+      }));
+
+      // When
+      const properties = await adapter.getProjectProperties(keys, propertyKey);
+
+      // Then
+      expect(requestJira).toHaveBeenCalledTimes(2);
+      expect(requestJira.mock.calls[0][0]).toMatch(/^\/rest\/api\/3\/project\/search\?/);
+      expect(requestJira.mock.calls[0][0]).toContain(`properties=${propertyKey}`);
+      expect(requestJira.mock.calls[1][0]).toContain('keys=P50&');
+      expect(properties.P0).toEqual({ tier: 'Flagship' });
+      expect(properties.P1).toBeNull();
+      expect(properties.P50).toBeNull();
+    });
+  });
+
+  describe('User Groups', () => {
+    test('ListGroupNamesOfAnyUser', async () => {
+      // Given
+      requestJira.mockResolvedValue(jsonResponse([
+        { name: 'jira-users', groupId: 'g-1' },
+        { name: 'sales-leadership', groupId: 'g-2' }
+      ]));
+
+      // When
+      const groups = await adapter.getUserGroups('exec-vp-sales');
+
+      // Then
+      expect(requestJira.mock.calls[0][0]).toBe('/rest/api/3/user/groups?accountId=exec-vp-sales');
+      expect(groups).toEqual(['jira-users', 'sales-leadership']);
+    });
+  });
+
+  describe('Project Roles', () => {
+    test('ListUsersAndGroupsHoldingMappedRolesPerProject', async () => {
+      // Given
+      requestJira.mockImplementation(async path => {
+        if (path === '/rest/api/3/role') {
+          return jsonResponse([
+            { id: 10002, name: 'Administrators' },
+            { id: 10003, name: 'Developers' }
+          ]);
+        }
+        if (path === '/rest/api/3/project/PAY/role/10002') {
+          return jsonResponse({
+            name: 'Administrators',
+            actors: [
+              { type: 'atlassian-user-role-actor', actorUser: { accountId: 'exec-vp-sales' } },
+              { type: 'atlassian-group-role-actor', name: 'finance-leads', actorGroup: { name: 'finance-leads' } }
+            ]
+          });
+        }
+        return { ...jsonResponse({ errorMessages: ['No project role found.'] }, false), status: 404 };
+      });
+
+      // When
+      const members = await adapter.getProjectRoleMembers(['PAY', 'WIKI'], ['Administrators', 'Sponsors']);
+
+      // Then
+      expect(requestJira).toHaveBeenCalledTimes(3);
+      expect(members).toEqual({
+        PAY: { Administrators: { accountIds: ['exec-vp-sales'], groups: ['finance-leads'] } },
+        WIKI: { Administrators: { accountIds: [], groups: [] } }
+      });
+    });
+
+    test('ReadRolesAsTheAppWhenTheExecutiveMayNotAdministerProjects', async () => {
+      // Given
+      const forbidden = { ...jsonResponse({ errorMessages: ['You do not have permission.'] }, false), status: 403 };
+      const asUserRequest = jest.fn().mockResolvedValue(forbidden);
+      const asAppRequest = jest.fn(async path => (path === '/rest/api/3/role'
+        ? jsonResponse([{ id: 10002, name: 'Administrators' }])
+        : jsonResponse({ actors: [{ type: 'atlassian-user-role-actor', actorUser: { accountId: 'exec-vp-sales' } }] })));
+      adapter = createAdapter({
+        apiClient: { asUser: () => ({ requestJira: asUserRequest }), asApp: () => ({ requestJira: asAppRequest }) }
+      });
+
+      // When
+      const members = await adapter.getProjectRoleMembers(['PAY'], ['Administrators']);
+
+      // Then
+      expect(asUserRequest).not.toHaveBeenCalled();
+      expect(members).toEqual({ PAY: { Administrators: { accountIds: ['exec-vp-sales'], groups: [] } } });
+    });
+
+    test('StopReadingRolesAtTheLookupCap', async () => {
+      // Given
+      jest.spyOn(console, 'warn').mockImplementation(() => {});
+      adapter = createAdapter({ maxRoleLookups: 2 });
+      requestJira.mockImplementation(async path => (path === '/rest/api/3/role'
+        ? jsonResponse([{ id: 10002, name: 'Administrators' }])
+        : jsonResponse({ actors: [{ type: 'atlassian-user-role-actor', actorUser: { accountId: 'exec-vp-sales' } }] })));
+
+      // When
+      const members = await adapter.getProjectRoleMembers(['PAY', 'WEB', 'OPS'], ['Administrators']);
+
+      // Then
+      expect(requestJira).toHaveBeenCalledTimes(3);
+      expect(Object.keys(members.PAY)).toEqual(['Administrators']);
+      expect(Object.keys(members.WEB)).toEqual(['Administrators']);
+      expect(members.OPS).toEqual({});
+      console.warn.mockRestore();
+    });
+  });
+
+  describe('Project Size', () => {
+    test('CountOpenAndInProgressIssuesWithTotalOnlySearchesPerProject', async () => {
+      // Given
+      const totals = {
+        'project = "PAY" AND (statusCategory != Done)': 2,
+        'project = "PAY" AND (statusCategory = "In Progress")': 1,
+        'project = "WEB" AND (statusCategory != Done)': 1,
+        'project = "OPS" AND (statusCategory != Done)': 1
+      };
+      requestJira.mockImplementation(async (path, request) => {
+        const { jql } = JSON.parse(request.body);
+        return jsonResponse({ total: totals[jql] || 0, issues: [] });
+      });
+
+      // When
+      const sizes = await adapter.getPortfolioSizeMetrics(['PAY', 'WEB', 'OPS']);
+
+      // Then
+      expect(requestJira).toHaveBeenCalledTimes(6);
+      expect(requestJira.mock.calls.every(([, request]) => JSON.parse(request.body).maxResults === 0)).toBe(true);
+      expect(sizes).toEqual({
+        PAY: { openIssues: 2, inProgressIssues: 1 },
+        WEB: { openIssues: 1, inProgressIssues: 0 },
+        OPS: { openIssues: 1, inProgressIssues: 0 }
+      });
+    });
+  });
+
+  describe('Dependency Links', () => {
+    test('ReadUnresolvedBlockersFromTheWaitingSideOfConfiguredLinkTypes', async () => {
+      // Given
+      const linked = (key, statusCategory) => ({ key, fields: { summary: `Summary of ${key}`, status: { statusCategory: { key: statusCategory } } } });
+      requestJira.mockResolvedValue(jsonResponse({ total: 1, issues: [{
+        key: 'WEB-3',
+        fields: {
+          project: { key: 'WEB' },
+          summary: 'Checkout page',
+          issuelinks: [
+            { type: { inward: 'is blocked by', outward: 'blocks' }, inwardIssue: linked('PAY-12', 'indeterminate') },
+            { type: { inward: 'is blocked by', outward: 'blocks' }, inwardIssue: linked('PAY-11', 'done') },
+            { type: { inward: 'is blocked by', outward: 'blocks' }, outwardIssue: linked('OPS-2', 'new') },
+            { type: { inward: 'depends on', outward: 'is needed by' }, inwardIssue: linked('DATA-LAKE-4', 'new') },
+            { type: { inward: 'relates to', outward: 'relates to' }, inwardIssue: linked('OPS-9', 'new') }
+          ]
+        }
+      }] }));
+
+      // When
+      const links = await adapter.getDependencyLinks(['WEB', 'PAY'], { linkTypes: ['is blocked by', 'depends on'] });
+
+      // Then
+      expect(JSON.parse(requestJira.mock.calls[0][1].body).jql).toBe(
+        'project in ("WEB", "PAY") AND (statusCategory != Done) AND issueLinkType in ("is blocked by", "depends on")'
+      );
+      expect(links).toEqual({
+        WEB: [
+          {
+            linkType: 'is blocked by',
+            blocker: { key: 'PAY-12', projectKey: 'PAY', summary: 'Summary of PAY-12' },
+            blocked: { key: 'WEB-3', projectKey: 'WEB', summary: 'Checkout page' }
+          },
+          {
+            linkType: 'depends on',
+            blocker: { key: 'DATA-LAKE-4', projectKey: 'DATA-LAKE', summary: 'Summary of DATA-LAKE-4' },
+            blocked: { key: 'WEB-3', projectKey: 'WEB', summary: 'Checkout page' }
+          }
+        ],
+        PAY: []
+      });
+    });
+  });
+
+  describe('Query Safety', () => {
+    test('EscapeProjectKeysInsteadOfInterpolatingThem', async () => {
+      // Given
+      requestJira.mockResolvedValue(jsonResponse({ total: 0 }));
+
+      // When
+      await adapter.getProjectHealthMetrics('PAY" OR project is not EMPTY OR project = "X');
+
+      // Then
+      expect(JSON.parse(requestJira.mock.calls[0][1].body).jql).toBe(
+        'project = "PAY\\" OR project is not EMPTY OR project = \\"X" AND (due < now() AND resolution is EMPTY)'
+      );
+    });
+  });
+
+  describe('JQL Validation', () => {
+    test('ReturnParseErrorsPerQuery', async () => {
+      // Given
+      requestJira.mockResolvedValueOnce(jsonResponse({
+        queries: [{ query: 'flagged is not EMPTY' }, { query: 'bogus = 1', errors: ["Field 'bogus' does not exist"] }]
+      }));
+
+      // When
+      const results = await adapter.validateJql(['flagged is not EMPTY', 'bogus = 1']);
+
+      // Then
+      expect(results).toEqual([
+        { query: 'flagged is not EMPTY', errors: [] },
+        { query: 'bogus = 1', errors: ["Field 'bogus' does not exist"] }
+      ]);
+      expect(requestJira.mock.calls[0][0]).toBe('/rest/api/3/jql/parse?validation=strict');
+    });
+  });
+
+  describe('Error Reporting', () => {
+    test('FlagMetricsThatCouldNotBeCounted', async () => {
+      // Given
+      requestJira.mockImplementation(async (path, request) => {
+        const { jql } = JSON.parse(request.body);
+        if (jql.includes('"Blocked"')) return jsonResponse({ errorMessages: ['Unknown status'] }, false);
+        return jsonResponse({ total: 2 });
+      });
+
+      // When
+      const metrics = await adapter.getProjectHealthMetrics('PAY');
+
+      // Then
+      expect(metrics).toMatchObject({
+        overdueIssues: 2,
+        blockedIssues: null,
+        highPriorityIssues: 2,
+        metricAvailability: { overdueIssues: true, blockedIssues: false, highPriorityIssues: true }
+      });
+    });
+
+    test('RaiseTypedErrorInsteadOfEmptyProjectList', async () => {
+      // Given
+      requestJira.mockResolvedValue(jsonResponse({ errorMessages: ['Forbidden'] }, false));
+
+      // When & Then
+      await expect(adapter.getExecutiveProjects()).rejects.toBeInstanceOf(JiraRequestRejectedError);
+    });
+  });
+});
@@ -0,0 +1,85 @@
+/**
+ * Unit Tests: ForgeSnapshotStorageAdapter - Portfolio Snapshot Storage
+ * Behavior-focused tests against a stubbed Forge storage that lists keys in key order
+ */
+
+import { jest } from '@jest/globals';
+import { ForgeSnapshotStorageAdapter } from '../../../../src/infrastructure/adapters/ForgeSnapshotStorageAdapter.js';
+
+describe('ForgeSnapshotStorageAdapter Should', () => {
+  let adapter;
+  let entries;
+  let listedPages;
+
+  const snapshotData = date => ({ executiveId: 'exec-ceo-001', date, portfolio: { healthScore: 80 }, projects: [] });
+
+  beforeEach(() => {
+    entries = new Map();
+    listedPages = 0;
+    adapter = new ForgeSnapshotStorageAdapter();
+    adapter.storage = {
+      get: jest.fn(async key => entries.get(key)),
+      set: jest.fn(async (key, value) => { entries.set(key, value); }),
+      delete: jest.fn(async key => { entries.delete(key); }),
+      query: () => {
+        let prefix;
+        let limit;
+        let startAt = 0;
+        return {
+          where(field, condition) { prefix = condition.value; return this; },
+          limit(value) { limit = value; return this; },
+          cursor(value) { startAt = Number(value); return this; },
+          async getMany() {
+            listedPages += 1;
+            const keys = [...entries.keys()].filter(key => key.startsWith(prefix)).sort();
+            const results = keys.slice(startAt, startAt + limit).map(key => ({ key, value: entries.get(key) }));
+            return { results, nextCursor: startAt + limit < keys.length ? String(startAt + limit) : undefined };
+          }
+        };
+      }
+    };
+  });
+
+  const storeDays = (from, days) => {
+    for (let day = 0; day < days; day++) {
+      const date = new Date(Date.parse(`${from}T00:00:00.000Z`) + day * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+      entries.set(`portfolio-snapshot:exec-ceo-001:${date}`, snapshotData(date));
+    }
+  };
+
+  test('ReadOnlyTheRequestedDates', async () => {
+    // Given
+    storeDays('2024-01-01', 20);
+
+    // When
+    const snapshots = await adapter.getSnapshots('exec-ceo-001', ['2024-01-14', '2024-01-08', '2024-01-25']);
+
+    // Then
+    expect(snapshots.map(snapshot => snapshot.date)).toEqual(['2024-01-08', '2024-01-14']);
+    expect(adapter.storage.get).toHaveBeenCalledTimes(3);
+    expect(listedPages).toBe(0);
+  });
+
+  test('PruneSnapshotsBeforeTheCutoffAndStopListingAtTheFirstKept', async () => {
+    // Given - 60 days of snapshots, three pages of listings
+    storeDays('2024-01-01', 60);
+
+    // When
+    const pruned = await adapter.pruneSnapshots('exec-ceo-001', '2024-01-25');
+
+    // Then
+    expect(pruned).toBe(24);
+    expect(listedPages).toBe(2);
+    expect([...entries.keys()].sort()[0]).toBe('portfolio-snapshot:exec-ceo-001:2024-01-25');
+    expect(entries.size).toBe(36);
+  });
+
+  test('KnowWhetherAnExecutiveHasAnySnapshot', async () => {
+    // Given
+    storeDays('2024-01-01', 1);
+
+    // When & Then
+    await expect(adapter.hasSnapshots('exec-ceo-001')).resolves.toBe(true);
+    await expect(adapter.hasSnapshots('exec-cfo-001')).resolves.toBe(false);
+  });
+});
@@ -0,0 +1,171 @@
+/**
+ * Unit Tests: ForgeUserAdapter - Executive Permissions
+ * Behavior-focused tests with a mocked Jira port and business unit service
+ */
+
+import { jest } from '@jest/globals';
+import { ForgeUserAdapter } from '../../../../src/infrastructure/adapters/ForgeUserAdapter.js';
+import { PermissionMapping } from '../../../../src/domain/entities/PermissionMapping.js';
+import { InvalidConfigurationError } from '../../../../src/domain/errors/ConfigurationErrors.js';
+
+describe('ForgeUserAdapter Should', () => {
+  let jiraDataPort;
+  let businessUnitService;
+  let permissionMappingService;
+  let adapter;
+
+  const withMapping = definition => {
+    permissionMappingService.getMapping.mockResolvedValue(PermissionMapping.from(definition));
+  };
+
+  beforeEach(() => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    jiraDataPort = {
+      getUserGroups: jest.fn().mockResolvedValue(['jira-users', 'sales-leadership']),
+      getExecutiveProjects: jest.fn().mockResolvedValue([{ key: 'PAY' }, { key: 'WEB' }, { key: 'OPS' }]),
+      getProjectRoleMembers: jest.fn().mockResolvedValue({
+        PAY: { Administrators: { accountIds: ['557058:vp-sales'], groups: [] } },
+        WEB: { Administrators: { accountIds: [], groups: ['Sales-Leadership'] } },
+        OPS: { Administrators: { accountIds: ['557058:vp-ops'], groups: [] } }
+      })
+    };
+    businessUnitService = {
+      resolveExecutive: jest.fn().mockResolvedValue({ businessUnit: 'Sales', source: 'group' }),
+      resolveProjects: jest.fn(async projects => ({
+        projects: projects.map(project => ({
+          ...project,
+          businessUnit: { PAY: 'Finance', WEB: 'Marketing', OPS: 'Operations' }[project.key]
+        })),
+        unmappedProjects: []
+      }))
+    };
+    permissionMappingService = { getMapping: jest.fn().mockResolvedValue(PermissionMapping.default()) };
+    adapter = new ForgeUserAdapter(jiraDataPort, businessUnitService, permissionMappingService);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('ScopePortfolioViewToExecutiveBusinessUnit', async () => {
+    // When
+    const permissions = await adapter.getUserPermissions('557058:vp-sales');
+
+    // Then
+    expect(businessUnitService.resolveExecutive).toHaveBeenCalledWith('557058:vp-sales', ['jira-users', 'sales-leadership']);
+    expect(permissions).toEqual([{ type: 'PORTFOLIO_VIEW', scope: ['Sales'] }]);
+  });
+
+  test('GrantEverythingToMembersOfTheDefaultCeoGroup', async () => {
+    // Given
+    jiraDataPort.getUserGroups.mockResolvedValue(['executive-ceo']);
+    businessUnitService.resolveExecutive.mockResolvedValue({ businessUnit: 'Corporate', source: 'default' });
+
+    // When
+    const permissions = await adapter.getUserPermissions('557058:ceo');
+
+    // Then
+    expect(permissions).toEqual([
+      { type: 'PORTFOLIO_VIEW', scope: ['Corporate', 'All_Units'] },
+      { type: 'FINANCIAL_DATA', scope: ['All_Units'] },
+      { type: 'DETAILED_METRICS', scope: ['All_Units'] }
+    ]);
+  });
+
+  test('GrantGroupPermissionsForTheirConfiguredBusinessUnits', async () => {
+    // Given
+    withMapping({
+      ownBusinessUnit: ['PORTFOLIO_VIEW'],
+      groups: { 'Sales-Leadership': { permissions: ['FINANCIAL_DATA'], scope: ['Sales', 'Marketing'] } }
+    });
+
+    // When
+    const permissions = await adapter.getUserPermissions('557058:vp-sales');
+
+    // Then
+    expect(permissions).toEqual([
+      { type: 'PORTFOLIO_VIEW', scope: ['Sales'] },
+      { type: 'FINANCIAL_DATA', scope: ['Sales', 'Marketing'] }
+    ]);
+  });
+
+  test('GrantProjectRolePermissionsForUnitsOfProjectsWhereTheRoleIsHeld', async () => {
+    // Given
+    withMapping({
+      ownBusinessUnit: ['PORTFOLIO_VIEW'],
+      projectRoles: { Administrators: { permissions: ['PORTFOLIO_VIEW', 'DETAILED_METRICS'] } }
+    });
+
+    // When
+    const permissions = await adapter.getUserPermissions('557058:vp-sales');
+
+    // Then
+    expect(jiraDataPort.getProjectRoleMembers).toHaveBeenCalledWith(['PAY', 'WEB', 'OPS'], ['Administrators']);
+    expect(permissions).toEqual([
+      { type: 'PORTFOLIO_VIEW', scope: ['Sales', 'Finance', 'Marketing'] },
+      { type: 'DETAILED_METRICS', scope: ['Finance', 'Marketing'] }
+    ]);
+  });
+
+  test('ResolvePermissionsOncePerInvocation', async () => {
+    // Given
+    withMapping({
+      ownBusinessUnit: ['PORTFOLIO_VIEW'],
+      projectRoles: { Administrators: { permissions: ['DETAILED_METRICS'] } }
+    });
+    await adapter.getUserPermissions('557058:vp-sales');
+
+    // When
+    const permissions = await adapter.getUserPermissions('557058:vp-sales');
+
+    // Then
+    expect(permissions).toEqual([
+      { type: 'PORTFOLIO_VIEW', scope: ['Sales'] },
+      { type: 'DETAILED_METRICS', scope: ['Finance', 'Marketing'] }
+    ]);
+    expect(jiraDataPort.getUserGroups).toHaveBeenCalledTimes(1);
+    expect(businessUnitService.resolveProjects).toHaveBeenCalledTimes(1);
+    expect(jiraDataPort.getProjectRoleMembers).toHaveBeenCalledTimes(1);
+  });
+
+  test('SkipProjectRoleLookupWhenNoRoleIsMapped', async () => {
+    // When
+    await adapter.getUserPermissions('557058:vp-sales');
+
+    // Then
+    expect(jiraDataPort.getExecutiveProjects).not.toHaveBeenCalled();
+    expect(jiraDataPort.getProjectRoleMembers).not.toHaveBeenCalled();
+  });
+
+  test('GrantNothingFromGroupsOrRolesJiraCannotReturn', async () => {
+    // Given
+    withMapping({
+      ownBusinessUnit: ['PORTFOLIO_VIEW'],
+      groups: { 'sales-leadership': { permissions: ['FINANCIAL_DATA'], scope: ['All_Units'] } },
+      projectRoles: { Administrators: { permissions: ['DETAILED_METRICS'] } }
+    });
+    jiraDataPort.getUserGroups.mockRejectedValue(new Error('Jira unavailable'));
+    jiraDataPort.getProjectRoleMembers.mockRejectedValue(new Error('Jira unavailable'));
+
+    // When
+    const permissions = await adapter.getUserPermissions('557058:vp-sales');
+
+    // Then
+    expect(permissions).toEqual([{ type: 'PORTFOLIO_VIEW', scope: ['Sales'] }]);
+  });
+
+  test('GrantNothingWhileTheStoredPermissionMappingIsInvalid', async () => {
+    // Given
+    permissionMappingService.getMapping.mockRejectedValue(
+      new InvalidConfigurationError('permission mapping', new Error('Unknown permissions: EVERYTHING'))
+    );
+
+    // When
+    const permissions = await adapter.getUserPermissions('557058:ceo');
+
+    // Then
+    expect(permissions).toEqual([]);
+    expect(jiraDataPort.getUserGroups).not.toHaveBeenCalled();
+  });
+});
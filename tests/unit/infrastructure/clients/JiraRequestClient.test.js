@@ -0,0 +1,146 @@
+/**
+ * Unit Tests: JiraRequestClient - Rate-Limit Aware Jira Requests
+ * Behavior-focused tests with a mocked Forge client, sleep and jitter
+ */
+
+import { jest } from '@jest/globals';
+import { JiraRequestClient } from '../../../../src/infrastructure/clients/JiraRequestClient.js';
+import {
+  JiraRateLimitError,
+  JiraUnavailableError,
+  JiraRequestRejectedError,
+  JiraRequestBudgetExceededError
+} from '../../../../src/domain/errors/JiraDataErrors.js';
+
+describe('JiraRequestClient Should', () => {
+  let client;
+  let requestJira;
+  let sleep;
+
+  const response = (status, data = {}, headers = {}) => ({
+    ok: status >= 200 && status < 300,
+    status,
+    statusText: `Status ${status}`,
+    headers: { get: name => headers[name] ?? null },
+    json: jest.fn().mockResolvedValue(data)
+  });
+
+  const createClient = (options = {}) => new JiraRequestClient({
+    apiClient: { asUser: () => ({ requestJira }) },
+    sleep,
+    random: () => 0.5,
+    ...options
+  });
+
+  beforeEach(() => {
+    requestJira = jest.fn();
+    sleep = jest.fn().mockResolvedValue(undefined);
+    client = createClient();
+  });
+
+  describe('Retries', () => {
+    test('WaitForRetryAfterBeforeRetryingRateLimitedRequest', async () => {
+      // Given
+      requestJira
+        .mockResolvedValueOnce(response(429, {}, { 'Retry-After': '2' }))
+        .mockResolvedValueOnce(response(200, { total: 7 }));
+
+      // When
+      const data = await client.requestJson('/rest/api/3/search');
+
+      // Then
+      expect(data).toEqual({ total: 7 });
+      expect(sleep).toHaveBeenCalledWith(2000);
+    });
+
+    test('BackOffExponentiallyWithJitterOnServerErrors', async () => {
+      // Given
+      requestJira
+        .mockResolvedValueOnce(response(503))
+        .mockRejectedValueOnce(new Error('socket hang up'))
+        .mockResolvedValueOnce(response(200, { ok: true }));
+
+      // When
+      await client.requestJson('/rest/api/3/search');
+
+      // Then
+      expect(sleep.mock.calls.map(([ms]) => ms)).toEqual([250, 500]);
+    });
+
+    test('RaiseRateLimitErrorWhenRetriesRunOut', async () => {
+      // Given
+      requestJira.mockResolvedValue(response(429));
+
+      // When & Then
+      await expect(client.requestJson('/rest/api/3/search')).rejects.toBeInstanceOf(JiraRateLimitError);
+      expect(requestJira).toHaveBeenCalledTimes(4);
+    });
+
+    test('GiveUpImmediatelyWhenRetryAfterIsTooLong', async () => {
+      // Given
+      requestJira.mockResolvedValue(response(429, {}, { 'Retry-After': '60' }));
+
+      // When
+      const error = await client.requestJson('/rest/api/3/search').catch(e => e);
+
+      // Then
+      expect(error).toBeInstanceOf(JiraRateLimitError);
+      expect(error.retryAfterMs).toBe(60000);
+      expect(requestJira).toHaveBeenCalledTimes(1);
+    });
+
+    test('RaiseUnavailableErrorWhenJiraKeepsFailing', async () => {
+      // Given
+      requestJira.mockResolvedValue(response(502));
+
+      // When & Then
+      await expect(client.requestJson('/rest/api/3/search')).rejects.toBeInstanceOf(JiraUnavailableError);
+    });
+  });
+
+  describe('Non-Retryable Failures', () => {
+    test('RejectClientErrorsWithoutRetrying', async () => {
+      // Given
+      requestJira.mockResolvedValue(response(400, { errorMessages: ["Field 'due' does not exist"] }));
+
+      // When
+      const error = await client.requestJson('/rest/api/3/search').catch(e => e);
+
+      // Then
+      expect(error).toBeInstanceOf(JiraRequestRejectedError);
+      expect(error.status).toBe(400);
+      expect(error.message).toContain("Field 'due' does not exist");
+      expect(sleep).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('Request Budget', () => {
+    test('CountRetriesAgainstInvocationBudget', async () => {
+      // Given
+      client = createClient({ requestBudget: 2 });
+      requestJira
+        .mockResolvedValueOnce(response(503))
+        .mockResolvedValueOnce(response(200, {}));
+      await client.requestJson('/rest/api/3/myself');
+
+      // When & Then
+      await expect(client.requestJson('/rest/api/3/myself')).rejects.toBeInstanceOf(JiraRequestBudgetExceededError);
+      expect(requestJira).toHaveBeenCalledTimes(2);
+    });
+
+    test('CountAppRequestsAgainstTheSameBudget', async () => {
+      // Given
+      const appRequestJira = jest.fn().mockResolvedValue(response(200, []));
+      client = createClient({
+        requestBudget: 1,
+        apiClient: { asUser: () => ({ requestJira }), asApp: () => ({ requestJira: appRequestJira }) }
+      });
+      await client.requestJsonAsApp('/rest/api/3/role');
+
+      // When & Then
+      await expect(client.requestJson('/rest/api/3/myself')).rejects.toBeInstanceOf(JiraRequestBudgetExceededError);
+      expect(appRequestJira).toHaveBeenCalledTimes(1);
+      expect(requestJira).not.toHaveBeenCalled();
+    });
+  });
+});
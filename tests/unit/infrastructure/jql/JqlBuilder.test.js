@@ -0,0 +1,94 @@
+/**
+ * Unit Tests: JqlBuilder - Safe JQL Composition
+ * Behavior-focused tests for quoting, escaping and clause composition
+ */
+
+import { JqlBuilder, quoteJqlValue, quoteJqlField } from '../../../../src/infrastructure/jql/JqlBuilder.js';
+
+describe('JqlBuilder Should', () => {
+  describe('Quoting', () => {
+    test('WrapValuesInDoubleQuotes', () => {
+      expect(quoteJqlValue('WEB')).toBe('"WEB"');
+      expect(quoteJqlValue(10000)).toBe('"10000"');
+    });
+
+    test('EscapeCharactersThatWouldEndTheLiteral', () => {
+      expect(quoteJqlValue('say "hi"')).toBe('"say \\"hi\\""');
+      expect(quoteJqlValue('C:\\temp')).toBe('"C:\\\\temp"');
+      expect(quoteJqlValue('line\nbreak\ttab')).toBe('"line\\nbreak\\ttab"');
+    });
+
+    test('LeavePlainFieldsUnquotedAndQuoteTheRest', () => {
+      expect(quoteJqlField('project')).toBe('project');
+      expect(quoteJqlField('cf[10021]')).toBe('cf[10021]');
+      expect(quoteJqlField('Business Unit')).toBe('"Business Unit"');
+    });
+
+    test('RejectMissingValuesAndFields', () => {
+      expect(() => quoteJqlValue(undefined)).toThrow('JQL values must not be empty');
+      expect(() => quoteJqlField(' ')).toThrow('JQL field names must not be empty');
+    });
+  });
+
+  describe('Composition', () => {
+    test('JoinClausesWithAnd', () => {
+      // When
+      const jql = new JqlBuilder()
+        .whereEquals('project', 'WEB')
+        .whereFragment('status = "Blocked" AND resolution is EMPTY')
+        .build();
+
+      // Then
+      expect(jql).toBe('project = "WEB" AND (status = "Blocked" AND resolution is EMPTY)');
+    });
+
+    test('BuildInAndNotInLists', () => {
+      // When
+      const jql = new JqlBuilder()
+        .whereIn('project', ['WEB', 'PAY'])
+        .whereNotIn('labels', ['internal'])
+        .build();
+
+      // Then
+      expect(jql).toBe('project in ("WEB", "PAY") AND labels not in ("internal")');
+    });
+
+    test('KeepInjectedValuesInsideTheirLiteral', () => {
+      // Given
+      const hostileKey = 'WEB" OR project is not EMPTY OR project = "X';
+
+      // When
+      const jql = new JqlBuilder().whereEquals('project', hostileKey).build();
+
+      // Then
+      expect(jql).toBe('project = "WEB\\" OR project is not EMPTY OR project = \\"X"');
+    });
+
+    test('LimitDateFieldsToRecentDays', () => {
+      // When
+      const jql = new JqlBuilder().whereWithinDays('resolved', 30).build();
+
+      // Then
+      expect(jql).toBe('resolved >= -30d');
+      expect(() => new JqlBuilder().whereWithinDays('resolved', '30d OR project = X'))
+        .toThrow('JQL date window for resolved must be a whole number of days');
+    });
+
+    test('ParenthesiseFragmentsSoOrCannotEscape', () => {
+      // When
+      const jql = new JqlBuilder()
+        .whereIn('project', ['WEB'])
+        .whereFragment('priority = High OR flagged is not EMPTY')
+        .build();
+
+      // Then
+      expect(jql).toBe('project in ("WEB") AND (priority = High OR flagged is not EMPTY)');
+    });
+
+    test('RejectEmptyListsFragmentsAndQueries', () => {
+      expect(() => new JqlBuilder().whereIn('project', [])).toThrow('JQL list for project needs at least one value');
+      expect(() => new JqlBuilder().whereFragment('')).toThrow('JQL fragments must not be empty');
+      expect(() => new JqlBuilder().build()).toThrow('JQL query needs at least one clause');
+    });
+  });
+});